@@ -0,0 +1,30 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+/* eslint-disable no-template-curly-in-string */
+
+/**
+ * Bills of Materials (BOMs) which the project can import into its dependency management, instead of managing each dependency's version individually.
+ *
+ * Versions reference the project properties which are maintained by the generators.
+ * The AEM BOM has no such property: its releases follow the AEM releases, so the root generator resolves the one matching the AEM version.
+ */
+export const Boms = Object.freeze({
+  aem: Object.freeze({ groupId: 'io.wcm.maven', artifactId: 'io.wcm.maven.aem-dependencies' }),
+  cc: Object.freeze({ groupId: 'com.adobe.cq', artifactId: 'core.wcm.components.bom', version: '${core.wcm.components.version}' }),
+});
+
+/* eslint-enable no-template-curly-in-string */
@@ -25,13 +25,17 @@ import chalk from 'chalk';
 
 import Generator from 'yeoman-generator';
 import inquirer from 'inquirer';
-import { XMLBuilder, XMLParser } from 'fast-xml-parser';
+import { XMLParser } from 'fast-xml-parser';
 
 import ModuleMixins, { SharedOptions } from '../../lib/module-mixins.js';
 import PomUtils from '../../lib/pom-utils.js';
 import MavenUtils from '../../lib/maven-utils.js';
 import { MixinOptions } from './mixin-options.js';
 import { ModuleOptions } from './module-options.js';
+import { readProjectConfig, validateOptions } from './project-config.js';
+import { readManifest } from './plugins.js';
+import { CloudJavaVersions, JavaVersions, javaProfile } from './java-versions.js';
+import { Boms } from './boms.js';
 
 export const generatorName = '@adobe/generator-aem';
 
@@ -68,6 +72,10 @@ const propsDefault = Object.freeze({
   npmVersion,
 });
 
+// Maven version the wrapper is pinned to, unless one is specified.
+const mavenWrapperVersion = '3.9.9';
+const mavenVersionRegex = /^\d+\.\d+\.\d+$/;
+
 const modulesDefault = Object.freeze({
   bundle: { core: {} },
   'frontend-general': { 'ui.frontend': {} },
@@ -103,7 +111,7 @@ class AEMGenerator extends Generator {
 
       javaVersion: {
         type: String,
-        desc: 'Java version to use for project (8 or 11)',
+        desc: 'Java version to use for project (8, 11, 17 or 21)',
       },
 
       aemVersion: {
@@ -121,6 +129,11 @@ class AEMGenerator extends Generator {
         desc: 'NPM version to use for module projects.',
       },
 
+      boms: {
+        type: Boolean,
+        desc: 'Import BOMs (Bill of Materials) to manage dependency versions, instead of each dependency individually.',
+      },
+
       modules: {
         type(arg) {
           return arg ? arg.split(',') : [];
@@ -133,20 +146,53 @@ class AEMGenerator extends Generator {
         },
         desc: 'List of mixins to include.',
       },
+      config: {
+        type: String,
+        desc: 'JSON or YAML file describing the project, its modules and mixins; used for non-interactive generation.',
+      },
+
+      mavenVersion: {
+        type: String,
+        desc: `Maven version the Maven Wrapper is pinned to, when generated with the mavenWrapper option (default ${mavenWrapperVersion}).`,
+      },
+
+      jvmConfig: {
+        type: String,
+        desc: 'JVM options for the Maven build, written to .mvn/jvm.config (e.g. "-Xmx2g").',
+      },
+
+      mavenConfig: {
+        type: String,
+        desc: 'Maven command line options for every build, written to .mvn/maven.config (e.g. "-T1C").',
+      },
+
+      toolchains: {
+        type: Boolean,
+        desc: 'Generate a toolchains.xml template for the project Java version.',
+      },
     });
 
     _.forOwn(this.moduleOptions, (v, k) => {
       this.option(k, v);
     });
 
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: this._dryRun.bind(this) });
+    }
+
     this.rootGeneratorName = function () {
       return generatorName;
     };
+
+    this.projectConfig = {};
+    this.mixinOptions = {};
+    this.plugins = {};
   }
 
   initializing() {
     // Order of precedence:
     // * CLI Options
+    // * Config File
     // * Yeoman Config
     // * Pom Values
 
@@ -155,7 +201,7 @@ class AEMGenerator extends Generator {
     }
 
     // Populate Root unique properties
-    const unique = ['groupId', 'version', 'javaVersion', 'aemVersion', 'nodeVersion', 'npmVersion'];
+    const unique = ['groupId', 'version', 'javaVersion', 'aemVersion', 'nodeVersion', 'npmVersion', 'boms', 'mavenWrapper', 'mavenVersion', 'jvmConfig', 'mavenConfig', 'toolchains'];
     this.props = {};
     this.modules = {};
     _.each(this.options.modules, (m) => {
@@ -163,11 +209,14 @@ class AEMGenerator extends Generator {
     });
 
     this.mixins = this.options.mixins || [];
+    this._initProjectConfig();
 
     _.defaults(this.props, _.pick(this.options, unique));
     _.defaults(this.props, _.pick(this.options, SharedOptions));
+    _.defaults(this.props, _.pick(this.projectConfig, unique));
+    _.defaults(this.props, _.pick(this.projectConfig, SharedOptions));
 
-    if (this.props.javaVersion && this.props.javaVersion.toString() !== '8' && this.props.javaVersion.toString() !== '11') {
+    if (this.props.javaVersion && !JavaVersions.includes(this.props.javaVersion.toString())) {
       delete this.props.javaVersion;
     }
 
@@ -179,11 +228,19 @@ class AEMGenerator extends Generator {
     _.defaults(this.props, _.pick(config, unique));
     _.defaults(this.props, _.pick(config, SharedOptions));
 
+    this._initMavenVersion();
+
     const pomProject = PomUtils.findPomNodeArray(PomUtils.readPom(this), 'project');
     if (pomProject) {
       const pomProperties = PomUtils.findPomNodeArray(pomProject, 'properties');
       this._initPomProperties(pomProperties);
 
+      // Projects which already import the AEM BOM keep using BOMs.
+      const managed = PomUtils.findPomNodeArray(pomProject, 'dependencyManagement', 'dependencies');
+      if (this.props.boms === undefined && managed && PomUtils.dependencyPredicate(managed, PomUtils.bomDependency(Boms.aem))) {
+        this.props.boms = true;
+      }
+
       _.each(['groupId', 'artifactId', 'version', 'name'], (option) => {
         const opt = PomUtils.findPomNodeArray(pomProject, option);
         if (opt) {
@@ -198,13 +255,16 @@ class AEMGenerator extends Generator {
     this._initMixins();
 
     // Fall back to defaults
-    if (this.options.defaults) {
+    if (this.options.defaults || this.options.config) {
       if (this.props.appId) {
         _.defaults(this.props, { artifactId: this.props.appId });
       }
 
       _.defaults(this.props, propsDefault);
+    }
 
+    // Modules & mixins described in a config file are used as-is.
+    if (this.options.defaults && !this.projectConfig.modules) {
       if (this.options.modules) {
         _.each(this.options.modules, (module) => {
           this.modules[module] = this.modules[module] || {};
@@ -213,9 +273,14 @@ class AEMGenerator extends Generator {
       } else {
         this.modules = _.cloneDeep(modulesDefault);
       }
+    }
 
+    if (this.options.defaults && !this.projectConfig.mixins) {
       this.mixins = _.union(this.options.mixins, mixinsDefault);
     }
+
+    this._initPlugins();
+    return this._validateProjectConfig();
   }
 
   prompting() {
@@ -255,21 +320,20 @@ class AEMGenerator extends Generator {
         name: 'javaVersion',
         message: 'Which version of Java do you want to use?',
         type: 'list',
-        choices: ['11', '8'],
-        default: 0,
-        when: (answers) => {
+        choices: (answers) => {
           return new Promise((resolve) => {
-            if (this.options.defaults || this.props.javaVersion) {
-              resolve(false);
-              return;
-            }
-
             if (this.props.aemVersion === 'cloud' || answers.aemVersion === 'cloud') {
-              resolve(false);
+              resolve([...CloudJavaVersions]);
               return;
             }
 
-            resolve(true);
+            resolve(['11', '8']);
+          });
+        },
+        default: 0,
+        when: () => {
+          return new Promise((resolve) => {
+            resolve(!this.options.defaults && !this.props.javaVersion);
           });
         },
       },
@@ -312,7 +376,7 @@ class AEMGenerator extends Generator {
         },
         when: () => {
           return new Promise((resolve) => {
-            if (this.options.defaults || this.options.modules) {
+            if (this.options.defaults || this.options.modules || this.projectConfig.modules) {
               resolve(false);
               return;
             }
@@ -458,7 +522,7 @@ class AEMGenerator extends Generator {
         default: ['cc'],
         when: () => {
           return new Promise((resolve) => {
-            if (this.options.defaults || this.options.mixins) {
+            if (this.options.defaults || this.options.mixins || this.projectConfig.mixins) {
               resolve(false);
               return;
             }
@@ -510,7 +574,7 @@ class AEMGenerator extends Generator {
     ];
 
     return this._prompting(prompts).then((answers) => {
-      if (this.props.aemVersion === 'cloud') {
+      if (this.props.aemVersion === 'cloud' && !CloudJavaVersions.includes(this.props.javaVersion)) {
         this.props.javaVersion = '11';
       }
 
@@ -561,7 +625,7 @@ class AEMGenerator extends Generator {
         delete this.props.mixins;
       }
 
-      return answers;
+      return this._promptPlugins().then(() => answers);
     });
   }
 
@@ -573,10 +637,21 @@ class AEMGenerator extends Generator {
     }
 
     this._validateGAV();
-    return MavenUtils.latestRelease(apiCoordinates(this.props.aemVersion)).then((aemMetadata) => {
-      this.props.aem = aemMetadata;
-      this._configuring();
-    });
+    const coordinates = apiCoordinates(this.props.aemVersion);
+    const previous = this.config.get('aem');
+    const options = this._resolutionOptions(this.destinationPath());
+    if (previous && previous.artifactId === coordinates.artifactId) {
+      options.pinned = previous.version;
+    }
+
+    return MavenUtils.latestRelease(coordinates, false, options)
+      .then((aemMetadata) => {
+        this.props.aem = aemMetadata;
+        return this._resolveAemBom();
+      })
+      .then(() => {
+        this._configuring();
+      });
   }
 
   default() {
@@ -603,19 +678,21 @@ class AEMGenerator extends Generator {
   writing() {
     const files = [
       {
-        src: this.templatePath('README.md'),
+        src: this._templatePath('README.md'),
         dest: this.destinationPath('README.md'),
       },
       {
-        src: this.templatePath('.yo-resolve'),
+        src: this._templatePath('.yo-resolve'),
         dest: this.destinationPath('.yo-resolve'),
       },
       {
-        src: this.templatePath('.gitattributes'),
+        src: this._templatePath('.gitattributes'),
         dest: this.destinationPath('.gitattributes'),
       },
     ];
 
+    files.push(...this._mavenFiles());
+
     this._writeGitignore();
     this._writing(files, this.props);
   }
@@ -628,6 +705,31 @@ class AEMGenerator extends Generator {
     this.log(chalk.greenBright('\n\nThanks for using the AEM Project Generator.\n\n'));
   }
 
+  /**
+   * Resolves the release of the AEM BOM which manages the dependencies of the project's AEM version.
+   *
+   * The BOM's versions are the AEM version with a suffix, e.g. `6.5.12.0000`; the latest of those is used, or the latest release if none matches.
+   *
+   * @return {Promise} resolved once the BOM coordinates are set
+   * @private
+   */
+  _resolveAemBom() {
+    if (!this.props.boms) {
+      return Promise.resolve();
+    }
+
+    const previous = this.config.get('aemBom');
+    const options = this._resolutionOptions(this.destinationPath());
+    if (previous) {
+      options.pinned = previous.version;
+    }
+
+    return MavenUtils.latestRelease(Boms.aem, true, options).then((metadata) => {
+      const version = _.findLast(metadata.versions, (version) => version.startsWith(`${this.props.aem.version}.`)) || metadata.version;
+      this.props.aemBom = { ...Boms.aem, version };
+    });
+  }
+
   _initPomProperties = (propertiesNode) => {
     if (!propertiesNode) {
       return;
@@ -673,12 +775,72 @@ class AEMGenerator extends Generator {
             this.modules[type] = {};
           }
 
-          this.modules[type][name] = v;
+          this.modules[type][name] = _.defaults(this.modules[type][name] || {}, v);
         });
       }
     });
   }
 
+  /**
+   * Loads the project configuration file, if one was provided. Validation occurs before anything else is done, so nothing is written if the file is invalid.
+   *
+   * @private
+   */
+  _initProjectConfig() {
+    if (!this.options.config) {
+      return;
+    }
+
+    this.projectConfig = readProjectConfig(path.resolve(this.options.config));
+    if (this.projectConfig.defaults && this.options.defaults === undefined) {
+      this.options.defaults = true;
+    }
+
+    _.forOwn(this.projectConfig.modules, (instances, moduleType) => {
+      this.modules[moduleType] = _.merge(this.modules[moduleType] || {}, _.cloneDeep(instances));
+    });
+
+    this.mixinOptions = _.cloneDeep(this.projectConfig.mixins) || {};
+    this.mixins = _.union(this.mixins, _.keys(this.mixinOptions));
+  }
+
+  /**
+   * Validates the options of each module and mixin in the project configuration file against those declared by its generator.
+   *
+   * Generators which are not installed are skipped here, they are reported when composed.
+   *
+   * @private
+   */
+  async _validateProjectConfig() {
+    const sections = [];
+    _.forOwn(this.projectConfig.modules, (instances, moduleType) => {
+      _.forOwn(instances, (options, name) => {
+        sections.push({ namespaces: [`@adobe/aem:${moduleType}`, moduleType], options, location: `modules.${moduleType}.${name}` });
+      });
+    });
+    _.forOwn(this.projectConfig.mixins, (options, mixin) => {
+      sections.push({ namespaces: [`@adobe/aem:mixin-${mixin}`, mixin], options, location: `mixins.${mixin}` });
+    });
+
+    const meta = this.env.getGeneratorsMeta();
+    const errors = [];
+    for (const section of sections) {
+      const namespace = _.find(section.namespaces, (ns) => meta[ns]);
+      if (!namespace) {
+        continue;
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      const Generator = await this.env.get(namespace);
+      const generator = this.env.instantiate(Generator, { options: { help: true } });
+      errors.push(...validateOptions(section.options, _.keys(generator._options), section.location));
+    }
+
+    if (errors.length > 0) {
+      throw new Error(chalk.red(`Invalid configuration file: ${this.options.config}`) + '\n\n\t* ' + errors.join('\n\t* '));
+    }
+  }
+
   _initMixins() {
     const temporary = [];
     const yorc = this.fs.readJSON(this.destinationPath('.yo-rc.json'));
@@ -757,61 +919,286 @@ class AEMGenerator extends Generator {
   _composeModules() {
     const moduleList = _.keys(this.modules);
     _.each(ModuleOrder, (moduleType) => {
-      if (!this.modules[moduleType]) {
+      if (this.modules[moduleType]) {
+        _.forOwn(this.modules[moduleType], (moduleProps, name) => {
+          const options = {
+            parent: this.props,
+            defaults: this.options.defaults,
+            examples: this.props.examples,
+            offline: this.options.offline,
+            settings: this.options.settings,
+            dryRun: this.options.dryRun,
+          };
+          if (ModuleOptions[moduleType]) {
+            _.defaults(this.modules[moduleType][name], options, ModuleOptions[moduleType](name, this.props, this.modules));
+          }
+
+          this.composeWith(`@adobe/aem:${moduleType}`, this.modules[moduleType][name]);
+        });
+        moduleList.splice(moduleList.indexOf(moduleType), 1);
+      }
+
+      // Plugin modules ordered after this type.
+      _.forOwn(this.plugins, (manifest, namespace) => {
+        if (manifest.type === 'module' && manifest.after === moduleType && this.modules[namespace]) {
+          this._composePluginModule(namespace, manifest);
+          _.pull(moduleList, namespace);
+        }
+      });
+    });
+
+    // Now do custom plugin modules.
+    _.each(moduleList, (moduleType) => {
+      if (this.plugins[moduleType]) {
+        this._composePluginModule(moduleType, this.plugins[moduleType]);
         return;
       }
 
-      _.forOwn(this.modules[moduleType], (moduleProps, name) => {
+      const options = { parent: this.props, dryRun: this.options.dryRun };
+      this.composeWith(moduleType, options);
+    });
+  }
+
+  _composeMixins() {
+    const mixinList = _.cloneDeep(this.mixins);
+    _.each(MixinOrder, (mixinType) => {
+      if (this.mixins.includes(mixinType)) {
         const options = {
           parent: this.props,
           defaults: this.options.defaults,
           examples: this.props.examples,
+          offline: this.options.offline,
+          settings: this.options.settings,
+          dryRun: this.options.dryRun,
         };
-        if (ModuleOptions[moduleType]) {
-          _.defaults(this.modules[moduleType][name], options, ModuleOptions[moduleType](name, this.props, this.modules));
+        _.defaults(options, this.mixinOptions[mixinType]);
+        if (MixinOptions[mixinType]) {
+          _.defaults(options, MixinOptions[mixinType](this.props, this.modules));
         }
 
-        this.composeWith(`@adobe/aem:${moduleType}`, this.modules[moduleType][name]);
+        this.composeWith(`@adobe/aem:mixin-${mixinType}`, options);
+        mixinList.splice(mixinList.indexOf(mixinType), 1);
+      }
+
+      // Plugin mixins ordered after this type.
+      _.forOwn(this.plugins, (manifest, namespace) => {
+        if (manifest.type === 'mixin' && manifest.after === mixinType && mixinList.includes(namespace)) {
+          this._composePluginMixin(namespace, manifest);
+          _.pull(mixinList, namespace);
+        }
       });
-      moduleList.splice(moduleList.indexOf(moduleType), 1);
     });
 
-    // Now do custom plugin modules.
-    _.each(moduleList, (moduleType) => {
-      const options = { parent: this.props };
-      this.composeWith(moduleType, options);
+    // Now do custom plugin mixins.
+    _.each(mixinList, (mixin) => {
+      if (this.plugins[mixin]) {
+        this._composePluginMixin(mixin, this.plugins[mixin]);
+        return;
+      }
+
+      const options = { parent: this.props, dryRun: this.options.dryRun, ...this.mixinOptions[mixin] };
+      this.composeWith(mixin, options);
     });
   }
 
-  _composeMixins() {
-    const mixinList = _.cloneDeep(this.mixins);
-    _.each(MixinOrder, (mixinType) => {
-      if (!this.mixins.includes(mixinType)) {
+  /**
+   * Loads the manifests of the plugin modules & mixins, see `plugins.js`.
+   *
+   * Their contributions to other modules are saved in this generator's configuration, so that they are also available when those modules are run on their own.
+   *
+   * @private
+   */
+  _initPlugins() {
+    const meta = this.env.getGeneratorsMeta();
+    const namespaces = [..._.difference(_.keys(this.modules), ModuleOrder), ..._.difference(this.mixins, MixinOrder)];
+    _.each(namespaces, (namespace) => {
+      const manifest = readManifest(meta[namespace]);
+      if (!manifest) {
+        return;
+      }
+
+      this.plugins[namespace] = manifest;
+      if (manifest.type === 'module' && _.isEmpty(this.modules[namespace]) && manifest.folder) {
+        this.modules[namespace] = { [manifest.folder]: {} };
+      }
+    });
+
+    if (!_.isEmpty(this.plugins)) {
+      this.props.plugins = _.mapValues(this.plugins, (manifest) => _.pick(manifest, ['type', 'embeddeds', 'filterRoots']));
+    }
+  }
+
+  /**
+   * Asks the prompts declared by the plugins' manifests, once per module; answers are passed to the plugin as options.
+   *
+   * Prompts are skipped for values which are already set, and their defaults are used when the `defaults` option is set.
+   *
+   * @return {Promise} resolved once all prompts are answered
+   * @private
+   */
+  _promptPlugins() {
+    const targets = [];
+    _.forOwn(this.plugins, (manifest, namespace) => {
+      if (manifest.type === 'mixin') {
+        this.mixinOptions[namespace] = this.mixinOptions[namespace] || {};
+        targets.push({ manifest, options: this.mixinOptions[namespace], prefix: '' });
+        return;
+      }
+
+      _.forOwn(this.modules[namespace], (options, name) => {
+        targets.push({ manifest, options, prefix: `(${name}) ` });
+      });
+    });
+
+    let chain = Promise.resolve();
+    _.each(targets, ({ manifest, options, prefix }) => {
+      const prompts = _.filter(manifest.prompts, (prompt) => options[prompt.name] === undefined);
+      if (this.options.defaults) {
+        _.each(prompts, (prompt) => {
+          if (prompt.default !== undefined) {
+            options[prompt.name] = prompt.default;
+          }
+        });
         return;
       }
 
+      chain = chain.then(() => {
+        return this.prompt(_.map(prompts, (prompt) => ({ ...prompt, message: `${prefix}${prompt.message}` }))).then((answers) => {
+          _.defaults(options, answers);
+        });
+      });
+    });
+    return chain;
+  }
+
+  /**
+   * Composes each module of a plugin, with the same options as the bundled modules along with the references declared by its manifest.
+   *
+   * @param {String} namespace the plugin's namespace
+   * @param {Object} manifest the plugin's manifest
+   * @private
+   */
+  _composePluginModule(namespace, manifest) {
+    _.forOwn(this.modules[namespace], (moduleProps, name) => {
       const options = {
+        generateInto: name,
+        appId: this.props.appId,
+        name: `${this.props.name} - ${manifest.name || name}`,
+        artifactId: `${this.props.artifactId}.${name}`,
         parent: this.props,
         defaults: this.options.defaults,
         examples: this.props.examples,
+        offline: this.options.offline,
+        settings: this.options.settings,
+        dryRun: this.options.dryRun,
       };
-      if (MixinOptions[mixinType]) {
-        _.defaults(options, MixinOptions[mixinType](this.props, this.modules));
-      }
-
-      this.composeWith(`@adobe/aem:mixin-${mixinType}`, options);
-      mixinList.splice(mixinList.indexOf(mixinType), 1);
+      _.forOwn(manifest.references, (moduleType, option) => {
+        const artifactId = this._moduleArtifactId(moduleType);
+        if (artifactId) {
+          options[option] = artifactId;
+        }
+      });
+      _.defaults(moduleProps, options);
+      this.composeWith(namespace, moduleProps);
     });
+  }
 
-    // Now do custom plugin mixins.
-    _.each(mixinList, (mixin) => {
-      const options = { parent: this.props };
-      this.composeWith(mixin, options);
+  /**
+   * Composes a plugin mixin, with the module folders referenced by its manifest.
+   *
+   * @param {String} namespace the plugin's namespace
+   * @param {Object} manifest the plugin's manifest
+   * @private
+   */
+  _composePluginMixin(namespace, manifest) {
+    const options = {
+      parent: this.props,
+      defaults: this.options.defaults,
+      examples: this.props.examples,
+      offline: this.options.offline,
+      settings: this.options.settings,
+      dryRun: this.options.dryRun,
+      ...this.mixinOptions[namespace],
+    };
+    _.forOwn(manifest.references, (moduleType, option) => {
+      if (options[option] === undefined && this.modules[moduleType]) {
+        options[option] = _.keys(this.modules[moduleType]);
+      }
     });
+    this.composeWith(namespace, options);
+  }
+
+  /**
+   * Finds the artifactId of the only module of the specified type.
+   *
+   * @param {String} moduleType the module type
+   * @return {undefined|String} the artifactId, or undefined if there is not exactly one module of the type
+   * @private
+   */
+  _moduleArtifactId(moduleType) {
+    const names = _.keys(this.modules[moduleType]);
+    if (names.length !== 1) {
+      return undefined;
+    }
+
+    const [name] = names;
+    if (this.modules[moduleType][name].artifactId) {
+      return this.modules[moduleType][name].artifactId;
+    }
+
+    return ModuleOptions[moduleType] ? ModuleOptions[moduleType](name, this.props, this.modules).artifactId : `${this.props.artifactId}.${name}`;
+  }
+
+  /**
+   * Discards an invalid Maven version, and defaults it when the Maven Wrapper is generated.
+   *
+   * @private
+   */
+  _initMavenVersion() {
+    if (this.props.mavenVersion && !mavenVersionRegex.test(this.props.mavenVersion.toString())) {
+      delete this.props.mavenVersion;
+    }
+
+    if (this.props.mavenWrapper) {
+      _.defaults(this.props, { mavenVersion: mavenWrapperVersion });
+    }
+  }
+
+  /**
+   * Lists the Maven Wrapper, Maven configuration and toolchains files to generate, per the project's options.
+   *
+   * @return {Object[]} the templates, with their destinations
+   * @private
+   */
+  _mavenFiles() {
+    const files = [];
+    const add = (...parts) => {
+      files.push({ src: this._templatePath(...parts), dest: this.destinationPath(...parts) });
+    };
+
+    if (this.props.mavenWrapper) {
+      add('mvnw');
+      add('mvnw.cmd');
+      add('.mvn', 'wrapper', 'maven-wrapper.properties');
+    }
+
+    if (this.props.jvmConfig) {
+      add('.mvn', 'jvm.config');
+    }
+
+    if (this.props.mavenConfig) {
+      add('.mvn', 'maven.config');
+    }
+
+    if (this.props.toolchains) {
+      add('toolchains.xml');
+    }
+
+    return files;
   }
 
   _writeGitignore = () => {
-    const base = this.fs.read(this.templatePath('.gitignore')).split('\n');
+    const base = this.fs.read(this._templatePath('.gitignore')).split('\n');
 
     let orig = [];
     const file = this.destinationPath('.gitignore');
@@ -828,11 +1215,11 @@ class AEMGenerator extends Generator {
   _writePom = () => {
     const tplProps = _.pick(this.props, ['groupId', 'artifactId', 'version', 'name', 'javaVersion', 'nodeVersion', 'npmVersion', 'aem']);
     tplProps.modules = _.flatMap(this.modules, (moduleType) => _.keys(moduleType));
+    tplProps.java = javaProfile(this.props.javaVersion);
     const parser = new XMLParser(PomUtils.xmlOptions);
-    const builder = new XMLBuilder(PomUtils.xmlOptions);
 
     // Read the template and parse w/ properties.
-    const genPom = ejs.render(this.fs.read(this.templatePath('pom.xml')), tplProps);
+    const genPom = ejs.render(this.fs.read(this._templatePath('pom.xml')), tplProps);
     const parsedGenPom = parser.parse(genPom);
     const genProject = PomUtils.findPomNodeArray(parsedGenPom, 'project');
 
@@ -845,29 +1232,34 @@ class AEMGenerator extends Generator {
       // Merge the different sections
       PomUtils.mergePomSection(PomUtils.findPomNodeArray(genProject, 'properties'), PomUtils.findPomNodeArray(existingPom, 'properties'), PomUtils.propertyPredicate);
 
-      PomUtils.mergePomSection(PomUtils.findPomNodeArray(genProject, 'build', 'plugins'), PomUtils.findPomNodeArray(existingPom, 'build', 'plugins'), PomUtils.pluginPredicate);
-      PomUtils.mergePomSection(
-        PomUtils.findPomNodeArray(genProject, 'build', 'pluginManagement', 'plugins'),
-        PomUtils.findPomNodeArray(existingPom, 'build', 'pluginManagement', 'plugins'),
-        PomUtils.pluginPredicate
-      );
+      PomUtils.mergePlugins(PomUtils.findPomNodeArray(genProject, 'build', 'plugins'), PomUtils.findPomNodeArray(existingPom, 'build', 'plugins'));
+      PomUtils.mergePlugins(PomUtils.findPomNodeArray(genProject, 'build', 'pluginManagement', 'plugins'), PomUtils.findPomNodeArray(existingPom, 'build', 'pluginManagement', 'plugins'));
 
       PomUtils.mergePomSection(PomUtils.findPomNodeArray(genProject, 'profiles'), PomUtils.findPomNodeArray(existingPom, 'profiles'), PomUtils.profilePredicate);
 
-      PomUtils.mergePomSection(genDependencies, PomUtils.findPomNodeArray(existingPom, 'dependencyManagement', 'dependencies'), PomUtils.dependencyPredicate);
+      PomUtils.mergeDependencies(genDependencies, PomUtils.findPomNodeArray(existingPom, 'dependencyManagement', 'dependencies'));
     }
 
-    const addlDeps = parser.parse(this.fs.read(this.templatePath('partials', 'v6.5', 'dependencies.xml')))[0].dependencies;
+    const addlDeps = parser.parse(this.fs.read(this._templatePath('partials', 'v6.5', 'dependencies.xml')))[0].dependencies;
     if (this.props.aemVersion === 'cloud') {
       addlDeps.push({
         dependency: [{ groupId: [{ '#text': 'com.adobe.aem' }] }, { artifactId: [{ '#text': 'uber-jar' }] }],
       });
       PomUtils.removeDependencies(genDependencies, addlDeps);
+    } else if (this.props.boms) {
+      // Versions are managed by the AEM BOM.
+      PomUtils.removeDependencies(genDependencies, addlDeps);
     } else {
       PomUtils.addDependencies(genDependencies, addlDeps, tplProps.aem);
     }
 
-    this.fs.write(pomFile, PomUtils.fixXml(builder.build(parsedGenPom)));
+    if (this.props.boms) {
+      PomUtils.addBoms(genDependencies, [this.props.aemBom], tplProps.aem);
+    } else {
+      PomUtils.removeBoms(genDependencies, [Boms.aem]);
+    }
+
+    PomUtils.writePom(this, pomFile, parsedGenPom);
   };
 }
 
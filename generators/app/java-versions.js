@@ -0,0 +1,76 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+export const JavaVersions = Object.freeze(['8', '11', '17', '21']);
+
+export const CloudJavaVersions = Object.freeze(['11', '17', '21']);
+
+const legacy = Object.freeze({
+  release: false,
+  maven: '3.3.9',
+  compiler: '3.10.1',
+  surefire: '2.22.2',
+  enforcer: '3.0.0',
+  bnd: '6.2.0',
+  junit: '5.8.2',
+  mockito: '4.4.0',
+  aemMock: '4.1.8',
+  slf4jTest: true,
+});
+
+/**
+ * Build tooling & test library versions, per supported Java version.
+ *
+ * Java 17 and later use the compiler's `release` flag, and test libraries which no longer support older JREs.
+ */
+export const JavaProfiles = Object.freeze({
+  8: legacy,
+  11: legacy,
+  17: Object.freeze({
+    release: true,
+    maven: '3.6.3',
+    compiler: '3.11.0',
+    surefire: '3.1.2',
+    enforcer: '3.3.0',
+    bnd: '6.4.0',
+    junit: '5.9.3',
+    mockito: '5.4.0',
+    aemMock: '5.3.0',
+    slf4jTest: false,
+  }),
+  21: Object.freeze({
+    release: true,
+    maven: '3.6.3',
+    compiler: '3.12.1',
+    surefire: '3.2.5',
+    enforcer: '3.4.1',
+    bnd: '7.0.0',
+    junit: '5.10.2',
+    mockito: '5.11.0',
+    aemMock: '5.5.2',
+    slf4jTest: false,
+  }),
+});
+
+/**
+ * Gets the profile for the Java version, defaulting to that of Java 11 for unknown versions.
+ *
+ * @param {string} version the Java version
+ * @return {Object} the profile
+ */
+export const javaProfile = (version) => {
+  return JavaProfiles[version] || JavaProfiles['11'];
+};
@@ -0,0 +1,151 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import _ from 'lodash';
+import chalk from 'chalk';
+
+import { validate } from './project-config.js';
+
+/**
+ * Name of the manifest file, located alongside a plugin generator's entry point (e.g. `generators/search/aem-plugin.json`).
+ */
+export const manifestFile = 'aem-plugin.json';
+
+/**
+ * Schema of the plugin manifest:
+ *
+ *   * `type` - `module` or `mixin`
+ *   * `name` - display name, used for the module's name (e.g. "My Site - Search")
+ *   * `folder` - default folder of the module, if none is provided
+ *   * `after` - module (or mixin) type after which the plugin is composed, e.g. `package-apps`; plugins without one are composed last
+ *   * `references` - options to populate from sibling modules, keyed by option name with the module type as value; modules receive the artifactId of the only module of that type, mixins the list of module folders
+ *   * `prompts` - Inquirer prompts asked by the root generator, the answers are passed as options
+ *   * `embeddeds` - artifacts of each module to embed in the All package, module plugins only; each may specify the `type`, `classifier` and `target` (an EJS template)
+ *   * `filterRoots` - roots to add to the Structure package filter, as EJS templates rendered with the project and module properties
+ */
+export const PluginSchema = Object.freeze({
+  type: 'object',
+  required: ['type'],
+  additionalProperties: false,
+  properties: {
+    type: { type: 'string', enum: ['module', 'mixin'] },
+    name: { type: 'string' },
+    folder: { type: 'string', pattern: /^[\w.-]+$/ },
+    after: { type: 'string' },
+    references: {
+      type: 'object',
+      additionalProperties: { type: 'string' },
+    },
+    prompts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'message'],
+        properties: {
+          name: { type: 'string' },
+          message: { type: 'string' },
+        },
+      },
+    },
+    embeddeds: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          type: { type: 'string' },
+          classifier: { type: 'string' },
+          target: { type: 'string' },
+        },
+      },
+    },
+    filterRoots: {
+      type: 'array',
+      items: { type: 'string' },
+    },
+  },
+});
+
+/**
+ * Reads the manifest of a plugin generator, if it has one.
+ *
+ * @param {Object} meta the generator's metadata, from the Yeoman Environment
+ * @return {undefined|Object} the manifest
+ */
+export const readManifest = (meta) => {
+  if (!meta || !meta.resolved) {
+    return undefined;
+  }
+
+  const file = path.join(path.dirname(meta.resolved), manifestFile);
+  if (!fs.existsSync(file)) {
+    return undefined;
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file));
+  } catch (error) {
+    throw new Error(chalk.red(`Unable to parse plugin manifest: ${file}`) + `\n\n${error.message}`);
+  }
+
+  const errors = validate(manifest, PluginSchema);
+  if (manifest.type === 'mixin' && manifest.embeddeds) {
+    errors.push('embeddeds are only supported by module plugins.');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(chalk.red(`Invalid plugin manifest: ${file}`) + '\n\n\t* ' + errors.join('\n\t* '));
+  }
+
+  return manifest;
+};
+
+/**
+ * Lists the contributions of the project's plugins to another module, rendering them with the properties of each plugin instance.
+ *
+ * Contributions are stored in the root generator's configuration, see `AEMGenerator._initPlugins`.
+ * Instances of module plugins are found like the bundled modules: each must be listed in the parent pom, and store its configuration (including its `artifactId`) under the plugin's namespace in its `.yo-rc.json`.
+ *
+ * @param {Generator} generator the generator context, of a module within the project
+ * @param {String} key the contribution, `embeddeds` or `filterRoots`
+ * @param {Function} render callback rendering a contribution, with the contribution and the instance's properties
+ * @return {Array} the rendered contributions
+ */
+export const pluginContributions = (generator, key, render) => {
+  const contributions = [];
+  _.forOwn(generator.parentProps.plugins, (plugin, namespace) => {
+    if (_.isEmpty(plugin[key])) {
+      return;
+    }
+
+    const instances = plugin.type === 'module' ? generator._findModules(namespace) : [{}];
+    if (instances.length === 0) {
+      generator.log(
+        chalk.yellow(`Warning: No ${namespace} module found for its ${key}; plugin modules must be listed in the parent pom and store their configuration under '${namespace}' in their .yo-rc.json.`)
+      );
+    }
+
+    _.each(instances, (instance) => {
+      const props = { ...generator.parentProps, ...instance };
+      contributions.push(..._.map(plugin[key], (contribution) => render(contribution, props)));
+    });
+  });
+  return contributions;
+};
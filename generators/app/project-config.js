@@ -0,0 +1,194 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import _ from 'lodash';
+import chalk from 'chalk';
+import yaml from 'js-yaml';
+
+import { JavaVersions } from './java-versions.js';
+
+const moduleInstance = {
+  type: 'object',
+  additionalProperties: {
+    type: ['string', 'number', 'boolean', 'array', 'object'],
+  },
+};
+
+/**
+ * Schema describing an answers file for the root generator.
+ *
+ * This is a subset of JSON Schema, evaluated by `validate`; it supports `type`, `enum`, `pattern`, `required`, `properties`, `additionalProperties` and `items`.
+ */
+export const ProjectSchema = Object.freeze({
+  type: 'object',
+  required: ['groupId', 'appId', 'name'],
+  additionalProperties: false,
+  properties: {
+    groupId: { type: 'string', pattern: /^[\w.-]+$/ },
+    artifactId: { type: 'string', pattern: /^[\w.-]+$/ },
+    appId: { type: 'string', pattern: /^[\w.-]+$/ },
+    name: { type: 'string' },
+    version: { type: ['string', 'number'] },
+    javaVersion: { type: ['string', 'number'], enum: JavaVersions },
+    aemVersion: { type: ['string', 'number'], enum: ['6.5', 'cloud'] },
+    nodeVersion: { type: ['string', 'number'] },
+    npmVersion: { type: ['string', 'number'] },
+    boms: { type: 'boolean' },
+    mavenWrapper: { type: 'boolean' },
+    mavenVersion: { type: 'string', pattern: /^\d+\.\d+\.\d+$/ },
+    jvmConfig: { type: 'string' },
+    mavenConfig: { type: 'string' },
+    toolchains: { type: 'boolean' },
+    defaults: { type: 'boolean' },
+    examples: { type: 'boolean' },
+    modules: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: moduleInstance,
+      },
+    },
+    mixins: {
+      type: ['array', 'object'],
+      items: { type: 'string' },
+      additionalProperties: moduleInstance,
+    },
+  },
+});
+
+const typeOf = (value) => {
+  if (_.isArray(value)) {
+    return 'array';
+  }
+
+  if (_.isPlainObject(value)) {
+    return 'object';
+  }
+
+  return typeof value;
+};
+
+/**
+ * Validates the value against the schema.
+ *
+ * @param {*} value the value to validate
+ * @param {Object} schema the schema to validate against
+ * @param {string} location the path of the value within the document, used for messages
+ * @return {string[]} list of validation errors, empty if valid
+ */
+export const validate = (value, schema = ProjectSchema, location = '') => {
+  const errors = [];
+  const label = location || '<root>';
+  const type = typeOf(value);
+  if (schema.type && !_.castArray(schema.type).includes(type)) {
+    errors.push(`${label} must be of type ${_.castArray(schema.type).join(' or ')}, found ${type}.`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(`${value}`)) {
+    errors.push(`${label} must be one of: ${schema.enum.join(', ')}.`);
+  }
+
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push(`${label} has an invalid format: '${value}'.`);
+  }
+
+  if (type === 'array' && schema.items) {
+    _.each(value, (item, idx) => {
+      errors.push(...validate(item, schema.items, `${location}[${idx}]`));
+    });
+  }
+
+  if (type === 'object') {
+    _.each(schema.required, (key) => {
+      if (value[key] === undefined) {
+        errors.push(`${location ? location + '.' : ''}${key} is required.`);
+      }
+    });
+
+    _.forOwn(value, (v, k) => {
+      const key = location ? `${location}.${k}` : k;
+      if (schema.properties && schema.properties[k]) {
+        errors.push(...validate(v, schema.properties[k], key));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${key} is not a supported property.`);
+      } else if (_.isPlainObject(schema.additionalProperties)) {
+        errors.push(...validate(v, schema.additionalProperties, key));
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Validates the options of a module or mixin instance against the options supported by its generator.
+ *
+ * @param {Object} options the options of the instance in the answers file
+ * @param {string[]} supported the names of the options declared by the generator
+ * @param {string} location the path of the instance within the document, used for messages
+ * @return {string[]} list of validation errors, empty if valid
+ */
+export const validateOptions = (options, supported, location) => {
+  return _.map(_.difference(_.keys(options), supported), (key) => `${location}.${key} is not a supported option.`);
+};
+
+/**
+ * Reads and validates the answers file. JSON and YAML formats are supported, based on the file's extension.
+ *
+ * Mixins may be provided either as a list of names, or as a map of name to options; the result always uses the map form.
+ *
+ * @param {string} file the path to the answers file
+ * @return {Object} the project description
+ * @throws {Error} if the file does not exist, cannot be parsed, or does not match the schema
+ */
+export const readProjectConfig = (file) => {
+  if (!fs.existsSync(file)) {
+    throw new Error(chalk.red(`Unable to find configuration file: ${file}`));
+  }
+
+  let config;
+  const contents = fs.readFileSync(file, { encoding: 'utf8' });
+  try {
+    config = ['.yml', '.yaml'].includes(path.extname(file).toLowerCase()) ? yaml.load(contents) : JSON.parse(contents);
+  } catch (error) {
+    throw new Error(chalk.red(`Unable to parse configuration file: ${file}`) + `\n\n${error.message}`);
+  }
+
+  const errors = validate(config);
+  if (errors.length > 0) {
+    throw new Error(chalk.red(`Invalid configuration file: ${file}`) + '\n\n\t* ' + errors.join('\n\t* '));
+  }
+
+  // YAML will parse versions as numbers.
+  _.each(['version', 'javaVersion', 'aemVersion', 'nodeVersion', 'npmVersion'], (key) => {
+    if (config[key] !== undefined) {
+      config[key] = `${config[key]}`;
+    }
+  });
+
+  if (_.isArray(config.mixins)) {
+    config.mixins = _.zipObject(
+      config.mixins,
+      _.map(config.mixins, () => ({}))
+    );
+  }
+
+  return config;
+};
@@ -0,0 +1,229 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import _ from 'lodash';
+import chalk from 'chalk';
+
+import Generator from 'yeoman-generator';
+
+import ModuleMixins from '../../lib/module-mixins.js';
+import JavaMixins, { javaArray, javaString, splitList } from '../../lib/java-mixins.js';
+
+export const generatorName = '@adobe/generator-aem:bundle-filter';
+
+// Sling filter scopes, the request processing stages at which the filter is called.
+const Scopes = Object.freeze(['REQUEST', 'INCLUDE', 'FORWARD', 'ERROR', 'COMPONENT']);
+
+/**
+ * Checks the scopes of a filter.
+ *
+ * @param {String|String[]} scopes the scopes, a comma separated list or an array
+ * @return {Boolean|String} true, or the reason the scopes are invalid
+ */
+export const validateScopes = (scopes) => {
+  const list = _.map(splitList(scopes), _.toUpper);
+  if (list.length === 0) {
+    return 'At least one scope is required.';
+  }
+
+  const unknown = _.difference(list, Scopes);
+  return unknown.length === 0 || `Unknown scopes: ${unknown.join(', ')}.`;
+};
+
+/**
+ * Checks the order of a filter, its service ranking.
+ *
+ * @param {String|Number} order the order
+ * @return {Boolean|String} true, or the reason the order is invalid
+ */
+export const validateOrder = (order) => /^-?\d+$/.test(_.toString(order).trim()) || 'Order must be an integer.';
+
+class BundleFilterGenerator extends Generator {
+  constructor(args, options, features) {
+    super(args, options, features);
+
+    this.argument('name', {
+      type: String,
+      required: true,
+      desc: 'Class name of the filter (e.g. "LoggingFilter").',
+    });
+
+    _.forOwn(JavaMixins.javaOptions, (v, k) => {
+      this.option(k, v);
+    });
+
+    this.option('scopes', {
+      type: String,
+      desc: `Comma separated list of the scopes of the filter: ${Scopes.join(', ')}.`,
+    });
+
+    this.option('order', {
+      type: String,
+      desc: 'Order of the filter, its service ranking; filters with a higher ranking are called first.',
+    });
+
+    this.option('pattern', {
+      type: String,
+      desc: 'Regular expression of the request paths the filter applies to.',
+    });
+
+    this.option('resourceTypes', {
+      type: String,
+      desc: 'Comma separated list of the resource types the filter applies to.',
+    });
+
+    this.option('selectors', {
+      type: String,
+      desc: 'Comma separated list of the selectors the filter applies to.',
+    });
+
+    this.option('extensions', {
+      type: String,
+      desc: 'Comma separated list of the extensions the filter applies to.',
+    });
+
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: ModuleMixins._dryRun.bind(this) });
+    }
+
+    this.rootGeneratorName = function () {
+      return generatorName;
+    };
+  }
+
+  initializing() {
+    this._initJava();
+
+    for (const list of ['scopes', 'resourceTypes', 'selectors', 'extensions']) {
+      if (this.options[list] !== undefined) {
+        this.props[list] = splitList(this.options[list]);
+      }
+    }
+
+    _.defaults(this.props, _.pick(this.options, ['order', 'pattern']));
+    this._validate();
+
+    if (this.options.defaults) {
+      _.defaults(this.props, { scopes: ['REQUEST'], order: 0, pattern: '', resourceTypes: [], selectors: [], extensions: [] });
+    }
+  }
+
+  prompting() {
+    const prompts = [
+      {
+        name: 'scopes',
+        message: 'At which stages of the request processing should the filter be called?',
+        type: 'checkbox',
+        choices: Scopes,
+        default: ['REQUEST'],
+        validate: validateScopes,
+        when: this.props.scopes === undefined,
+      },
+      {
+        name: 'order',
+        message: 'What is the order of the filter? (Filters with a higher order are called first.)',
+        default: 0,
+        validate: validateOrder,
+        when: this.props.order === undefined,
+      },
+      {
+        name: 'pattern',
+        message: 'Which request paths should the filter apply to? (Regular expression, leave empty for all.)',
+        when: this.props.pattern === undefined,
+      },
+      {
+        name: 'resourceTypes',
+        message: 'Which resource types should the filter apply to? (Comma separated list, leave empty for all.)',
+        when: this.props.resourceTypes === undefined,
+      },
+      {
+        name: 'selectors',
+        message: 'Which selectors should the filter apply to? (Comma separated list, leave empty for all.)',
+        when: this.props.selectors === undefined,
+      },
+      {
+        name: 'extensions',
+        message: 'Which extensions should the filter apply to? (Comma separated list, leave empty for all.)',
+        when: this.props.extensions === undefined,
+      },
+    ];
+
+    const split = (answers) => _.mapValues(answers, (answer, key) => (['order', 'pattern'].includes(key) ? answer : splitList(answer)));
+    return this._promptJava(prompts, split).then(() => {
+      this._validate();
+    });
+  }
+
+  writing() {
+    this._writeClass('filters', 'Filter', { annotation: this._annotation() });
+  }
+
+  end() {
+    if (!this.options.dryRun) {
+      this.log(chalk.greenBright(`\nFilter '${this.props.name}' added to module '${this.bundle.path}'.\n`));
+    }
+  }
+
+  /**
+   * Validates the scopes and order, throwing on the first invalid one.
+   *
+   * @private
+   */
+  _validate() {
+    const errors = [];
+    if (this.props.scopes !== undefined) {
+      errors.push(validateScopes(this.props.scopes));
+      this.props.scopes = _.map(this.props.scopes, _.toUpper);
+    }
+
+    if (this.props.order !== undefined) {
+      errors.push(validateOrder(this.props.order));
+      this.props.order = Number.parseInt(this.props.order, 10);
+    }
+
+    const error = _.find(errors, _.isString);
+    if (error) {
+      throw new Error(chalk.red(error));
+    }
+  }
+
+  /**
+   * Builds the annotation registering the filter.
+   *
+   * @return {String} the annotation
+   * @private
+   */
+  _annotation() {
+    const attributes = [`scope = ${javaArray(this.props.scopes, (scope) => `SlingServletFilterScope.${scope}`)}`];
+    if (this.props.pattern) {
+      attributes.push(`pattern = ${javaString(this.props.pattern)}`);
+    }
+
+    for (const list of ['resourceTypes', 'selectors', 'extensions']) {
+      if (!_.isEmpty(this.props[list])) {
+        attributes.push(`${list} = ${javaArray(this.props[list])}`);
+      }
+    }
+
+    return `@SlingServletFilter(\n        ${attributes.join(',\n        ')})`;
+  }
+}
+
+_.extendWith(BundleFilterGenerator.prototype, JavaMixins, (objectValue, srcValue) => {
+  return _.isFunction(srcValue) ? srcValue : _.cloneDeep(srcValue);
+});
+
+export default BundleFilterGenerator;
@@ -0,0 +1,258 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import _ from 'lodash';
+import chalk from 'chalk';
+
+import Generator from 'yeoman-generator';
+
+import ModuleMixins from '../../lib/module-mixins.js';
+import JavaMixins, { splitList } from '../../lib/java-mixins.js';
+
+export const generatorName = '@adobe/generator-aem:bundle-listener';
+
+// Kinds of listener, by option value.
+const ListenerTypes = Object.freeze({
+  resource: 'Resource change listener',
+  event: 'OSGi event handler',
+});
+
+// Resource change types a resource change listener can be registered for.
+const ChangeTypes = Object.freeze(['ADDED', 'CHANGED', 'REMOVED', 'PROVIDER_ADDED', 'PROVIDER_REMOVED']);
+
+const topicRegex = /^(\*|[\w-]+(\/[\w-]+)*(\/\*)?)$/;
+
+/**
+ * Checks the paths a resource change listener is registered for, absolute or `glob:` patterns.
+ *
+ * @param {String|String[]} paths the paths, a comma separated list or an array
+ * @return {Boolean|String} true, or the reason the paths are invalid
+ */
+export const validatePaths = (paths) => {
+  const list = splitList(paths);
+  if (list.length === 0) {
+    return 'At least one path is required.';
+  }
+
+  const invalid = _.reject(list, (p) => p.startsWith('/') || p.startsWith('glob:'));
+  return invalid.length === 0 || `Paths must be absolute, or glob patterns: ${invalid.join(', ')}.`;
+};
+
+/**
+ * Checks the resource change types a listener is registered for.
+ *
+ * @param {String|String[]} changes the change types, a comma separated list or an array
+ * @return {Boolean|String} true, or the reason the change types are invalid
+ */
+export const validateChanges = (changes) => {
+  const list = _.map(splitList(changes), _.toUpper);
+  if (list.length === 0) {
+    return 'At least one change type is required.';
+  }
+
+  const unknown = _.difference(list, ChangeTypes);
+  return unknown.length === 0 || `Unknown change types: ${unknown.join(', ')}.`;
+};
+
+/**
+ * Checks the event topics a handler is registered for, e.g. `com/day/cq/wcm/core/page` or `org/apache/sling/api/resource/Resource/*`.
+ *
+ * @param {String|String[]} topics the topics, a comma separated list or an array
+ * @return {Boolean|String} true, or the reason the topics are invalid
+ */
+export const validateTopics = (topics) => {
+  const list = splitList(topics);
+  if (list.length === 0) {
+    return 'At least one topic is required.';
+  }
+
+  const invalid = _.reject(list, (topic) => topicRegex.test(topic));
+  return invalid.length === 0 || `Invalid topics: ${invalid.join(', ')}.`;
+};
+
+class BundleListenerGenerator extends Generator {
+  constructor(args, options, features) {
+    super(args, options, features);
+
+    this.argument('name', {
+      type: String,
+      required: true,
+      desc: 'Class name of the listener (e.g. "PageListener").',
+    });
+
+    _.forOwn(JavaMixins.javaOptions, (v, k) => {
+      this.option(k, v);
+    });
+
+    this.option('type', {
+      type: String,
+      desc: `Kind of listener: ${_.keys(ListenerTypes).join(', ')}.`,
+    });
+
+    this.option('paths', {
+      type: String,
+      desc: 'Comma separated list of the paths a resource change listener is registered for (e.g. "/content/mysite,glob:/conf/**").',
+    });
+
+    this.option('changes', {
+      type: String,
+      desc: `Comma separated list of the resource changes a resource change listener is registered for: ${ChangeTypes.join(', ')}.`,
+    });
+
+    this.option('topics', {
+      type: String,
+      desc: 'Comma separated list of the topics an event handler is registered for (e.g. "com/day/cq/wcm/core/page").',
+    });
+
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: ModuleMixins._dryRun.bind(this) });
+    }
+
+    this.rootGeneratorName = function () {
+      return generatorName;
+    };
+  }
+
+  initializing() {
+    this._initJava();
+
+    if (this.options.type !== undefined) {
+      if (!ListenerTypes[this.options.type]) {
+        throw new Error(chalk.red(`Unknown listener type: '${this.options.type}'.`) + `\n\nSupported types are: ${_.keys(ListenerTypes).join(', ')}.`);
+      }
+
+      this.props.type = this.options.type;
+    }
+
+    for (const list of ['paths', 'changes', 'topics']) {
+      if (this.options[list] !== undefined) {
+        this.props[list] = splitList(this.options[list]);
+      }
+    }
+
+    this._validate();
+
+    if (this.options.defaults) {
+      _.defaults(this.props, { type: 'resource' });
+      if (this.props.type === 'resource') {
+        _.defaults(this.props, { paths: [this._defaultPath()], changes: ['ADDED', 'CHANGED', 'REMOVED'] });
+      } else {
+        _.defaults(this.props, { topics: ['com/day/cq/wcm/core/page'] });
+      }
+    }
+  }
+
+  prompting() {
+    const isResource = (answers) => (this.props.type || answers.type) === 'resource';
+    const prompts = [
+      {
+        name: 'type',
+        message: 'Which kind of listener should be created?',
+        type: 'list',
+        choices: _.map(ListenerTypes, (name, value) => ({ name, value })),
+        default: 'resource',
+        when: this.props.type === undefined,
+      },
+      {
+        name: 'paths',
+        message: 'Which paths should the listener be registered for? (Comma separated list.)',
+        default: (answers) => this._defaultPath(answers.bundle),
+        validate: validatePaths,
+        when: (answers) => isResource(answers) && this.props.paths === undefined,
+      },
+      {
+        name: 'changes',
+        message: 'Which resource changes should the listener be registered for?',
+        type: 'checkbox',
+        choices: ChangeTypes,
+        default: ['ADDED', 'CHANGED', 'REMOVED'],
+        validate: validateChanges,
+        when: (answers) => isResource(answers) && this.props.changes === undefined,
+      },
+      {
+        name: 'topics',
+        message: 'Which event topics should the handler be registered for? (Comma separated list.)',
+        default: 'com/day/cq/wcm/core/page',
+        validate: validateTopics,
+        when: (answers) => !isResource(answers) && this.props.topics === undefined,
+      },
+    ];
+
+    const split = (answers) => _.mapValues(answers, (answer, key) => (key === 'type' ? answer : splitList(answer)));
+    return this._promptJava(prompts, split).then(() => {
+      this._validate();
+    });
+  }
+
+  writing() {
+    const resource = this.props.type === 'resource';
+    this._writeClass('listeners', resource ? 'ResourceListener' : 'EventHandler', {
+      // Event topics may end with a wildcard, events are sent on a concrete topic.
+      sampleTopic: resource ? undefined : this.props.topics[0].replace(/\*$/, 'test'),
+    });
+  }
+
+  end() {
+    if (!this.options.dryRun) {
+      this.log(chalk.greenBright(`\n${ListenerTypes[this.props.type]} '${this.props.name}' added to module '${this.bundle.path}'.\n`));
+    }
+  }
+
+  /**
+   * Validates the registration properties of the listener type, throwing on the first invalid one.
+   *
+   * @private
+   */
+  _validate() {
+    const errors = [];
+    if (this.props.type !== 'event') {
+      if (this.props.paths !== undefined) {
+        errors.push(validatePaths(this.props.paths));
+      }
+
+      if (this.props.changes !== undefined) {
+        errors.push(validateChanges(this.props.changes));
+        this.props.changes = _.map(this.props.changes, _.toUpper);
+      }
+    }
+
+    if (this.props.type !== 'resource' && this.props.topics !== undefined) {
+      errors.push(validateTopics(this.props.topics));
+    }
+
+    const error = _.find(errors, _.isString);
+    if (error) {
+      throw new Error(chalk.red(error));
+    }
+  }
+
+  /**
+   * Default path of a resource change listener, the content of the bundle's application.
+   *
+   * @param {String} bundlePath the chosen bundle, if it was prompted for
+   * @return {String} the path
+   * @private
+   */
+  _defaultPath(bundlePath) {
+    return `/content/${this._bundleAppId(bundlePath)}`;
+  }
+}
+
+_.extendWith(BundleListenerGenerator.prototype, JavaMixins, (objectValue, srcValue) => {
+  return _.isFunction(srcValue) ? srcValue : _.cloneDeep(srcValue);
+});
+
+export default BundleListenerGenerator;
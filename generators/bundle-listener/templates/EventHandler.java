@@ -0,0 +1,47 @@
+/*
+ *  Copyright 2022 Adobe Systems Incorporated
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+package <%= package %>;
+
+import org.osgi.service.component.annotations.Component;
+import org.osgi.service.component.propertytypes.ServiceDescription;
+import org.osgi.service.event.Event;
+import org.osgi.service.event.EventConstants;
+import org.osgi.service.event.EventHandler;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+
+/**
+ * Handles the OSGi events sent on the registered topics.
+ * Please note, that apart from EventHandler services,
+ * the immediate flag should not be set on a service.
+ */
+@Component(service = EventHandler.class,
+           immediate = true,
+           property = {
+                   <%_ topics.forEach((topic) => { _%>
+                   EventConstants.EVENT_TOPIC + "=<%- topic %>",
+                   <%_ }); _%>
+           })
+@ServiceDescription("<%= name %>")
+public class <%= name %> implements EventHandler {
+
+    private final Logger logger = LoggerFactory.getLogger(getClass());
+
+    @Override
+    public void handleEvent(final Event event) {
+        logger.debug("Event: {} with properties: {}", event.getTopic(), event.getPropertyNames());
+    }
+}
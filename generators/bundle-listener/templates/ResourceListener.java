@@ -0,0 +1,50 @@
+/*
+ *  Copyright 2022 Adobe Systems Incorporated
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+package <%= package %>;
+
+import java.util.List;
+
+import org.apache.sling.api.resource.observation.ResourceChange;
+import org.apache.sling.api.resource.observation.ResourceChangeListener;
+import org.osgi.service.component.annotations.Component;
+import org.osgi.service.component.propertytypes.ServiceDescription;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+
+/**
+ * Listens for changes in the resource tree, below the registered paths.
+ */
+@Component(service = ResourceChangeListener.class,
+           property = {
+                   <%_ paths.forEach((path) => { _%>
+                   ResourceChangeListener.PATHS + "=<%- path %>",
+                   <%_ }); _%>
+                   <%_ changes.forEach((change) => { _%>
+                   ResourceChangeListener.CHANGES + "=<%= change %>",
+                   <%_ }); _%>
+           })
+@ServiceDescription("<%= name %>")
+public class <%= name %> implements ResourceChangeListener {
+
+    private final Logger logger = LoggerFactory.getLogger(getClass());
+
+    @Override
+    public void onChange(List<ResourceChange> changes) {
+        changes.forEach(change -> {
+            logger.debug("Resource event: {} at: {} isExternal: {}", change.getType(), change.getPath(), change.isExternal());
+        });
+    }
+}
@@ -0,0 +1,39 @@
+/*
+ *  Copyright 2022 Adobe Systems Incorporated
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+package <%= package %>;
+
+import java.util.Collections;
+
+import org.apache.sling.api.resource.observation.ResourceChange;
+import org.apache.sling.api.resource.observation.ResourceChange.ChangeType;
+import org.junit.jupiter.api.Test;
+
+import static org.junit.jupiter.api.Assertions.assertDoesNotThrow;
+
+/**
+ * JUnit test verifying the <%= name %> resource change listener.
+ */
+class <%= name %>Test {
+
+    private final <%= name %> fixture = new <%= name %>();
+
+    @Test
+    void onChange() {
+        ResourceChange change = new ResourceChange(ChangeType.<%= changes[0] %>, "/content/test", false);
+
+        assertDoesNotThrow(() -> fixture.onChange(Collections.singletonList(change)));
+    }
+}
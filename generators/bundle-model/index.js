@@ -0,0 +1,236 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import _ from 'lodash';
+import chalk from 'chalk';
+
+import Generator from 'yeoman-generator';
+
+import ModuleMixins from '../../lib/module-mixins.js';
+import JavaMixins, { isJavaIdentifier, splitList } from '../../lib/java-mixins.js';
+
+export const generatorName = '@adobe/generator-aem:bundle-model';
+
+// Classes a model can be adapted from, by option value.
+const Adaptables = Object.freeze({
+  resource: { name: 'Resource', import: 'org.apache.sling.api.resource.Resource' },
+  request: { name: 'SlingHttpServletRequest', import: 'org.apache.sling.api.SlingHttpServletRequest' },
+});
+
+// Supported field types, with the value set in the generated test and how it is checked.
+const FieldTypes = Object.freeze({
+  String: { sample: (name) => `"${name} value"`, assert: (sample, getter) => `assertEquals(${sample}, model.${getter}())` },
+  'String[]': { sample: () => 'new String[] { "one", "two" }', assert: (sample, getter) => `assertArrayEquals(${sample}, model.${getter}())` },
+  boolean: { sample: () => 'true', assert: (sample, getter) => `assertTrue(model.${getter}())` },
+  int: { sample: () => '42', assert: (sample, getter) => `assertEquals(${sample}, model.${getter}())` },
+  long: { sample: () => '42L', assert: (sample, getter) => `assertEquals(${sample}, model.${getter}())` },
+  double: { sample: () => '4.2', assert: (sample, getter) => `assertEquals(${sample}, model.${getter}())` },
+  Calendar: { sample: () => 'Calendar.getInstance()', assert: (sample, getter) => `assertNotNull(model.${getter}())`, import: 'java.util.Calendar' },
+});
+
+/**
+ * Parses a field specification, a comma separated list of `name[:type]` entries (e.g. `title,tags:String[],published:Calendar`); the type defaults to `String`.
+ *
+ * @param {String} spec the field specification
+ * @return {Object[]} the fields, with their name, type, getter and test statements
+ */
+export const parseFields = (spec) => {
+  return _.map(splitList(spec), (entry) => {
+    const [name, type = 'String'] = _.map(entry.split(':'), _.trim);
+    if (!isJavaIdentifier(name)) {
+      throw new Error(chalk.red(`Invalid field name: '${name}'.`));
+    }
+
+    const fieldType = FieldTypes[type];
+    if (!fieldType) {
+      throw new Error(chalk.red(`Unsupported type '${type}' for field '${name}'.`) + `\n\nSupported types are: ${_.keys(FieldTypes).join(', ')}.`);
+    }
+
+    const getter = `${type === 'boolean' ? 'is' : 'get'}${_.upperFirst(name)}`;
+    const sample = fieldType.sample(name);
+    return { name, type, getter, sample, assertion: fieldType.assert(sample, getter), import: fieldType.import };
+  });
+};
+
+class BundleModelGenerator extends Generator {
+  constructor(args, options, features) {
+    super(args, options, features);
+
+    this.argument('name', {
+      type: String,
+      required: true,
+      desc: 'Class name of the Sling Model (e.g. "Teaser").',
+    });
+
+    _.forOwn(JavaMixins.javaOptions, (v, k) => {
+      this.option(k, v);
+    });
+
+    this.option('adaptables', {
+      type: String,
+      desc: `Comma separated list of the classes the model is adaptable from: ${_.keys(Adaptables).join(', ')}.`,
+    });
+
+    this.option('resourceType', {
+      type: String,
+      desc: 'Resource type of the component the model is for (e.g. "mysite/components/teaser").',
+    });
+
+    this.option('exporter', {
+      desc: 'Whether or not to export the model as JSON, with the Sling Model Exporter.',
+    });
+
+    this.option('fields', {
+      type: String,
+      desc: 'Comma separated list of fields injected from the resource properties, as name[:type] (e.g. "title,tags:String[],published:Calendar").',
+    });
+
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: ModuleMixins._dryRun.bind(this) });
+    }
+
+    this.rootGeneratorName = function () {
+      return generatorName;
+    };
+  }
+
+  initializing() {
+    this._initJava();
+
+    if (this.options.adaptables) {
+      this.props.adaptables = splitList(this.options.adaptables);
+      const unknown = _.difference(this.props.adaptables, _.keys(Adaptables));
+      if (unknown.length > 0) {
+        throw new Error(chalk.red(`Unknown adaptables: ${unknown.join(', ')}.`));
+      }
+    }
+
+    if (this.options.fields !== undefined) {
+      this.props.fields = parseFields(this.options.fields);
+    }
+
+    _.defaults(this.props, _.pick(this.options, ['resourceType', 'exporter']));
+
+    if (this.options.defaults) {
+      _.defaults(this.props, {
+        adaptables: ['resource'],
+        resourceType: this._defaultResourceType(),
+        exporter: false,
+        fields: [],
+      });
+    }
+  }
+
+  prompting() {
+    const prompts = [
+      {
+        name: 'adaptables',
+        message: 'Which classes should the model be adaptable from?',
+        type: 'checkbox',
+        choices: _.keys(Adaptables),
+        default: ['resource'],
+        validate: (answer) => answer.length > 0 || 'At least one adaptable must be selected.',
+        when: this.props.adaptables === undefined,
+      },
+      {
+        name: 'resourceType',
+        message: 'Which resource type is the model for? (Leave empty for none.)',
+        default: (answers) => this._defaultResourceType(answers.bundle),
+        when: this.props.resourceType === undefined,
+      },
+      {
+        name: 'exporter',
+        message: 'Should the model be exported as JSON?',
+        type: 'confirm',
+        default: false,
+        when: this.props.exporter === undefined,
+      },
+      {
+        name: 'fields',
+        message: 'Which fields should be injected from the resource properties, as name[:type] (e.g. "title,tags:String[]")?',
+        validate(answer) {
+          try {
+            parseFields(answer);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        },
+        when: this.props.fields === undefined,
+      },
+    ];
+
+    const parse = (answers) => (answers.fields === undefined ? answers : { ...answers, fields: parseFields(answers.fields) });
+    return this._promptJava(prompts, parse).then(() => {
+      if (this.props.exporter && !this.props.resourceType) {
+        throw new Error(chalk.red('A resource type is required to export the model.'));
+      }
+    });
+  }
+
+  writing() {
+    this._writeClass('models', 'Model', {
+      adaptableClasses: _.map(this.props.adaptables, (adaptable) => `${Adaptables[adaptable].name}.class`).join(', '),
+      imports: this._imports(),
+      testImports: _.uniq(_.compact(_.map(this.props.fields, 'import'))),
+      adaptFromResource: this.props.adaptables.includes('resource'),
+    });
+  }
+
+  end() {
+    if (!this.options.dryRun) {
+      this.log(chalk.greenBright(`\nSling Model '${this.props.name}' added to module '${this.bundle.path}'.\n`));
+    }
+  }
+
+  /**
+   * Default resource type of the model, a component of the bundle's application.
+   *
+   * @param {String} bundlePath the chosen bundle, if it was prompted for
+   * @return {String} the resource type
+   * @private
+   */
+  _defaultResourceType(bundlePath) {
+    return `${this._bundleAppId(bundlePath)}/components/${_.kebabCase(this.options.name)}`;
+  }
+
+  /**
+   * Lists the imports of the model class, in alphabetical order.
+   *
+   * @return {String[]} the imported classes
+   * @private
+   */
+  _imports() {
+    const imports = ['org.apache.sling.models.annotations.DefaultInjectionStrategy', 'org.apache.sling.models.annotations.Model'];
+    imports.push(..._.map(this.props.adaptables, (adaptable) => Adaptables[adaptable].import));
+    if (this.props.fields.length > 0) {
+      imports.push('org.apache.sling.models.annotations.injectorspecific.ValueMapValue');
+    }
+
+    if (this.props.exporter) {
+      imports.push('com.adobe.cq.export.json.ComponentExporter', 'com.adobe.cq.export.json.ExporterConstants', 'org.apache.sling.models.annotations.Exporter');
+    }
+
+    imports.push(..._.compact(_.map(this.props.fields, 'import')));
+    return _.sortBy(_.uniq(imports));
+  }
+}
+
+_.extendWith(BundleModelGenerator.prototype, JavaMixins, (objectValue, srcValue) => {
+  return _.isFunction(srcValue) ? srcValue : _.cloneDeep(srcValue);
+});
+
+export default BundleModelGenerator;
@@ -0,0 +1,58 @@
+/*
+ *  Copyright 2022 Adobe Systems Incorporated
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+package <%= package %>;
+
+<%_ imports.forEach((item) => { _%>
+import <%= item %>;
+<%_ }); _%>
+
+@Model(
+    adaptables = { <%= adaptableClasses %> },
+    <%_ if (exporter) { _%>
+    adapters = { <%= name %>.class, ComponentExporter.class },
+    <%_ } _%>
+    <%_ if (resourceType) { _%>
+    resourceType = <%= name %>.RESOURCE_TYPE,
+    <%_ } _%>
+    defaultInjectionStrategy = DefaultInjectionStrategy.OPTIONAL)
+<%_ if (exporter) { _%>
+@Exporter(name = ExporterConstants.SLING_MODEL_EXPORTER_NAME, extensions = ExporterConstants.SLING_MODEL_EXTENSION)
+<%_ } _%>
+public class <%= name %><% if (exporter) { %> implements ComponentExporter<% } %> {
+<%_ if (resourceType) { _%>
+
+    static final String RESOURCE_TYPE = "<%= resourceType %>";
+<%_ } _%>
+<%_ fields.forEach((field) => { _%>
+
+    @ValueMapValue
+    private <%= field.type %> <%= field.name %>;
+<%_ }); _%>
+<%_ fields.forEach((field) => { _%>
+
+    public <%= field.type %> <%= field.getter %>() {
+        return <%= field.name %>;
+    }
+<%_ }); _%>
+<%_ if (exporter) { _%>
+
+    @Override
+    public String getExportedType() {
+        return RESOURCE_TYPE;
+    }
+<%_ } _%>
+
+}
@@ -0,0 +1,70 @@
+/*
+ *  Copyright 2022 Adobe Systems Incorporated
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+package <%= package %>;
+
+<%_ testImports.forEach((item) => { _%>
+import <%= item %>;
+<%_ }); _%>
+<%_ if (testImports.length > 0) { _%>
+
+<%_ } _%>
+import org.apache.sling.api.resource.Resource;
+import org.junit.jupiter.api.BeforeEach;
+import org.junit.jupiter.api.Test;
+import org.junit.jupiter.api.extension.ExtendWith;
+
+import io.wcm.testing.mock.aem.junit5.AemContext;
+import io.wcm.testing.mock.aem.junit5.AemContextExtension;
+
+import static org.junit.jupiter.api.Assertions.*;
+
+/**
+ * JUnit test verifying the <%= name %> Sling Model.
+ */
+@ExtendWith(AemContextExtension.class)
+class <%= name %>Test {
+
+    private final AemContext context = new AemContext();
+
+    private <%= name %> model;
+
+    @BeforeEach
+    void setUp() {
+        context.addModelsForClasses(<%= name %>.class);
+        Resource resource = context.create().resource("/content/test"<% if (resourceType) { %>,
+            "sling:resourceType", <%= name %>.RESOURCE_TYPE<% } %><% fields.forEach((field) => { %>,
+            "<%= field.name %>", <%- field.sample %><% }); %>);
+
+        <%_ if (adaptFromResource) { _%>
+        model = resource.adaptTo(<%= name %>.class);
+        <%_ } else { _%>
+        context.currentResource(resource);
+        model = context.request().adaptTo(<%= name %>.class);
+        <%_ } _%>
+    }
+
+    @Test
+    void testModel() {
+        assertNotNull(model);
+        <%_ fields.forEach((field) => { _%>
+        <%- field.assertion %>;
+        <%_ }); _%>
+        <%_ if (exporter) { _%>
+        assertEquals(<%= name %>.RESOURCE_TYPE, model.getExportedType());
+        <%_ } _%>
+    }
+
+}
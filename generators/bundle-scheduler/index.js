@@ -0,0 +1,145 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import _ from 'lodash';
+import chalk from 'chalk';
+
+import Generator from 'yeoman-generator';
+
+import ModuleMixins from '../../lib/module-mixins.js';
+import JavaMixins from '../../lib/java-mixins.js';
+
+export const generatorName = '@adobe/generator-aem:bundle-scheduler';
+
+const defaultExpression = '0 0 * * * ?';
+
+/**
+ * Checks a Quartz cron expression: seconds, minutes, hours, day of month, month, day of week and optionally year.
+ *
+ * @param {String} expression the cron expression
+ * @return {Boolean|String} true, or the reason the expression is invalid
+ */
+export const validateExpression = (expression) => {
+  const fields = _.split(_.trim(expression), /\s+/);
+  if (fields.length < 6 || fields.length > 7) {
+    return `Cron expression must have 6 or 7 fields: '${expression}'.`;
+  }
+
+  if (_.some(fields, (field) => !/^[\w#*,/?-]+$/.test(field))) {
+    return `Invalid cron expression: '${expression}'.`;
+  }
+
+  return true;
+};
+
+class BundleSchedulerGenerator extends Generator {
+  constructor(args, options, features) {
+    super(args, options, features);
+
+    this.argument('name', {
+      type: String,
+      required: true,
+      desc: 'Class name of the scheduled task (e.g. "CleanupTask").',
+    });
+
+    _.forOwn(JavaMixins.javaOptions, (v, k) => {
+      this.option(k, v);
+    });
+
+    this.option('expression', {
+      type: String,
+      desc: `Quartz cron expression of when the task is run (default "${defaultExpression}", every hour).`,
+    });
+
+    this.option('concurrent', {
+      desc: 'Whether or not the task may run concurrently with a previous, still running, execution.',
+    });
+
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: ModuleMixins._dryRun.bind(this) });
+    }
+
+    this.rootGeneratorName = function () {
+      return generatorName;
+    };
+  }
+
+  initializing() {
+    this._initJava();
+
+    _.defaults(this.props, _.pick(this.options, ['expression', 'concurrent']));
+    this._validate();
+
+    if (this.options.defaults) {
+      _.defaults(this.props, { expression: defaultExpression, concurrent: false });
+    }
+  }
+
+  prompting() {
+    const prompts = [
+      {
+        name: 'expression',
+        message: 'When should the task run? (Quartz cron expression.)',
+        default: defaultExpression,
+        validate: validateExpression,
+        when: this.props.expression === undefined,
+      },
+      {
+        name: 'concurrent',
+        message: 'May the task run concurrently with a previous, still running, execution?',
+        type: 'confirm',
+        default: false,
+        when: this.props.concurrent === undefined,
+      },
+    ];
+
+    return this._promptJava(prompts).then(() => {
+      this._validate();
+    });
+  }
+
+  writing() {
+    this._writeClass('schedulers', 'ScheduledTask', { expression: _.trim(this.props.expression).replace(/\s+/g, ' ') });
+  }
+
+  end() {
+    if (!this.options.dryRun) {
+      this.log(chalk.greenBright(`\nScheduled task '${this.props.name}' added to module '${this.bundle.path}'.\n`));
+    }
+  }
+
+  /**
+   * Validates the cron expression.
+   *
+   * @private
+   */
+  _validate() {
+    if (this.props.expression === undefined) {
+      return;
+    }
+
+    const valid = validateExpression(this.props.expression);
+    if (valid !== true) {
+      throw new Error(chalk.red(valid));
+    }
+  }
+}
+
+_.extendWith(BundleSchedulerGenerator.prototype, JavaMixins, (objectValue, srcValue) => {
+  return _.isFunction(srcValue) ? srcValue : _.cloneDeep(srcValue);
+});
+
+export default BundleSchedulerGenerator;
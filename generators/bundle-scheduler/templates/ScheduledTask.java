@@ -0,0 +1,57 @@
+/*
+ *  Copyright 2022 Adobe Systems Incorporated
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+package <%= package %>;
+
+import org.apache.sling.commons.scheduler.Scheduler;
+import org.osgi.service.component.annotations.Component;
+import org.osgi.service.metatype.annotations.AttributeDefinition;
+import org.osgi.service.metatype.annotations.Designate;
+import org.osgi.service.metatype.annotations.ObjectClassDefinition;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+
+/**
+ * A cron-job like task that gets executed regularly.
+ * The schedule can be changed in /system/console/configMgr.
+ */
+@Designate(ocd=<%= name %>.Config.class)
+@Component(service=Runnable.class,
+           property = {
+                   Scheduler.PROPERTY_SCHEDULER_EXPRESSION + "=<%= expression %>",
+                   Scheduler.PROPERTY_SCHEDULER_CONCURRENT + ":Boolean=<%= concurrent %>",
+           })
+public class <%= name %> implements Runnable {
+
+    @ObjectClassDefinition(name="<%= name %>",
+                           description = "Cron-job like task")
+    public static @interface Config {
+
+        @AttributeDefinition(name = "Cron-job expression")
+        String scheduler_expression() default "<%= expression %>";
+
+        @AttributeDefinition(name = "Concurrent task",
+                             description = "Whether or not to schedule this task concurrently")
+        boolean scheduler_concurrent() default <%= concurrent %>;
+    }
+
+    private final Logger logger = LoggerFactory.getLogger(getClass());
+
+    @Override
+    public void run() {
+        logger.debug("<%= name %> is now running");
+    }
+
+}
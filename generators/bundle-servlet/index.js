@@ -0,0 +1,310 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import _ from 'lodash';
+import chalk from 'chalk';
+
+import Generator from 'yeoman-generator';
+
+import ModuleMixins from '../../lib/module-mixins.js';
+import JavaMixins, { javaArray, splitList } from '../../lib/java-mixins.js';
+
+export const generatorName = '@adobe/generator-aem:bundle-servlet';
+
+// How the servlet is registered, by option value.
+const Registrations = Object.freeze({
+  resourceType: 'Resource type',
+  path: 'Path',
+});
+
+// Supported HTTP methods; servlets only handling GET requests extend the safe methods servlet.
+const Methods = Object.freeze(['GET', 'POST', 'PUT', 'DELETE']);
+
+/**
+ * Checks the paths a servlet is registered at.
+ *
+ * @param {String|String[]} paths the paths, a comma separated list or an array
+ * @return {Boolean|String} true, or the reason the paths are invalid
+ */
+export const validatePaths = (paths) => {
+  const list = splitList(paths);
+  if (list.length === 0) {
+    return 'At least one path is required.';
+  }
+
+  const invalid = _.reject(list, (p) => p.startsWith('/'));
+  return invalid.length === 0 || `Paths must be absolute: ${invalid.join(', ')}.`;
+};
+
+/**
+ * Checks the HTTP methods a servlet handles.
+ *
+ * @param {String|String[]} methods the methods, a comma separated list or an array
+ * @return {Boolean|String} true, or the reason the methods are invalid
+ */
+export const validateMethods = (methods) => {
+  const list = _.map(splitList(methods), _.toUpper);
+  if (list.length === 0) {
+    return 'At least one method is required.';
+  }
+
+  const unknown = _.difference(list, Methods);
+  return unknown.length === 0 || `Unsupported methods: ${unknown.join(', ')}.`;
+};
+
+class BundleServletGenerator extends Generator {
+  constructor(args, options, features) {
+    super(args, options, features);
+
+    this.argument('name', {
+      type: String,
+      required: true,
+      desc: 'Class name of the servlet (e.g. "TitleServlet").',
+    });
+
+    _.forOwn(JavaMixins.javaOptions, (v, k) => {
+      this.option(k, v);
+    });
+
+    this.option('registration', {
+      type: String,
+      desc: `How the servlet is registered: ${_.keys(Registrations).join(', ')}.`,
+    });
+
+    this.option('resourceTypes', {
+      type: String,
+      desc: 'Comma separated list of the resource types the servlet is registered for.',
+    });
+
+    this.option('selectors', {
+      type: String,
+      desc: 'Comma separated list of the selectors the servlet is registered for, with the resource type registration.',
+    });
+
+    this.option('extensions', {
+      type: String,
+      desc: 'Comma separated list of the extensions the servlet is registered for, with the resource type registration.',
+    });
+
+    this.option('paths', {
+      type: String,
+      desc: 'Comma separated list of the paths the servlet is registered at (e.g. "/bin/mysite/title").',
+    });
+
+    this.option('methods', {
+      type: String,
+      desc: `Comma separated list of the HTTP methods the servlet handles: ${Methods.join(', ')}.`,
+    });
+
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: ModuleMixins._dryRun.bind(this) });
+    }
+
+    this.rootGeneratorName = function () {
+      return generatorName;
+    };
+  }
+
+  initializing() {
+    this._initJava();
+
+    if (this.options.registration !== undefined) {
+      if (!Registrations[this.options.registration]) {
+        throw new Error(chalk.red(`Unknown registration: '${this.options.registration}'.`) + `\n\nSupported registrations are: ${_.keys(Registrations).join(', ')}.`);
+      }
+
+      this.props.registration = this.options.registration;
+    }
+
+    for (const list of ['resourceTypes', 'selectors', 'extensions', 'paths', 'methods']) {
+      if (this.options[list] !== undefined) {
+        this.props[list] = splitList(this.options[list]);
+      }
+    }
+
+    this._validate(this.props);
+
+    if (this.options.defaults) {
+      _.defaults(this.props, { registration: 'resourceType', methods: ['GET'] });
+      if (this.props.registration === 'resourceType') {
+        _.defaults(this.props, { resourceTypes: [this._defaultResourceType()], selectors: [], extensions: [] });
+      } else {
+        _.defaults(this.props, { paths: [this._defaultPath()] });
+      }
+    }
+  }
+
+  prompting() {
+    const byResourceType = (answers) => (this.props.registration || answers.registration) === 'resourceType';
+    const prompts = [
+      {
+        name: 'registration',
+        message: 'How should the servlet be registered?',
+        type: 'list',
+        choices: _.map(Registrations, (name, value) => ({ name, value })),
+        default: 'resourceType',
+        when: this.props.registration === undefined,
+      },
+      {
+        name: 'resourceTypes',
+        message: 'Which resource types should the servlet be registered for? (Comma separated list.)',
+        default: (answers) => this._defaultResourceType(answers.bundle),
+        validate: (answer) => splitList(answer).length > 0 || 'At least one resource type is required.',
+        when: (answers) => byResourceType(answers) && this.props.resourceTypes === undefined,
+      },
+      {
+        name: 'selectors',
+        message: 'Which selectors should the servlet be registered for? (Comma separated list, leave empty for none.)',
+        when: (answers) => byResourceType(answers) && this.props.selectors === undefined,
+      },
+      {
+        name: 'extensions',
+        message: 'Which extensions should the servlet be registered for? (Comma separated list, leave empty for all.)',
+        when: (answers) => byResourceType(answers) && this.props.extensions === undefined,
+      },
+      {
+        name: 'paths',
+        message: 'Which paths should the servlet be registered at? (Comma separated list.)',
+        default: (answers) => this._defaultPath(answers.bundle),
+        validate: validatePaths,
+        when: (answers) => !byResourceType(answers) && this.props.paths === undefined,
+      },
+      {
+        name: 'methods',
+        message: 'Which HTTP methods should the servlet handle?',
+        type: 'checkbox',
+        choices: Methods,
+        default: ['GET'],
+        validate: validateMethods,
+        when: this.props.methods === undefined,
+      },
+    ];
+
+    const split = (answers) => _.mapValues(answers, (answer, key) => (key === 'registration' ? answer : splitList(answer)));
+    return this._promptJava(prompts, split).then(() => {
+      this._validate(this.props);
+      if (this.props.registration === 'path' && (!_.isEmpty(this.props.selectors) || !_.isEmpty(this.props.extensions))) {
+        throw new Error(chalk.red('Selectors and extensions only apply to servlets registered by resource type.'));
+      }
+    });
+  }
+
+  writing() {
+    const safe = _.isEqual(this.props.methods, ['GET']);
+    const imports = [
+      'java.io.IOException',
+      'javax.servlet.Servlet',
+      'javax.servlet.ServletException',
+      'org.apache.sling.api.SlingHttpServletRequest',
+      'org.apache.sling.api.SlingHttpServletResponse',
+      `org.apache.sling.api.servlets.${safe ? 'SlingSafeMethodsServlet' : 'SlingAllMethodsServlet'}`,
+      'org.osgi.service.component.annotations.Component',
+      'org.osgi.service.component.propertytypes.ServiceDescription',
+    ];
+    if (this.props.registration === 'resourceType') {
+      imports.push('org.apache.sling.api.servlets.HttpConstants', 'org.apache.sling.servlets.annotations.SlingServletResourceTypes');
+    } else {
+      imports.push('org.apache.sling.servlets.annotations.SlingServletPaths');
+    }
+
+    this._writeClass('servlets', 'Servlet', {
+      safe,
+      imports: _.sortBy(imports),
+      annotation: this._annotation(),
+      handlers: _.map(this.props.methods, (method) => ({ method, name: `do${_.upperFirst(_.toLower(method))}` })),
+    });
+  }
+
+  end() {
+    if (!this.options.dryRun) {
+      this.log(chalk.greenBright(`\nServlet '${this.props.name}' added to module '${this.bundle.path}'.\n`));
+    }
+  }
+
+  /**
+   * Validates the registration properties, throwing on the first invalid one.
+   *
+   * @param {Object} props the properties
+   * @private
+   */
+  _validate(props) {
+    const errors = [];
+    if (props.paths !== undefined && props.registration !== 'resourceType') {
+      errors.push(validatePaths(props.paths));
+    }
+
+    if (props.methods !== undefined) {
+      errors.push(validateMethods(props.methods));
+      props.methods = _.map(props.methods, _.toUpper);
+    }
+
+    const error = _.find(errors, _.isString);
+    if (error) {
+      throw new Error(chalk.red(error));
+    }
+  }
+
+  /**
+   * Default resource type of the servlet, the page component of the bundle's application.
+   *
+   * @param {String} bundlePath the chosen bundle, if it was prompted for
+   * @return {String} the resource type
+   * @private
+   */
+  _defaultResourceType(bundlePath) {
+    return `${this._bundleAppId(bundlePath)}/components/page`;
+  }
+
+  /**
+   * Default path of the servlet, under `/bin`.
+   *
+   * @param {String} bundlePath the chosen bundle, if it was prompted for
+   * @return {String} the path
+   * @private
+   */
+  _defaultPath(bundlePath) {
+    return `/bin/${this._bundleAppId(bundlePath)}/${_.kebabCase(_.replace(this.options.name, /Servlet$/, ''))}`;
+  }
+
+  /**
+   * Builds the annotation registering the servlet.
+   *
+   * @return {String} the annotation
+   * @private
+   */
+  _annotation() {
+    if (this.props.registration === 'path') {
+      return `@SlingServletPaths(${javaArray(this.props.paths)})`;
+    }
+
+    const attributes = [`resourceTypes = ${javaArray(this.props.resourceTypes)}`, `methods = ${javaArray(this.props.methods, (method) => `HttpConstants.METHOD_${method}`)}`];
+    if (!_.isEmpty(this.props.selectors)) {
+      attributes.push(`selectors = ${javaArray(this.props.selectors)}`);
+    }
+
+    if (!_.isEmpty(this.props.extensions)) {
+      attributes.push(`extensions = ${javaArray(this.props.extensions)}`);
+    }
+
+    return `@SlingServletResourceTypes(\n        ${attributes.join(',\n        ')})`;
+  }
+}
+
+_.extendWith(BundleServletGenerator.prototype, JavaMixins, (objectValue, srcValue) => {
+  return _.isFunction(srcValue) ? srcValue : _.cloneDeep(srcValue);
+});
+
+export default BundleServletGenerator;
@@ -0,0 +1,50 @@
+/*
+ *  Copyright 2022 Adobe Systems Incorporated
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+package <%= package %>;
+
+<%_ imports.forEach((item) => { _%>
+import <%= item %>;
+<%_ }); _%>
+
+/**
+ * Servlet that writes the requested resource's path into the response.
+<%_ if (registration === 'resourceType') { _%>
+ * It is mounted for all resources of the registered Sling resource types.
+<%_ } else { _%>
+ * It is mounted at fixed paths; prefer registering servlets by resource type, so that they are subject to access control.
+<%_ } _%>
+<%_ if (safe) { _%>
+ * The {@link SlingSafeMethodsServlet} is used for HTTP methods that are idempotent.
+<%_ } else { _%>
+ * The {@link SlingAllMethodsServlet} is used as the servlet handles write operations.
+<%_ } _%>
+ */
+@Component(service = { Servlet.class })
+<%- annotation %>
+@ServiceDescription("<%= name %>")
+public class <%= name %> extends <%= safe ? 'SlingSafeMethodsServlet' : 'SlingAllMethodsServlet' %> {
+
+    private static final long serialVersionUID = 1L;
+<%_ handlers.forEach((handler) => { _%>
+
+    @Override
+    protected void <%= handler.name %>(final SlingHttpServletRequest request,
+            final SlingHttpServletResponse response) throws ServletException, IOException {
+        response.setContentType("text/plain");
+        response.getWriter().write("<%= name %> " + request.getMethod() + " " + request.getResource().getPath());
+    }
+<%_ }); _%>
+}
@@ -0,0 +1,61 @@
+/*
+ *  Copyright 2022 Adobe Systems Incorporated
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+package <%= package %>;
+
+import java.io.IOException;
+
+import javax.servlet.ServletException;
+
+import org.apache.sling.testing.mock.sling.servlet.MockSlingHttpServletRequest;
+import org.apache.sling.testing.mock.sling.servlet.MockSlingHttpServletResponse;
+import org.junit.jupiter.api.BeforeEach;
+import org.junit.jupiter.api.Test;
+import org.junit.jupiter.api.extension.ExtendWith;
+
+import io.wcm.testing.mock.aem.junit5.AemContext;
+import io.wcm.testing.mock.aem.junit5.AemContextExtension;
+
+import static org.junit.jupiter.api.Assertions.assertEquals;
+
+/**
+ * JUnit test verifying the <%= name %> servlet.
+ */
+@ExtendWith(AemContextExtension.class)
+class <%= name %>Test {
+
+    private final AemContext context = new AemContext();
+
+    private final <%= name %> fixture = new <%= name %>();
+
+    @BeforeEach
+    void setUp() {
+        context.create().resource("/content/test");
+        context.currentResource("/content/test");
+    }
+<%_ handlers.forEach((handler) => { _%>
+
+    @Test
+    void <%= handler.name %>() throws ServletException, IOException {
+        MockSlingHttpServletRequest request = context.request();
+        MockSlingHttpServletResponse response = context.response();
+        request.setMethod("<%= handler.method %>");
+
+        fixture.<%= handler.name %>(request, response);
+
+        assertEquals("<%= name %> <%= handler.method %> /content/test", response.getOutputAsString());
+    }
+<%_ }); _%>
+}
@@ -19,10 +19,11 @@ import path from 'node:path';
 import _ from 'lodash';
 import Generator from 'yeoman-generator';
 
-import { XMLBuilder, XMLParser } from 'fast-xml-parser';
+import { XMLParser } from 'fast-xml-parser';
 import ejs from 'ejs';
 import ModuleMixins from '../../lib/module-mixins.js';
 import PomUtils from '../../lib/pom-utils.js';
+import { javaProfile } from '../app/java-versions.js';
 
 const invalidPackageRegex = /[^a-zA-Z.]/g;
 export const generatorName = '@adobe/generator-aem:bundle';
@@ -44,6 +45,15 @@ class BundleGenerator extends Generator {
       this.option(k, v);
     });
 
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: this._dryRun.bind(this) });
+    }
+
+    // Files which are expected to be customized once generated.
+    this.conflictPolicies = {
+      'src/{main,test}/java/**': 'skip',
+    };
+
     this.rootGeneratorName = function () {
       return generatorName;
     };
@@ -128,12 +138,12 @@ class BundleGenerator extends Generator {
   _writePom() {
     const tplProps = _.pick(this.props, ['name', 'artifactId']);
     tplProps.parent = this.parentProps;
+    tplProps.java = javaProfile(this.parentProps.javaVersion);
 
     const parser = new XMLParser(PomUtils.xmlOptions);
-    const builder = new XMLBuilder(PomUtils.xmlOptions);
 
     // Read the template and parse w/ properties.
-    const genPom = ejs.render(this.fs.read(this.templatePath('pom.xml')), tplProps);
+    const genPom = ejs.render(this.fs.read(this._templatePath('pom.xml')), tplProps);
     const parsedGenPom = parser.parse(genPom);
     const genProject = PomUtils.findPomNodeArray(parsedGenPom, 'project');
     const genDependencies = PomUtils.findPomNodeArray(genProject, 'dependencies');
@@ -150,7 +160,7 @@ class BundleGenerator extends Generator {
         genProject.splice(insert, 0, { properties: existing });
       }
 
-      PomUtils.mergePomSection(PomUtils.findPomNodeArray(genProject, 'build', 'plugins'), PomUtils.findPomNodeArray(existingPom, 'build', 'plugins'), PomUtils.pluginPredicate);
+      PomUtils.mergePlugins(PomUtils.findPomNodeArray(genProject, 'build', 'plugins'), PomUtils.findPomNodeArray(existingPom, 'build', 'plugins'));
 
       existing = PomUtils.findPomNodeArray(existingPom, 'profiles');
       if (existing) {
@@ -158,10 +168,15 @@ class BundleGenerator extends Generator {
         genProject.splice(insert, 0, { profiles: existing });
       }
 
-      PomUtils.mergePomSection(genDependencies, PomUtils.findPomNodeArray(existingPom, 'dependencies'), PomUtils.dependencyPredicate);
+      PomUtils.mergeDependencies(genDependencies, PomUtils.findPomNodeArray(existingPom, 'dependencies'));
+    }
+
+    if (!tplProps.java.slf4jTest) {
+      // Not compatible with the test libraries of newer Java versions.
+      PomUtils.removeDependencies(genDependencies, [{ dependency: [{ groupId: [{ '#text': 'uk.org.lidalia' }] }, { artifactId: [{ '#text': 'slf4j-test' }] }] }]);
     }
 
-    const addlDeps = parser.parse(this.fs.read(this.templatePath('partials', 'v6.5', 'dependencies.xml')))[0].dependencies;
+    const addlDeps = parser.parse(this.fs.read(this._templatePath('partials', 'v6.5', 'dependencies.xml')))[0].dependencies;
     if (this.parentProps.aemVersion === 'cloud') {
       addlDeps.push({
         dependency: [{ groupId: [{ '#text': 'com.adobe.aem' }] }, { artifactId: [{ '#text': 'uber-jar' }] }],
@@ -171,7 +186,7 @@ class BundleGenerator extends Generator {
       PomUtils.addDependencies(genDependencies, addlDeps, tplProps.parent.aem);
     }
 
-    this.fs.write(pomFile, PomUtils.fixXml(builder.build(parsedGenPom)));
+    PomUtils.writePom(this, pomFile, parsedGenPom);
   }
 }
 
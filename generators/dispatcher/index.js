@@ -19,7 +19,6 @@ import path from 'node:path';
 import crypto from 'node:crypto';
 
 import _ from 'lodash';
-import { globbySync } from 'globby';
 import ejs from 'ejs';
 
 import Generator from 'yeoman-generator';
@@ -42,12 +41,22 @@ class DispatcherGenerator extends Generator {
     features.customInstallTask = true;
     super(args, options, features);
 
-    const dispOptions = _.pick(this.moduleOptions, ['generateInto', 'showBuildOutput', 'name', 'appId']);
+    const dispOptions = _.pick(this.moduleOptions, ['generateInto', 'showBuildOutput', 'name', 'appId', 'dryRun']);
 
     _.forOwn(dispOptions, (v, k) => {
       this.option(k, v);
     });
 
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: this._dryRun.bind(this) });
+    }
+
+    // Files which are expected to be customized once generated; the immutable files are always replaced.
+    this.conflictPolicies = {
+      'src/conf.d/{rewrites/rewrite.rules,variables/*.vars}': 'sidecar',
+      'src/conf.dispatcher.d/{cache/rules.any,clientheaders/clientheaders.any,filters/filters.any,virtualhosts/virtualhosts.any}': 'sidecar',
+    };
+
     this.rootGeneratorName = function () {
       return generatorName;
     };
@@ -83,13 +92,19 @@ class DispatcherGenerator extends Generator {
       parent: this.parentProps,
       immutable: [],
     };
-    const files = [];
-    files.push(...this._listTemplates('shared'));
     const context = this.parentProps.aemVersion === 'cloud' ? 'cloud' : 'ams';
-    files.push(...this._listTemplates(context));
     const rootPath = this.templatePath(context);
 
-    const immutableFileList = this.fs.read(this.templatePath(context, 'immutable.files')).split(/\r?\n/);
+    // Immutable files must match Adobe's, so they are never taken from the template overlays.
+    const immutableFileList = this.fs.read(path.join(rootPath, 'immutable.files')).split(/\r?\n/);
+    const files = [];
+    files.push(
+      ...this._listTemplates('shared'),
+      ..._.map(this._listTemplates(context), (file) => {
+        const relative = path.relative(this.destinationPath(), file.dest);
+        return immutableFileList.includes(relative.split(path.sep).join('/')) ? { ...file, src: path.join(rootPath, relative) } : file;
+      })
+    );
 
     return Promise.all(this._buildImmutablePromises(rootPath, immutableFileList, tplProps)).then(() => {
       this._writing(files, tplProps);
@@ -149,10 +164,9 @@ class DispatcherGenerator extends Generator {
   }
 
   _writeSymlinks(context) {
-    const symPath = this.templatePath('symlinks', context);
-    const symlinks = globbySync([path.join(symPath, '**/*')], { onlyFiles: true });
-    for (const entry of symlinks) {
-      const relPath = path.relative(symPath, entry);
+    const symlinks = this._listTemplates(path.join('symlinks', context));
+    for (const { src: entry, dest: target } of symlinks) {
+      const relPath = path.relative(this.destinationPath(), target);
       const temporary = relPath.replace(/_{2}([^_]+)_{2}/gi, `<%= $1 %>`);
       const dest = ejs.render(temporary, this.props);
       if (fs.existsSync(this.destinationPath(dest))) {
@@ -161,6 +175,16 @@ class DispatcherGenerator extends Generator {
 
       const temporaryAvailable = dest.replaceAll('enabled', 'available');
       const src = path.join('..', path.basename(path.dirname(dest)), path.basename(dest)).replaceAll('enabled', 'available');
+      if (this.options.dryRun) {
+        // Listed with the other pending changes, instead of being created on disk.
+        if (!this.fs.exists(this.destinationPath(temporaryAvailable))) {
+          this.fs.copy(entry, this.destinationPath(temporaryAvailable));
+        }
+
+        this._planSymlink(this.destinationPath(dest), src);
+        continue;
+      }
+
       fs.mkdirSync(this.destinationPath(path.dirname(dest)), { recursive: true });
       fs.mkdirSync(this.destinationPath(path.dirname(temporaryAvailable)), { recursive: true });
       if (!this.fs.exists(this.destinationPath(temporaryAvailable))) {
@@ -0,0 +1,344 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+import _ from 'lodash';
+import chalk from 'chalk';
+import { XMLParser } from 'fast-xml-parser';
+
+import Generator from 'yeoman-generator';
+
+import CloudManagerEnv, { manifestFile } from '../../lib/cloudmanager-env.js';
+import ModuleMixins from '../../lib/module-mixins.js';
+import PomUtils, { filevaultPlugin } from '../../lib/pom-utils.js';
+import { generatorName as rootGeneratorName } from '../app/index.js';
+import { generatorName as bundleGeneratorName } from '../bundle/index.js';
+import { generatorName as dispatcherGeneratorName } from '../dispatcher/index.js';
+import { generatorName as allGeneratorName } from '../package-all/index.js';
+import { generatorName as appsGeneratorName } from '../package-apps/index.js';
+import { generatorName as configGeneratorName } from '../package-config/index.js';
+import { generatorName as contentGeneratorName } from '../package-content/index.js';
+import { generatorName as structureGeneratorName } from '../package-structure/index.js';
+import { mixinReferences } from '../remove/index.js';
+
+const filename = fileURLToPath(import.meta.url);
+const dirname = path.dirname(filename);
+
+export const generatorName = '@adobe/generator-aem:doctor';
+
+const modulePrefix = `${rootGeneratorName}:`;
+const projectGroupId = '${project.groupId}'; // eslint-disable-line no-template-curly-in-string
+
+// Module types which must be embedded in the all package.
+const embeddedTypes = Object.freeze([bundleGeneratorName, appsGeneratorName, configGeneratorName, contentGeneratorName]);
+
+class DoctorGenerator extends Generator {
+  constructor(args, options, features) {
+    super(args, options, features);
+
+    this.rootGeneratorName = function () {
+      return generatorName;
+    };
+  }
+
+  initializing() {
+    this._setDestinationRoot();
+
+    this.props = this.fs.readJSON(this.destinationPath('.yo-rc.json'))[rootGeneratorName];
+    this.modules = PomUtils.listParentPomModules(this, this.destinationPath());
+    this.issues = [];
+  }
+
+  default() {
+    this._checkEmbeddeds();
+    this._checkContentReferences();
+    this._checkMixinReferences();
+    this._checkFilterRoots();
+    this._checkParentVersions();
+    this._checkImmutableFiles();
+    this._checkEnvPlaceholders();
+  }
+
+  end() {
+    const errors = _.filter(this.issues, { level: 'error' });
+    const warnings = _.filter(this.issues, { level: 'warning' });
+    _.each(errors, (issue) => {
+      this.log(chalk.red(`Error: ${issue.message}`));
+    });
+    _.each(warnings, (issue) => {
+      this.log(chalk.yellow(`Warning: ${issue.message}`));
+    });
+
+    if (errors.length > 0) {
+      throw new Error(chalk.red(`Project check found ${errors.length} error(s) and ${warnings.length} warning(s).`));
+    }
+
+    this.log(chalk.greenBright(`\nProject check found no errors and ${warnings.length} warning(s).\n`));
+  }
+
+  /**
+   * Reports modules which should be, but are not, embedded in the all package(s).
+   *
+   * @private
+   */
+  _checkEmbeddeds() {
+    const alls = ModuleMixins._findModules.call(this, allGeneratorName);
+    if (alls.length === 0) {
+      return;
+    }
+
+    const modules = _.flatMap(embeddedTypes, (type) => ModuleMixins._findModules.call(this, type));
+    _.each(alls, (all) => {
+      const plugin = this._findPlugin(this._readPom(all.path), filevaultPlugin);
+      // An embedded without a groupId matches the artifactId in any group, including the project's.
+      const embedded = new Set(
+        _.map(_.castArray(_.get(plugin, 'configuration.embeddeds.embedded', [])), (item) => `${_.replace(item.groupId || projectGroupId, projectGroupId, this.props.groupId)}:${item.artifactId}`)
+      );
+      _.each(modules, (module) => {
+        if (!embedded.has(`${this.props.groupId}:${module.artifactId}`)) {
+          this._error(`Module '${module.path}' (${module.artifactId}) is not embedded in the all package '${all.path}'.`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Reports apps packages which are not referenced by any content package.
+   *
+   * @private
+   */
+  _checkContentReferences() {
+    const contents = ModuleMixins._findModules.call(this, contentGeneratorName);
+    if (contents.length === 0) {
+      return;
+    }
+
+    const referenced = new Set(_.map(contents, 'apps'));
+    _.each(ModuleMixins._findModules.call(this, appsGeneratorName), (module) => {
+      if (!referenced.has(module.artifactId)) {
+        this._warning(`Apps package '${module.path}' (${module.artifactId}) is not referenced by any content package.`);
+      }
+    });
+  }
+
+  /**
+   * Reports mixin configurations which reference modules that are not part of the project.
+   *
+   * @private
+   */
+  _checkMixinReferences() {
+    const yorc = this.fs.readJSON(this.destinationPath('.yo-rc.json'));
+    _.forOwn(mixinReferences, (keys, mixin) => {
+      _.each(keys, (key) => {
+        _.each(_.get(yorc, [mixin, key]), (module) => {
+          if (!this.modules.includes(module) || !fs.existsSync(this.destinationPath(module))) {
+            this._error(`Mixin '${mixin.replace(modulePrefix, '')}' references module '${module}' in '${key}', which does not exist.`);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Reports appIds which do not have a root in the structure package(s) filters.
+   *
+   * @private
+   */
+  _checkFilterRoots() {
+    const structures = ModuleMixins._findModules.call(this, structureGeneratorName);
+    if (structures.length === 0) {
+      return;
+    }
+
+    const appIds = new Set();
+    _.each(this.modules, (module) => {
+      const yorcFile = this.destinationPath(module, '.yo-rc.json');
+      if (!this.fs.exists(yorcFile)) {
+        return;
+      }
+
+      _.forOwn(this.fs.readJSON(yorcFile), (config, generator) => {
+        if (generator.startsWith(modulePrefix) && config.appId) {
+          appIds.add(config.appId);
+        }
+      });
+    });
+
+    _.each(structures, (structure) => {
+      const plugin = this._findPlugin(this._readPom(structure.path), filevaultPlugin);
+      const roots = new Set(_.map(_.castArray(_.get(plugin, 'configuration.filters.filter', [])), 'root'));
+      for (const appId of appIds) {
+        if (!roots.has(`/apps/${appId}`)) {
+          this._error(`AppId '${appId}' does not have a filter root in the structure package '${structure.path}'.`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Reports modules whose parent does not match the project pom.
+   *
+   * @private
+   */
+  _checkParentVersions() {
+    const project = this._readPom('.').project;
+    _.each(this.modules, (module) => {
+      const pom = this._readPom(module);
+      if (!pom.project) {
+        return;
+      }
+
+      const parent = pom.project.parent || {};
+      if (parent.groupId !== project.groupId || parent.artifactId !== project.artifactId) {
+        this._error(`Module '${module}' parent is ${parent.groupId}:${parent.artifactId}, expected ${project.groupId}:${project.artifactId}.`);
+      } else if (parent.version !== project.version) {
+        this._error(`Module '${module}' parent version is ${parent.version}, expected ${project.version}.`);
+      }
+    });
+  }
+
+  /**
+   * Reports dispatcher immutable files which have been changed, or removed.
+   *
+   * @private
+   */
+  _checkImmutableFiles() {
+    const context = this.props.aemVersion === 'cloud' ? 'cloud' : 'ams';
+    const templates = path.join(dirname, '..', 'dispatcher', 'templates', context);
+    const files = _.compact(fs.readFileSync(path.join(templates, 'immutable.files'), 'utf8').split(/\r?\n/));
+    const md5 = (file) => crypto.createHash('md5').update(fs.readFileSync(file)).digest('hex');
+
+    _.each(ModuleMixins._findModules.call(this, dispatcherGeneratorName), (module) => {
+      _.each(files, (file) => {
+        const parts = file.split('/');
+        const target = this.destinationPath(module.path, ...parts);
+        if (!fs.existsSync(target)) {
+          this._error(`Dispatcher immutable file '${module.path}/${file}' is missing.`);
+        } else if (md5(target) !== md5(path.join(templates, ...parts))) {
+          this._error(`Dispatcher immutable file '${module.path}/${file}' has been modified.`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Reports Cloud Manager placeholders in OSGi configurations which are invalid, or not declared in the config package's manifest.
+   *
+   * @private
+   */
+  _checkEnvPlaceholders() {
+    _.each(ModuleMixins._findModules.call(this, configGeneratorName), (module) => {
+      const references = CloudManagerEnv.findReferences(this, module.path);
+      if (references.length === 0) {
+        return;
+      }
+
+      if (this.props.aemVersion !== 'cloud') {
+        this._warning(`Config package '${module.path}' uses Cloud Manager placeholders, which are only resolved on AEM as a Cloud Service.`);
+        return;
+      }
+
+      const manifest = this.fs.readJSON(this.destinationPath(module.path, manifestFile), {});
+      _.each(references, (reference) => {
+        const config = path.relative(this.destinationPath(), reference.file).split(path.sep).join('/');
+        const valid = CloudManagerEnv.validatePlaceholder(reference);
+        if (valid !== true) {
+          this._error(`${valid} In '${config}'.`);
+        } else if (_.get(manifest, [reference.runMode, reference.name, 'type']) !== reference.type) {
+          this._error(`Placeholder '${reference.type}:${reference.name}' in '${config}' is not declared in '${module.path}/${manifestFile}' for run mode '${reference.runMode}'.`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Parses the pom in the specified module folder, not preserving order.
+   *
+   * @param {String} module the module folder, relative to the project root
+   * @return {Object} the parsed pom, or an empty object if it does not exist
+   * @private
+   */
+  _readPom(module) {
+    const pomFile = this.destinationPath(module, 'pom.xml');
+    if (!this.fs.exists(pomFile)) {
+      return {};
+    }
+
+    return new XMLParser({ parseTagValue: false }).parse(this.fs.read(pomFile));
+  }
+
+  /**
+   * Finds the plugin in the pom's build section.
+   *
+   * @param {Object} pom the parsed pom
+   * @param {String} artifactId the plugin's artifactId
+   * @return {undefined|Object} the plugin
+   * @private
+   */
+  _findPlugin(pom, artifactId) {
+    return _.find(_.castArray(_.get(pom, 'project.build.plugins.plugin', [])), { artifactId });
+  }
+
+  /**
+   * Records an issue which fails the check.
+   *
+   * @param {String} message the issue description
+   * @private
+   */
+  _error(message) {
+    this.issues.push({ level: 'error', message });
+  }
+
+  /**
+   * Records an issue which is reported, but does not fail the check.
+   *
+   * @param {String} message the issue description
+   * @private
+   */
+  _warning(message) {
+    this.issues.push({ level: 'warning', message });
+  }
+
+  /**
+   * Sets the destination root to the project root, allowing the check to be run from within a module.
+   *
+   * @private
+   */
+  _setDestinationRoot() {
+    let yorcFile = this.destinationPath('.yo-rc.json');
+    if (this.fs.exists(yorcFile) && this.fs.readJSON(yorcFile)[rootGeneratorName] !== undefined) {
+      return;
+    }
+
+    this.destinationRoot(path.dirname(this.destinationPath()));
+    yorcFile = this.destinationPath('.yo-rc.json');
+    if (!this.fs.exists(yorcFile) || this.fs.readJSON(yorcFile)[rootGeneratorName] === undefined) {
+      throw new Error(
+        chalk.red('Doctor Generator cannot be use outside existing project context.') +
+          '\n\n' +
+          'You are trying to check a project which was not created using ' +
+          chalk.yellow('yo @adobe/aem') +
+          '. Please run it from the project root, or one of its modules.'
+      );
+    }
+  }
+}
+
+export default DoctorGenerator;
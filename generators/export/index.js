@@ -0,0 +1,183 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import path from 'node:path';
+
+import _ from 'lodash';
+import chalk from 'chalk';
+import yaml from 'js-yaml';
+
+import Generator from 'yeoman-generator';
+
+import PomUtils from '../../lib/pom-utils.js';
+import { generatorName as rootGeneratorName } from '../app/index.js';
+import { ProjectSchema, validate } from '../app/project-config.js';
+
+export const generatorName = '@adobe/generator-aem:export';
+
+const modulePrefix = `${rootGeneratorName}:`;
+const mixinPrefix = `${rootGeneratorName}:mixin-`;
+
+// Keys which generators store under another name than the option setting them, by module type or mixin.
+const OptionNames = Object.freeze({
+  'package-apps': { bundle: 'bundleRef', frontend: 'frontendRef', structure: 'structureRef' },
+  'package-content': { apps: 'appsRef' },
+  'mixin-cc': { bundles: 'bundlePath', apps: 'appsPath', contents: 'contentPath' },
+});
+
+class ExportGenerator extends Generator {
+  constructor(args, options, features) {
+    super(args, options, features);
+
+    this.option('file', {
+      type: String,
+      default: 'aem-project.json',
+      desc: 'Manifest file to write, relative to the project root. Written as YAML if the extension is ".yml" or ".yaml", otherwise JSON.',
+    });
+
+    this.rootGeneratorName = function () {
+      return generatorName;
+    };
+  }
+
+  async initializing() {
+    this._setDestinationRoot();
+
+    const yorc = this.fs.readJSON(this.destinationPath('.yo-rc.json'));
+    const properties = _.without(_.keys(ProjectSchema.properties), 'modules', 'mixins');
+
+    this.manifest = _.pick(yorc[rootGeneratorName], properties);
+    this.manifest.modules = {};
+    this.manifest.mixins = {};
+
+    _.each(PomUtils.listParentPomModules(this, this.destinationPath()), (module) => {
+      const yorcFile = this.destinationPath(module, '.yo-rc.json');
+      if (!this.fs.exists(yorcFile)) {
+        return;
+      }
+
+      _.forOwn(this.fs.readJSON(yorcFile), (config, generator) => {
+        if (!generator.startsWith(modulePrefix) || generator.startsWith(mixinPrefix)) {
+          return;
+        }
+
+        const moduleType = generator.replace(modulePrefix, '');
+        this.manifest.modules[moduleType] = this.manifest.modules[moduleType] || {};
+        this.manifest.modules[moduleType][module] = config;
+      });
+    });
+
+    _.forOwn(yorc, (config, generator) => {
+      if (generator.startsWith(mixinPrefix)) {
+        this.manifest.mixins[generator.replace(mixinPrefix, '')] = config;
+      }
+    });
+
+    for (const [moduleType, instances] of Object.entries(this.manifest.modules)) {
+      for (const [module, config] of Object.entries(instances)) {
+        // eslint-disable-next-line no-await-in-loop
+        instances[module] = await this._toOptions(moduleType, config);
+      }
+    }
+
+    for (const [mixin, config] of Object.entries(this.manifest.mixins)) {
+      // eslint-disable-next-line no-await-in-loop
+      this.manifest.mixins[mixin] = await this._toOptions(`mixin-${mixin}`, config);
+    }
+  }
+
+  writing() {
+    _.each(validate(this.manifest), (error) => {
+      this.log(chalk.yellow(`Manifest may not be usable for generation: ${error}`));
+    });
+
+    const file = this.destinationPath(this.options.file);
+    if (['.yml', '.yaml'].includes(path.extname(file).toLowerCase())) {
+      this.fs.write(file, yaml.dump(this.manifest));
+    } else {
+      this.fs.writeJSON(file, this.manifest);
+    }
+  }
+
+  /**
+   * Converts the stored configuration of a module or mixin to the options of its generator, so that the manifest can be used with the `config` option.
+   *
+   * Keys are renamed to their option; a list stored for an option taking a single module is exported as its first entry.
+   * When the generator is installed, keys which are not among its options (e.g. resolved versions) are left out.
+   *
+   * @param {String} type the module type, or `mixin-<name>` for a mixin
+   * @param {Object} config the stored configuration
+   * @return {Promise<Object>} the options
+   * @private
+   */
+  async _toOptions(type, config) {
+    const options = { ...config };
+    _.forOwn(OptionNames[type], (option, key) => {
+      if (options[key] === undefined) {
+        return;
+      }
+
+      let value = options[key];
+      delete options[key];
+      if (_.isArray(value)) {
+        if (value.length > 1) {
+          this.log(chalk.yellow(`Only the first of the ${type} ${key} can be exported as its ${option} option: ${value[0]}.`));
+        }
+
+        value = value[0];
+      }
+
+      if (value !== undefined) {
+        options[option] = value;
+      }
+    });
+
+    const namespace = `@adobe/aem:${type}`;
+    if (!this.env.getGeneratorsMeta()[namespace]) {
+      return options;
+    }
+
+    const Generator = await this.env.get(namespace);
+    const generator = this.env.instantiate(Generator, { options: { help: true } });
+    return _.pick(options, _.keys(generator._options));
+  }
+
+  /**
+   * Sets the destination root to the project root, allowing the export to be run from within a module.
+   *
+   * @private
+   */
+  _setDestinationRoot() {
+    let yorcFile = this.destinationPath('.yo-rc.json');
+    if (this.fs.exists(yorcFile) && this.fs.readJSON(yorcFile)[rootGeneratorName] !== undefined) {
+      return;
+    }
+
+    this.destinationRoot(path.dirname(this.destinationPath()));
+    yorcFile = this.destinationPath('.yo-rc.json');
+    if (!this.fs.exists(yorcFile) || this.fs.readJSON(yorcFile)[rootGeneratorName] === undefined) {
+      throw new Error(
+        chalk.red('Export Generator cannot be use outside existing project context.') +
+          '\n\n' +
+          'You are trying to export a project which was not created using ' +
+          chalk.yellow('yo @adobe/aem') +
+          '. Please run it from the project root, or one of its modules.'
+      );
+    }
+  }
+}
+
+export default ExportGenerator;
@@ -33,6 +33,17 @@ class GeneralFEGenerator extends Generator {
       this.option(k, v);
     });
 
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: this._dryRun.bind(this) });
+    }
+
+    // Files which are expected to be customized once generated.
+    this.conflictPolicies = {
+      'src/main/webpack/**': 'skip',
+      '{.babelrc,.eslintrc.json,tsconfig.json}': 'json',
+      'webpack.*.js': 'sidecar',
+    };
+
     this.rootGeneratorName = function () {
       return generatorName;
     };
@@ -65,7 +76,7 @@ class GeneralFEGenerator extends Generator {
         name: this.props.artifactId,
         version: this.parentProps.version,
       },
-      this.fs.readJSON(this.templatePath('package.json'), {})
+      this.fs.readJSON(this._templatePath('package.json'), {})
     );
     this.writeDestinationJSON('package.json', pkg);
 
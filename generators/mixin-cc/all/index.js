@@ -15,7 +15,6 @@
 */
 
 import _ from 'lodash';
-import { XMLBuilder } from 'fast-xml-parser';
 
 import Generator from 'yeoman-generator';
 
@@ -122,8 +121,7 @@ class AllPackageModuleCoreComponentMixin extends Generator {
 
       PomUtils.addDependencies(deps, depsToAdd, apiCoordinates(this.props.aemVersion));
       PomUtils.addDependencies(fvPluginEmbeddeds, embedsToAdd);
-      const builder = new XMLBuilder(PomUtils.xmlOptions);
-      this.fs.write(this.destinationPath('pom.xml'), PomUtils.fixXml(builder.build(pomData)));
+      PomUtils.writePom(this, this.destinationPath('pom.xml'), pomData);
       resolve();
     });
   }
@@ -19,11 +19,11 @@ import { fileURLToPath } from 'node:url';
 
 import _ from 'lodash';
 import ejs from 'ejs';
-import { globbySync } from 'globby';
 
 import Generator from 'yeoman-generator';
 
 import { XMLParser, XMLBuilder } from 'fast-xml-parser';
+import ModuleMixins from '../../../lib/module-mixins.js';
 import PomUtils, { filevaultPlugin } from '../../../lib/pom-utils.js';
 import { generatorName as rootGeneratorName, apiCoordinates } from '../../app/index.js';
 import { generatorName as appsGeneratorName } from '../../package-apps/index.js';
@@ -88,6 +88,15 @@ class AppsPackageModuleCoreComponentMixin extends Generator {
 
       const toAdd = [bundle, content, config];
 
+      // Can't have 'type' in the filevault list. need to remove it from content/config dependencies
+      const fvToAdd = [bundle];
+      let temporary = _.cloneDeep(content);
+      temporary.dependency.pop();
+      fvToAdd.push(temporary);
+      temporary = _.cloneDeep(config);
+      temporary.dependency.pop();
+      fvToAdd.push(temporary);
+
       // Delete then re-add - always easier;
       PomUtils.removeDependencies(deps, toAdd);
 
@@ -103,25 +112,14 @@ class AppsPackageModuleCoreComponentMixin extends Generator {
         });
       }).plugin;
       const fvPluginDeps = PomUtils.findPomNodeArray(fvPlugin, 'configuration', 'dependencies');
-      PomUtils.removeDependencies(fvPluginDeps, toAdd);
+      PomUtils.removeDependencies(fvPluginDeps, [...toAdd, ...fvToAdd]);
 
       if (this.props.aemVersion !== 'cloud') {
         PomUtils.addDependencies(deps, toAdd, apiCoordinates(this.props.aemVersion));
-
-        // Can't have 'type' in the filevault list. need to remove it from content/config dependencies
-
-        const fvToAdd = [bundle];
-        let temporary = _.cloneDeep(content);
-        temporary.dependency.pop();
-        fvToAdd.push(temporary);
-        temporary = _.cloneDeep(config);
-        temporary.dependency.pop();
-        fvToAdd.push(temporary);
         PomUtils.addDependencies(fvPluginDeps, fvToAdd);
       }
 
-      const builder = new XMLBuilder(PomUtils.xmlOptions);
-      this.fs.write(this.destinationPath('pom.xml'), PomUtils.fixXml(builder.build(pomData)));
+      PomUtils.writePom(this, this.destinationPath('pom.xml'), pomData);
       resolve();
     });
   }
@@ -222,30 +220,18 @@ class AppsPackageModuleCoreComponentMixin extends Generator {
   _buildCompPromise = (config, tplProperties, outputRoot) => {
     return new Promise((resolve) => {
       const outputDir = path.join(outputRoot, config.name);
-      const files = [];
-      let templates = globbySync([this.templatePath('shared', '**/*'), this.templatePath('shared', '**/.*')], { onlyFiles: true });
-      _.each(templates, (t) => {
-        files.push({
-          src: t,
-          dest: this.destinationPath(outputDir, path.relative(this.templatePath('shared'), t)),
-        });
-      });
-      templates = globbySync([this.templatePath('unique', config.name, '**/*'), this.templatePath('unique', config.name, '**/.*')], { onlyFiles: true });
-      _.each(templates, (t) => {
-        files.push({
-          src: t,
-          dest: this.destinationPath(outputDir, path.relative(this.templatePath('unique', config.name), t)),
+      const templates = (...dir) => {
+        return _.map(ModuleMixins._listTemplates.call(this, path.join(...dir)), (file) => {
+          return {
+            src: file.src,
+            dest: this.destinationPath(outputDir, path.relative(this.destinationPath(), file.dest)),
+          };
         });
-      });
+      };
 
+      const files = [...templates('shared'), ...templates('unique', config.name)];
       if (config.newContainerType) {
-        templates = globbySync([this.templatePath('container-types', '**/*'), this.templatePath('container-types', '**/.*')], { onlyFiles: true });
-        _.each(templates, (t) => {
-          files.push({
-            src: t,
-            dest: this.destinationPath(outputDir, path.relative(this.templatePath('container-types'), t)),
-          });
-        });
+        files.push(...templates('container-types'));
       }
 
       for (const f of files) {
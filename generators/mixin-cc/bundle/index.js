@@ -17,7 +17,6 @@
 import path from 'node:path';
 
 import _ from 'lodash';
-import { XMLBuilder } from 'fast-xml-parser';
 
 import Generator from 'yeoman-generator';
 import PomUtils from '../../../lib/pom-utils.js';
@@ -92,8 +91,7 @@ class BundleModuleCoreComponentMixin extends Generator {
 
     PomUtils.addDependencies(deps, [bundle], apiCoordinates(this.props.aemVersion));
     PomUtils.addDependencies(deps, [test], { groupId: 'org.apache.sling', artifactId: 'org.apache.sling.testing.caconfig-mock-plugin' });
-    const builder = new XMLBuilder(PomUtils.xmlOptions);
-    this.fs.write(this.destinationPath('pom.xml'), PomUtils.fixXml(builder.build(pomData)));
+    PomUtils.writePom(this, this.destinationPath('pom.xml'), pomData);
   }
 }
 
@@ -21,14 +21,15 @@ import { fileURLToPath } from 'node:url';
 import _ from 'lodash';
 import chalk from 'chalk';
 import { Octokit } from '@octokit/rest';
-import { XMLBuilder } from 'fast-xml-parser';
 
 import Generator from 'yeoman-generator';
 
 import PomUtils from '../../lib/pom-utils.js';
+import MavenUtils from '../../lib/maven-utils.js';
 import ModuleMixins from '../../lib/module-mixins.js';
 
 import { generatorName as rootGeneratorName, apiCoordinates } from '../app/index.js';
+import { Boms } from '../app/boms.js';
 import { generatorName as bundleGeneratorName } from '../bundle/index.js';
 import { generatorName as appsGeneratorName } from '../package-apps/index.js';
 import { generatorName as contentGeneratorName } from '../package-content/index.js';
@@ -48,6 +49,9 @@ const versionProperty = 'core.wcm.components.version';
 export const versionStruct = { version: [{ '#text': '${core.wcm.components.version}' }] };
 /* eslint-enable no-template-curly-in-string */
 
+// Latest known patch release of each supported version, used when the releases cannot be looked up.
+export const pinnedReleases = Object.freeze(['2.20.8', '2.19.2', '2.18.6']);
+
 export const bundleGav = Object.freeze([{ groupId: [{ '#text': 'com.adobe.cq' }] }, { artifactId: [{ '#text': 'core.wcm.components.core' }] }]);
 export const testGav = Object.freeze([{ groupId: [{ '#text': 'com.adobe.cq' }] }, { artifactId: [{ '#text': 'core.wcm.components.testing.aem-mock-plugin' }] }, { scope: [{ '#text': 'test' }] }]);
 export const contentGav = Object.freeze([{ groupId: [{ '#text': 'com.adobe.cq' }] }, { artifactId: [{ '#text': 'core.wcm.components.content' }] }, { type: [{ '#text': 'zip' }] }]);
@@ -88,12 +92,19 @@ class CoreComponentMixinGenerator extends Generator {
         type: String,
         desc: 'Content Package module reference, for enabling data layer configuration proxy components.',
       },
+      offline: ModuleMixins.moduleOptions.offline,
+      settings: ModuleMixins.moduleOptions.settings,
+      dryRun: ModuleMixins.moduleOptions.dryRun,
     };
 
     _.forOwn(options_, (v, k) => {
       this.option(k, v);
     });
 
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: ModuleMixins._dryRun.bind(this) });
+    }
+
     this.rootGeneratorName = function () {
       return generatorName;
     };
@@ -313,7 +324,9 @@ class CoreComponentMixinGenerator extends Generator {
   }
 
   default() {
-    this.props.aemVersion = this.fs.readJSON(this.destinationPath('.yo-rc.json'))[rootGeneratorName].aemVersion;
+    const rootConfig = this.fs.readJSON(this.destinationPath('.yo-rc.json'))[rootGeneratorName];
+    this.props.aemVersion = rootConfig.aemVersion;
+    this.props.boms = rootConfig.boms;
     return this._resolveVersion().then((ccVersion) => {
       this.props.resolvedVersion = ccVersion;
       // Run the specific mixin for each module.
@@ -432,6 +445,10 @@ class CoreComponentMixinGenerator extends Generator {
   }
 
   _ccVersion = (version) => {
+    if (this.options.offline) {
+      return this._offlineCcVersion(version);
+    }
+
     const octokit = new Octokit();
     return octokit.repos
       .listReleases({ owner: 'adobe', repo: 'aem-core-wcm-components' })
@@ -446,8 +463,35 @@ class CoreComponentMixinGenerator extends Generator {
       });
   };
 
+  /**
+   * Resolves the patch release of the Core Components version without contacting GitHub.
+   *
+   * Uses the newest matching release in the local Maven metadata cache, otherwise the pinned release of that version.
+   *
+   * @param version the Core Components version (e.g. `2.20`)
+   * @return {Promise<String>} the release
+   * @private
+   */
+  _offlineCcVersion(version) {
+    const coordinates = { groupId: 'com.adobe.cq', artifactId: 'core.wcm.components.core' };
+    const pinned = _.find(pinnedReleases, (r) => r.startsWith(`${version}.`));
+    const options = { ...ModuleMixins._resolutionOptions.call(this, this.destinationPath()), pinned };
+    return MavenUtils.latestRelease(coordinates, true, options)
+      .then((metadata) => {
+        const releases = _.filter(_.castArray(_.get(metadata, 'versions.version', [])), (r) => new RegExp(`^${_.escapeRegExp(version)}\\.\\d+$`).test(r));
+        return releases.sort(MavenUtils.compareVersions).pop() || pinned;
+      })
+      .catch(() => pinned)
+      .then((release) => {
+        if (!release) {
+          throw new Error(`Unable to resolve Core Components version ${version} in offline mode, no cached or pinned release available.`);
+        }
+
+        return release;
+      });
+  }
+
   _writePom() {
-    const builder = new XMLBuilder(PomUtils.xmlOptions);
     const pomFile = this.destinationPath('pom.xml');
 
     const pom = PomUtils.readPom(this);
@@ -474,6 +518,17 @@ class CoreComponentMixinGenerator extends Generator {
     // Just remove the CC dependencies, and re-add them - easier than trying to merge, esp if upgrading.
     PomUtils.removeDependencies(pomDeps, [bundle, content, config, test]);
 
+    if (this.props.boms) {
+      // Versions of all the Core Components artifacts are managed by their BOM.
+      const examples = _.map([exampleConfigGav, exampleAppsGav, exampleContentGav], (gav) => ({ dependency: _.cloneDeep(gav) }));
+      PomUtils.removeDependencies(pomDeps, examples);
+      PomUtils.addBoms(pomDeps, [Boms.cc], Boms.aem);
+      PomUtils.writePom(this, pomFile, pom);
+      return;
+    }
+
+    PomUtils.removeBoms(pomDeps, [Boms.cc]);
+
     const depsToAdd = [bundle];
     if (this.props.aemVersion !== 'cloud') {
       depsToAdd.push(content, config);
@@ -499,7 +554,7 @@ class CoreComponentMixinGenerator extends Generator {
       PomUtils.addDependencies(pomDeps, depsToAdd, after);
     }
 
-    this.fs.write(pomFile, PomUtils.fixXml(builder.build(pom)));
+    PomUtils.writePom(this, pomFile, pom);
   }
 }
 
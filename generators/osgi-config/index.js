@@ -0,0 +1,309 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import _ from 'lodash';
+import chalk from 'chalk';
+
+import Generator from 'yeoman-generator';
+
+import CloudManagerEnv from '../../lib/cloudmanager-env.js';
+import ModuleMixins from '../../lib/module-mixins.js';
+import ConfigMixins from '../../lib/config-mixins.js';
+
+export const generatorName = '@adobe/generator-aem:osgi-config';
+
+const pidRegex = /^[A-Za-z_$][\w$-]*(\.[A-Za-z_$][\w$-]*)*$/;
+const factoryNameRegex = /^[\w.-]+$/;
+const runModeRegex = /^[\w-]+$/;
+
+// Run modes supported by AEM as a Cloud Service: configurations are either for a service, an environment, or both.
+const CloudServices = Object.freeze(['author', 'publish']);
+const CloudEnvironments = Object.freeze(['dev', 'stage', 'prod']);
+
+/**
+ * Checks the PID of a configuration, optionally including the name of a factory configuration (e.g. `org.example.Factory~mysite`).
+ *
+ * @param {String} pid the PID
+ * @return {Boolean|String} true, or the reason the PID is invalid
+ */
+export const validatePid = (pid) => {
+  const [servicePid, name, ...rest] = _.split(pid, '~');
+  if (!pidRegex.test(servicePid) || rest.length > 0 || (name !== undefined && !factoryNameRegex.test(name))) {
+    return `Invalid PID: '${pid}'.`;
+  }
+
+  return true;
+};
+
+/**
+ * Checks a run mode combination, the suffix of an `osgiconfig/config.<runmodes>` folder (e.g. `author.dev`).
+ *
+ * On AEM as a Cloud Service only the `author` and `publish` services, and the `dev`, `stage` and `prod` environments are supported, in this order.
+ * On AEM 6.5 any run mode can be combined.
+ *
+ * @param {String} runModes the run modes, separated by dots; empty for the configurations applied to all run modes
+ * @param {String} aemVersion the AEM version of the project
+ * @return {Boolean|String} true, or the reason the combination is invalid
+ */
+export const validateRunModes = (runModes, aemVersion) => {
+  if (runModes === '') {
+    return true;
+  }
+
+  const list = _.split(runModes, '.');
+  if (!_.every(list, (runMode) => runModeRegex.test(runMode))) {
+    return `Invalid run modes: '${runModes}'.`;
+  }
+
+  if (_.uniq(list).length !== list.length) {
+    return `Duplicate run modes: '${runModes}'.`;
+  }
+
+  if (aemVersion !== 'cloud') {
+    return true;
+  }
+
+  const [first, second, ...rest] = list;
+  const valid = rest.length === 0 && (second === undefined ? CloudServices.includes(first) || CloudEnvironments.includes(first) : CloudServices.includes(first) && CloudEnvironments.includes(second));
+  return (
+    valid ||
+    `Unsupported run modes on AEM as a Cloud Service: '${runModes}'. Use a service (${CloudServices.join(', ')}), an environment (${CloudEnvironments.join(
+      ', '
+    )}), or a service followed by an environment (e.g. author.dev).`
+  );
+};
+
+/**
+ * Parses the configuration properties, either a JSON object or a comma separated list of `key=value` pairs.
+ *
+ * In the latter, `true` and `false` are converted to booleans, and integers to numbers; use JSON for arrays, or to keep such values as strings.
+ *
+ * @param {String|Object} spec the properties
+ * @return {Object} the properties
+ */
+export const parseProperties = (spec) => {
+  if (_.isPlainObject(spec)) {
+    return spec;
+  }
+
+  const text = _.trim(spec);
+  if (text.startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(chalk.red(`Invalid properties: ${error.message}`));
+    }
+  }
+
+  return Object.fromEntries(
+    _.map(_.compact(_.split(text, /\s*,\s*/)), (pair) => {
+      const index = pair.indexOf('=');
+      if (index < 1) {
+        throw new Error(chalk.red(`Invalid property: '${pair}', expected key=value.`));
+      }
+
+      const key = pair.slice(0, index).trim();
+      const value = pair.slice(index + 1).trim();
+      if (value === 'true' || value === 'false') {
+        return [key, value === 'true'];
+      }
+
+      return [key, /^-?\d+$/.test(value) ? Number.parseInt(value, 10) : value];
+    })
+  );
+};
+
+class OsgiConfigGenerator extends Generator {
+  constructor(args, options, features) {
+    super(args, options, features);
+
+    this.argument('pid', {
+      type: String,
+      required: true,
+      desc: 'PID of the configuration, or factory PID followed by the configuration name (e.g. "org.apache.sling.commons.log.LogManager.factory.config~mysite").',
+    });
+
+    this.option('name', {
+      type: String,
+      desc: 'Name of a factory configuration, when not part of the PID.',
+    });
+
+    this.option('runModes', {
+      type: String,
+      desc: 'Comma separated list of the run mode combinations the configuration is written for (e.g. "author.dev,publish"); "default" for all run modes.',
+    });
+
+    this.option('properties', {
+      type: String,
+      desc: 'Properties of the configuration, a JSON object or a comma separated list of key=value pairs.',
+    });
+
+    _.forOwn(ConfigMixins.configOptions, (v, k) => {
+      this.option(k, v);
+    });
+
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: ModuleMixins._dryRun.bind(this) });
+    }
+
+    this.rootGeneratorName = function () {
+      return generatorName;
+    };
+  }
+
+  initializing() {
+    const pid = this.options.name ? `${this.options.pid}~${this.options.name}` : this.options.pid;
+    const valid = validatePid(pid);
+    if (valid !== true) {
+      throw new Error(chalk.red(valid));
+    }
+
+    this._initConfigPackage();
+
+    this.props = { pid };
+    if (this.options.runModes !== undefined) {
+      this.props.runModes = this._runModes(this.options.runModes);
+    }
+
+    if (this.options.properties !== undefined) {
+      this.props.properties = this._properties(this.options.properties);
+    }
+
+    if (this.options.defaults) {
+      _.defaults(this.props, { runModes: [''], properties: {} });
+    }
+  }
+
+  prompting() {
+    const prompts = [
+      this._configPackagePrompt(),
+      {
+        name: 'runModes',
+        message: 'For which run modes should the configuration be written? (Comma separated list of combinations, e.g. "author.dev,publish"; leave empty for all.)',
+        default: '',
+        validate: (answer) => {
+          try {
+            this._runModes(answer);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        },
+        when: this.props.runModes === undefined,
+      },
+      {
+        name: 'properties',
+        message: 'What are the properties of the configuration? (JSON object, or comma separated list of key=value pairs.)',
+        default: '',
+        validate: (answer) => {
+          try {
+            this._properties(answer);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        },
+        when: this.props.properties === undefined,
+      },
+    ];
+
+    return this.prompt(prompts).then((answers) => {
+      if (answers.module) {
+        this.module = _.find(this.modules, { path: answers.module });
+      }
+
+      if (answers.runModes !== undefined) {
+        this.props.runModes = this._runModes(answers.runModes);
+      }
+
+      if (answers.properties !== undefined) {
+        this.props.properties = this._properties(answers.properties);
+      }
+    });
+  }
+
+  writing() {
+    this.files = _.map(this.props.runModes, (runModes) => {
+      const file = this._osgiConfigPath(runModes, this.props.pid);
+      const existing = this.fs.readJSON(this.destinationPath(file), {});
+      this.writeDestinationJSON(file, { ...existing, ...this.props.properties });
+      return file;
+    });
+
+    if (this.parentProps.aemVersion === 'cloud') {
+      CloudManagerEnv.writeManifest(this, this.module.path);
+    }
+  }
+
+  end() {
+    if (!this.options.dryRun) {
+      this.log(chalk.greenBright(`\nConfiguration '${this.props.pid}' written to:\n`));
+      _.each(this.files, (file) => {
+        this.log(`  ${file}`);
+      });
+      this.log('');
+    }
+  }
+
+  /**
+   * Parses and validates the run mode combinations for the project's AEM version.
+   *
+   * @param {String} value comma separated list of run mode combinations
+   * @return {String[]} the combinations, an empty string for all run modes
+   * @private
+   */
+  _runModes(value) {
+    const list = _.map(_.split(value, /\s*,\s*/), (runModes) => (_.trim(runModes) === 'default' ? '' : _.trim(runModes).replace(/^config\.?/, '')));
+    for (const runModes of list) {
+      const valid = validateRunModes(runModes, _.toString(this.parentProps.aemVersion));
+      if (valid !== true) {
+        throw new Error(chalk.red(valid));
+      }
+    }
+
+    return _.uniq(list);
+  }
+
+  /**
+   * Parses the properties, and validates the Cloud Manager placeholders in their values (e.g. `$[env:LOG_LEVEL;default=INFO]`).
+   *
+   * @param {String} value the properties
+   * @return {Object} the properties
+   * @private
+   */
+  _properties(value) {
+    const properties = parseProperties(value);
+    const placeholders = CloudManagerEnv.findPlaceholders(properties);
+    if (placeholders.length > 0 && this.parentProps.aemVersion !== 'cloud') {
+      throw new Error(chalk.red('Cloud Manager placeholders are only supported on AEM as a Cloud Service.'));
+    }
+
+    for (const reference of placeholders) {
+      const valid = CloudManagerEnv.validatePlaceholder(reference);
+      if (valid !== true) {
+        throw new Error(chalk.red(valid));
+      }
+    }
+
+    return properties;
+  }
+}
+
+_.extendWith(OsgiConfigGenerator.prototype, ConfigMixins, (objectValue, srcValue) => {
+  return _.isFunction(srcValue) ? srcValue : _.cloneDeep(srcValue);
+});
+
+export default OsgiConfigGenerator;
@@ -0,0 +1,309 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import path from 'node:path';
+
+import _ from 'lodash';
+import chalk from 'chalk';
+import { XMLParser } from 'fast-xml-parser';
+
+import Generator from 'yeoman-generator';
+
+import ModuleMixins from '../../lib/module-mixins.js';
+import PomUtils from '../../lib/pom-utils.js';
+import MavenUtils from '../../lib/maven-utils.js';
+import { generatorName as rootGeneratorName } from '../app/index.js';
+
+export const generatorName = '@adobe/generator-aem:outdated';
+
+// Sections of each pom in which versions are checked.
+const sections = Object.freeze([
+  { path: ['dependencies'], type: 'dependency' },
+  { path: ['dependencyManagement', 'dependencies'], type: 'dependency' },
+  { path: ['build', 'plugins'], type: 'plugin' },
+  { path: ['build', 'pluginManagement', 'plugins'], type: 'plugin' },
+]);
+
+const defaultPluginGroupId = 'org.apache.maven.plugins';
+
+class OutdatedGenerator extends Generator {
+  constructor(args, options, features) {
+    super(args, options, features);
+
+    _.forOwn(_.pick(ModuleMixins.moduleOptions, ['defaults', 'offline', 'settings', 'dryRun']), (v, k) => {
+      this.option(k, v);
+    });
+
+    this.option('apply', {
+      desc: 'Update the selected outdated versions in the poms.',
+    });
+
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: ModuleMixins._dryRun.bind(this) });
+    }
+
+    this.rootGeneratorName = function () {
+      return generatorName;
+    };
+  }
+
+  initializing() {
+    this._setDestinationRoot();
+
+    this.poms = {};
+    this.updates = [];
+    this._scanPom('.');
+    _.each(PomUtils.listParentPomModules(this, this.destinationPath()), (module) => {
+      this._scanPom(module);
+    });
+
+    return this._resolveLatest().then(() => {
+      this._report();
+    });
+  }
+
+  prompting() {
+    this.selected = this.updates;
+    if (!this.options.apply || this.options.defaults || this.updates.length === 0) {
+      return;
+    }
+
+    const prompts = [
+      {
+        name: 'updates',
+        message: 'Which versions should be updated?',
+        type: 'checkbox',
+        choices: _.map(this.updates, (update, idx) => ({ name: this._describe(update), value: idx, checked: true })),
+      },
+    ];
+
+    return this.prompt(prompts).then((answers) => {
+      this.selected = _.at(this.updates, answers.updates);
+    });
+  }
+
+  writing() {
+    if (!this.options.apply) {
+      return;
+    }
+
+    const changed = new Set();
+    _.each(this.selected, (update) => {
+      update.target[0]['#text'] = update.latest;
+      changed.add(update.pom);
+    });
+
+    for (const pom of changed) {
+      PomUtils.writePom(this, this.destinationPath(pom, 'pom.xml'), this.poms[pom]);
+    }
+  }
+
+  end() {
+    if (this.updates.length === 0) {
+      this.log(chalk.greenBright('\nAll versions are up to date.\n'));
+    } else if (this.options.apply) {
+      this.log(chalk.greenBright(`\nUpdated ${this.selected.length} of ${this.updates.length} outdated version(s).\n`));
+    } else {
+      this.log(chalk.yellow(`\nFound ${this.updates.length} outdated version(s); run with ${chalk.bold('--apply')} to update them.\n`));
+    }
+  }
+
+  /**
+   * Collects the versioned dependencies and plugins of the pom in the specified module folder.
+   *
+   * Versions which reference a property are tracked against that property, in the module's pom or the project's.
+   *
+   * @param {String} module the module folder, relative to the project root
+   * @private
+   */
+  _scanPom(module) {
+    const pomFile = this.destinationPath(module, 'pom.xml');
+    if (!this.fs.exists(pomFile)) {
+      return;
+    }
+
+    const parsed = new XMLParser(PomUtils.xmlOptions).parse(this.fs.read(pomFile));
+    const project = PomUtils.findPomNodeArray(parsed, 'project');
+    if (!project) {
+      return;
+    }
+
+    this.poms[module] = parsed;
+    _.each(sections, (section) => {
+      _.each(PomUtils.findPomNodeArray(project, ...section.path), (item) => {
+        const artifact = item[section.type];
+        if (!artifact) {
+          return;
+        }
+
+        const text = (name) => _.get(PomUtils.findPomNodeArray(artifact, name), [0, '#text']);
+        const coordinates = {
+          groupId: text('groupId') || (section.type === 'plugin' ? defaultPluginGroupId : undefined),
+          artifactId: text('artifactId'),
+        };
+        if (!coordinates.groupId || !coordinates.artifactId || `${coordinates.groupId}${coordinates.artifactId}`.includes('${')) {
+          return;
+        }
+
+        const version = PomUtils.findPomNodeArray(artifact, 'version');
+        if (version) {
+          this._track(module, coordinates, version);
+        }
+      });
+    });
+  }
+
+  /**
+   * Tracks the version location for the artifact.
+   *
+   * Ranges and expressions other than a single property reference are ignored, as are properties which are not defined in the project.
+   *
+   * @param {String} module the module folder of the pom referencing the artifact
+   * @param {Object} coordinates the artifact's coordinates
+   * @param {Array} version the version node
+   * @private
+   */
+  _track(module, coordinates, version) {
+    const value = `${version[0]['#text']}`;
+    const property = /^\${([^}]+)}$/.exec(value);
+    if (!property) {
+      if (!/[$[(]/.test(value)) {
+        this.updates.push({ pom: module, artifacts: [{ ...coordinates }], current: value, target: version });
+      }
+
+      return;
+    }
+
+    const pom = _.find([module, '.'], (candidate) => this._findProperty(candidate, property[1]));
+    if (pom === undefined) {
+      return;
+    }
+
+    const existing = _.find(this.updates, { pom, property: property[1] });
+    if (existing) {
+      existing.artifacts.push({ ...coordinates });
+      return;
+    }
+
+    const target = this._findProperty(pom, property[1]);
+    this.updates.push({ pom, property: property[1], artifacts: [{ ...coordinates }], current: `${target[0]['#text']}`, target });
+  }
+
+  /**
+   * Finds the property node in the properties of the pom in the specified module folder.
+   *
+   * @param {String} module the module folder
+   * @param {String} name the property name
+   * @return {undefined|Array} the property's node
+   * @private
+   */
+  _findProperty(module, name) {
+    const properties = PomUtils.findPomNodeArray(this.poms[module], 'project', 'properties');
+    const property = _.find(properties, (item) => _.has(item, name));
+    return property && property[name][0] && property[name][0]['#text'] !== undefined ? property[name] : undefined;
+  }
+
+  /**
+   * Resolves the latest release of each tracked artifact, and keeps only the outdated versions.
+   *
+   * Versions shared through a property are updated to the oldest of the artifacts' latest releases, so that all of them are available.
+   * Artifacts whose metadata cannot be resolved are reported and skipped.
+   *
+   * @return {Promise} resolved once all versions are known
+   * @private
+   */
+  _resolveLatest() {
+    const options = ModuleMixins._resolutionOptions.call(this, this.destinationPath());
+    const artifacts = _.uniqBy(_.flatMap(this.updates, 'artifacts'), (artifact) => `${artifact.groupId}:${artifact.artifactId}`);
+    const latest = {};
+    const resolve = (artifact) => {
+      const key = `${artifact.groupId}:${artifact.artifactId}`;
+      return MavenUtils.latestRelease(artifact, true, options)
+        .then((metadata) => {
+          const releases = _.filter(_.castArray(_.get(metadata, 'versions.version', [])), MavenUtils.isRelease);
+          latest[key] = releases.length > 0 ? `${_.last(releases.sort(MavenUtils.compareVersions))}` : `${metadata.version}`;
+        })
+        .catch(() => {
+          this.log(chalk.yellow(`Unable to resolve the latest release of ${key}, skipping.`));
+        });
+    };
+
+    return Promise.all(_.map(artifacts, resolve)).then(() => {
+      _.each(this.updates, (update) => {
+        const versions = _.compact(_.map(update.artifacts, (artifact) => latest[`${artifact.groupId}:${artifact.artifactId}`]));
+        update.latest = _.first(versions.sort(MavenUtils.compareVersions));
+      });
+      _.remove(this.updates, (update) => !update.latest || MavenUtils.compareVersions(update.latest, update.current) <= 0);
+    });
+  }
+
+  /**
+   * Logs the outdated versions.
+   *
+   * @private
+   */
+  _report() {
+    if (this.updates.length === 0) {
+      return;
+    }
+
+    this.log(chalk.bold('\nOutdated versions:\n'));
+    _.each(this.updates, (update) => {
+      this.log(`\t${this._describe(update)}`);
+    });
+    this.log('');
+  }
+
+  /**
+   * Describes the outdated version.
+   *
+   * @param {Object} update the outdated version
+   * @return {String} the description
+   * @private
+   */
+  _describe(update) {
+    const pom = path.join(update.pom, 'pom.xml');
+    const artifacts = _.map(update.artifacts, (artifact) => `${artifact.groupId}:${artifact.artifactId}`).join(', ');
+    const name = update.property ? `\${${update.property}} (${artifacts})` : artifacts;
+    return `${pom}: ${name} ${update.current} -> ${chalk.green(update.latest)}`;
+  }
+
+  /**
+   * Sets the destination root to the project root, allowing the check to be run from within a module.
+   *
+   * @private
+   */
+  _setDestinationRoot() {
+    let yorcFile = this.destinationPath('.yo-rc.json');
+    if (this.fs.exists(yorcFile) && this.fs.readJSON(yorcFile)[rootGeneratorName] !== undefined) {
+      return;
+    }
+
+    this.destinationRoot(path.dirname(this.destinationPath()));
+    yorcFile = this.destinationPath('.yo-rc.json');
+    if (!this.fs.exists(yorcFile) || this.fs.readJSON(yorcFile)[rootGeneratorName] === undefined) {
+      throw new Error(
+        chalk.red('Outdated Generator cannot be use outside existing project context.') +
+          '\n\n' +
+          'You are trying to check a project which was not created using ' +
+          chalk.yellow('yo @adobe/aem') +
+          '. Please run it from the project root, or one of its modules.'
+      );
+    }
+  }
+}
+
+export default OutdatedGenerator;
@@ -18,7 +18,7 @@ import path from 'node:path';
 
 import _ from 'lodash';
 import ejs from 'ejs';
-import { XMLBuilder, XMLParser } from 'fast-xml-parser';
+import { XMLParser } from 'fast-xml-parser';
 
 import Generator from 'yeoman-generator';
 import ModuleMixins from '../../lib/module-mixins.js';
@@ -29,6 +29,7 @@ import { generatorName as bundleGeneratorName } from '../bundle/index.js';
 import { generatorName as configGeneratorName } from '../package-config/index.js';
 import { generatorName as appsGeneratorName } from '../package-apps/index.js';
 import { generatorName as contentGeneratorName } from '../package-content/index.js';
+import { pluginContributions } from '../app/plugins.js';
 
 export const generatorName = '@adobe/generator-aem:package-all';
 const analyserCoordinates = {
@@ -45,6 +46,10 @@ class AllPackageGenerator extends Generator {
       this.option(k, v);
     });
 
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: this._dryRun.bind(this) });
+    }
+
     this.rootGeneratorName = function () {
       return generatorName;
     };
@@ -60,7 +65,8 @@ class AllPackageGenerator extends Generator {
 
   configuring() {
     if (this.parentProps.aemVersion === 'cloud') {
-      return MavenUtils.latestRelease(analyserCoordinates).then((metadata) => {
+      const options = { ...this._resolutionOptions(), pinned: this.props.analyserVersion };
+      return MavenUtils.latestRelease(analyserCoordinates, false, options).then((metadata) => {
         this.props.analyserVersion = metadata.version;
         this._configuring();
       });
@@ -90,7 +96,7 @@ class AllPackageGenerator extends Generator {
 
   _writeFilter() {
     const filter = {
-      src: this.templatePath('filter.xml'),
+      src: this._templatePath('filter.xml'),
       dest: this.destinationPath('src', 'main', 'content', 'META-INF', 'vault', 'filter.xml'),
     };
     this._writing([filter], { appId: this.props.appId });
@@ -106,7 +112,7 @@ class AllPackageGenerator extends Generator {
 
     tplProps.embeddeds = this._buildEmbeddeds();
 
-    const genPom = ejs.render(this.fs.read(this.templatePath('pom.xml')), tplProps);
+    const genPom = ejs.render(this.fs.read(this._templatePath('pom.xml')), tplProps);
 
     const pomFile = this.destinationPath('pom.xml');
     if (this.fs.exists(pomFile)) {
@@ -132,12 +138,22 @@ class AllPackageGenerator extends Generator {
         embeddeds.push({ artifactId: module.artifactId, type: 'zip' });
       });
     });
+
+    embeddeds.push(
+      ...pluginContributions(this, 'embeddeds', (embedded, props) => {
+        return {
+          artifactId: props.artifactId,
+          type: embedded.type,
+          classifier: embedded.classifier,
+          target: embedded.target && ejs.render(embedded.target, props),
+        };
+      })
+    );
     return embeddeds;
   }
 
   _mergeWritePom(genPom, existingFile) {
     const parser = new XMLParser(PomUtils.xmlOptions);
-    const builder = new XMLBuilder(PomUtils.xmlOptions);
     const parsedGenPom = parser.parse(genPom);
     const genProject = PomUtils.findPomNodeArray(parsedGenPom, 'project');
     const existingPom = PomUtils.findPomNodeArray(parser.parse(this.fs.read(existingFile)), 'project');
@@ -146,11 +162,12 @@ class AllPackageGenerator extends Generator {
     const existingEmbeddeds = this._findPluginEmbeddeds(PomUtils.findPomNodeArray(existingPom, 'build', 'plugins'));
     const genEmbeddeds = this._findPluginEmbeddeds(PomUtils.findPomNodeArray(genProject, 'build', 'plugins'));
     PomUtils.mergePomSection(genEmbeddeds, existingEmbeddeds, embeddedPredicate);
+    PomUtils.mergePlugins(PomUtils.findPomNodeArray(genProject, 'build', 'plugins'), PomUtils.findPomNodeArray(existingPom, 'build', 'plugins'));
 
     // Merge the dependencies
-    PomUtils.mergePomSection(PomUtils.findPomNodeArray(genProject, 'dependencies'), PomUtils.findPomNodeArray(existingPom, 'dependencies'), PomUtils.dependencyPredicate);
+    PomUtils.mergeDependencies(PomUtils.findPomNodeArray(genProject, 'dependencies'), PomUtils.findPomNodeArray(existingPom, 'dependencies'));
     PomUtils.mergePomSection(PomUtils.findPomNodeArray(genProject, 'profiles'), PomUtils.findPomNodeArray(existingPom, 'profiles'), PomUtils.profilePredicate);
-    this.fs.write(existingFile, PomUtils.fixXml(builder.build(parsedGenPom)));
+    PomUtils.writePom(this, existingFile, parsedGenPom);
   }
 
   _findPluginEmbeddeds(pluginList) {
@@ -172,23 +189,23 @@ class AllPackageGenerator extends Generator {
   }
 }
 
+/**
+ * Predicate for matching a FileVault embedded struct against a list of embeddeds.
+ *
+ * The GroupId, ArtifactId, type and classifier are used to make a match, as an Apps module can be embedded both as its package and its precompiled scripts.
+ *
+ * @param target the list to search
+ * @param embedded the embedded to find
+ * @return {boolean} if the embedded was found, or it wasn't an embedded struct
+ */
 export const embeddedPredicate = (target, embedded) => {
   if (!embedded.embedded) {
     return false;
   }
 
-  const groupId = PomUtils.findPomNodeArray(embedded.embedded, 'groupId')[0]['#text'];
-  const artifactId = PomUtils.findPomNodeArray(embedded.embedded, 'artifactId')[0]['#text'];
-
+  const key = PomUtils.artifactKey(embedded.embedded, '');
   return _.find(target, (item) => {
-    if (!item.embedded) {
-      return false;
-    }
-
-    const findGroupId = PomUtils.findPomNodeArray(item.embedded, 'groupId');
-    const findArtifactId = PomUtils.findPomNodeArray(item.embedded, 'artifactId');
-
-    return groupId === findGroupId[0]['#text'] && artifactId === findArtifactId[0]['#text'];
+    return item.embedded && PomUtils.artifactKey(item.embedded, '') === key;
   });
 };
 
@@ -21,7 +21,7 @@ import ejs from 'ejs';
 
 import Generator from 'yeoman-generator';
 
-import { XMLBuilder, XMLParser } from 'fast-xml-parser';
+import { XMLParser } from 'fast-xml-parser';
 import ModuleMixins from '../../lib/module-mixins.js';
 import { generatorName as bundleGeneratorName } from '../bundle/index.js';
 import { generatorName as frontendGeneratorName } from '../frontend-general/index.js';
@@ -65,6 +65,15 @@ class AppsPackageGenerator extends Generator {
       this.option(k, v);
     });
 
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: this._dryRun.bind(this) });
+    }
+
+    // Files which are expected to be customized once generated.
+    this.conflictPolicies = {
+      'src/main/content/jcr_root/apps/**/*.{html,js,css,less}': 'skip',
+    };
+
     this.rootGeneratorName = function () {
       return generatorName;
     };
@@ -231,10 +240,9 @@ class AppsPackageGenerator extends Generator {
 
   _writePom(tplProps) {
     const parser = new XMLParser(PomUtils.xmlOptions);
-    const builder = new XMLBuilder(PomUtils.xmlOptions);
 
     // Read the template and parse w/ properties.
-    const genPom = ejs.render(this.fs.read(this.templatePath('pom.xml')), tplProps);
+    const genPom = ejs.render(this.fs.read(this._templatePath('pom.xml')), tplProps);
     const parsedGenPom = parser.parse(genPom);
     const genProject = PomUtils.findPomNodeArray(parsedGenPom, 'project');
     const genDependencies = PomUtils.findPomNodeArray(genProject, 'dependencies');
@@ -245,11 +253,11 @@ class AppsPackageGenerator extends Generator {
       const existingPom = PomUtils.findPomNodeArray(parser.parse(this.fs.read(pomFile)), 'project');
 
       // Merge the different sections
-      PomUtils.mergePomSection(PomUtils.findPomNodeArray(genProject, 'build', 'plugins'), PomUtils.findPomNodeArray(existingPom, 'build', 'plugins'), PomUtils.pluginPredicate);
-      PomUtils.mergePomSection(genDependencies, PomUtils.findPomNodeArray(existingPom, 'dependencies'), PomUtils.dependencyPredicate);
+      PomUtils.mergePlugins(PomUtils.findPomNodeArray(genProject, 'build', 'plugins'), PomUtils.findPomNodeArray(existingPom, 'build', 'plugins'));
+      PomUtils.mergeDependencies(genDependencies, PomUtils.findPomNodeArray(existingPom, 'dependencies'));
     }
 
-    const addlDeps = parser.parse(this.fs.read(this.templatePath('partials', 'v6.5', 'dependencies.xml')))[0].dependencies;
+    const addlDeps = parser.parse(this.fs.read(this._templatePath('partials', 'v6.5', 'dependencies.xml')))[0].dependencies;
     if (this.parentProps.aemVersion === 'cloud') {
       addlDeps.push({
         dependency: [{ groupId: [{ '#text': 'com.adobe.aem' }] }, { artifactId: [{ '#text': 'uber-jar' }] }],
@@ -259,7 +267,7 @@ class AppsPackageGenerator extends Generator {
       PomUtils.addDependencies(genDependencies, addlDeps, tplProps.parent.aem);
     }
 
-    this.fs.write(pomFile, PomUtils.fixXml(builder.build(parsedGenPom)));
+    PomUtils.writePom(this, pomFile, parsedGenPom);
   }
 }
 
@@ -21,6 +21,7 @@ import ejs from 'ejs';
 
 import Generator from 'yeoman-generator';
 
+import CloudManagerEnv from '../../lib/cloudmanager-env.js';
 import ModuleMixins from '../../lib/module-mixins.js';
 import PomUtils from '../../lib/pom-utils.js';
 import { generatorName as bundleGeneratorName } from '../bundle/index.js';
@@ -35,10 +36,25 @@ class ConfigPackageGenerator extends Generator {
     features.customInstallTask = true;
     super(args, options, features);
 
+    _.defaults(this.moduleOptions, {
+      envPlaceholders: {
+        desc: 'Whether or not to set the log levels with Cloud Manager environment variables; AEM as a Cloud Service only.',
+      },
+    });
+
     _.forOwn(this.moduleOptions, (v, k) => {
       this.option(k, v);
     });
 
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: this._dryRun.bind(this) });
+    }
+
+    // Files which are expected to be customized once generated.
+    this.conflictPolicies = {
+      'src/main/content/jcr_root/apps/*/osgiconfig/**/*.cfg.json': 'json',
+    };
+
     this.rootGeneratorName = function () {
       return generatorName;
     };
@@ -46,10 +62,25 @@ class ConfigPackageGenerator extends Generator {
 
   initializing() {
     this._initializing();
+    if (this.parentProps.aemVersion !== 'cloud') {
+      delete this.options.envPlaceholders;
+    }
+
+    _.defaults(this.props, _.pick(this.options, ['envPlaceholders']));
   }
 
   prompting() {
-    return this._prompting();
+    const prompts = [
+      {
+        name: 'envPlaceholders',
+        message: 'Should the log levels be set with Cloud Manager environment variables?',
+        type: 'confirm',
+        when: this.parentProps.aemVersion === 'cloud' && this.props.envPlaceholders === undefined,
+        default: false,
+      },
+    ];
+
+    return this._prompting(prompts);
   }
 
   configuring() {
@@ -97,9 +128,15 @@ class ConfigPackageGenerator extends Generator {
       this._writing(this._listTemplates('content'), { appId: p.appId, name: p.name });
     });
     _.each(bundles, (b) => {
-      this._writing(this._listTemplates('loggers'), { appId: b.appId, loggerPackage: b.package });
+      const variable = `${_.toUpper(_.snakeCase(b.appId))}_LOG_LEVEL`;
+      const logLevel = (level) => (this.props.envPlaceholders ? CloudManagerEnv.placeholder('env', variable, level) : level);
+      this._writing(this._listTemplates('loggers'), { appId: b.appId, loggerPackage: b.package, logLevel });
     });
 
+    if (this.parentProps.aemVersion === 'cloud') {
+      CloudManagerEnv.writeManifest(this, '.');
+    }
+
     this._writePom();
     if (this.env.rootGenerator() === this) {
       PomUtils.addModuleToParent(this);
@@ -122,7 +159,7 @@ class ConfigPackageGenerator extends Generator {
     }
 
     // Read the template and parse w/ properties.
-    const genPom = ejs.render(this.fs.read(this.templatePath('pom.xml')), tplProps);
+    const genPom = ejs.render(this.fs.read(this._templatePath('pom.xml')), tplProps);
     const pomFile = this.destinationPath('pom.xml');
     this.fs.write(pomFile, genPom);
   }
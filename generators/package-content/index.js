@@ -17,7 +17,6 @@
 import path from 'node:path';
 
 import _ from 'lodash';
-import { globbySync } from 'globby';
 import { XMLBuilder, XMLParser } from 'fast-xml-parser';
 
 import Generator from 'yeoman-generator';
@@ -69,6 +68,15 @@ class ContentPackageGenerator extends Generator {
       this.option(k, v);
     });
 
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: this._dryRun.bind(this) });
+    }
+
+    // Files which are expected to be customized once generated.
+    this.conflictPolicies = {
+      'src/main/content/jcr_root/{conf,content}/**': 'skip',
+    };
+
     this.rootGeneratorName = function () {
       return generatorName;
     };
@@ -308,20 +316,14 @@ class ContentPackageGenerator extends Generator {
   }
 
   _addBlueprint(appModule, tplProps) {
-    const files = [];
-    const patterns = [this.templatePath('examples', 'msm', '**/*'), this.templatePath('examples', 'msm', '**/.*')];
-    const paths = globbySync(patterns, { onlyFiles: true });
-    _.each(paths, (file) => {
-      const appDir = path.join(path.dirname(this.destinationPath()), appModule.path);
-      const relative = path.relative(this.templatePath('examples', 'msm'), file);
-
-      files.push({
-        src: file,
-        dest: path.join(appDir, relative),
-      });
-
-      this._writing(files, tplProps);
+    const appDir = path.join(path.dirname(this.destinationPath()), appModule.path);
+    const files = _.map(this._listTemplates(path.join('examples', 'msm')), (file) => {
+      return {
+        src: file.src,
+        dest: path.join(appDir, path.relative(this.destinationPath(), file.dest)),
+      };
     });
+    this._writing(files, tplProps);
   }
 
   _updateAppsFilter(appModule) {
@@ -18,13 +18,14 @@ import path from 'node:path';
 
 import _ from 'lodash';
 import ejs from 'ejs';
-import { XMLBuilder, XMLParser } from 'fast-xml-parser';
+import { XMLParser } from 'fast-xml-parser';
 
 import Generator from 'yeoman-generator';
 
 import ModuleMixins from '../../lib/module-mixins.js';
 import PomUtils, { filevaultPlugin } from '../../lib/pom-utils.js';
 import { generatorName as parentGeneratorName } from '../app/index.js';
+import { pluginContributions } from '../app/plugins.js';
 
 export const generatorName = '@adobe/generator-aem:package-structure';
 
@@ -37,6 +38,10 @@ class StructurePackageGenerator extends Generator {
       this.option(k, v);
     });
 
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: this._dryRun.bind(this) });
+    }
+
     this.rootGeneratorName = function () {
       return generatorName;
     };
@@ -59,8 +64,8 @@ class StructurePackageGenerator extends Generator {
   }
 
   writing() {
-    this.fs.copy(this.templatePath('README.md'), this.destinationPath('README.md'));
-    this.fs.copy(this.templatePath('.yo-resolve'), this.destinationPath('.yo-resolve'));
+    this.fs.copy(this._templatePath('README.md'), this.destinationPath('README.md'));
+    this.fs.copy(this._templatePath('.yo-resolve'), this.destinationPath('.yo-resolve'));
 
     this._writePom();
     if (this.env.rootGenerator() === this) {
@@ -94,10 +99,11 @@ class StructurePackageGenerator extends Generator {
 
     const tplProps = _.pick(this.props, ['name', 'artifactId']);
     tplProps.appIds = [...appIds];
+    tplProps.filterRoots = pluginContributions(this, 'filterRoots', (root, props) => ejs.render(root, props));
     tplProps.parent = this.parentProps;
 
     // Read the template and parse w/ properties.
-    const genPom = ejs.render(this.fs.read(this.templatePath('pom.xml')), tplProps);
+    const genPom = ejs.render(this.fs.read(this._templatePath('pom.xml')), tplProps);
 
     const pomFile = this.destinationPath('pom.xml');
     if (this.fs.exists(pomFile)) {
@@ -109,7 +115,6 @@ class StructurePackageGenerator extends Generator {
 
   _mergeWritePom(genPom, existingFile) {
     const parser = new XMLParser(PomUtils.xmlOptions);
-    const builder = new XMLBuilder(PomUtils.xmlOptions);
     const parsedGenPom = parser.parse(genPom);
     const existingPlugin = PomUtils.findPomNodeArray(parser.parse(this.fs.read(existingFile)), 'project', 'build', 'plugins');
 
@@ -123,7 +128,8 @@ class StructurePackageGenerator extends Generator {
       return _.find(target, (targetFilter) => _.isEqual(filter, targetFilter)) !== undefined;
       /* eslint-enable unicorn/prefer-array-some */
     });
-    this.fs.write(existingFile, this._flattenFilters(PomUtils.fixXml(builder.build(parsedGenPom))));
+    PomUtils.mergePlugins(PomUtils.findPomNodeArray(parsedGenPom, 'project', 'build', 'plugins'), existingPlugin);
+    this.fs.write(existingFile, this._flattenFilters(PomUtils.buildPom(parsedGenPom, this.fs.read(existingFile))));
   }
 
   _findPluginFilters(pluginList) {
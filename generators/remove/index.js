@@ -0,0 +1,264 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import _ from 'lodash';
+import chalk from 'chalk';
+import { XMLParser } from 'fast-xml-parser';
+
+import Generator from 'yeoman-generator';
+
+import ModuleMixins from '../../lib/module-mixins.js';
+import PomUtils, { filevaultPlugin } from '../../lib/pom-utils.js';
+import { generatorName as rootGeneratorName } from '../app/index.js';
+import { generatorName as allGeneratorName } from '../package-all/index.js';
+import { generatorName as structureGeneratorName } from '../package-structure/index.js';
+import { generatorName as ccGeneratorName } from '../mixin-cc/index.js';
+
+export const generatorName = '@adobe/generator-aem:remove';
+
+const modulePrefix = `${rootGeneratorName}:`;
+const mixinPrefix = `${rootGeneratorName}:mixin-`;
+
+// Mixin configurations which reference modules by their folder.
+export const mixinReferences = Object.freeze({
+  [ccGeneratorName]: ['bundles', 'apps', 'contents'],
+});
+
+class RemoveGenerator extends Generator {
+  constructor(args, options, features) {
+    super(args, options, features);
+
+    this.argument('module', {
+      type: String,
+      required: true,
+      desc: 'Folder of the module to remove, relative to the project root.',
+    });
+
+    this.option('delete', {
+      desc: 'Also delete the module directory.',
+    });
+
+    this.option('dryRun', ModuleMixins.moduleOptions.dryRun);
+
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: ModuleMixins._dryRun.bind(this) });
+    }
+
+    this.rootGeneratorName = function () {
+      return generatorName;
+    };
+  }
+
+  initializing() {
+    this._setDestinationRoot();
+
+    this.module = path.normalize(this.options.module).replace(/[/\\]+$/, '');
+    if (!PomUtils.listParentPomModules(this, this.destinationPath()).includes(this.module)) {
+      throw new Error(chalk.red(`Module '${this.module}' is not part of this project.`));
+    }
+
+    this.props = { groupId: this.fs.readJSON(this.destinationPath('.yo-rc.json'))[rootGeneratorName].groupId };
+
+    const yorcFile = this.destinationPath(this.module, '.yo-rc.json');
+    if (this.fs.exists(yorcFile)) {
+      _.forOwn(this.fs.readJSON(yorcFile), (config, generator) => {
+        if (generator.startsWith(modulePrefix) && !generator.startsWith(mixinPrefix)) {
+          this.props.moduleType = generator;
+          _.defaults(this.props, _.pick(config, ['artifactId', 'appId']));
+        }
+      });
+    }
+
+    const pomFile = this.destinationPath(this.module, 'pom.xml');
+    if (!this.props.artifactId && this.fs.exists(pomFile)) {
+      this.props.artifactId = _.get(new XMLParser().parse(this.fs.read(pomFile)), 'project.artifactId');
+    }
+  }
+
+  writing() {
+    PomUtils.removeModuleFromParent(this, this.destinationPath(this.module));
+    this._removeEmbeddeds();
+    this._removeMixinReferences();
+    this._removeFilterRoots();
+  }
+
+  end() {
+    const dir = this.destinationPath(this.module);
+    if (this.options.delete && fs.existsSync(dir)) {
+      if (this.options.dryRun) {
+        this.log(chalk.yellow(`Dry run: directory ${this.module} would be deleted.`));
+      } else {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+
+    if (!this.options.dryRun) {
+      this.log(chalk.greenBright(`\nModule '${this.module}' removed from the project.\n`));
+    }
+  }
+
+  /**
+   * Removes the module's artifacts from the embeddeds and dependencies of all the Package All modules.
+   *
+   * @private
+   */
+  _removeEmbeddeds() {
+    if (!this.props.artifactId) {
+      return;
+    }
+
+    const parser = new XMLParser(PomUtils.xmlOptions);
+    const artifact = (node) => {
+      const groupId = PomUtils.findPomNodeArray(node, 'groupId');
+      const artifactId = PomUtils.findPomNodeArray(node, 'artifactId');
+      return groupId && artifactId && groupId[0]['#text'] === this.props.groupId && artifactId[0]['#text'] === this.props.artifactId;
+    };
+
+    _.each(this._findOtherModules(allGeneratorName), (module) => {
+      const pomFile = this.destinationPath(module.path, 'pom.xml');
+      if (!this.fs.exists(pomFile)) {
+        return;
+      }
+
+      const parsed = parser.parse(this.fs.read(pomFile));
+      const project = PomUtils.findPomNodeArray(parsed, 'project');
+      const embeddeds = PomUtils.findPomNodeArray(this._findFilevaultPlugin(project), 'configuration', 'embeddeds');
+      _.remove(embeddeds, (item) => item.embedded && artifact(item.embedded));
+      _.remove(PomUtils.findPomNodeArray(project, 'dependencies'), (item) => item.dependency && artifact(item.dependency));
+      PomUtils.writePom(this, pomFile, parsed);
+    });
+  }
+
+  /**
+   * Removes the module from the module lists of the project's mixin configurations.
+   *
+   * @private
+   */
+  _removeMixinReferences() {
+    const yorcFile = this.destinationPath('.yo-rc.json');
+    const yorc = this.fs.readJSON(yorcFile);
+    let changed = false;
+    _.forOwn(mixinReferences, (keys, mixin) => {
+      _.each(keys, (key) => {
+        const list = _.get(yorc, [mixin, key]);
+        if (_.includes(list, this.module)) {
+          _.pull(list, this.module);
+          changed = true;
+        }
+      });
+    });
+
+    if (changed) {
+      this.fs.writeJSON(yorcFile, yorc);
+    }
+  }
+
+  /**
+   * Removes the module's appId filter roots from the Structure Package modules, if no other module uses that appId.
+   *
+   * @private
+   */
+  _removeFilterRoots() {
+    if (!this.props.appId) {
+      return;
+    }
+
+    const modules = _.without(PomUtils.listParentPomModules(this, this.destinationPath()), this.module);
+    const shared = _.some(modules, (module) => {
+      const yorcFile = this.destinationPath(module, '.yo-rc.json');
+      if (!this.fs.exists(yorcFile)) {
+        return false;
+      }
+
+      return _.some(this.fs.readJSON(yorcFile), (config, generator) => generator.startsWith(modulePrefix) && config.appId === this.props.appId);
+    });
+    if (shared) {
+      return;
+    }
+
+    const parser = new XMLParser(PomUtils.xmlOptions);
+    const roots = new Set([`/apps/${this.props.appId}`, `/content/dam/${this.props.appId}`]);
+    _.each(this._findOtherModules(structureGeneratorName), (module) => {
+      const pomFile = this.destinationPath(module.path, 'pom.xml');
+      if (!this.fs.exists(pomFile)) {
+        return;
+      }
+
+      const parsed = parser.parse(this.fs.read(pomFile));
+      const filters = PomUtils.findPomNodeArray(this._findFilevaultPlugin(PomUtils.findPomNodeArray(parsed, 'project')), 'configuration', 'filters');
+      _.remove(filters, (item) => {
+        const root = item.filter && PomUtils.findPomNodeArray(item.filter, 'root');
+        return root !== undefined && roots.has(root[0]['#text']);
+      });
+      PomUtils.writePom(this, pomFile, parsed);
+    });
+  }
+
+  /**
+   * Finds the modules of the specified type, other than the one being removed.
+   *
+   * @param {String} type the module generator type
+   * @return {Array} the modules
+   * @private
+   */
+  _findOtherModules(type) {
+    return _.reject(ModuleMixins._findModules.call(this, type), { path: this.module });
+  }
+
+  /**
+   * Finds the FileVault plugin definition in the pom's build section.
+   *
+   * @param project the parsed project node
+   * @return {undefined|Array} the plugin node
+   * @private
+   */
+  _findFilevaultPlugin(project) {
+    const plugin = _.find(PomUtils.findPomNodeArray(project, 'build', 'plugins'), (item) => {
+      const artifactId = item.plugin && PomUtils.findPomNodeArray(item.plugin, 'artifactId');
+      return artifactId !== undefined && artifactId[0]['#text'] === filevaultPlugin;
+    });
+    return plugin ? plugin.plugin : undefined;
+  }
+
+  /**
+   * Sets the destination root to the project root, allowing the removal to be run from within a module.
+   *
+   * @private
+   */
+  _setDestinationRoot() {
+    let yorcFile = this.destinationPath('.yo-rc.json');
+    if (this.fs.exists(yorcFile) && this.fs.readJSON(yorcFile)[rootGeneratorName] !== undefined) {
+      return;
+    }
+
+    this.destinationRoot(path.dirname(this.destinationPath()));
+    yorcFile = this.destinationPath('.yo-rc.json');
+    if (!this.fs.exists(yorcFile) || this.fs.readJSON(yorcFile)[rootGeneratorName] === undefined) {
+      throw new Error(
+        chalk.red('Remove Generator cannot be use outside existing project context.') +
+          '\n\n' +
+          'You are trying to remove a module from a project which was not created using ' +
+          chalk.yellow('yo @adobe/aem') +
+          '. Please run it from the project root, or one of its modules.'
+      );
+    }
+  }
+}
+
+export default RemoveGenerator;
@@ -0,0 +1,284 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import _ from 'lodash';
+import chalk from 'chalk';
+import { XMLParser } from 'fast-xml-parser';
+
+import Generator from 'yeoman-generator';
+
+import ModuleMixins from '../../lib/module-mixins.js';
+import PomUtils from '../../lib/pom-utils.js';
+import { generatorName as rootGeneratorName } from '../app/index.js';
+import { generatorName as appsGeneratorName } from '../package-apps/index.js';
+import { generatorName as contentGeneratorName } from '../package-content/index.js';
+import { mixinReferences } from '../remove/index.js';
+
+export const generatorName = '@adobe/generator-aem:rename';
+
+const modulePrefix = `${rootGeneratorName}:`;
+const mixinPrefix = `${rootGeneratorName}:mixin-`;
+
+// Module configurations which reference other modules by their artifactId.
+const moduleReferences = Object.freeze({
+  [appsGeneratorName]: ['bundle', 'frontend', 'structure'],
+  [contentGeneratorName]: ['bundle', 'apps'],
+});
+
+class RenameGenerator extends Generator {
+  constructor(args, options, features) {
+    super(args, options, features);
+
+    this.argument('module', {
+      type: String,
+      required: true,
+      desc: 'Folder of the module to rename, relative to the project root.',
+    });
+
+    this.argument('name', {
+      type: String,
+      required: true,
+      desc: 'New folder name of the module.',
+    });
+
+    this.option('artifactId', {
+      type: String,
+      desc: 'New artifactId of the module; defaults to the project artifactId and new name, if the module follows that convention.',
+    });
+
+    this.option('dryRun', ModuleMixins.moduleOptions.dryRun);
+
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: ModuleMixins._dryRun.bind(this) });
+    }
+
+    this.rootGeneratorName = function () {
+      return generatorName;
+    };
+  }
+
+  initializing() {
+    this._setDestinationRoot();
+
+    this.module = this.options.module.replace(/[/\\]+$/, '');
+    this.newName = this.options.name.replace(/[/\\]+$/, '');
+
+    this.modules = PomUtils.listParentPomModules(this, this.destinationPath());
+    if (!this.modules.includes(this.module)) {
+      throw new Error(chalk.red(`Module '${this.module}' is not part of this project.`));
+    }
+
+    if (path.basename(this.newName) !== this.newName) {
+      throw new Error(chalk.red(`Module name '${this.newName}' must be a single folder name.`));
+    }
+
+    if (this.modules.includes(this.newName) || fs.existsSync(this.destinationPath(this.newName))) {
+      throw new Error(chalk.red(`Module '${this.newName}' already exists.`));
+    }
+
+    const parentProps = this.fs.readJSON(this.destinationPath('.yo-rc.json'))[rootGeneratorName];
+    this.props = { groupId: parentProps.groupId };
+
+    const pomFile = this.destinationPath(this.module, 'pom.xml');
+    if (this.fs.exists(pomFile)) {
+      this.props.artifactId = _.get(new XMLParser().parse(this.fs.read(pomFile)), 'project.artifactId');
+    }
+
+    if (this.options.artifactId) {
+      this.props.newArtifactId = this.options.artifactId;
+    } else if (this.props.artifactId === `${parentProps.artifactId}.${this.module}`) {
+      this.props.newArtifactId = `${parentProps.artifactId}.${this.newName}`;
+    } else {
+      this.props.newArtifactId = this.props.artifactId;
+    }
+  }
+
+  writing() {
+    this._renameInParent();
+    this._rewriteConfigs();
+    if (this.props.artifactId && this.props.newArtifactId !== this.props.artifactId) {
+      this._rewritePoms();
+    }
+  }
+
+  end() {
+    const dir = this.destinationPath(this.module);
+    if (fs.existsSync(dir)) {
+      if (this.options.dryRun) {
+        this.log(chalk.yellow(`Dry run: directory ${this.module} would be moved to ${this.newName}.`));
+        return;
+      }
+
+      fs.renameSync(dir, this.destinationPath(this.newName));
+    }
+
+    this.log(chalk.greenBright(`\nModule '${this.module}' renamed to '${this.newName}'.\n`));
+  }
+
+  /**
+   * Replaces the module's entry in the parent pom, keeping its position in the build order.
+   *
+   * @private
+   */
+  _renameInParent() {
+    const parser = new XMLParser(PomUtils.xmlOptions);
+    const pomFile = this.destinationPath('pom.xml');
+    const parsed = parser.parse(this.fs.read(pomFile));
+    const found = _.find(PomUtils.findPomNodeArray(parsed, 'project', 'modules'), (item) => item.module && item.module[0]['#text'] === this.module);
+    found.module[0]['#text'] = this.newName;
+    PomUtils.writePom(this, pomFile, parsed);
+  }
+
+  /**
+   * Updates the module's artifactId and any references to it in the project's Yeoman configurations.
+   *
+   * @private
+   */
+  _rewriteConfigs() {
+    const rootFile = this.destinationPath('.yo-rc.json');
+    const root = this.fs.readJSON(rootFile);
+    let changed = false;
+    _.forOwn(mixinReferences, (keys, mixin) => {
+      _.each(keys, (key) => {
+        const list = _.get(root, [mixin, key]);
+        const idx = _.indexOf(list, this.module);
+        if (idx !== -1) {
+          list[idx] = this.newName;
+          changed = true;
+        }
+      });
+    });
+
+    if (changed) {
+      this.fs.writeJSON(rootFile, root);
+    }
+
+    if (this.props.newArtifactId === this.props.artifactId) {
+      return;
+    }
+
+    _.each(this.modules, (module) => {
+      const yorcFile = this.destinationPath(module, '.yo-rc.json');
+      if (!this.fs.exists(yorcFile)) {
+        return;
+      }
+
+      const yorc = this.fs.readJSON(yorcFile);
+      changed = false;
+      _.forOwn(yorc, (config, generator) => {
+        if (!generator.startsWith(modulePrefix) || generator.startsWith(mixinPrefix)) {
+          return;
+        }
+
+        const keys = module === this.module ? ['artifactId'] : moduleReferences[generator];
+        _.each(keys, (key) => {
+          if (config[key] === this.props.artifactId) {
+            config[key] = this.props.newArtifactId;
+            changed = true;
+          }
+        });
+      });
+
+      if (changed) {
+        this.fs.writeJSON(yorcFile, yorc);
+      }
+    });
+
+    // Front End modules use the artifactId as their NPM package name.
+    const pkgFile = this.destinationPath(this.module, 'package.json');
+    if (this.fs.exists(pkgFile) && this.fs.readJSON(pkgFile).name === this.props.artifactId) {
+      this.fs.extendJSON(pkgFile, { name: this.props.newArtifactId });
+    }
+  }
+
+  /**
+   * Updates the module's artifactId in its pom and every reference to it in the project's poms; e.g. dependencies and embeddeds.
+   *
+   * @private
+   */
+  _rewritePoms() {
+    const parser = new XMLParser(PomUtils.xmlOptions);
+    const groupIds = new Set([this.props.groupId, '${project.groupId}']); // eslint-disable-line no-template-curly-in-string
+
+    // Finds all elements with a matching GA, at any depth.
+    const rewrite = (nodes) => {
+      let changed = false;
+      const groupId = PomUtils.findPomNodeArray(nodes, 'groupId');
+      const artifactId = PomUtils.findPomNodeArray(nodes, 'artifactId');
+      if (groupId && artifactId && groupIds.has(groupId[0]['#text']) && artifactId[0]['#text'] === this.props.artifactId) {
+        artifactId[0]['#text'] = this.props.newArtifactId;
+        changed = true;
+      }
+
+      _.each(nodes, (node) => {
+        _.forOwn(node, (children, key) => {
+          if (!key.startsWith('#') && !key.startsWith(':@') && Array.isArray(children)) {
+            changed = rewrite(children) || changed;
+          }
+        });
+      });
+      return changed;
+    };
+
+    const pomFiles = [this.destinationPath('pom.xml'), ..._.map(this.modules, (module) => this.destinationPath(module, 'pom.xml'))];
+    _.each(pomFiles, (pomFile) => {
+      if (!this.fs.exists(pomFile)) {
+        return;
+      }
+
+      const parsed = parser.parse(this.fs.read(pomFile));
+      const project = PomUtils.findPomNodeArray(parsed, 'project');
+      let changed = rewrite(project);
+      if (pomFile === this.destinationPath(this.module, 'pom.xml')) {
+        PomUtils.findPomNodeArray(project, 'artifactId')[0]['#text'] = this.props.newArtifactId;
+        changed = true;
+      }
+
+      if (changed) {
+        PomUtils.writePom(this, pomFile, parsed);
+      }
+    });
+  }
+
+  /**
+   * Sets the destination root to the project root, allowing the rename to be run from within a module.
+   *
+   * @private
+   */
+  _setDestinationRoot() {
+    let yorcFile = this.destinationPath('.yo-rc.json');
+    if (this.fs.exists(yorcFile) && this.fs.readJSON(yorcFile)[rootGeneratorName] !== undefined) {
+      return;
+    }
+
+    this.destinationRoot(path.dirname(this.destinationPath()));
+    yorcFile = this.destinationPath('.yo-rc.json');
+    if (!this.fs.exists(yorcFile) || this.fs.readJSON(yorcFile)[rootGeneratorName] === undefined) {
+      throw new Error(
+        chalk.red('Rename Generator cannot be use outside existing project context.') +
+          '\n\n' +
+          'You are trying to rename a module in a project which was not created using ' +
+          chalk.yellow('yo @adobe/aem') +
+          '. Please run it from the project root, or one of its modules.'
+      );
+    }
+  }
+}
+
+export default RenameGenerator;
@@ -0,0 +1,357 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import _ from 'lodash';
+import chalk from 'chalk';
+import yaml from 'js-yaml';
+
+import Generator from 'yeoman-generator';
+
+import ModuleMixins from '../../lib/module-mixins.js';
+import ConfigMixins from '../../lib/config-mixins.js';
+import { generatorName as bundleGeneratorName } from '../bundle/index.js';
+
+export const generatorName = '@adobe/generator-aem:repoinit';
+
+const repoInitPid = 'org.apache.sling.jcr.repoinit.RepositoryInitializer';
+const mapperPid = 'org.apache.sling.serviceusermapping.impl.ServiceUserMapperImpl.amended';
+
+const principalRegex = /^[\w.@-]+$/;
+const pathRegex = /^\/\S*$/;
+const aclRegex = /^(allow|deny)\s+([\w:]+(?:\s*,\s*[\w:]+)*)\s+on\s+(\/\S*(?:\s*,\s*\/\S*)*)((?:\s+restriction\([^)]*\))*)(?:\s+for\s+([\w.@-]+(?:\s*,\s*[\w.@-]+)*))?$/;
+
+const splitList = (value, separator = /\s*,\s*/) => (_.isArray(value) ? _.compact(value) : _.compact(_.split(_.trim(value), separator)));
+
+const normalize = (line) => _.trim(line).replace(/\s+/g, ' ');
+
+/**
+ * Parses an ACL entry, e.g. `allow jcr:read,rep:write on /content/mysite restriction(rep:glob,*) for mysite-editors`.
+ *
+ * @param {String} entry the ACL entry
+ * @param {String} principal the principal the entry is for, when it has no `for` clause
+ * @return {{action: String, privileges: String[], paths: String[], restrictions: String, principals: String[]}} the parsed entry
+ */
+export const parseAcl = (entry, principal) => {
+  const match = aclRegex.exec(normalize(entry));
+  if (!match) {
+    throw new Error(chalk.red(`Invalid ACL entry: '${entry}'.`) + '\n\nExpected: allow|deny <privileges> on <paths> [restriction(...)] for <principals>.');
+  }
+
+  const principals = match[5] ? splitList(match[5]) : _.compact([principal]);
+  if (principals.length === 0) {
+    throw new Error(chalk.red(`ACL entry has no principal: '${entry}'.`));
+  }
+
+  return { action: match[1], privileges: splitList(match[2]), paths: splitList(match[3]), restrictions: match[4], principals };
+};
+
+/**
+ * Normalizes a RepoInit specification, as read from a YAML or JSON file, or built from the options.
+ *
+ * Service users and groups may be names, or objects with a `name`, an optional `path`, and `acls` entries without a `for` clause; service users may also have a `subservice` name.
+ *
+ * @param {Object} spec the specification, with `paths`, `serviceUsers`, `groups` and `acls` lists
+ * @param {String} appId the application ID, used for the default path of the service users
+ * @return {Object} the normalized specification
+ */
+export const normalizeSpec = (spec, appId) => {
+  const principal = (item, defaults = {}) => {
+    const value = _.isString(item) ? { name: item } : { ...item };
+    if (!principalRegex.test(value.name)) {
+      throw new Error(chalk.red(`Invalid principal name: '${value.name}'.`));
+    }
+
+    return { ...defaults, ...value, acls: _.map(value.acls, (acl) => parseAcl(acl, value.name)) };
+  };
+
+  const paths = splitList(spec.paths);
+  const invalid = _.reject(paths, (p) => pathRegex.test(p));
+  if (invalid.length > 0) {
+    throw new Error(chalk.red(`Paths must be absolute: ${invalid.join(', ')}.`));
+  }
+
+  const serviceUsers = _.map(splitList(spec.serviceUsers), (user) => principal(user, { path: `system/cq:services/${appId}`, subservice: _.get(user, 'name', user) }));
+  const groups = _.map(splitList(spec.groups), (group) => principal(group));
+  const acls = _.map(splitList(spec.acls, /\s*;\s*/), (acl) => parseAcl(acl));
+  return { paths, serviceUsers, groups, acls };
+};
+
+/**
+ * Builds the RepoInit script of a specification, one statement or block line per entry.
+ *
+ * @param {Object} spec the normalized specification
+ * @return {String[]} the script lines
+ */
+export const buildScript = (spec) => {
+  const lines = _.map(spec.paths, (p) => `create path ${p}`);
+  for (const user of spec.serviceUsers) {
+    lines.push(`create service user ${user.name}${user.path ? ` with path ${user.path}` : ''}`);
+  }
+
+  for (const group of spec.groups) {
+    lines.push(`create group ${group.name}${group.path ? ` with path ${group.path}` : ''}`);
+  }
+
+  const entries = {};
+  for (const acl of [..._.flatMap(spec.serviceUsers, 'acls'), ..._.flatMap(spec.groups, 'acls'), ...spec.acls]) {
+    for (const principal of acl.principals) {
+      entries[principal] = entries[principal] || [];
+      entries[principal].push(`    ${acl.action} ${acl.privileges.join(',')} on ${acl.paths.join(',')}${acl.restrictions}`);
+    }
+  }
+
+  _.forOwn(entries, (list, principal) => {
+    lines.push(`set ACL for ${principal}`, ..._.uniq(list), 'end');
+  });
+  return lines;
+};
+
+/**
+ * Splits script lines into statements; `set ...` blocks are grouped with their lines, up to the closing `end`.
+ *
+ * @param {String[]} lines the script lines
+ * @return {Object[]} the statements, with their `head`, and the `body` and `end` of blocks
+ * @private
+ */
+const parseStatements = (lines) => {
+  const statements = [];
+  let block;
+  for (const line of lines) {
+    const text = normalize(line);
+    if (block) {
+      if (text === 'end') {
+        block.end = line;
+        block = undefined;
+      } else {
+        block.body.push(line);
+      }
+    } else if (text.startsWith('set ') && !_.trim(line).includes('\n')) {
+      block = { head: line, body: [] };
+      statements.push(block);
+    } else {
+      statements.push({ head: line });
+    }
+  }
+
+  return statements;
+};
+
+/**
+ * Merges script lines into an existing script: statements are added unless already present, and new lines are added to the existing blocks with the same head.
+ *
+ * @param {String[]} existing the existing script lines
+ * @param {String[]} additions the script lines to add
+ * @return {String[]} the merged script lines
+ */
+export const mergeScripts = (existing, additions) => {
+  const statements = parseStatements(existing);
+  for (const statement of parseStatements(additions)) {
+    const match = _.find(statements, (s) => normalize(s.head) === normalize(statement.head) && _.isArray(s.body) === _.isArray(statement.body));
+    if (!match) {
+      statements.push(statement);
+    } else if (statement.body) {
+      const present = new Set(_.map(match.body, normalize));
+      match.body.push(..._.reject(statement.body, (line) => present.has(normalize(line))));
+    }
+  }
+
+  return _.flatMap(statements, (s) => (s.body ? [s.head, ...s.body, s.end || 'end'] : [s.head]));
+};
+
+/**
+ * Merges service user mappings, replacing existing mappings of the same service and subservice.
+ *
+ * @param {String[]} existing the existing mappings
+ * @param {String[]} additions the mappings to add, `<bundle symbolic name>:<subservice>=[<service user>]`
+ * @return {String[]} the merged mappings
+ */
+export const mergeMappings = (existing, additions) => {
+  const key = (mapping) => _.trim(mapping.split('=')[0]);
+  const merged = _.map(existing, (mapping) => _.find(additions, (m) => key(m) === key(mapping)) || mapping);
+  return [...merged, ..._.reject(additions, (m) => _.some(merged, (mapping) => key(mapping) === key(m)))];
+};
+
+class RepoInitGenerator extends Generator {
+  constructor(args, options, features) {
+    super(args, options, features);
+
+    _.forOwn(ConfigMixins.configOptions, (v, k) => {
+      this.option(k, v);
+    });
+
+    this.option('spec', {
+      type: String,
+      desc: 'YAML or JSON file listing the paths, serviceUsers, groups and acls to add; relative to the current directory.',
+    });
+
+    this.option('paths', {
+      type: String,
+      desc: 'Comma separated list of paths to create, optionally with their node types (e.g. "/conf/mysite/settings(sling:Folder)").',
+    });
+
+    this.option('serviceUsers', {
+      type: String,
+      desc: 'Comma separated list of service users to create.',
+    });
+
+    this.option('groups', {
+      type: String,
+      desc: 'Comma separated list of groups to create.',
+    });
+
+    this.option('acls', {
+      type: String,
+      desc: 'Semicolon separated list of ACL entries, as "allow|deny <privileges> on <paths> for <principals>" (e.g. "allow jcr:read on /content/mysite for mysite-reader").',
+    });
+
+    this.option('bundle', {
+      type: String,
+      desc: 'Folder or artifactId of the bundle module the service users are mapped for; defaults to the only one in the project.',
+    });
+
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: ModuleMixins._dryRun.bind(this) });
+    }
+
+    this.rootGeneratorName = function () {
+      return generatorName;
+    };
+  }
+
+  initializing() {
+    const specFile = this.options.spec ? path.resolve(this.destinationPath(), this.options.spec) : undefined;
+    this._initConfigPackage();
+    this._initBundles();
+
+    if (specFile) {
+      this.props = this._readSpec(specFile);
+    } else {
+      this.props = _.pick(this.options, ['paths', 'serviceUsers', 'groups', 'acls']);
+      if (this.options.defaults) {
+        _.defaults(this.props, { paths: [], serviceUsers: [], groups: [], acls: [] });
+      }
+    }
+
+    if (this.options.defaults && !this.bundle && this.bundles.length > 1 && splitList(this.props.serviceUsers).length > 0) {
+      throw new Error(chalk.red('More than one bundle module found, specify one with the bundle option.'));
+    }
+  }
+
+  prompting() {
+    const prompts = [
+      this._configPackagePrompt(),
+      {
+        name: 'paths',
+        message: 'Which paths should be created? (Comma separated list, optionally with their node types, e.g. "/conf/mysite/settings(sling:Folder)".)',
+        when: this.props.paths === undefined,
+      },
+      {
+        name: 'serviceUsers',
+        message: 'Which service users should be created? (Comma separated list.)',
+        when: this.props.serviceUsers === undefined,
+      },
+      {
+        name: 'groups',
+        message: 'Which groups should be created? (Comma separated list.)',
+        when: this.props.groups === undefined,
+      },
+      {
+        name: 'acls',
+        message: 'Which ACL entries should be set? (Semicolon separated list, e.g. "allow jcr:read on /content/mysite for mysite-reader".)',
+        when: this.props.acls === undefined,
+      },
+      {
+        name: 'bundle',
+        message: 'Which bundle module are the service users used by?',
+        type: 'list',
+        choices: _.map(this.bundles, 'path'),
+        when: (answers) => this.bundle === undefined && this.bundles.length > 1 && splitList(this.props.serviceUsers || answers.serviceUsers).length > 0,
+      },
+    ];
+
+    return this.prompt(prompts).then((answers) => {
+      if (answers.module) {
+        this.module = _.find(this.modules, { path: answers.module });
+      }
+
+      if (answers.bundle) {
+        this.bundle = _.find(this.bundles, { path: answers.bundle });
+      }
+
+      _.defaults(this.props, _.omit(answers, ['module', 'bundle']));
+      this.spec = normalizeSpec(this.props, this.module.appId);
+      if (this.spec.serviceUsers.length > 0 && this.bundles.length === 0) {
+        this.log(chalk.yellow('No bundle module found in this project, service user mappings are not written.'));
+      }
+    });
+  }
+
+  writing() {
+    const repoInitFile = this._osgiConfigPath('', `${repoInitPid}~${this.module.appId}`);
+    const repoInit = this.fs.readJSON(this.destinationPath(repoInitFile), {});
+    this.writeDestinationJSON(repoInitFile, { ...repoInit, scripts: mergeScripts(repoInit.scripts || [], buildScript(this.spec)) });
+
+    if (this.bundle && this.spec.serviceUsers.length > 0) {
+      const symbolicName = `${this.parentProps.groupId}.${this.bundle.artifactId}`;
+      const mapperFile = this._osgiConfigPath('', `${mapperPid}~${this.module.appId}`);
+      const mapper = this.fs.readJSON(this.destinationPath(mapperFile), {});
+      const mappings = _.map(this.spec.serviceUsers, (user) => `${symbolicName}:${user.subservice}=[${user.name}]`);
+      this.writeDestinationJSON(mapperFile, { ...mapper, 'user.mapping': mergeMappings(mapper['user.mapping'] || [], mappings) });
+    }
+  }
+
+  end() {
+    if (!this.options.dryRun) {
+      this.log(chalk.greenBright(`\nRepoInit script of '${this.module.path}' updated.\n`));
+    }
+  }
+
+  /**
+   * Finds the bundle modules, for the service user mappings.
+   *
+   * @private
+   */
+  _initBundles() {
+    this.bundles = ModuleMixins._findModules.call(this, bundleGeneratorName);
+    this.bundle = ModuleMixins._selectModule.call(this, this.bundles, this.options.bundle, 'Bundle module');
+  }
+
+  /**
+   * Reads the specification file, as YAML if it has a `.yml` or `.yaml` extension, otherwise as JSON.
+   *
+   * @param {String} file the specification file
+   * @return {Object} the specification
+   * @private
+   */
+  _readSpec(file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(chalk.red(`Specification file not found: '${file}'.`));
+    }
+
+    const content = fs.readFileSync(file, { encoding: 'utf8' });
+    const spec = ['.yml', '.yaml'].includes(path.extname(file).toLowerCase()) ? yaml.load(content) : JSON.parse(content);
+    return _.defaults(_.pick(spec, ['paths', 'serviceUsers', 'groups', 'acls']), { paths: [], serviceUsers: [], groups: [], acls: [] });
+  }
+}
+
+_.extendWith(RepoInitGenerator.prototype, ConfigMixins, (objectValue, srcValue) => {
+  return _.isFunction(srcValue) ? srcValue : _.cloneDeep(srcValue);
+});
+
+export default RepoInitGenerator;
@@ -18,7 +18,7 @@ import path from 'node:path';
 
 import _ from 'lodash';
 import ejs from 'ejs';
-import { XMLBuilder, XMLParser } from 'fast-xml-parser';
+import { XMLParser } from 'fast-xml-parser';
 
 import Generator from 'yeoman-generator';
 import ModuleMixins from '../../lib/module-mixins.js';
@@ -62,6 +62,15 @@ class IntegrationTestsGenerator extends Generator {
       this.option(k, v);
     });
 
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: this._dryRun.bind(this) });
+    }
+
+    // Files which are expected to be customized once generated.
+    this.conflictPolicies = {
+      'src/main/java/**': 'skip',
+    };
+
     this.rootGeneratorName = function () {
       return generatorName;
     };
@@ -137,7 +146,7 @@ class IntegrationTestsGenerator extends Generator {
   }
 
   writing() {
-    return MavenUtils.latestRelease(testClientCoordinates(this.parentProps.aemVersion)).then((clientMetadata) => {
+    return MavenUtils.latestRelease(testClientCoordinates(this.parentProps.aemVersion), false, this._resolutionOptions()).then((clientMetadata) => {
       this.props.testingClient = clientMetadata;
 
       const files = [];
@@ -173,7 +182,7 @@ class IntegrationTestsGenerator extends Generator {
     tplProps.parent = this.parentProps;
 
     // Read the template and parse w/ properties.
-    const genPom = ejs.render(this.fs.read(this.templatePath('pom.xml')), tplProps);
+    const genPom = ejs.render(this.fs.read(this._templatePath('pom.xml')), tplProps);
 
     const pomFile = this.destinationPath('pom.xml');
     if (this.fs.exists(pomFile)) {
@@ -185,7 +194,6 @@ class IntegrationTestsGenerator extends Generator {
 
   _mergeWritePom(genPom, existingFile) {
     const parser = new XMLParser(PomUtils.xmlOptions);
-    const builder = new XMLBuilder(PomUtils.xmlOptions);
     const parsedGenPom = parser.parse(genPom);
     const genProject = PomUtils.findPomNodeArray(parsedGenPom, 'project');
     const existingPom = PomUtils.findPomNodeArray(parser.parse(this.fs.read(existingFile)), 'project');
@@ -193,12 +201,12 @@ class IntegrationTestsGenerator extends Generator {
     // Merge the different sections
     PomUtils.mergePomSection(PomUtils.findPomNodeArray(genProject, 'properties'), PomUtils.findPomNodeArray(existingPom, 'properties'), PomUtils.propertyPredicate);
 
-    PomUtils.mergePomSection(PomUtils.findPomNodeArray(genProject, 'build', 'plugins'), PomUtils.findPomNodeArray(existingPom, 'build', 'plugins'), PomUtils.pluginPredicate);
+    PomUtils.mergePlugins(PomUtils.findPomNodeArray(genProject, 'build', 'plugins'), PomUtils.findPomNodeArray(existingPom, 'build', 'plugins'));
 
     PomUtils.mergePomSection(PomUtils.findPomNodeArray(genProject, 'profiles'), PomUtils.findPomNodeArray(existingPom, 'profiles'), PomUtils.profilePredicate);
 
-    PomUtils.mergePomSection(PomUtils.findPomNodeArray(genProject, 'dependencies'), PomUtils.findPomNodeArray(existingPom, 'dependencies'), PomUtils.dependencyPredicate);
-    this.fs.write(existingFile, PomUtils.fixXml(builder.build(parsedGenPom)));
+    PomUtils.mergeDependencies(PomUtils.findPomNodeArray(genProject, 'dependencies'), PomUtils.findPomNodeArray(existingPom, 'dependencies'));
+    PomUtils.writePom(this, existingFile, parsedGenPom);
   }
 }
 
@@ -36,6 +36,15 @@ class UITestsGenerator extends Generator {
       this.option(k, v);
     });
 
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: this._dryRun.bind(this) });
+    }
+
+    // Files which are expected to be customized once generated.
+    this.conflictPolicies = {
+      'test-module/specs/**': 'skip',
+    };
+
     this.rootGeneratorName = function () {
       return generatorName;
     };
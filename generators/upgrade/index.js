@@ -0,0 +1,216 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import _ from 'lodash';
+import chalk from 'chalk';
+import ejs from 'ejs';
+import { globbySync } from 'globby';
+
+import Generator from 'yeoman-generator';
+
+import ModuleMixins from '../../lib/module-mixins.js';
+import AEMGenerator, { generatorName as rootGeneratorName } from '../app/index.js';
+import { CloudJavaVersions } from '../app/java-versions.js';
+import { generatorName as dispatcherGeneratorName } from '../dispatcher/index.js';
+import { generatorName as testsUiGeneratorName } from '../tests-ui/index.js';
+import { generatorName as appsGeneratorName } from '../package-apps/index.js';
+import { generatorName as configGeneratorName } from '../package-config/index.js';
+import { generatorName as contentGeneratorName } from '../package-content/index.js';
+
+const filename = fileURLToPath(import.meta.url);
+const dirname = path.dirname(filename);
+
+export const generatorName = '@adobe/generator-aem:upgrade';
+
+// Template folders used by each module type, for 6.5 and Cloud Service respectively.
+const layouts = Object.freeze([
+  { type: dispatcherGeneratorName, templates: path.join(dirname, '..', 'dispatcher', 'templates'), from: 'ams', to: 'cloud' },
+  { type: dispatcherGeneratorName, templates: path.join(dirname, '..', 'dispatcher', 'templates', 'symlinks'), from: 'ams', to: 'cloud' },
+  { type: testsUiGeneratorName, templates: path.join(dirname, '..', 'tests-ui', 'templates'), from: 'v6.5', to: 'cloud' },
+]);
+
+const filterFile = ['src', 'main', 'content', 'META-INF', 'vault', 'filter.xml'];
+
+class UpgradeGenerator extends Generator {
+  constructor(args, options, features) {
+    super(args, options, features);
+
+    _.forOwn(_.pick(ModuleMixins.moduleOptions, ['showBuildOutput', 'offline', 'settings', 'dryRun']), (v, k) => {
+      this.option(k, v);
+    });
+
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: ModuleMixins._dryRun.bind(this) });
+    }
+
+    this.rootGeneratorName = function () {
+      return generatorName;
+    };
+  }
+
+  initializing() {
+    const yorcFile = this.destinationPath('.yo-rc.json');
+    const yorc = this.fs.exists(yorcFile) ? this.fs.readJSON(yorcFile) : {};
+    if (yorc[rootGeneratorName] === undefined) {
+      throw new Error(
+        chalk.red('Upgrade Generator cannot be use outside existing project context.') +
+          '\n\n' +
+          'You are trying to upgrade a project which was not created using ' +
+          chalk.yellow('yo @adobe/aem') +
+          '. Please run it from the project root.'
+      );
+    }
+
+    this.props = yorc[rootGeneratorName];
+    if (this.props.aemVersion === 'cloud') {
+      throw new Error(chalk.red('Project already targets AEM as a Cloud Service, nothing to upgrade.'));
+    }
+
+    this.manualSteps = ['Custom code is now compiled against the AEM SDK API instead of the Uber Jar; APIs which are not part of the SDK are not available in AEM as a Cloud Service.'];
+  }
+
+  default() {
+    // Regenerate the project, modules and mixins with the new target.
+    this.composeWith(
+      {
+        Generator: AEMGenerator,
+        path: path.join(dirname, '..', 'app', 'index.js'),
+      },
+      {
+        ..._.pick(this.options, ['showBuildOutput', 'offline', 'settings', 'dryRun']),
+        generateInto: '.',
+        aemVersion: 'cloud',
+        javaVersion: CloudJavaVersions.includes(this.props.javaVersion) ? this.props.javaVersion : '11',
+      }
+    );
+  }
+
+  writing() {
+    this._removeObsoleteFiles();
+    this._checkFilters();
+    this._checkConfigs();
+  }
+
+  end() {
+    if (!this.options.dryRun) {
+      this.log(chalk.greenBright('\n\nProject upgraded to AEM as a Cloud Service.\n'));
+    }
+
+    this.log(chalk.yellow('The following items need manual attention:\n'));
+    _.each(this.manualSteps, (step) => {
+      this.log(`\t* ${step}`);
+    });
+    this.log('');
+  }
+
+  /**
+   * Removes files which were generated for the 6.5 layout of a module, but are not part of the Cloud Service layout.
+   *
+   * Any other files in folders that only exist in the 6.5 layout are reported, as they were likely added for the project.
+   *
+   * @private
+   */
+  _removeObsoleteFiles() {
+    _.each(layouts, (layout) => {
+      const from = this._listTemplates(path.join(layout.templates, layout.from));
+      const to = this._listTemplates(path.join(layout.templates, layout.to));
+      const obsolete = _.difference(from, to);
+      const folders = _.difference(_.uniq(_.map(from, path.dirname)), _.map(to, path.dirname));
+
+      _.each(ModuleMixins._findModules.call(this, layout.type), (module) => {
+        const props = { ...this.props, ...module };
+        const removed = _.map(obsolete, (file) => this.destinationPath(module.path, ejs.render(file.replaceAll(/_{2}([^_]+)_{2}/g, '<%= $1 %>'), props)));
+        _.each(removed, (file) => {
+          if (this.fs.exists(file) || fs.lstatSync(file, { throwIfNoEntry: false })) {
+            this.fs.delete(file);
+          }
+        });
+
+        const remaining = globbySync(
+          _.map(folders, (folder) => this.destinationPath(module.path, folder, '*')),
+          { onlyFiles: true }
+        );
+        _.each(_.difference(remaining, removed), (file) => {
+          this.manualSteps.push(`${path.relative(this.destinationPath(), file)} is not part of the Cloud Service layout; migrate or remove it.`);
+        });
+      });
+    });
+  }
+
+  /**
+   * Reports content package filters which are not supported by AEM as a Cloud Service.
+   *
+   * @private
+   */
+  _checkFilters() {
+    _.each([appsGeneratorName, configGeneratorName, contentGeneratorName], (type) => {
+      _.each(ModuleMixins._findModules.call(this, type), (module) => {
+        const file = this.destinationPath(module.path, ...filterFile);
+        if (!this.fs.exists(file)) {
+          return;
+        }
+
+        const roots = _.map([...this.fs.read(file).matchAll(/root="([^"]+)"/g)], (match) => match[1]);
+        _.each(roots, (root) => {
+          if (/^\/(etc|var)(\/|$)/.test(root)) {
+            this.manualSteps.push(`${module.path} filter root '${root}' is mutable system content; move it to /conf or /apps.`);
+          } else if (type === contentGeneratorName && /^\/(apps|libs)(\/|$)/.test(root)) {
+            this.manualSteps.push(`${module.path} filter root '${root}' is immutable content and cannot be deployed in a content package.`);
+          } else if (type !== contentGeneratorName && !/^\/(apps|oak:index)(\/|$)/.test(root)) {
+            this.manualSteps.push(`${module.path} filter root '${root}' is mutable content and cannot be deployed in a code package.`);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Reports OSGi configurations using formats which are not supported by AEM as a Cloud Service.
+   *
+   * @private
+   */
+  _checkConfigs() {
+    _.each([appsGeneratorName, configGeneratorName], (type) => {
+      _.each(ModuleMixins._findModules.call(this, type), (module) => {
+        const configs = globbySync([this.destinationPath(module.path, 'src', 'main', 'content', 'jcr_root', '**', 'config*', '*.{config,cfg,xml}')], { onlyFiles: true });
+        _.each(configs, (config) => {
+          if (path.basename(config) === '.content.xml') {
+            return;
+          }
+
+          this.manualSteps.push(`${path.relative(this.destinationPath(), config)} should be converted to the OSGi configuration JSON format (.cfg.json).`);
+        });
+      });
+    });
+  }
+
+  /**
+   * Lists the relative template paths in the directory.
+   *
+   * @param {string} dir the template directory
+   * @return {string[]} relative paths
+   * @private
+   */
+  _listTemplates(dir) {
+    return _.map(globbySync([path.join(dir, '**', '*')], { onlyFiles: true, dot: true }), (file) => path.relative(dir, file));
+  }
+}
+
+export default UpgradeGenerator;
@@ -0,0 +1,165 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import path from 'node:path';
+
+import _ from 'lodash';
+import { globbySync } from 'globby';
+
+export const manifestFile = 'cloudmanager-env.json';
+
+const placeholderRegex = /\$\[(env|secret):([^;\]]*)(?:;default=([^\]]*))?]/g;
+const variableNameRegex = /^[A-Za-z_]\w{1,99}$/;
+const reservedPrefixes = Object.freeze(['INTERNAL_', 'ADOBE_', 'CONST_']);
+
+/**
+ * Formats a Cloud Manager placeholder, resolved from an environment variable or a secret when the configuration is applied.
+ *
+ * @param {String} type `env` or `secret`
+ * @param {String} name the variable name
+ * @param {String} defaultValue the value used when the variable is not set; environment variables only
+ * @return {String} the placeholder
+ */
+export const placeholder = (type, name, defaultValue) => `$[${type}:${name}${type === 'env' && defaultValue !== undefined ? `;default=${defaultValue}` : ''}]`;
+
+/**
+ * Checks a placeholder's variable name against the Cloud Manager rules.
+ *
+ * @param {Object} reference the placeholder, with its `type`, `name` and optional `default`
+ * @return {Boolean|String} true, or the reason the placeholder is invalid
+ */
+export const validatePlaceholder = (reference) => {
+  if (!variableNameRegex.test(reference.name)) {
+    return `Invalid variable name '${reference.name}': 2 to 100 letters, digits or underscores, not starting with a digit.`;
+  }
+
+  if (_.some(reservedPrefixes, (prefix) => reference.name.startsWith(prefix))) {
+    return `Invalid variable name '${reference.name}': ${reservedPrefixes.join(', ')} prefixes are reserved.`;
+  }
+
+  if (reference.type === 'secret' && reference.default !== undefined) {
+    return `Secret '${reference.name}' cannot have a default value.`;
+  }
+
+  return true;
+};
+
+/**
+ * Finds the placeholders in a configuration value, including in arrays and nested objects.
+ *
+ * @param {*} value the value
+ * @return {Object[]} the placeholders, with their `type`, `name` and optional `default`
+ */
+export const findPlaceholders = (value) => {
+  if (_.isString(value)) {
+    return _.map([...value.matchAll(placeholderRegex)], (match) => _.omitBy({ type: match[1], name: match[2], default: match[3] }, _.isUndefined));
+  }
+
+  if (_.isArray(value) || _.isPlainObject(value)) {
+    return _.flatMap(_.values(value), findPlaceholders);
+  }
+
+  return [];
+};
+
+/**
+ * Lists the OSGi configuration files of a config package, on disk or written during this run.
+ *
+ * @param {Generator} generator the generator context
+ * @param {String} modulePath the config package folder, relative to the generator's destination
+ * @return {Object[]} the files, with their `file` path, `runMode` (`default` for all run modes) and `pid`
+ */
+const listConfigs = (generator, modulePath) => {
+  const root = generator.destinationPath(modulePath, 'src', 'main', 'content', 'jcr_root', 'apps');
+  const configFile = (file) => {
+    const parts = path.relative(root, file).split(path.sep);
+    return parts.length === 4 && parts[1] === 'osgiconfig' && /^config(\.[\w.-]+)?$/.test(parts[2]) && parts[3].endsWith('.cfg.json');
+  };
+
+  const files = new Set(_.map(globbySync('*/osgiconfig/config*/*.cfg.json', { cwd: root, absolute: true }), path.normalize));
+  generator.fs.store.each((file) => {
+    if (configFile(file.path)) {
+      if (file.state === 'deleted') {
+        files.delete(file.path);
+      } else {
+        files.add(file.path);
+      }
+    }
+  });
+
+  return _.map(_.sortBy([...files]), (file) => {
+    const folder = path.basename(path.dirname(file));
+    return { file, runMode: folder === 'config' ? 'default' : folder.slice('config.'.length), pid: path.basename(file, '.cfg.json') };
+  });
+};
+
+/**
+ * Finds the placeholders referenced by the OSGi configurations of a config package.
+ *
+ * @param {Generator} generator the generator context
+ * @param {String} modulePath the config package folder, relative to the generator's destination
+ * @return {Object[]} the placeholders, with the `file`, `runMode` and `pid` of the configuration referencing them
+ */
+export const findReferences = (generator, modulePath) => {
+  return _.flatMap(listConfigs(generator, modulePath), (config) => {
+    return _.map(findPlaceholders(generator.fs.readJSON(config.file, {})), (reference) => ({ ...config, ...reference }));
+  });
+};
+
+/**
+ * Builds the manifest of the variables referenced by the configurations, by run mode.
+ *
+ * @param {Object[]} references the placeholders referenced by the configurations
+ * @return {Object} the manifest: variables by name, with their `type`, `default` and the `configurations` using them, by run mode
+ */
+export const buildManifest = (references) => {
+  const manifest = {};
+  for (const reference of _.sortBy(references, ['runMode', 'name', 'pid'])) {
+    const variable = _.get(manifest, [reference.runMode, reference.name], _.omitBy({ type: reference.type, default: reference.default, configurations: [] }, _.isUndefined));
+    variable.configurations = _.uniq([...variable.configurations, reference.pid]);
+    _.set(manifest, [reference.runMode, reference.name], variable);
+  }
+
+  return manifest;
+};
+
+/**
+ * Writes the manifest of a config package's variables, unless it references none and has no manifest yet.
+ *
+ * @param {Generator} generator the generator context
+ * @param {String} modulePath the config package folder, relative to the generator's destination
+ */
+export const writeManifest = (generator, modulePath) => {
+  const references = findReferences(generator, modulePath);
+  const file = generator.destinationPath(modulePath, manifestFile);
+  if (references.length === 0 && !generator.fs.exists(file)) {
+    return;
+  }
+
+  generator.fs.writeJSON(file, buildManifest(references));
+};
+
+const CloudManagerEnv = {
+  manifestFile,
+  placeholder,
+  validatePlaceholder,
+  findPlaceholders,
+  findReferences,
+  buildManifest,
+  writeManifest,
+};
+
+export default CloudManagerEnv;
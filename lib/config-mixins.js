@@ -0,0 +1,112 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import path from 'node:path';
+
+import _ from 'lodash';
+import chalk from 'chalk';
+
+import ModuleMixins from './module-mixins.js';
+
+const parentGenerator = '@adobe/generator-aem';
+const configGenerator = '@adobe/generator-aem:package-config';
+
+/**
+ * Options shared by the generators writing OSGi configurations into a config package.
+ */
+const configOptions = Object.freeze({
+  module: {
+    type: String,
+    desc: 'Folder or artifactId of the config package to write into; defaults to the package in which the generator is run, or the only one in the project.',
+  },
+
+  defaults: ModuleMixins.moduleOptions.defaults,
+  dryRun: ModuleMixins.moduleOptions.dryRun,
+});
+
+/**
+ * Sets the destination root to the project root, and finds the config package to write into.
+ *
+ * The generator may be run from the project root or one of its modules; run from a config package, that package is the default target.
+ *
+ * @private
+ */
+const _initConfigPackage = function () {
+  const cwd = this.destinationPath();
+  let yorcFile = this.destinationPath('.yo-rc.json');
+  if (!this.fs.exists(yorcFile) || this.fs.readJSON(yorcFile)[parentGenerator] === undefined) {
+    this.destinationRoot(path.dirname(cwd));
+    yorcFile = this.destinationPath('.yo-rc.json');
+    if (!this.fs.exists(yorcFile) || this.fs.readJSON(yorcFile)[parentGenerator] === undefined) {
+      throw new Error(
+        chalk.red('This generator cannot be use outside existing project context.') +
+          '\n\n' +
+          'You are trying to add to a project which was not created using ' +
+          chalk.yellow('yo @adobe/aem') +
+          '. Please run it from the project root, or one of its modules.'
+      );
+    }
+  }
+
+  this.parentProps = this.fs.readJSON(yorcFile)[parentGenerator];
+  this.modules = ModuleMixins._findModules.call(this, configGenerator);
+  if (this.modules.length === 0) {
+    throw new Error(chalk.red('No config package found in this project.') + '\n\nAdd one with ' + chalk.yellow('yo @adobe/aem:package-config') + ' first.');
+  }
+
+  this.module = ModuleMixins._selectModule.call(this, this.modules, this.options.module, 'Config package', cwd);
+
+  if (this.options.defaults && !this.module) {
+    throw new Error(chalk.red('More than one config package found, specify one with the module option.'));
+  }
+};
+
+/**
+ * Prompt for the config package to write into, when there is more than one to choose from.
+ *
+ * @return {Object} the prompt
+ * @private
+ */
+const _configPackagePrompt = function () {
+  return {
+    name: 'module',
+    message: 'Which config package should the configuration be added to?',
+    type: 'list',
+    choices: _.map(this.modules, 'path'),
+    when: () => this.module === undefined,
+  };
+};
+
+/**
+ * Path of an OSGi configuration file in the config package, relative to the project root.
+ *
+ * @param {String} runModes the run modes of the configuration folder, separated by dots; empty for all run modes
+ * @param {String} pid the PID of the configuration, including the name of a factory configuration
+ * @return {String} the path
+ * @private
+ */
+const _osgiConfigPath = function (runModes, pid) {
+  const folder = runModes ? `config.${runModes}` : 'config';
+  return path.join(this.module.path, 'src', 'main', 'content', 'jcr_root', 'apps', this.module.appId, 'osgiconfig', folder, `${pid}.cfg.json`);
+};
+
+const ConfigMixins = {
+  configOptions,
+  _initConfigPackage,
+  _configPackagePrompt,
+  _osgiConfigPath,
+};
+export default ConfigMixins;
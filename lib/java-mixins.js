@@ -0,0 +1,268 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import _ from 'lodash';
+import chalk from 'chalk';
+
+import ModuleMixins from './module-mixins.js';
+
+const filename = fileURLToPath(import.meta.url);
+const dirname = path.dirname(filename);
+
+// The bundle generator's package-info.java template, exporting the package with an initial version.
+const packageInfoTemplate = path.join(dirname, '..', 'generators', 'bundle', 'templates', 'shared', 'src', 'main', 'java', '__packagePath__', 'package-info.java');
+
+const parentGenerator = '@adobe/generator-aem';
+const bundleGenerator = '@adobe/generator-aem:bundle';
+
+const javaIdentifierRegex = /^[A-Za-z_$][\w$]*$/;
+const classNameRegex = /^[A-Z][A-Za-z\d]*$/;
+const packageRegex = /^[a-z_]\w*(\.[a-z_]\w*)*$/;
+
+/**
+ * Options shared by the generators scaffolding Java classes into a bundle module.
+ */
+const javaOptions = Object.freeze({
+  bundle: {
+    type: String,
+    desc: 'Folder or artifactId of the bundle module to write into; defaults to the bundle in which the generator is run, or the only one in the project.',
+  },
+
+  package: {
+    type: String,
+    desc: 'Java package of the generated classes; defaults to a sub-package of the bundle package.',
+  },
+
+  defaults: ModuleMixins.moduleOptions.defaults,
+  dryRun: ModuleMixins.moduleOptions.dryRun,
+});
+
+/**
+ * Checks a Java class name.
+ *
+ * @param {String} name the class name
+ * @return {Boolean|String} true, or the reason the name is invalid
+ */
+export const validateClassName = (name) => {
+  if (!name || !classNameRegex.test(name)) {
+    return 'Class name must start with an uppercase letter, and only contain letters or digits.';
+  }
+
+  return true;
+};
+
+/**
+ * Checks a Java identifier, e.g. a field name.
+ *
+ * @param {String} name the identifier
+ * @return {Boolean}
+ */
+export const isJavaIdentifier = (name) => javaIdentifierRegex.test(name);
+
+/**
+ * Splits a comma separated option value.
+ *
+ * @param {String|String[]} value the option value, or an already split list
+ * @return {String[]} the trimmed, non-empty entries
+ */
+export const splitList = (value) => (_.isArray(value) ? _.compact(value) : _.compact(_.split(value, /\s*,\s*/)));
+
+/**
+ * Formats a Java string literal.
+ *
+ * @param {String} value the string
+ * @return {String} the quoted and escaped literal
+ */
+export const javaString = (value) => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Formats a Java array initializer, e.g. for annotation values.
+ *
+ * @param {String[]} values the elements
+ * @param {Function} format formats each element; defaults to a string literal
+ * @return {String} the initializer
+ */
+export const javaArray = (values, format = javaString) => `{ ${_.map(values, (value) => format(value)).join(', ')} }`;
+
+/**
+ * Sets the destination root to the project root, and finds the bundle module to write into.
+ *
+ * The generator may be run from the project root or one of its modules; run from a bundle module, that bundle is the default target.
+ *
+ * @private
+ */
+const _initBundle = function () {
+  const cwd = this.destinationPath();
+  let yorcFile = this.destinationPath('.yo-rc.json');
+  if (!this.fs.exists(yorcFile) || this.fs.readJSON(yorcFile)[parentGenerator] === undefined) {
+    this.destinationRoot(path.dirname(cwd));
+    yorcFile = this.destinationPath('.yo-rc.json');
+    if (!this.fs.exists(yorcFile) || this.fs.readJSON(yorcFile)[parentGenerator] === undefined) {
+      throw new Error(
+        chalk.red('This generator cannot be use outside existing project context.') +
+          '\n\n' +
+          'You are trying to add to a project which was not created using ' +
+          chalk.yellow('yo @adobe/aem') +
+          '. Please run it from the project root, or one of its modules.'
+      );
+    }
+  }
+
+  this.parentProps = this.fs.readJSON(yorcFile)[parentGenerator];
+  this.bundles = ModuleMixins._findModules.call(this, bundleGenerator);
+  if (this.bundles.length === 0) {
+    throw new Error(chalk.red('No bundle module found in this project.') + '\n\nAdd one with ' + chalk.yellow('yo @adobe/aem:bundle') + ' first.');
+  }
+
+  this.bundle = ModuleMixins._selectModule.call(this, this.bundles, this.options.bundle, 'Bundle module', cwd);
+};
+
+/**
+ * Initializes a generator writing a class into a bundle: checks the class name, and finds the bundle.
+ *
+ * @private
+ */
+const _initJava = function () {
+  const valid = validateClassName(this.options.name);
+  if (valid !== true) {
+    throw new Error(chalk.red(valid));
+  }
+
+  this._initBundle();
+  if (this.options.defaults && !this.bundle) {
+    throw new Error(chalk.red('More than one bundle module found, specify one with the bundle option.'));
+  }
+
+  this.props = { name: this.options.name };
+};
+
+/**
+ * Prompt for the bundle to write into, when there is more than one to choose from.
+ *
+ * @return {Object} the prompt
+ * @private
+ */
+const _bundlePrompt = function () {
+  return {
+    name: 'bundle',
+    message: 'Which bundle module should the classes be added to?',
+    type: 'list',
+    choices: _.map(this.bundles, 'path'),
+    when: () => this.bundle === undefined,
+  };
+};
+
+/**
+ * Prompts for the bundle, when needed, and the given questions; the answers are set as properties unless already defined.
+ *
+ * @param {Object[]} prompts the generator's prompts
+ * @param {Function} transform optionally converts the answers before they are set
+ * @return {Promise} resolved once the properties are set
+ * @private
+ */
+const _promptJava = function (prompts, transform = _.identity) {
+  return this.prompt([this._bundlePrompt(), ...prompts]).then((answers) => {
+    if (answers.bundle) {
+      this.bundle = _.find(this.bundles, { path: answers.bundle });
+    }
+
+    _.defaults(this.props, transform(_.omit(answers, ['bundle'])));
+  });
+};
+
+/**
+ * Application ID of the bundle, or of the project when the bundle does not define one.
+ *
+ * @param {String} bundlePath the chosen bundle, if it is being prompted for
+ * @return {String} the application ID
+ * @private
+ */
+const _bundleAppId = function (bundlePath) {
+  const bundle = this.bundle || _.find(this.bundles, { path: bundlePath }) || {};
+  return bundle.appId || this.parentProps.appId;
+};
+
+/**
+ * Resolves the Java package of the classes, and its path within the bundle.
+ *
+ * @param {String} subPackage the sub-package of the bundle's package used by default (e.g. `models`)
+ * @return {{package: String, packagePath: String, javaPath: String, testPath: String}} the package properties
+ * @private
+ */
+const _javaPackage = function (subPackage) {
+  const pkg = this.options.package || `${this.bundle.package || this.parentProps.groupId}.${subPackage}`;
+  if (!packageRegex.test(pkg)) {
+    throw new Error(chalk.red(`Invalid Java package: '${pkg}'.`));
+  }
+
+  const packagePath = path.join(...pkg.split('.'));
+  return {
+    package: pkg,
+    packagePath,
+    javaPath: path.join(this.bundle.path, 'src', 'main', 'java', packagePath),
+    testPath: path.join(this.bundle.path, 'src', 'test', 'java', packagePath),
+  };
+};
+
+/**
+ * Writes the classes, and the `package-info.java` exporting their package, unless it already exists.
+ *
+ * @param {Array} files the templates to write, with their destination relative to the project root
+ * @param {Object} tplProps the template properties
+ * @private
+ */
+const _writeJava = function (files, tplProps) {
+  const templates = _.map(files, (file) => ({ src: file.src, dest: this.destinationPath(file.dest) }));
+  const packageInfo = this.destinationPath(tplProps.javaPath, 'package-info.java');
+  if (!this.fs.exists(packageInfo)) {
+    templates.push({ src: packageInfoTemplate, dest: packageInfo });
+  }
+
+  ModuleMixins._writing.call(this, templates, tplProps);
+};
+
+/**
+ * Writes a class and its unit test, from the generator's `<template>.java` and `<template>Test.java` templates.
+ *
+ * @param {String} subPackage the default sub-package of the bundle's package
+ * @param {String} template the base name of the templates
+ * @param {Object} tplProps the template properties, in addition to the generator's and the package's
+ * @private
+ */
+const _writeClass = function (subPackage, template, tplProps = {}) {
+  const java = this._javaPackage(subPackage);
+  const files = [
+    { src: ModuleMixins._templatePath.call(this, `${template}.java`), dest: path.join(java.javaPath, `${this.props.name}.java`) },
+    { src: ModuleMixins._templatePath.call(this, `${template}Test.java`), dest: path.join(java.testPath, `${this.props.name}Test.java`) },
+  ];
+  this._writeJava(files, { ...this.props, ...java, ...tplProps });
+};
+
+const JavaMixins = {
+  javaOptions,
+  _initBundle,
+  _initJava,
+  _bundlePrompt,
+  _promptJava,
+  _bundleAppId,
+  _javaPackage,
+  _writeJava,
+  _writeClass,
+};
+export default JavaMixins;
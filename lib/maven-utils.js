@@ -14,47 +14,379 @@
  limitations under the License.
 */
 
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { env } from 'node:process';
+
+import _ from 'lodash';
 import got from 'got';
 import { XMLParser } from 'fast-xml-parser';
 
-const latestRelease = (coordinates, previous = false) => {
+export const defaultCacheTtl = 24 * 60 * 60 * 1000;
+
+export const centralRepository = Object.freeze({ id: 'central', url: 'https://repo1.maven.org/maven2' });
+
+const settingsParserOptions = Object.freeze({
+  ignoreAttributes: true,
+  ignoreDeclaration: true,
+  parseTagValue: false,
+  isArray: (name) => ['mirror', 'server', 'profile', 'repository', 'activeProfile'].includes(name),
+});
+
+/**
+ * Location of the local artifact metadata cache file.
+ *
+ * Defaults to the user's home directory, can be relocated using the `AEM_GENERATOR_CACHE` environment variable.
+ *
+ * @return {String} the path to the cache file
+ */
+const cacheFile = () => {
+  return env.AEM_GENERATOR_CACHE || path.join(os.homedir(), '.aem-generator', 'maven-metadata.json');
+};
+
+const cacheKey = (coordinates) => `${coordinates.groupId}:${coordinates.artifactId}`;
+
+/**
+ * Reads the local artifact metadata cache.
+ *
+ * @return {Object} the cache entries, keyed by `groupId:artifactId`
+ */
+const readCache = () => {
+  try {
+    return JSON.parse(fs.readFileSync(cacheFile()));
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Stores the metadata for the artifact in the local cache.
+ *
+ * Caching is best effort; failures to write are ignored.
+ *
+ * @param coordinates the artifact coordinates
+ * @param version the latest version
+ * @param versions list of all known versions
+ */
+const writeCache = (coordinates, version, versions) => {
+  const cache = readCache();
+  cache[cacheKey(coordinates)] = { timestamp: Date.now(), version, versions };
+  try {
+    fs.mkdirSync(path.dirname(cacheFile()), { recursive: true });
+    fs.writeFileSync(cacheFile(), JSON.stringify(cache, null, 2));
+  } catch {}
+};
+
+/**
+ * Replaces the `env.*` and `user.home` expressions supported by Maven in the settings value.
+ *
+ * @param value the value to interpolate
+ * @return {String} the interpolated value
+ */
+const interpolate = (value) => {
+  return `${value}`.replaceAll(/\${env\.([^}]+)}/g, (match, name) => env[name] || '').replaceAll(/\${user\.home}/g, os.homedir());
+};
+
+/**
+ * Reads the Maven settings file.
+ *
+ * Only the mirrors, servers and repositories of active profiles are read. Encrypted passwords are not supported.
+ *
+ * @param {String} file path to the settings file, defaults to `~/.m2/settings.xml`
+ * @return {{mirrors: Object[], servers: Object[], repositories: Object[]}} the relevant settings
+ */
+const readSettings = (file) => {
+  const settings = { mirrors: [], servers: [], repositories: [] };
+  const settingsFile = file || path.join(os.homedir(), '.m2', 'settings.xml');
+  if (!fs.existsSync(settingsFile)) {
+    if (file) {
+      throw new Error(`Unable to find Maven settings file: ${file}`);
+    }
+
+    return settings;
+  }
+
+  const data = new XMLParser(settingsParserOptions).parse(fs.readFileSync(settingsFile)).settings || {};
+
+  settings.mirrors = _.map(_.get(data, 'mirrors.mirror', []), (mirror) => {
+    return { id: interpolate(mirror.id), url: interpolate(mirror.url), mirrorOf: interpolate(mirror.mirrorOf) };
+  });
+
+  settings.servers = _.map(_.get(data, 'servers.server', []), (server) => {
+    return { id: interpolate(server.id), username: interpolate(server.username), password: interpolate(server.password) };
+  });
+
+  const active = _.get(data, 'activeProfiles.activeProfile', []);
+  _.each(_.get(data, 'profiles.profile', []), (profile) => {
+    if (active.includes(profile.id) || _.get(profile, 'activation.activeByDefault') === 'true') {
+      settings.repositories.push(
+        ..._.map(_.get(profile, 'repositories.repository', []), (repository) => {
+          return { id: interpolate(repository.id), url: interpolate(repository.url) };
+        })
+      );
+    }
+  });
+
+  return settings;
+};
+
+const isExternal = (repository) => {
+  try {
+    const url = new URL(repository.url);
+    return url.protocol !== 'file:' && url.hostname !== 'localhost' && url.hostname !== '127.0.0.1';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Checks if the repository matches a mirror's `mirrorOf` rule.
+ *
+ * Supports `*`, `external:*`, repository ids, comma separated lists, and `!` exclusions.
+ *
+ * @param repository the repository to check
+ * @param mirrorOf the mirror's rule
+ * @return {boolean} true if the mirror applies to the repository
+ */
+const mirrorMatches = (repository, mirrorOf) => {
+  let match = false;
+  for (const pattern of _.map(mirrorOf.split(','), _.trim)) {
+    if (pattern.startsWith('!') && pattern.slice(1) === repository.id) {
+      return false;
+    }
+
+    if (pattern === '*' || pattern === repository.id || (pattern === 'external:*' && isExternal(repository))) {
+      match = true;
+    }
+  }
+
+  return match;
+};
+
+/**
+ * Builds the list of repositories to query, in order of precedence.
+ *
+ * Repositories from the active settings profiles are first, then those provided (e.g. from the project pom), and finally Maven Central.
+ * Each repository is replaced by its mirror, if one applies. Credentials are added from the server with the same id as the (mirror) repository.
+ *
+ * @param {Object[]} repositories the additional repositories, in the form `{ id, url }`
+ * @param {Object} settings the Maven settings, see `readSettings`
+ * @return {Object[]} the effective repositories, in the form `{ id, url, username, password }`
+ */
+const resolveRepositories = (repositories = [], settings = {}) => {
+  const resolved = [];
+  for (const repository of [...(settings.repositories || []), ...repositories, centralRepository]) {
+    // Exact id matches win over patterns, same as Maven.
+    const mirror = _.find(settings.mirrors, (m) => m.mirrorOf === repository.id) || _.find(settings.mirrors, (m) => mirrorMatches(repository, m.mirrorOf));
+    const target = mirror ? { id: mirror.id, url: mirror.url } : { id: repository.id, url: repository.url };
+    if (_.some(resolved, { id: target.id, url: target.url })) {
+      continue;
+    }
+
+    const server = _.find(settings.servers, { id: target.id });
+    if (server) {
+      target.username = server.username;
+      target.password = server.password;
+    }
+
+    resolved.push(target);
+  }
+
+  return resolved;
+};
+
+/**
+ * Requests the artifact metadata from the repositories, in order, until one succeeds.
+ *
+ * @param repositories the repositories to query
+ * @param artifactPath the artifact's path within a repository
+ * @return {Promise<String>} the metadata file contents
+ */
+const fetchMetadata = (repositories, artifactPath) => {
+  const [repository, ...remaining] = repositories;
+  const request = { responseType: 'text', resolveBodyOnly: true };
+  if (repository.username) {
+    request.username = repository.username;
+    request.password = repository.password;
+  }
+
+  return got.get(`${repository.url.replace(/\/+$/, '')}/${artifactPath}/maven-metadata.xml`, request).catch((error) => {
+    if (remaining.length === 0) {
+      throw error;
+    }
+
+    return fetchMetadata(remaining, artifactPath);
+  });
+};
+
+/**
+ * Looks up the latest release of the provided artifact.
+ *
+ * Metadata is read from the local cache when the cached entry is younger than the TTL. Otherwise it is retrieved from the first
+ * repository which has it, honoring the Maven settings' mirrors and server credentials, and cached.
+ * When offline, or if the remote repository is not reachable, the cached entry (regardless of age) or the pinned version are used.
+ *
+ * @param {Object} coordinates the artifact coordinates (`groupId` and `artifactId`)
+ * @param {boolean} previous whether or not to include the list of all released versions
+ * @param {Object} options resolution options
+ * @param {boolean} options.offline do not attempt to contact the remote repository
+ * @param {number} options.ttl age (in ms) after which cached entries are refreshed
+ * @param {String} options.pinned version to use if no metadata can be resolved
+ * @param {String} options.settings path to an alternate Maven settings file (`mvn -s`)
+ * @param {Object[]} options.repositories additional repositories (e.g. from the project pom), in the form `{ id, url }`
+ * @return {Promise<Object>} the artifact metadata
+ */
+const latestRelease = (coordinates, previous = false, options = {}) => {
   return new Promise((resolve, reject) => {
     if (!coordinates || !coordinates.groupId || !coordinates.artifactId) {
       reject(new Error('No Coordinates provided.'));
       return;
     }
 
-    const path = `${coordinates.groupId.replaceAll('.', '/')}/${coordinates.artifactId}`;
+    const build = (version, versions) => {
+      const metadata = {
+        ...coordinates,
+        version,
+      };
+      if (previous && versions) {
+        metadata.versions = versions;
+      }
+
+      return metadata;
+    };
+
+    const ttl = options.ttl === undefined ? defaultCacheTtl : options.ttl;
+    const cached = readCache()[cacheKey(coordinates)];
+    if (cached && (options.offline || Date.now() - cached.timestamp < ttl)) {
+      resolve(build(cached.version, cached.versions));
+      return;
+    }
+
+    const fallback = (error) => {
+      if (cached) {
+        resolve(build(cached.version, cached.versions));
+      } else if (options.pinned) {
+        resolve(build(options.pinned));
+      } else {
+        reject(error.response ? new Error(error.response.body) : error);
+      }
+    };
+
+    if (options.offline) {
+      fallback(new Error(`Unable to resolve version of ${cacheKey(coordinates)} in offline mode, no cached or pinned version available.`));
+      return;
+    }
+
+    const artifactPath = `${coordinates.groupId.replaceAll('.', '/')}/${coordinates.artifactId}`;
 
+    let repositories;
     try {
-      got.get(`https://repo1.maven.org/maven2/${path}/maven-metadata.xml`, { responseType: 'text', resolveBodyOnly: true }).then((body) => {
-        try {
-          const parser = new XMLParser({
-            ignoreAttributes: true,
-            ignoreDeclaration: true,
-          });
-          const data = parser.parse(body);
-          const metadata = {
-            ...coordinates,
-            version: data.metadata.versioning.latest,
-          };
-          if (previous) {
-            metadata.versions = data.metadata.versioning.versions;
-          }
+      repositories = resolveRepositories(options.repositories, readSettings(options.settings));
+    } catch (error) {
+      reject(error);
+      return;
+    }
 
-          resolve(metadata);
-        } catch (error) {
-          reject(error);
-        }
-      });
+    try {
+      fetchMetadata(repositories, artifactPath)
+        .then((body) => {
+          try {
+            const parser = new XMLParser({
+              ignoreAttributes: true,
+              ignoreDeclaration: true,
+              parseTagValue: false,
+            });
+            const data = parser.parse(body);
+            const versioning = data.metadata.versioning;
+            writeCache(coordinates, versioning.latest, versioning.versions);
+            resolve(build(versioning.latest, versioning.versions));
+          } catch (error) {
+            reject(error);
+          }
+        })
+        .catch(fallback);
     } catch (error) {
-      reject(error.response ? new Error(error.response.body) : error);
+      fallback(error);
+    }
+  });
+};
+
+// Qualifiers in ascending order; a release has no qualifier.
+const qualifiers = Object.freeze(['alpha', 'beta', 'milestone', 'rc', 'snapshot', '', 'sp']);
+const qualifierAliases = Object.freeze({ a: 'alpha', b: 'beta', m: 'milestone', cr: 'rc', ga: '', final: '', release: '' });
+const preReleases = new Set(['alpha', 'beta', 'milestone', 'rc', 'snapshot']);
+
+/**
+ * Splits the version into its numeric and qualifier items.
+ *
+ * @param version the version
+ * @return {Array} the items
+ */
+const versionItems = (version) => {
+  return _.map(`${version}`.toLowerCase().match(/\d+|[a-z]+/g), (item) => {
+    if (/^\d+$/.test(item)) {
+      return Number(item);
     }
+
+    return qualifierAliases[item] === undefined ? item : qualifierAliases[item];
   });
 };
 
+const compareItems = (left, right) => {
+  if (_.isNumber(left) && _.isNumber(right)) {
+    return Math.sign(left - right);
+  }
+
+  // Numbers are newer than qualifiers.
+  if (_.isNumber(left) || _.isNumber(right)) {
+    return _.isNumber(left) ? 1 : -1;
+  }
+
+  const rank = (item) => (qualifiers.includes(item) ? qualifiers.indexOf(item) : qualifiers.length);
+  return Math.sign(rank(left) - rank(right)) || Math.sign(left.localeCompare(right));
+};
+
+/**
+ * Compares two versions, following the ordering used by Maven.
+ *
+ * Missing items are treated as `0` or a release, so `1.0` equals `1.0.0`, and pre-releases (e.g. `1.0-RC1`, `1.0-SNAPSHOT`) are older than their release.
+ *
+ * @param left the first version
+ * @param right the second version
+ * @return {number} a negative number if left is older than right, a positive number if newer, zero if they are equal
+ */
+const compareVersions = (left, right) => {
+  const leftItems = versionItems(left);
+  const rightItems = versionItems(right);
+  for (let i = 0; i < Math.max(leftItems.length, rightItems.length); i++) {
+    const padding = _.isNumber(leftItems[i]) || _.isNumber(rightItems[i]) ? 0 : '';
+    const result = compareItems(i < leftItems.length ? leftItems[i] : padding, i < rightItems.length ? rightItems[i] : padding);
+    if (result !== 0) {
+      return result;
+    }
+  }
+
+  return 0;
+};
+
+/**
+ * Checks if the version is a release, i.e. not an alpha, beta, milestone, release candidate or snapshot.
+ *
+ * @param version the version
+ * @return {boolean} true if the version is a release
+ */
+const isRelease = (version) => {
+  return !_.some(versionItems(version), (item) => preReleases.has(item));
+};
+
 const MavenUtils = {
+  cacheFile,
+  readSettings,
+  resolveRepositories,
   latestRelease,
+  compareVersions,
+  isRelease,
 };
 
 export default MavenUtils;
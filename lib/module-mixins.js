@@ -14,13 +14,19 @@
  limitations under the License.
 */
 
+import fs from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
+import process from 'node:process';
+import { Buffer } from 'node:buffer';
 
 import _ from 'lodash';
 import chalk from 'chalk';
 import ejs from 'ejs';
 
+import { createTwoFilesPatch } from 'diff';
 import { globbySync } from 'globby';
+import { XMLParser } from 'fast-xml-parser';
 
 import PomUtils from './pom-utils.js';
 
@@ -28,6 +34,9 @@ export const SharedOptions = Object.freeze(['defaults', 'examples', 'name', 'app
 
 const parentGenerator = '@adobe/generator-aem';
 
+// Location of the template overlays, within the user's home directory or the project.
+const overlayDir = path.join('.aem-generator', 'templates');
+
 const moduleOptions = Object.freeze({
   generateInto: {
     type: String,
@@ -48,6 +57,38 @@ const moduleOptions = Object.freeze({
     desc: 'Include demo/example code and content.',
   },
 
+  offline: {
+    desc: 'Resolve artifact versions from the local cache, without contacting remote repositories.',
+  },
+
+  settings: {
+    type: String,
+    desc: 'Alternate path for the Maven user settings file, used for resolving versions and building.',
+  },
+
+  dryRun: {
+    desc: 'Print a diff of every file that would change, without writing anything or running the build.',
+  },
+
+  goals: {
+    type: String,
+    desc: 'Maven goals (and any other arguments) to run for the build after generation.',
+    default: 'clean verify',
+  },
+
+  profiles: {
+    type: String,
+    desc: 'Comma separated list of Maven profiles to activate for the build (e.g. "autoInstallSinglePackage").',
+  },
+
+  skipTests: {
+    desc: 'Skip running the tests in the build after generation.',
+  },
+
+  mavenWrapper: {
+    desc: "Build with the project's Maven Wrapper (mvnw), instead of the mvn command.",
+  },
+
   name: {
     type: String,
     desc: 'Application title, will be used for website title and components groups (e.g. "My Site").',
@@ -285,25 +326,165 @@ const _duplicateCheck = function () {
   }
 };
 
+/**
+ * Lists the template overlay directories of this Generator, by increasing precedence.
+ *
+ * Overlays are read from `.aem-generator/templates/<generator>` in the user's home directory, then in the project: the destination root or, for modules, its parent.
+ * `<generator>` is the Generator's location in this package, e.g. `bundle` or `mixin-cc/apps`; `app` for the root Generator.
+ *
+ * @return {String[]} the existing overlay directories
+ */
+const templateOverlays = function () {
+  const parts = this.rootGeneratorName().split(':');
+  const name = parts.length > 1 ? path.join(...parts.slice(1)) : 'app';
+  const project = _.find([this.destinationPath(), path.dirname(this.destinationPath())], (dir) => fs.existsSync(path.join(dir, overlayDir)));
+  const overlays = [path.join(os.homedir(), overlayDir, name)];
+  if (project) {
+    overlays.push(path.join(project, overlayDir, name));
+  }
+
+  return _.filter(_.uniq(overlays), (dir) => fs.existsSync(dir));
+};
+
 /**
  * List all templates in the specified directory.
  *
+ * Files in the same directory of the template overlays are included, replacing any bundled template with the same path.
+ *
  * @return {*[]} list of template files
  * @private
  */
 const _listTemplates = function (dir = '.') {
-  const files = [];
+  const files = new Map();
+  _.each([this.templatePath(), ...templateOverlays.call(this)], (root) => {
+    const base = path.join(root, dir);
+    const patterns = [path.join(base, '**/*'), path.join(base, '**/.*')];
+    const paths = globbySync(patterns, { onlyFiles: true });
+    _.each(paths, (file) => {
+      files.set(path.relative(base, file), file);
+    });
+  });
 
-  const patterns = [this.templatePath(dir, '**/*'), this.templatePath(dir, '**/.*')];
-  const paths = globbySync(patterns, { onlyFiles: true });
-  _.each(paths, (file) => {
-    files.push({
+  return _.map([...files], ([relative, file]) => {
+    return {
       src: file,
-      dest: this.destinationPath(path.relative(this.templatePath(dir), file)),
+      dest: this.destinationPath(relative),
+    };
+  });
+};
+
+/**
+ * Resolves the path of a template, from the template overlays if one contains it.
+ *
+ * @param {...String} parts the template path segments
+ * @return {String} the template path
+ * @private
+ */
+const _templatePath = function (...parts) {
+  const overlay = _.findLast(templateOverlays.call(this), (dir) => fs.existsSync(path.join(dir, ...parts)));
+  return overlay ? path.join(overlay, ...parts) : this.templatePath(...parts);
+};
+
+/**
+ * Marks the pending change of the file to be committed without Yeoman's conflict prompt.
+ *
+ * @param {String} file the file path
+ */
+const forceWrite = function (file) {
+  this.fs.store.get(file).conflicter = 'force';
+};
+
+// Handlers of the conflict policies, each writes the template over the existing file and returns the action taken.
+const conflictPolicies = Object.freeze({
+  overwrite(dest, existing, render) {
+    render(dest);
+    forceWrite.call(this, dest);
+    return 'overwritten';
+  },
+  skip() {
+    return 'skipped';
+  },
+  json(dest, existing, render) {
+    render(dest);
+    const merged = _.mergeWith(JSON.parse(existing), this.fs.readJSON(dest), (objectValue, sourceValue) => {
+      return Array.isArray(objectValue) && Array.isArray(sourceValue) ? _.unionWith(objectValue, sourceValue, _.isEqual) : undefined;
+    });
+    const indent = existing.match(/^[ \t]+/m);
+    this.fs.writeJSON(dest, merged, null, indent ? indent[0] : 2);
+    forceWrite.call(this, dest);
+    return 'merged';
+  },
+  xml(dest, existing, render) {
+    render(dest);
+    const parser = new XMLParser(PomUtils.xmlOptions);
+    const generated = parser.parse(this.fs.read(dest));
+    PomUtils.mergeElements(generated, parser.parse(existing));
+    this.fs.write(dest, PomUtils.buildPom(generated, existing));
+    forceWrite.call(this, dest);
+    return 'merged';
+  },
+  sidecar(dest, existing, render) {
+    const sidecar = `${dest}.new`;
+    render(sidecar);
+    if (this.fs.read(sidecar) === existing) {
+      this.fs.delete(sidecar);
+      return 'unchanged';
+    }
+
+    return 'sidecar';
+  },
+});
+
+// Summaries of the files written during a run, by Environment.
+const writeSummaries = new WeakMap();
+
+/**
+ * Finds the conflict policy of every existing file matched by the Generator's `conflictPolicies`.
+ *
+ * @return {Map<String, String>} the policies, by file path
+ */
+const findConflictPolicies = function () {
+  const policies = new Map();
+  _.forOwn(this.conflictPolicies, (policy, glob) => {
+    if (!_.has(conflictPolicies, policy)) {
+      throw new Error(chalk.red(`Unknown conflict policy '${policy}' for files '${glob}'.`));
+    }
+
+    _.each(globbySync(glob, { cwd: this.destinationPath(), dot: true, absolute: true, onlyFiles: true }), (file) => {
+      const key = path.normalize(file);
+      if (!policies.has(key)) {
+        policies.set(key, policy);
+      }
     });
   });
+  return policies;
+};
+
+/**
+ * Records the action taken for a file, for the summary logged at the end of the run.
+ *
+ * Nothing is recorded outside an Environment, e.g. when this Generator's methods are called directly, nor during a dry run, which lists the pending changes itself.
+ *
+ * @param {String} action the action taken
+ * @param {String} file the file path
+ */
+const recordWrite = function (action, file) {
+  if (!this.env || this.options.dryRun || action === 'unchanged') {
+    return;
+  }
 
-  return files;
+  let summary = writeSummaries.get(this.env);
+  if (!summary) {
+    summary = new Map();
+    writeSummaries.set(this.env, summary);
+    this.env.once('end', () => {
+      _logWriteSummary.call(this, summary);
+    });
+  }
+
+  if (summary.get(file) !== 'created') {
+    summary.set(file, action);
+  }
 };
 
 /**
@@ -315,6 +496,15 @@ const _listTemplates = function (dir = '.') {
  **
  * Files are written from src to dest
  *
+ * Files which already exist are resolved by the policy of the first glob, relative to the destination root, in the Generator's `conflictPolicies` which matches them:
+ *   * `overwrite` - replace the file, without prompting
+ *   * `skip` - keep the existing file
+ *   * `json` - deep merge the generated JSON into the existing, generated values take precedence
+ *   * `xml` - merge the generated XML into the existing, see `PomUtils.mergeElements`
+ *   * `sidecar` - keep the existing file, writing the generated one alongside it with a `.new` extension
+ *
+ * Existing files without a policy are left to Yeoman's conflict resolution.
+ *
  * @param {Object[]} templates - The list of templates to process
  * @param {string} templates[].src - The source location of the template
  * @param {string} templates[].dest - The destination of the processed template
@@ -328,9 +518,86 @@ const _writing = function (templates, tplProps, options = {}) {
     return ejs.render(dest, props, fopts);
   };
 
+  const policies = _.isEmpty(this.conflictPolicies) ? new Map() : findConflictPolicies.call(this);
   for (const t of templates) {
-    this.fs.copyTpl(t.src, fixpath(t.dest, tplProps, localOptions), tplProps, localOptions);
+    const dest = fixpath(t.dest, tplProps, localOptions);
+    const render = (file) => this.fs.copyTpl(t.src, file, tplProps, localOptions);
+    if (!fs.existsSync(dest)) {
+      render(dest);
+      recordWrite.call(this, 'created', dest);
+      continue;
+    }
+
+    const existing = this.fs.read(dest);
+    const policy = policies.get(path.normalize(dest));
+    let action;
+    if (policy) {
+      action = conflictPolicies[policy].call(this, dest, existing, render);
+    } else {
+      render(dest);
+      action = 'updated';
+    }
+
+    if ((action === 'updated' || action === 'overwritten' || action === 'merged') && this.fs.read(dest) === existing) {
+      action = 'unchanged';
+    }
+
+    recordWrite.call(this, action, action === 'sidecar' ? `${dest}.new` : dest);
+  }
+};
+
+// Display order and color of the actions in the summary.
+const summaryActions = Object.freeze({
+  created: chalk.green,
+  overwritten: chalk.yellow,
+  updated: chalk.yellow,
+  merged: chalk.cyan,
+  sidecar: chalk.magenta,
+  skipped: chalk.gray,
+});
+
+/**
+ * Logs the summary of the files written, grouped by the action taken.
+ *
+ * The action is checked against the commit of the file, so that files which Yeoman's conflict resolution did not write (e.g. the overwrite was declined) are listed as `skipped`.
+ *
+ * @param {Map<String, String>} summary the actions, by file path
+ * @private
+ */
+const _logWriteSummary = function (summary) {
+  if (summary.size === 0) {
+    return;
   }
+
+  const store = this.env.sharedFs;
+  const committed = (file) => store.existsInMemory(file) && Boolean(store.get(file).committed);
+  const lines = [];
+  _.forOwn(summaryActions, (color, action) => {
+    for (const [file, recorded] of summary) {
+      const taken = recorded === 'skipped' || committed(file) ? recorded : 'skipped';
+      if (taken === action) {
+        lines.push(`  ${color(_.padEnd(action, 12))}${path.relative(this.env.cwd, file)}`);
+      }
+    }
+  });
+  this.log(`\nFiles written:\n${lines.join('\n')}\n`);
+};
+
+/**
+ * Builds the options for resolving artifact versions, see `MavenUtils.latestRelease`.
+ *
+ * Repositories are read from the parent pom of the project.
+ *
+ * @param rootPath the root path of the project, defaults to the parent of this module
+ * @return {{offline: boolean, settings: String, repositories: Object[]}} the options
+ * @private
+ */
+const _resolutionOptions = function (rootPath = path.dirname(this.destinationPath())) {
+  return {
+    offline: this.options.offline,
+    settings: this.options.settings,
+    repositories: PomUtils.listRepositories(this, rootPath),
+  };
 };
 
 /**
@@ -340,13 +607,114 @@ const _writing = function (templates, tplProps, options = {}) {
  * @private
  */
 const _install = function (options_ = {}) {
+  if (this.options.dryRun) {
+    return;
+  }
+
   const options = this.options.showBuildOutput ? { stdio: 'inherit' } : { stdio: 'ignore' };
-  _.defaults(options, options_);
-  return this.spawnCommand('mvn', ['clean', 'verify'], options).catch((error) => {
+  _.defaults(options, options_, { cwd: this.destinationPath() });
+
+  // The project's setting applies, unless overridden when running this generator.
+  const wrapper = this.options.mavenWrapper === undefined ? _.get(this.parentProps || this.props, 'mavenWrapper') : this.options.mavenWrapper;
+  let command = 'mvn';
+  if (wrapper) {
+    command = path.join(options.cwd, process.platform === 'win32' ? 'mvnw.cmd' : 'mvnw');
+    if (!fs.existsSync(command)) {
+      return Promise.reject(new Error(chalk.red(`Maven Wrapper not found: ${command}`) + '\n\nGenerate it with the mavenWrapper option of the project generator, or build without this option.'));
+    }
+  }
+
+  return this.spawnCommand(command, _buildArgs.call(this, options.cwd), options).catch((error) => {
     throw new Error(chalk.red('Maven build failed with error: \n\n\t' + error.message + '\n\nPlease retry the build manually to determine the issue.'));
   });
 };
 
+/**
+ * Builds the Maven command line arguments from the `goals`, `profiles`, `skipTests` and `settings` options.
+ *
+ * When the build is run from a parent folder, i.e. for a module generated on its own, only that module (and the modules it depends on) is built.
+ *
+ * @param {String} cwd the folder in which the build is run
+ * @return {String[]} the arguments
+ * @private
+ */
+const _buildArgs = function (cwd) {
+  const args = _.compact(_.split(this.options.goals || 'clean verify', /\s+/));
+  if (this.options.profiles) {
+    args.push(`-P${this.options.profiles}`);
+  }
+
+  if (this.options.skipTests) {
+    args.push('-DskipTests');
+  }
+
+  const module = path.relative(cwd, this.destinationPath());
+  if (module && !module.startsWith('..')) {
+    args.push('-pl', module, '-am');
+  }
+
+  if (this.options.settings) {
+    args.push('-s', this.options.settings);
+  }
+
+  return args;
+};
+
+/**
+ * Prints a unified diff for every pending file change in the shared in-memory file system, instead of writing them to disk.
+ *
+ * Registered as the Environment's custom commit task when the `dryRun` option is set.
+ *
+ * @private
+ */
+const _dryRun = function () {
+  let changed = 0;
+  _.each(this.env.sharedFs.all(), (file) => {
+    if (file.state !== 'modified' && file.state !== 'deleted') {
+      return;
+    }
+
+    const name = path.relative(this.env.cwd, file.path);
+    if (file.symlink) {
+      changed++;
+      this.log(`Symlink ${name} -> ${file.symlink}`);
+      return;
+    }
+
+    const exists = fs.existsSync(file.path);
+    const deleted = file.state === 'deleted';
+    const original = exists ? fs.readFileSync(file.path) : Buffer.alloc(0);
+    const updated = deleted ? Buffer.alloc(0) : file.contents;
+    if ((deleted && !exists) || original.equals(updated)) {
+      return;
+    }
+
+    changed++;
+    if (original.includes(0) || updated.includes(0)) {
+      this.log(`Binary file ${name} differs`);
+      return;
+    }
+
+    const oldName = exists ? `a/${name}` : '/dev/null';
+    const newName = deleted ? '/dev/null' : `b/${name}`;
+    this.log(createTwoFilesPatch(oldName, newName, original.toString(), updated.toString()));
+  });
+
+  this.log(chalk.yellow(`Dry run: ${changed} file(s) would be changed, nothing was written.`));
+};
+
+/**
+ * Records a symlink which would be created, so that it is listed by the dry run along with the other pending changes.
+ *
+ * @param {String} dest the path of the link
+ * @param {String} target the relative path the link points to
+ * @private
+ */
+const _planSymlink = function (dest, target) {
+  this.fs.write(dest, target);
+  this.fs.store.get(dest).symlink = target;
+};
+
 /**
  * List all modules within the project that are of the given type.
  *
@@ -382,6 +750,34 @@ const _findModules = function (type) {
   return modules;
 };
 
+/**
+ * Selects the module to write into, among the project's modules of a type.
+ *
+ * @param {Object[]} modules the modules, see `_findModules`
+ * @param {String} selected the folder or artifactId of the module, from an option
+ * @param {String} label the kind of module, for the error message, e.g. `Bundle module`
+ * @param {String} cwd the directory the generator was run from; its module is selected if there are more than one, and none is specified
+ * @return {undefined|Object} the module, undefined if none could be selected
+ * @private
+ */
+const _selectModule = function (modules, selected, label, cwd) {
+  if (selected) {
+    const folder = path.normalize(selected).replace(/[/\\]+$/, '');
+    const module = _.find(modules, (module) => module.path === folder || module.artifactId === selected);
+    if (!module) {
+      throw new Error(chalk.red(`${label} '${selected}' is not part of this project.`));
+    }
+
+    return module;
+  }
+
+  if (modules.length === 1) {
+    return modules[0];
+  }
+
+  return cwd ? _.find(modules, (module) => cwd === this.destinationPath(module.path)) : undefined;
+};
+
 const ModuleMixins = {
   moduleOptions,
   _initializing,
@@ -390,8 +786,14 @@ const ModuleMixins = {
   _configuring,
   _duplicateCheck,
   _listTemplates,
+  _templatePath,
   _writing,
+  _logWriteSummary,
+  _resolutionOptions,
   _install,
+  _dryRun,
+  _planSymlink,
   _findModules,
+  _selectModule,
 };
 export default ModuleMixins;
@@ -68,6 +68,27 @@ const listParentPomModules = (generator, rootPath) => {
   return Array.isArray(pom.project.modules.module) ? pom.project.modules.module : [pom.project.modules.module];
 };
 
+/**
+ * List the repositories defined in the generator's parent pom
+ *
+ * @param {Generator} generator the generator context
+ * @param rootPath the root path to the parent pom context
+ * @return {[]|Array} list of repositories, in the form `{ id, url }`, or an empty list
+ */
+const listRepositories = (generator, rootPath) => {
+  if (!generator.fs.exists(path.join(rootPath, 'pom.xml'))) {
+    return [];
+  }
+
+  const pom = new XMLParser({ parseTagValue: false }).parse(generator.fs.read(path.join(rootPath, 'pom.xml')));
+  const repositories = _.get(pom, 'project.repositories.repository');
+  if (!repositories) {
+    return [];
+  }
+
+  return _.map(_.castArray(repositories), (repository) => _.pick(repository, ['id', 'url']));
+};
+
 /**
  * Finds the specific node within a parsed pom.
  *
@@ -99,6 +120,289 @@ const fixXml = (xml) => {
   return xml.replace(/(<[a-zA-Z\d.-]+>)\s*\n\s*([^<]+)\s*\n\s*(<\/[a-zA-Z\d.-]+>)/g, '$1$2$3');
 };
 
+/**
+ * Finds the element name of a parsed pom node; text and comment nodes have none.
+ *
+ * @param node the node
+ * @return {undefined|String} the element name
+ */
+const elementName = (node) => _.find(_.keys(node), (key) => !key.startsWith('#') && key !== ':@');
+
+// Tokens of the XML source; CDATA and DOCTYPE are not supported when preserving formatting.
+const xmlTokens = /<!--[\s\S]*?-->|<!\[CDATA\[|<!DOCTYPE|<\?[\s\S]*?\?>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)(?:[^>"']|"[^"]*"|'[^']*')*?(\/?)>/g;
+
+/**
+ * Scans the XML source, recording the location of every node.
+ *
+ * Each node has the `start` & `end` offsets of its source; elements also record the end of their start tag (`openEnd`) and the start of their end tag (`closeStart`).
+ *
+ * @param {String} xml the source
+ * @return {undefined|Object} the document node, or undefined if the source is not supported
+ */
+const scanXml = (xml) => {
+  const root = { type: 'document', children: [], openEnd: 0, closeStart: xml.length };
+  const stack = [root];
+  let pos = 0;
+  let match;
+  const addText = (end) => {
+    if (xml.slice(pos, end).trim() !== '') {
+      _.last(stack).children.push({ type: 'text', start: pos, end });
+    }
+  };
+
+  xmlTokens.lastIndex = 0;
+  while ((match = xmlTokens.exec(xml)) !== null) {
+    addText(match.index);
+    pos = xmlTokens.lastIndex;
+    const token = match[0];
+    const node = { start: match.index, end: pos };
+    if (token === '<![CDATA[' || token === '<!DOCTYPE') {
+      return undefined;
+    }
+
+    if (token.startsWith('<!--')) {
+      _.last(stack).children.push({ ...node, type: 'comment' });
+    } else if (token.startsWith('<?')) {
+      _.last(stack).children.push({ ...node, type: 'instruction' });
+    } else if (match[1]) {
+      const element = stack.pop();
+      if (element.name !== match[1]) {
+        return undefined;
+      }
+
+      element.closeStart = match.index;
+      element.end = pos;
+    } else {
+      const element = { ...node, type: 'element', name: match[2], openEnd: pos, closeStart: pos, children: [] };
+      _.last(stack).children.push(element);
+      if (match[3] !== '/') {
+        stack.push(element);
+      }
+    }
+  }
+
+  addText(xml.length);
+  return stack.length === 1 ? root : undefined;
+};
+
+/**
+ * Pairs the scanned source nodes with the parsed nodes of the same list, setting each source's `node`.
+ *
+ * @param {Array} scanned the scanned nodes
+ * @param {Array} parsed the parsed nodes
+ * @return {boolean} true if the lists correspond
+ */
+const pairNodes = (scanned, parsed) => {
+  if (!Array.isArray(parsed) || scanned.length !== parsed.length) {
+    return false;
+  }
+
+  const matches = _.every(scanned, (source, idx) => {
+    const node = parsed[idx];
+    switch (source.type) {
+      case 'comment': {
+        return node['#comment'] !== undefined;
+      }
+
+      case 'text': {
+        return node['#text'] !== undefined;
+      }
+
+      case 'instruction': {
+        return _.startsWith(elementName(node), '?');
+      }
+
+      default: {
+        return elementName(node) === source.name;
+      }
+    }
+  });
+  if (matches) {
+    _.each(scanned, (source, idx) => {
+      source.node = parsed[idx];
+    });
+  }
+
+  return matches;
+};
+
+/**
+ * Builds the XML of a single node, indented to the specified depth.
+ *
+ * @param {Object} node the parsed node
+ * @param {String} indent the indentation of the node's lines
+ * @return {String} the XML
+ */
+const buildNode = (node, indent) => {
+  const xml = fixXml(new XMLBuilder(xmlOptions).build([node]))
+    .replace(/^\n+/, '')
+    .replace(/\n+$/, '');
+  return xml.split('\n').join(`\n${indent}`);
+};
+
+/**
+ * Aligns the updated list of nodes with the original list; unchanged nodes are kept, and changed elements paired by name.
+ *
+ * @param {Array} nodes the updated nodes
+ * @param {Array} sources the original, paired, source nodes
+ * @return {Array} the operations, each with the updated `node` and/or original `source`
+ */
+const alignNodes = (nodes, sources) => {
+  // Longest common subsequence of unchanged nodes.
+  const lengths = _.times(nodes.length + 1, () => Array.from({ length: sources.length + 1 }).fill(0));
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    for (let j = sources.length - 1; j >= 0; j--) {
+      lengths[i][j] = _.isEqual(nodes[i], sources[j].node) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let added = [];
+  let removed = [];
+  const flush = () => {
+    // Changed elements with the same name are updated in place.
+    _.each(added, (node) => {
+      const idx = _.findIndex(removed, (source) => source.type === 'element' && source.name === elementName(node));
+      const source = idx === -1 ? undefined : removed.splice(idx, 1)[0];
+      ops.push({ node, source });
+    });
+    added = [];
+    removed = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < nodes.length || j < sources.length) {
+    if (i < nodes.length && j < sources.length && _.isEqual(nodes[i], sources[j].node)) {
+      flush();
+      ops.push({ node: nodes[i++], source: sources[j++], unchanged: true });
+    } else if (j < sources.length && (i === nodes.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      removed.push(sources[j++]);
+    } else {
+      added.push(nodes[i++]);
+    }
+  }
+
+  flush();
+  return ops;
+};
+
+/**
+ * Renders the updated children of an element, reusing the source of the original children where possible.
+ *
+ * @param {String} xml the original source
+ * @param {Array} nodes the updated children
+ * @param {Object} parent the scanned original element, with paired children
+ * @param {String} indent the indentation of the children
+ * @return {String} the XML between the element's start and end tags
+ */
+const renderChildren = (xml, nodes, parent, indent) => {
+  const leading = (source) => {
+    const idx = parent.children.indexOf(source);
+    return xml.slice(idx === 0 ? parent.openEnd : parent.children[idx - 1].end, source.start);
+  };
+
+  // New nodes are indented like their original siblings.
+  const siblings = _.filter(parent.children, (source) => leading(source).includes('\n'));
+  const prefix = siblings.length > 0 ? `\n${_.last(leading(_.last(siblings)).split('\n'))}` : `\n${indent}`;
+
+  let result = '';
+  _.each(alignNodes(nodes, parent.children), ({ node, source, unchanged }) => {
+    if (source) {
+      const childIndent = _.last(leading(source).split('\n'));
+      result += leading(source) + (unchanged ? xml.slice(source.start, source.end) : renderNode(xml, node, source, childIndent));
+    } else {
+      result += prefix + buildNode(node, prefix.slice(1));
+    }
+  });
+
+  const last = _.last(parent.children);
+  return result + xml.slice(last ? last.end : parent.openEnd, parent.closeStart);
+};
+
+/**
+ * Builds the start tag of an element, with its attributes.
+ *
+ * @param {Object} node the parsed element
+ * @return {String} the start tag
+ */
+const buildStartTag = (node) => {
+  const attributes = _.map(node[':@'], (value, key) => ` ${key.replace(/^@_/, '')}="${_.escape(value)}"`);
+  return `<${elementName(node)}${attributes.join('')}>`;
+};
+
+/**
+ * Renders an updated element, keeping the source of its tags and unchanged children.
+ *
+ * Elements which only contain text are rebuilt; as is the start tag of elements whose attributes changed.
+ *
+ * @param {String} xml the original source
+ * @param {Object} node the updated element
+ * @param {Object} source the scanned original element
+ * @param {String} indent the indentation of the element
+ * @return {String} the XML
+ */
+const renderNode = (xml, node, source, indent) => {
+  const name = elementName(node);
+  const hasElements = (nodes) => _.some(nodes, (item) => elementName(item) !== undefined);
+  if (!hasElements(node[name]) || !hasElements(source.node[name]) || !pairNodes(source.children, source.node[name])) {
+    return buildNode(node, indent);
+  }
+
+  const startTag = _.isEqual(node[':@'], source.node[':@']) ? xml.slice(source.start, source.openEnd) : buildStartTag(node);
+  return startTag + renderChildren(xml, node[name], source, `${indent}  `) + xml.slice(source.closeStart, source.end);
+};
+
+/**
+ * Builds the XML of a parsed pom.
+ *
+ * If the original source is provided, only the changed elements are rebuilt: the comments, blank lines, indentation and attribute order of unchanged sections are kept.
+ *
+ * @param {Array} parsed the parsed pom
+ * @param {String} original the original pom source
+ * @return {String} the XML
+ */
+const buildPom = (parsed, original) => {
+  const document = original === undefined ? undefined : scanXml(original);
+  if (!document || !pairNodes(document.children, new XMLParser(xmlOptions).parse(original))) {
+    return fixXml(new XMLBuilder(xmlOptions).build(parsed));
+  }
+
+  return renderChildren(original, parsed, document, '');
+};
+
+/**
+ * Finds the text of the named child element.
+ *
+ * @param nodes the list of child nodes
+ * @param name the child element name
+ * @return {undefined|String} the text, if the element exists
+ */
+const elementText = (nodes, name) => {
+  const found = findPomNodeArray(nodes, name);
+  return found && found.length > 0 ? String(found[0]['#text']) : undefined;
+};
+
+/**
+ * Builds the identity of an artifact struct (e.g. a dependency): its GroupId, ArtifactId, type and classifier.
+ *
+ * @param nodes the list of the artifact's child nodes
+ * @param defaultType the type of the artifact if none is specified
+ * @return {String} the identity
+ */
+const artifactKey = (nodes, defaultType = 'jar') => {
+  return [elementText(nodes, 'groupId'), elementText(nodes, 'artifactId'), elementText(nodes, 'type') || defaultType, elementText(nodes, 'classifier') || ''].join(':');
+};
+
+// Identity of the elements in lists which are keyed by their content, rather than position.
+const elementKeys = Object.freeze({
+  plugin: (nodes) => `${elementText(nodes, 'groupId') || 'org.apache.maven.plugins'}:${elementText(nodes, 'artifactId')}`,
+  dependency: (nodes) => artifactKey(nodes),
+  exclusion: (nodes) => `${elementText(nodes, 'groupId')}:${elementText(nodes, 'artifactId')}`,
+  execution: (nodes) => elementText(nodes, 'id') || 'default',
+  profile: (nodes) => elementText(nodes, 'id'),
+});
+
 /**
  * Predicate for matching a Pom Property struct against a list of properties.
  *
@@ -149,7 +453,7 @@ const pluginPredicate = (target, plugin) => {
 /**
  * Predicate for matching a Pom Dependency struct against a specific a list of dependencies.
  *
- * Only the GroupId and ArtifactId are used to make a match, version and other details are ignored.
+ * The GroupId, ArtifactId, type and classifier are used to make a match, so that e.g. a classified artifact does not match the main one. Version and other details are ignored.
  *
  * @param target the list to search
  * @param dependency the dependency to find
@@ -161,18 +465,9 @@ const dependencyPredicate = (target, dependency) => {
     return false;
   }
 
-  const groupId = PomUtils.findPomNodeArray(dependency.dependency, 'groupId')[0]['#text'];
-  const artifactId = PomUtils.findPomNodeArray(dependency.dependency, 'artifactId')[0]['#text'];
-
+  const key = artifactKey(dependency.dependency);
   return _.find(target, (item) => {
-    if (!item.dependency) {
-      return false;
-    }
-
-    const findGroupId = PomUtils.findPomNodeArray(item.dependency, 'groupId');
-    const findArtifactId = PomUtils.findPomNodeArray(item.dependency, 'artifactId');
-
-    return groupId === findGroupId[0]['#text'] && artifactId === findArtifactId[0]['#text'];
+    return item.dependency && artifactKey(item.dependency) === key;
   });
 };
 
@@ -225,9 +520,127 @@ const mergePomSection = (target, additional, predicate) => {
   target.push(...additional);
 };
 
+/**
+ * Finds the element in the target list which corresponds to the source element.
+ *
+ * Known elements are matched by their identity (e.g. an execution's id), single elements by their name, and elements of lists (e.g. `goals/goal`) by their content.
+ *
+ * @param target the list to search
+ * @param source the list containing the element
+ * @param node the element to find
+ * @param parent the name of the element containing both lists
+ * @return {undefined|Object} the matching element
+ */
+const findMatchingElement = (target, source, node, parent) => {
+  const name = elementName(node);
+  const candidates = _.filter(target, (item) => elementName(item) === name);
+  if (elementKeys[name]) {
+    const key = elementKeys[name](node[name]);
+    return _.find(candidates, (item) => elementKeys[name](item[name]) === key);
+  }
+
+  const list = parent === `${name}s` || parent === `${name.slice(0, -1)}ies`;
+  if (!list && candidates.length === 1 && _.filter(source, (item) => elementName(item) === name).length === 1) {
+    return candidates[0];
+  }
+
+  return _.find(candidates, (item) => _.isEqual(item, node));
+};
+
+/**
+ * Deep merges the source element's children into the target's.
+ *
+ * Values defined by the target (e.g. versions) are kept, elements and attributes only in the source (e.g. custom configuration keys or executions) are added. Comments preceding the source's elements are retained.
+ *
+ * @param target the list of child nodes to update
+ * @param source the list of child nodes to merge
+ * @param parent the name of the element containing both lists
+ */
+const mergeElements = (target, source, parent) => {
+  const hasElements = (nodes) => _.some(nodes, (item) => elementName(item) !== undefined);
+  // Added elements are placed after the element preceding them in the source.
+  let insertAt = 0;
+  _.each(source, (node, idx) => {
+    const name = elementName(node);
+    if (!name) {
+      return;
+    }
+
+    const comments = [];
+    for (let i = idx - 1; i >= 0 && source[i]['#comment']; i--) {
+      comments.unshift(source[i]);
+    }
+
+    const newComments = _.reject(comments, (comment) => _.some(target, (item) => _.isEqual(item, comment)));
+    const match = findMatchingElement(target, source, node, parent);
+    if (match === undefined) {
+      target.splice(insertAt, 0, ...newComments, node);
+      insertAt += newComments.length + 1;
+      return;
+    }
+
+    target.splice(target.indexOf(match), 0, ...newComments);
+    insertAt = target.indexOf(match) + 1;
+    if (node[':@']) {
+      match[':@'] = { ...node[':@'], ...match[':@'] };
+    }
+
+    if (hasElements(match[name]) && hasElements(node[name])) {
+      mergeElements(match[name], node[name], name);
+    }
+  });
+};
+
+/**
+ * Merges two lists of plugins into one.
+ *
+ * Plugins only in the additional list are added to the end of the target. Plugins in both are deep merged: the target's values are kept, but any configuration, executions or dependencies only in the additional plugin are retained.
+ *
+ * @param target the list of plugins to update, usually the generated ones
+ * @param additional the plugins to merge, usually the existing ones
+ */
+const mergePlugins = (target, additional) => {
+  mergePomSection(target, additional, (list, plugin) => {
+    const found = PomUtils.pluginPredicate(list, plugin);
+    if (found) {
+      mergeElements(found.plugin, plugin.plugin, 'plugin');
+    }
+
+    return found;
+  });
+};
+
+/**
+ * Merges two lists of dependencies into one.
+ *
+ * Dependencies only in the additional list are added to the end of the target. Dependencies in both are kept as defined by the target, but any exclusions only in the additional dependency are retained.
+ *
+ * @param target the list of dependencies to update, usually the generated ones
+ * @param additional the dependencies to merge, usually the existing ones
+ */
+const mergeDependencies = (target, additional) => {
+  mergePomSection(target, additional, (list, dependency) => {
+    const found = PomUtils.dependencyPredicate(list, dependency);
+    const exclusions = found && _.find(dependency.dependency, (node) => node.exclusions);
+    if (exclusions) {
+      let existing = _.find(found.dependency, (node) => node.exclusions);
+      if (!existing) {
+        existing = { exclusions: [] };
+        found.dependency.push(existing);
+      }
+
+      mergeElements(existing.exclusions, exclusions.exclusions, 'exclusions');
+    }
+
+    return found;
+  });
+};
+
 /**
  * Removes the specified dependencies from the provided list, referenced by target.
  *
+ * Dependencies are matched by their GroupId, ArtifactId, type and classifier.
+ *
  * @param target the list from which to remove dependencies
  * @param dependencies the dependencies to remove.
  */
@@ -273,6 +686,76 @@ const addDependencies = (target, dependencies, after) => {
   target.splice(insertAt, 0, ...dependencies);
 };
 
+/**
+ * Creates the dependency struct which imports a BOM (Bill of Materials) into a dependency management section.
+ *
+ * `bom` should be an object:
+ *   {
+ *     groupId: 'The BOM GroupId',
+ *     artifactId: 'The BOM ArtifactId',
+ *     version: 'The BOM version'
+ *   }
+ *
+ * @param bom the BOM coordinates
+ * @return {Object} the dependency struct
+ */
+const bomDependency = (bom) => {
+  return {
+    dependency: [
+      { groupId: [{ '#text': bom.groupId }] },
+      { artifactId: [{ '#text': bom.artifactId }] },
+      { version: [{ '#text': bom.version }] },
+      { type: [{ '#text': 'pom' }] },
+      { scope: [{ '#text': 'import' }] },
+    ],
+  };
+};
+
+/**
+ * Adds the BOM imports to the dependency management list, referenced by target.
+ *
+ * BOMs which are already imported keep their position, but are updated to the specified version; others are inserted after the `after` artifact, as with `addDependencies`.
+ *
+ * @param target the dependency management list to which to add the BOMs
+ * @param boms the BOM coordinates
+ * @param after the location in the list after which to add new BOMs
+ */
+const addBoms = (target, boms, after) => {
+  const toAdd = [];
+  _.each(boms, (bom) => {
+    const dependency = bomDependency(bom);
+    const existing = PomUtils.dependencyPredicate(target, dependency);
+    if (existing) {
+      existing.dependency = dependency.dependency;
+    } else {
+      toAdd.push(dependency);
+    }
+  });
+  addDependencies(target, toAdd, after);
+};
+
+/**
+ * Removes the BOM imports from the dependency management list, referenced by target.
+ *
+ * @param target the dependency management list from which to remove the BOMs
+ * @param boms the BOM coordinates
+ */
+const removeBoms = (target, boms) => {
+  removeDependencies(target, _.map(boms, bomDependency));
+};
+
+/**
+ * Writes the parsed pom to the file, preserving the formatting of any unchanged sections of the existing file.
+ *
+ * @param {Generator} generator the generator context
+ * @param {String} file the pom file
+ * @param {Array} parsed the parsed pom
+ */
+const writePom = (generator, file, parsed) => {
+  const original = generator.fs.exists(file) ? generator.fs.read(file) : undefined;
+  generator.fs.write(file, buildPom(parsed, original));
+};
+
 /**
  * Adds the current module to the Parent Pom module list.
  *
@@ -313,23 +796,57 @@ const addModuleToParent = (generator) => {
     modules.push(toAdd);
   }
 
-  generator.fs.write(parentPom, fixXml(new XMLBuilder(xmlOptions).build(parsed)));
+  generator.fs.write(parentPom, buildPom(parsed, data));
+};
+
+/**
+ * Removes a module from its Parent Pom module list.
+ *
+ * @param {Generator} generator the generator context
+ * @param {String} moduleRoot the root folder of the module to remove, defaults to the generator's root
+ * @private
+ */
+const removeModuleFromParent = (generator, moduleRoot = generator.destinationRoot()) => {
+  const parentPom = path.join(path.dirname(moduleRoot), 'pom.xml');
+  const data = generator.fs.read(parentPom);
+  const parsed = new XMLParser(xmlOptions).parse(data);
+
+  const modules = findPomNodeArray(parsed, 'project', 'modules');
+  if (!modules) {
+    return;
+  }
+
+  const toRemove = { module: [{ '#text': path.basename(moduleRoot) }] };
+  _.remove(modules, (mod) => _.isEqual(mod, toRemove));
+
+  generator.fs.write(parentPom, buildPom(parsed, data));
 };
 
 const PomUtils = {
   xmlOptions,
   readPom,
   listParentPomModules,
+  listRepositories,
   fixXml,
+  buildPom,
+  writePom,
   findPomNodeArray,
+  artifactKey,
   propertyPredicate,
   pluginPredicate,
   dependencyPredicate,
   profilePredicate,
   mergePomSection,
+  mergeElements,
+  mergePlugins,
+  mergeDependencies,
   addModuleToParent,
+  removeModuleFromParent,
   removeDependencies,
   addDependencies,
+  bomDependency,
+  addBoms,
+  removeBoms,
 };
 
 export default PomUtils;
@@ -0,0 +1,44 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import _ from 'lodash';
+import Generator from 'yeoman-generator';
+
+import ModuleMixins from '../../../../lib/module-mixins.js';
+
+class Conflicts extends Generator {
+  constructor(args, options, features) {
+    super(args, options, features);
+    this.conflictPolicies = options.policies;
+    if (this.options.dryRun) {
+      this.setFeatures({ customCommitTask: this._dryRun.bind(this) });
+    }
+
+    this.output = [];
+    this.log = (message) => {
+      this.output.push(message);
+    };
+  }
+
+  writing() {
+    this._writing(this._listTemplates(), { name: 'Generated' });
+  }
+}
+_.extendWith(Conflicts.prototype, ModuleMixins, (objectValue, srcValue) => {
+  return _.isFunction(srcValue) ? srcValue : _.cloneDeep(srcValue);
+});
+
+export default Conflicts;
@@ -0,0 +1,48 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import _ from 'lodash';
+import Generator from 'yeoman-generator';
+
+import PomUtils from '../../../../lib/pom-utils.js';
+
+class Plugin extends Generator {
+  constructor(args, options, features) {
+    super(args, options, features);
+
+    this.rootGeneratorName = function () {
+      return 'test:plugin';
+    };
+  }
+
+  initializing() {
+    this.destinationRoot(this.destinationPath(this.options.generateInto));
+  }
+
+  configuring() {
+    // Stored under the plugin's namespace, for its contributions to be found.
+    this.config.set(_.pick(this.options, ['appId', 'name', 'artifactId']));
+  }
+
+  writing() {
+    this.fs.writeJSON(this.destinationPath('options.json'), _.pick(this.options, ['generateInto', 'appId', 'name', 'artifactId', 'appsRef', 'index']));
+    if (this.env.rootGenerator() === this) {
+      PomUtils.addModuleToParent(this);
+    }
+  }
+}
+
+export default Plugin;
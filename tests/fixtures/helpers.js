@@ -18,6 +18,7 @@ import path from 'node:path';
 import fs from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import _ from 'lodash';
+import yeoman from 'yeoman-test';
 
 import { XMLBuilder, XMLParser } from 'fast-xml-parser';
 import PomUtils from '../../lib/pom-utils.js';
@@ -106,6 +107,61 @@ export function addDependenciesToPom(temporaryDir, toAdd = []) {
   fs.writeFileSync(pom, PomUtils.fixXml(builder.build(pomData)));
 }
 
+export const projectConfig = {
+  '@adobe/generator-aem': {
+    name: 'Test Project',
+    appId: 'test',
+    groupId: 'com.adobe.test',
+    artifactId: 'test',
+    version: '1.0.0-SNAPSHOT',
+    aemVersion: 'cloud',
+  },
+};
+
+const coreBundle = { core: { '@adobe/generator-aem:bundle': { appId: 'test', artifactId: 'test.core', package: 'com.adobe.test' } } };
+
+/**
+ * Creates a cloud project, with the given modules.
+ *
+ * @param {String} temporaryDir the project root
+ * @param {Object} modules the `.yo-rc.json` configuration of each module, keyed by folder; a `core` bundle by default
+ */
+export function createProject(temporaryDir, modules = coreBundle) {
+  fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(temporaryDir, 'pom.xml'));
+  addModulesToPom(temporaryDir, Object.keys(modules));
+  fs.writeFileSync(path.join(temporaryDir, '.yo-rc.json'), JSON.stringify(projectConfig));
+
+  for (const [module, config] of Object.entries(modules)) {
+    fs.mkdirSync(path.join(temporaryDir, module));
+    fs.writeFileSync(path.join(temporaryDir, module, '.yo-rc.json'), JSON.stringify(config));
+  }
+}
+
+/**
+ * Runs a generator in a new project, see `createProject`.
+ *
+ * @param {Generator} generator the generator class
+ * @param {String} resolved the path of the generator
+ * @param {String[]} args the generator's arguments
+ * @param {Object} settings the generator's `options` and `prompts`, the project's `modules`, and `inDir`, called with the project root before running
+ * @return {Promise<Object>} the run `result`, and the project `root`
+ */
+export async function runInProject(generator, resolved, args, { options = {}, prompts = {}, modules, inDir = () => {} } = {}) {
+  let root;
+  const result = await yeoman
+    .create(generator, { resolved })
+    .withArguments(args)
+    .withOptions(options)
+    .withPrompts(prompts)
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir, modules);
+      inDir(dir);
+    })
+    .run();
+  return { result, root };
+}
+
 const helpers = {
   cloudSdkApiMetadata,
   aem65ApiMetadata,
@@ -114,6 +170,8 @@ const helpers = {
   fixturePath,
   addModulesToPom,
   addDependenciesToPom,
+  createProject,
+  runInProject,
 };
 
 export default helpers;
@@ -25,10 +25,12 @@ import _ from 'lodash';
 import test from 'ava';
 import sinon from 'sinon/pkg/sinon-esm.js';
 import helpers from 'yeoman-test';
+import { XMLParser } from 'fast-xml-parser';
 
 import tempDirectory from 'temp-dir';
 import { generatorPath, fixturePath, cloudSdkApiMetadata, aem65ApiMetadata } from '../fixtures/helpers.js';
 import TestGenerator from '../fixtures/generators/simple/index.js';
+import PluginGenerator from '../fixtures/generators/plugin/index.js';
 
 import Bundle, { generatorName as bundleGeneratorName } from '../../generators/bundle/index.js';
 import FrontendGeneral, { generatorName as feGeneratorName } from '../../generators/frontend-general/index.js';
@@ -175,6 +177,183 @@ test('initializing - defaults with module subset', async (t) => {
     });
 });
 
+test('initializing - java 17/21', async (t) => {
+  t.plan(2);
+
+  await helpers
+    .create(AEMAppInit)
+    .withOptions({ javaVersion: '21', aemVersion: 'cloud' })
+    .run()
+    .then((result) => {
+      t.is(result.generator.props.javaVersion, '21', 'Java 21 accepted.');
+    });
+
+  await helpers
+    .create(AEMAppInit)
+    .withOptions({ javaVersion: '17', aemVersion: '6.5' })
+    .run()
+    .then((result) => {
+      t.is(result.generator.props.javaVersion, '17', 'Java 17 accepted.');
+    });
+});
+
+test('initializing - maven wrapper', async (t) => {
+  t.plan(3);
+
+  await helpers
+    .create(AEMAppInit)
+    .withOptions({ mavenWrapper: true })
+    .run()
+    .then((result) => {
+      t.is(result.generator.props.mavenVersion, '3.9.9', 'Default version.');
+    });
+
+  await helpers
+    .create(AEMAppInit)
+    .withOptions({ mavenWrapper: true, mavenVersion: '3.8.8' })
+    .run()
+    .then((result) => {
+      t.is(result.generator.props.mavenVersion, '3.8.8', 'Version set.');
+    });
+
+  await helpers
+    .create(AEMAppInit)
+    .withOptions({ mavenWrapper: true, mavenVersion: 'latest' })
+    .run()
+    .then((result) => {
+      t.is(result.generator.props.mavenVersion, '3.9.9', 'Invalid version replaced.');
+    });
+});
+
+test('initializing - config file', async (t) => {
+  t.plan(4);
+
+  await helpers
+    .create(AEMAppInit)
+    .withOptions({ config: fixturePath('config', 'project.yaml') })
+    .run()
+    .then((result) => {
+      const props = {
+        groupId: 'com.adobe.test',
+        artifactId: 'test',
+        appId: 'test',
+        name: 'Test Project',
+        examples: false,
+        version: '1.0.0-SNAPSHOT',
+        aemVersion: '6.5',
+        javaVersion: '8',
+        nodeVersion,
+        npmVersion,
+      };
+
+      const modules = {
+        bundle: { core: { package: 'com.adobe.test.core' } },
+        'package-apps': { 'ui.apps': { precompileScripts: true, bundleRef: 'test.core' } },
+      };
+
+      t.deepEqual(result.generator.props, props, 'Properties set');
+      t.deepEqual(result.generator.modules, modules, 'Modules set');
+      t.deepEqual(result.generator.mixins, ['cc'], 'Mixins set');
+      t.deepEqual(result.generator.mixinOptions, { cc: { version: '2.19.0' } }, 'Mixin options set');
+    });
+});
+
+test('initializing - config file with options', async (t) => {
+  t.plan(4);
+
+  await helpers
+    .create(AEMAppInit)
+    .withOptions({ config: fixturePath('config', 'project.json'), groupId: 'com.adobe.option', modules: 'package-all' })
+    .run()
+    .then((result) => {
+      const props = {
+        groupId: 'com.adobe.option',
+        artifactId: 'test-project',
+        appId: 'test',
+        name: 'Test Project',
+        defaults: true,
+        examples: false,
+        version: '1.0.0-SNAPSHOT',
+        aemVersion: 'cloud',
+        javaVersion: '11',
+        nodeVersion,
+        npmVersion,
+      };
+
+      const modules = {
+        bundle: { core: {} },
+        'package-all': {},
+      };
+
+      t.deepEqual(result.generator.props, props, 'Properties set');
+      t.deepEqual(result.generator.modules, modules, 'Modules set');
+      t.deepEqual(result.generator.mixins, ['cc'], 'Mixins set');
+      t.deepEqual(result.generator.mixinOptions, { cc: {} }, 'Mixin options set');
+    });
+});
+
+test('initializing - config file does not exist', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(
+    helpers
+      .create(AEMAppInit)
+      .withOptions({ config: fixturePath('config', 'missing.yaml') })
+      .run()
+  );
+  t.regex(error.message, /Unable to find configuration file/);
+});
+
+test('initializing - config file malformed', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(
+    helpers
+      .create(AEMAppInit)
+      .withOptions({ config: fixturePath('config', 'malformed.json') })
+      .run()
+  );
+  t.regex(error.message, /Unable to parse configuration file/);
+});
+
+test('initializing - config file invalid', async (t) => {
+  t.plan(8);
+
+  const error = await t.throwsAsync(
+    helpers
+      .create(AEMAppInit)
+      .withOptions({ config: fixturePath('config', 'invalid.yaml') })
+      .run()
+  );
+  t.regex(error.message, /Invalid configuration file/);
+  t.regex(error.message, /appId is required\./);
+  t.regex(error.message, /name is required\./);
+  t.regex(error.message, /aemVersion must be one of: 6\.5, cloud\./);
+  t.regex(error.message, /archetype is not a supported property\./);
+  t.regex(error.message, /modules\.bundle must be of type object, found string\./);
+  t.regex(error.message, /mixins\[0] must be of type string, found number\./);
+});
+
+test('initializing - config file unsupported module options', async (t) => {
+  t.plan(5);
+
+  const error = await t.throwsAsync(
+    helpers
+      .create(AEMAppInit)
+      .withGenerators([
+        [Bundle, bundleGeneratorName.replace('generator-', ''), generatorPath('bundle', 'index.js')],
+        [PackageApps, appsGeneratorName.replace('generator-', ''), generatorPath('package-apps', 'index.js')],
+        [CoreComponent, ccGeneratorName.replace('generator-', ''), generatorPath('mixin-cc', 'index.js')],
+      ])
+      .withOptions({ config: fixturePath('config', 'unsupported.yaml') })
+      .run()
+  );
+  t.regex(error.message, /Invalid configuration file/);
+  t.regex(error.message, /modules\.bundle\.core\.pakage is not a supported option\./);
+  t.regex(error.message, /mixins\.cc\.versions is not a supported option\./);
+  t.notRegex(error.message, /precompileScripts|artifactId/);
+});
+
 test('initialize from pom - no modules', async (t) => {
   t.plan(3);
 
@@ -469,6 +648,38 @@ test('prompting - options passed', async (t) => {
     });
 });
 
+test('prompting - config file', async (t) => {
+  t.plan(1);
+
+  class Mock extends AEMGenerator {
+    constructor(args, options, features) {
+      options.resolved = resolved;
+      super(args, options, features);
+    }
+
+    initializing() {
+      super.initializing();
+    }
+
+    /* eslint-disable ava/prefer-async-await */
+    prompting() {
+      return super.prompting().then((answers) => {
+        this.answers = answers;
+      });
+    }
+
+    /* eslint-enable ava/prefer-async-await */
+  }
+
+  await helpers
+    .create(Mock)
+    .withOptions({ config: fixturePath('config', 'project.yaml') })
+    .run()
+    .then((result) => {
+      t.deepEqual(result.generator.answers, {}, 'Nothing prompted');
+    });
+});
+
 test('prompting - asked', async (t) => {
   t.plan(3);
 
@@ -648,6 +859,46 @@ test.serial('configuring', async (t) => {
     });
 });
 
+test.serial('configuring - offline', async (t) => {
+  t.plan(2);
+  sinon.restore();
+  const fake = sinon.fake.resolves(cloudSdkApiMetadata);
+  sinon.replace(MavenUtils, 'latestRelease', fake);
+
+  await helpers
+    .create(AEMAppConfig)
+    .withOptions({ offline: true, props: { appId: 'test', aemVersion: 'cloud' } })
+    .inTmpDir((temporary) => {
+      fs.mkdirSync(path.join(temporary, 'test'));
+      fs.writeFileSync(path.join(temporary, 'test', '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem': { aem: cloudSdkApiMetadata } }));
+    })
+    .run()
+    .then(() => {
+      sinon.restore();
+      t.is(fake.lastArg.offline, true, 'Offline option passed.');
+      t.is(fake.lastArg.pinned, cloudSdkApiMetadata.version, 'Previous version pinned.');
+    });
+});
+
+test.serial('configuring - AEM BOM', async (t) => {
+  t.plan(2);
+  sinon.restore();
+  const bom = { groupId: 'io.wcm.maven', artifactId: 'io.wcm.maven.aem-dependencies' };
+  const stub = sinon.stub(MavenUtils, 'latestRelease');
+  stub.resolves(aem65ApiMetadata);
+  stub.withArgs(bom).resolves({ ...bom, version: '6.5.13.0000', versions: ['6.5.11.0000', '6.5.12.0000', '6.5.12.0002', '6.5.13.0000'] });
+
+  await helpers
+    .create(AEMAppConfig)
+    .withOptions({ props: { appId: 'test', aemVersion: '6.5', boms: true } })
+    .run()
+    .then((result) => {
+      sinon.restore();
+      t.true(stub.calledWith(bom, true), 'BOM releases listed.');
+      t.deepEqual(result.generator.config.get('aemBom'), { ...bom, version: '6.5.12.0002' }, 'Release of the AEM version resolved.');
+    });
+});
+
 test.serial('configuring - sets destinationRoot', async (t) => {
   t.plan(3);
   sinon.restore();
@@ -786,6 +1037,144 @@ test('default - module generator exists', async (t) => {
     });
 });
 
+test('default - mixin options', async (t) => {
+  t.plan(3);
+
+  class Mock extends AEMGenerator {
+    constructor(args, options, features) {
+      options.resolved = resolved;
+      super(args, options, features);
+    }
+
+    default() {
+      this.props = {
+        groupId: 'com.adobe.test.main',
+        artifactId: 'main',
+        version: '1.0.0-SNAPSHOT',
+        appId: 'main',
+        name: 'Main Title',
+        aemVersion: '6.5',
+        javaVersion: '8',
+        nodeVersion,
+        npmVersion,
+        aem: aem65ApiMetadata,
+      };
+      this.modules = {};
+      this.mixins = ['cc'];
+      this.composeSpy = sinon.spy(this, 'composeWith');
+      super.default();
+    }
+  }
+
+  await helpers
+    .create(Mock)
+    .withGenerators([[TestGenerator, '@adobe/aem:mixin-cc']])
+    .withOptions({ offline: true, settings: 'settings.xml', dryRun: true })
+    .run()
+    .then((result) => {
+      const options = result.generator.composeSpy.args[0][1];
+      t.true(options.offline, 'Offline passed.');
+      t.is(options.settings, 'settings.xml', 'Settings passed.');
+      t.true(options.dryRun, 'Dry run passed.');
+    });
+});
+
+test('default - plugin module', async (t) => {
+  t.plan(4);
+
+  class Mock extends AEMGenerator {
+    constructor(args, options, features) {
+      options.resolved = resolved;
+      super(args, options, features);
+    }
+
+    async default() {
+      this.props = {
+        groupId: 'com.adobe.test.main',
+        artifactId: 'main',
+        version: '1.0.0-SNAPSHOT',
+        appId: 'main',
+        name: 'Main Title',
+        aemVersion: '6.5',
+        javaVersion: '8',
+        nodeVersion,
+        npmVersion,
+        aem: aem65ApiMetadata,
+      };
+      this.modules = { 'test:plugin': {}, 'package-apps': { 'ui.apps': {} } };
+      this.mixins = [];
+      this._initPlugins();
+      this.composeSpy = sinon.spy(this, 'composeWith');
+      await this._promptPlugins();
+      return super.default();
+    }
+  }
+
+  await helpers
+    .create(Mock)
+    .withGenerators([
+      [TestGenerator, '@adobe/aem:package-apps'],
+      [PluginGenerator, 'test:plugin', fixturePath('generators', 'plugin', 'index.js')],
+    ])
+    .withPrompts({ index: 'solr' })
+    .run()
+    .then((result) => {
+      const expected = {
+        generateInto: 'ui.search',
+        appId: 'main',
+        name: 'Main Title - Search',
+        artifactId: 'main.ui.search',
+        appsRef: 'main.ui.apps',
+        index: 'solr',
+      };
+      const actual = JSON.parse(fs.readFileSync(result.generator.destinationPath('ui.search', 'options.json')));
+      t.deepEqual(actual, expected, 'Plugin options');
+      t.deepEqual(_.map(result.generator.composeSpy.args, 0), ['@adobe/aem:package-apps', 'test:plugin'], 'Composed after Apps');
+      t.deepEqual(
+        result.generator.props.plugins,
+        {
+          'test:plugin': {
+            type: 'module',
+            embeddeds: [{ type: 'zip' }],
+            filterRoots: ['/conf/<%= appId %>/search'],
+          },
+        },
+        'Contributions saved'
+      );
+      t.deepEqual(result.generator.plugins['test:plugin'].references, { appsRef: 'package-apps' }, 'Manifest loaded');
+    });
+});
+
+test('default - plugin invalid manifest', async (t) => {
+  t.plan(2);
+
+  const pluginDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  fs.mkdirSync(pluginDir, { recursive: true });
+  fs.writeFileSync(path.join(pluginDir, 'aem-plugin.json'), JSON.stringify({ type: 'mixin', folder: 'not/valid', embeddeds: [{ type: 'zip' }] }));
+
+  class Mock extends AEMGenerator {
+    constructor(args, options, features) {
+      options.resolved = resolved;
+      super(args, options, features);
+    }
+
+    default() {
+      this.props = {};
+      this.modules = {};
+      this.mixins = ['test:plugin'];
+      this._initPlugins();
+    }
+  }
+
+  const error = await t.throwsAsync(
+    helpers
+      .create(Mock)
+      .withGenerators([[TestGenerator, 'test:plugin', path.join(pluginDir, 'index.js')]])
+      .run()
+  );
+  t.regex(error.message, /folder[\s\S]*embeddeds are only supported/);
+});
+
 test('writing/installing - cloud', async (t) => {
   t.plan(3);
 
@@ -860,6 +1249,160 @@ test('writing/installing - cloud', async (t) => {
     });
 });
 
+test('writing - java 21', async (t) => {
+  t.plan(5);
+
+  class Mock extends AEMAppWriteInstall {
+    writing() {
+      this._writePom(); // Write Pom is on the default function.
+    }
+  }
+
+  await helpers
+    .create(Mock)
+    .withOptions({
+      props: {
+        groupId: 'com.adobe.test.main',
+        artifactId: 'main',
+        version: '1.0.0-SNAPSHOT',
+        appId: 'main',
+        name: 'Main Title',
+        aemVersion: 'cloud',
+        javaVersion: '21',
+        aem: cloudSdkApiMetadata,
+      },
+    })
+    .run()
+    .then((result) => {
+      const pom = result.generator.destinationPath('pom.xml');
+      result.assertFileContent(pom, /<java.version>21<\/java.version>/);
+      result.assertFileContent(pom, /<bnd.version>7.0.0<\/bnd.version>/);
+      result.assertFileContent(pom, /<mockito.version>5.11.0<\/mockito.version>/);
+      result.assertFileContent(pom, /<version>\[3.6.3,\)<\/version>/);
+      result.assertNoFileContent(pom, /<source>\${java.version}<\/source>/);
+
+      const parser = new XMLParser({ ignoreAttributes: true, ignoreDeclaration: true });
+      const plugins = parser.parse(fs.readFileSync(pom, { encoding: 'utf8' })).project.build.pluginManagement.plugins.plugin;
+      const compiler = _.find(plugins, { artifactId: 'maven-compiler-plugin' });
+      t.is(compiler.version, '3.12.1', 'Compiler version set.');
+      // eslint-disable-next-line no-template-curly-in-string
+      t.is(compiler.configuration.release, '${java.version}', 'Release set.');
+      t.is(_.find(plugins, { artifactId: 'maven-surefire-plugin' }).version, '3.2.5', 'Surefire version set.');
+      t.is(_.find(plugins, { artifactId: 'maven-failsafe-plugin' }).version, '3.2.5', 'Failsafe version set.');
+      t.is(_.find(plugins, { artifactId: 'maven-enforcer-plugin' }).version, '3.4.1', 'Enforcer version set.');
+    });
+});
+
+test('writing - maven wrapper and toolchains', async (t) => {
+  t.plan(2);
+
+  class Mock extends AEMAppWriteInstall {
+    writing() {
+      return super.writing();
+    }
+
+    install() {}
+  }
+
+  await helpers
+    .create(Mock)
+    .withOptions({
+      props: {
+        groupId: 'com.adobe.test.main',
+        artifactId: 'main',
+        version: '1.0.0-SNAPSHOT',
+        appId: 'main',
+        name: 'Main Title',
+        aemVersion: '6.5',
+        javaVersion: '8',
+        mavenWrapper: true,
+        mavenVersion: '3.8.8',
+        jvmConfig: '-Xmx2g -Dfile.encoding="UTF-8"',
+        mavenConfig: '-T1C',
+        toolchains: true,
+      },
+    })
+    .run()
+    .then((result) => {
+      result.assertFile(['mvnw', 'mvnw.cmd']);
+      t.notThrows(() => fs.accessSync(result.generator.destinationPath('mvnw'), fs.constants.X_OK), 'Wrapper is executable.');
+      result.assertFileContent(
+        path.join('.mvn', 'wrapper', 'maven-wrapper.properties'),
+        /distributionUrl=https:\/\/repo.maven.apache.org\/maven2\/org\/apache\/maven\/apache-maven\/3.8.8\/apache-maven-3.8.8-bin.zip/
+      );
+      t.is(fs.readFileSync(result.generator.destinationPath('.mvn', 'jvm.config'), { encoding: 'utf8' }), '-Xmx2g -Dfile.encoding="UTF-8"\n', 'JVM config written.');
+      result.assertFileContent(path.join('.mvn', 'maven.config'), /^-T1C$/m);
+      result.assertFileContent('toolchains.xml', /<version>1.8<\/version>/);
+      result.assertFileContent('toolchains.xml', /<jdkHome>\/path\/to\/jdk-8<\/jdkHome>/);
+    });
+});
+
+test('writing - no maven wrapper', async () => {
+  class Mock extends AEMAppWriteInstall {
+    writing() {
+      return super.writing();
+    }
+
+    install() {}
+  }
+
+  await helpers
+    .create(Mock)
+    .withOptions({
+      props: {
+        groupId: 'com.adobe.test.main',
+        artifactId: 'main',
+        version: '1.0.0-SNAPSHOT',
+        appId: 'main',
+        name: 'Main Title',
+        aemVersion: 'cloud',
+        javaVersion: '11',
+      },
+    })
+    .run()
+    .then((result) => {
+      result.assertNoFile(['mvnw', 'mvnw.cmd', path.join('.mvn', 'wrapper', 'maven-wrapper.properties'), path.join('.mvn', 'jvm.config'), path.join('.mvn', 'maven.config'), 'toolchains.xml']);
+    });
+});
+
+test('writing - boms', async (t) => {
+  t.plan(3);
+
+  class Mock extends AEMAppWriteInstall {
+    writing() {
+      this._writePom(); // Write Pom is on the default function.
+    }
+  }
+
+  await helpers
+    .create(Mock)
+    .withOptions({
+      props: {
+        groupId: 'com.adobe.test.main',
+        artifactId: 'main',
+        version: '1.0.0-SNAPSHOT',
+        appId: 'main',
+        name: 'Main Title',
+        aemVersion: '6.5',
+        javaVersion: '8',
+        boms: true,
+        aem: aem65ApiMetadata,
+        aemBom: { groupId: 'io.wcm.maven', artifactId: 'io.wcm.maven.aem-dependencies', version: '6.5.12.0000' },
+      },
+    })
+    .run()
+    .then((result) => {
+      const pom = result.generator.destinationPath('pom.xml');
+      result.assertNoFileContent(pom, /<artifactId>org.osgi.annotation.versioning<\/artifactId>/);
+
+      const parser = new XMLParser({ ignoreAttributes: true, ignoreDeclaration: true, parseTagValue: false });
+      const dependencies = parser.parse(fs.readFileSync(pom, { encoding: 'utf8' })).project.dependencyManagement.dependencies.dependency;
+      t.is(dependencies[0].artifactId, 'uber-jar', 'AEM API first.');
+      t.deepEqual(dependencies[1], { groupId: 'io.wcm.maven', artifactId: 'io.wcm.maven.aem-dependencies', version: '6.5.12.0000', type: 'pom', scope: 'import' }, 'AEM BOM imported.');
+      t.falsy(_.find(dependencies, { groupId: 'org.osgi' }), 'Individual dependencies removed.');
+    });
+});
+
 test('writing/installing - v6.5', async () => {
   class Mock extends AEMAppWriteInstall {
     writing() {
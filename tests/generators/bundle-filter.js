@@ -0,0 +1,83 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import path from 'node:path';
+
+import test from 'ava';
+
+import { generatorPath, runInProject } from '../fixtures/helpers.js';
+
+import BundleFilterGenerator, { validateOrder, validateScopes } from '../../generators/bundle-filter/index.js';
+
+const run = (name, settings) => runInProject(BundleFilterGenerator, generatorPath('bundle-filter', 'index.js'), [name], settings);
+
+const filterPath = (root, ...dest) => path.join(root, 'core', 'src', 'main', 'java', 'com', 'adobe', 'test', 'filters', ...dest);
+
+test('validators', (t) => {
+  t.plan(5);
+
+  t.true(validateScopes('request, component'), 'Scopes valid.');
+  t.is(validateScopes([]), 'At least one scope is required.', 'Scopes required.');
+  t.is(validateScopes('REQUEST,PAGE'), 'Unknown scopes: PAGE.', 'Unknown scope.');
+  t.true(validateOrder('-700'), 'Order valid.');
+  t.is(validateOrder('first'), 'Order must be an integer.', 'Invalid order.');
+});
+
+test('invalid order', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(run('LoggingFilter', { options: { defaults: true, order: 'last' } }));
+  t.regex(error.message, /Order must be an integer/);
+});
+
+test('defaults', async () => {
+  const { result, root } = await run('LoggingFilter', { options: { defaults: true } });
+  const filter = filterPath(root, 'LoggingFilter.java');
+  result.assertFileContent(filter, /^package com.adobe.test.filters;$/m);
+  result.assertFileContent(
+    filter,
+    /@SlingServletFilter\(\n {8}scope = { SlingServletFilterScope.REQUEST }\)\n@ServiceDescription\("LoggingFilter"\)\n@ServiceRanking\(0\)\npublic class LoggingFilter implements Filter {/
+  );
+  result.assertFileContent(
+    path.join(root, 'core', 'src', 'test', 'java', 'com', 'adobe', 'test', 'filters', 'LoggingFilterTest.java'),
+    /fixture.doFilter\(request, response, filterChain\);\n {8}fixture.destroy\(\);\n\n {8}verify\(filterChain\).doFilter\(request, response\);/
+  );
+});
+
+test('scope, order and conditions', async () => {
+  const { result, root } = await run('AuditFilter', {
+    options: {
+      scopes: 'request,include',
+      order: '-700',
+      pattern: '/content/test/.*\\.html',
+      resourceTypes: 'test/components/page',
+      selectors: 'audit',
+      extensions: 'html',
+    },
+  });
+  result.assertFileContent(
+    filterPath(root, 'AuditFilter.java'),
+    /@SlingServletFilter\(\n {8}scope = { SlingServletFilterScope.REQUEST, SlingServletFilterScope.INCLUDE },\n {8}pattern = "\/content\/test\/\.\*\\\\.html",\n {8}resourceTypes = { "test\/components\/page" },\n {8}selectors = { "audit" },\n {8}extensions = { "html" }\)\n@ServiceDescription\("AuditFilter"\)\n@ServiceRanking\(-700\)/
+  );
+});
+
+test('prompted', async () => {
+  const { result, root } = await run('ErrorFilter', { prompts: { scopes: ['ERROR'], order: '100', extensions: 'json' } });
+  const filter = filterPath(root, 'ErrorFilter.java');
+  result.assertFileContent(filter, /scope = { SlingServletFilterScope.ERROR },\n {8}extensions = { "json" }\)/);
+  result.assertFileContent(filter, /@ServiceRanking\(100\)/);
+  result.assertNoFileContent(filter, /pattern =|resourceTypes =|selectors =/);
+});
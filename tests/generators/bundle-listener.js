@@ -0,0 +1,95 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import path from 'node:path';
+import { chdir } from 'node:process';
+
+import test from 'ava';
+
+import { generatorPath, runInProject } from '../fixtures/helpers.js';
+
+import BundleListenerGenerator, { validateChanges, validatePaths, validateTopics } from '../../generators/bundle-listener/index.js';
+
+const run = (name, settings) => runInProject(BundleListenerGenerator, generatorPath('bundle-listener', 'index.js'), [name], settings);
+
+const listenerPath = (root, ...dest) => path.join(root, 'core', 'src', 'main', 'java', 'com', 'adobe', 'test', 'listeners', ...dest);
+const testPath = (root, ...dest) => path.join(root, 'core', 'src', 'test', 'java', 'com', 'adobe', 'test', 'listeners', ...dest);
+
+test('validators', (t) => {
+  t.plan(7);
+
+  t.true(validatePaths('/content/test, glob:/conf/**'), 'Paths valid.');
+  t.is(validatePaths('content'), 'Paths must be absolute, or glob patterns: content.', 'Relative path.');
+  t.true(validateChanges(['added', 'REMOVED']), 'Changes valid.');
+  t.is(validateChanges('MOVED'), 'Unknown change types: MOVED.', 'Unknown change.');
+  t.true(validateTopics('com/day/cq/wcm/core/page, org/apache/sling/api/resource/Resource/*, *'), 'Topics valid.');
+  t.is(validateTopics(''), 'At least one topic is required.', 'Topics required.');
+  t.is(validateTopics('com.day.cq.page,/page'), 'Invalid topics: com.day.cq.page, /page.', 'Invalid topics.');
+});
+
+test('unknown type', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(run('PageListener', { options: { type: 'jcr' } }));
+  t.regex(error.message, /Unknown listener type: 'jcr'/);
+});
+
+test('defaults', async () => {
+  const { result, root } = await run('PageListener', { options: { defaults: true } });
+  const listener = listenerPath(root, 'PageListener.java');
+  result.assertFileContent(listener, /^package com.adobe.test.listeners;$/m);
+  result.assertFileContent(
+    listener,
+    /property = {\n {19}ResourceChangeListener.PATHS \+ "=\/content\/test",\n {19}ResourceChangeListener.CHANGES \+ "=ADDED",\n {19}ResourceChangeListener.CHANGES \+ "=CHANGED",\n {19}ResourceChangeListener.CHANGES \+ "=REMOVED",\n {11}}\)/
+  );
+  result.assertFileContent(listener, /public class PageListener implements ResourceChangeListener {/);
+  result.assertFileContent(testPath(root, 'PageListenerTest.java'), /new ResourceChange\(ChangeType.ADDED, "\/content\/test", false\);/);
+});
+
+test('resource listener, prompted', async () => {
+  const { result, root } = await run('ConfListener', { prompts: { type: 'resource', paths: 'glob:/conf/test/**', changes: ['REMOVED'] } });
+  const listener = listenerPath(root, 'ConfListener.java');
+  result.assertFileContent(listener, /ResourceChangeListener.PATHS \+ "=glob:\/conf\/test\/\*\*",\n {19}ResourceChangeListener.CHANGES \+ "=REMOVED",\n/);
+  result.assertNoFileContent(listener, /=ADDED/);
+  result.assertFileContent(testPath(root, 'ConfListenerTest.java'), /ChangeType.REMOVED/);
+});
+
+test('event handler, from within the bundle', async () => {
+  const { result, root } = await run('ResourceHandler', {
+    options: { type: 'event', topics: 'com/day/cq/wcm/core/page,org/apache/sling/api/resource/Resource/*', package: 'com.adobe.test.events' },
+    inDir(dir) {
+      chdir(path.join(dir, 'core'));
+    },
+  });
+  const pkg = path.join(root, 'core', 'src', 'main', 'java', 'com', 'adobe', 'test', 'events');
+  const handler = path.join(pkg, 'ResourceHandler.java');
+  result.assertFileContent(
+    handler,
+    /@Component\(service = EventHandler.class,\n {11}immediate = true,\n {11}property = {\n {19}EventConstants.EVENT_TOPIC \+ "=com\/day\/cq\/wcm\/core\/page",\n {19}EventConstants.EVENT_TOPIC \+ "=org\/apache\/sling\/api\/resource\/Resource\/\*",\n {11}}\)/
+  );
+  result.assertFileContent(handler, /public class ResourceHandler implements EventHandler {/);
+  result.assertNoFileContent(handler, /ResourceChangeListener/);
+  result.assertFileContent(path.join(pkg, 'package-info.java'), /package com.adobe.test.events;/);
+  result.assertFileContent(
+    path.join(root, 'core', 'src', 'test', 'java', 'com', 'adobe', 'test', 'events', 'ResourceHandlerTest.java'),
+    /new Event\("com\/day\/cq\/wcm\/core\/page", Collections.emptyMap\(\)\);/
+  );
+});
+
+test('event handler, wildcard topic', async () => {
+  const { result, root } = await run('ReplicationHandler', { options: { type: 'event', topics: 'com/day/cq/replication/*' } });
+  result.assertFileContent(testPath(root, 'ReplicationHandlerTest.java'), /new Event\("com\/day\/cq\/replication\/test", Collections.emptyMap\(\)\);/);
+});
@@ -0,0 +1,202 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { chdir } from 'node:process';
+
+import test from 'ava';
+import helpers from 'yeoman-test';
+
+import { createProject, generatorPath } from '../fixtures/helpers.js';
+
+import BundleModelGenerator, { parseFields } from '../../generators/bundle-model/index.js';
+
+const resolved = generatorPath('bundle-model', 'index.js');
+
+test('parseFields', (t) => {
+  t.plan(5);
+
+  const fields = parseFields('title, tags:String[] ,enabled:boolean,published:Calendar');
+  t.deepEqual(
+    fields.map((field) => field.type),
+    ['String', 'String[]', 'boolean', 'Calendar'],
+    'Types parsed.'
+  );
+  t.is(fields[2].getter, 'isEnabled', 'Boolean getter.');
+  t.is(fields[0].assertion, 'assertEquals("title value", model.getTitle())', 'Assertion.');
+  t.throws(() => parseFields('1title'), { message: /Invalid field name: '1title'/ });
+  t.throws(() => parseFields('items:List'), { message: /Unsupported type 'List' for field 'items'/ });
+});
+
+test('not in project', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(helpers.create(BundleModelGenerator, { resolved }).withArguments(['Teaser']).withOptions({ defaults: true }).run());
+  t.regex(error.message, /cannot be use outside existing project context/);
+});
+
+test('invalid class name', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(
+    helpers
+      .create(BundleModelGenerator, { resolved })
+      .withArguments(['teaser'])
+      .inTmpDir((dir) => {
+        createProject(dir);
+      })
+      .run()
+  );
+  t.regex(error.message, /Class name must start with an uppercase letter/);
+});
+
+test('unknown bundle', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(
+    helpers
+      .create(BundleModelGenerator, { resolved })
+      .withArguments(['Teaser'])
+      .withOptions({ bundle: 'ui.core' })
+      .inTmpDir((dir) => {
+        createProject(dir);
+      })
+      .run()
+  );
+  t.regex(error.message, /Bundle module 'ui.core' is not part of this project/);
+});
+
+test('defaults', async (t) => {
+  t.plan(1);
+
+  let root;
+  await helpers
+    .create(BundleModelGenerator, { resolved })
+    .withArguments(['HelloWorld'])
+    .withOptions({ defaults: true })
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir);
+      const pkg = path.join(dir, 'core', 'src', 'main', 'java', 'com', 'adobe', 'test', 'models');
+      fs.mkdirSync(pkg, { recursive: true });
+      fs.writeFileSync(path.join(pkg, 'package-info.java'), '@Version("2.1.0")\npackage com.adobe.test.models;\n');
+    })
+    .run()
+    .then((result) => {
+      const model = path.join(root, 'core', 'src', 'main', 'java', 'com', 'adobe', 'test', 'models', 'HelloWorld.java');
+      result.assertFileContent(model, /^package com.adobe.test.models;$/m);
+      result.assertFileContent(
+        model,
+        /@Model\(\n {4}adaptables = { Resource.class },\n {4}resourceType = HelloWorld.RESOURCE_TYPE,\n {4}defaultInjectionStrategy = DefaultInjectionStrategy.OPTIONAL\)\npublic class HelloWorld {/
+      );
+      result.assertFileContent(model, /static final String RESOURCE_TYPE = "test\/components\/hello-world";/);
+      result.assertNoFileContent(model, /ValueMapValue|Exporter/);
+
+      const modelTest = path.join(root, 'core', 'src', 'test', 'java', 'com', 'adobe', 'test', 'models', 'HelloWorldTest.java');
+      result.assertFileContent(modelTest, /Resource resource = context.create\(\).resource\("\/content\/test",\n {12}"sling:resourceType", HelloWorld.RESOURCE_TYPE\);/);
+      result.assertFileContent(modelTest, /model = resource.adaptTo\(HelloWorld.class\);/);
+
+      const packageInfo = fs.readFileSync(path.join(root, 'core', 'src', 'main', 'java', 'com', 'adobe', 'test', 'models', 'package-info.java'), { encoding: 'utf8' });
+      t.regex(packageInfo, /@Version\("2.1.0"\)/, 'Existing package version kept.');
+    });
+});
+
+test('options, from within the bundle', async () => {
+  let root;
+  await helpers
+    .create(BundleModelGenerator, { resolved })
+    .withArguments(['Teaser'])
+    .withOptions({
+      adaptables: 'request',
+      resourceType: 'test/components/teaser',
+      exporter: true,
+      fields: 'title,tags:String[],featured:boolean,published:Calendar',
+      package: 'com.adobe.test.core.teaser',
+    })
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir);
+      chdir(path.join(dir, 'core'));
+    })
+    .run()
+    .then((result) => {
+      const pkg = path.join(root, 'core', 'src', 'main', 'java', 'com', 'adobe', 'test', 'core', 'teaser');
+      const model = path.join(pkg, 'Teaser.java');
+      result.assertFileContent(model, /^import com.adobe.cq.export.json.ComponentExporter;\nimport com.adobe.cq.export.json.ExporterConstants;\nimport java.util.Calendar;\n/m);
+      result.assertFileContent(model, /adaptables = { SlingHttpServletRequest.class },\n {4}adapters = { Teaser.class, ComponentExporter.class },/);
+      result.assertFileContent(
+        model,
+        /@Exporter\(name = ExporterConstants.SLING_MODEL_EXPORTER_NAME, extensions = ExporterConstants.SLING_MODEL_EXTENSION\)\npublic class Teaser implements ComponentExporter {/
+      );
+      result.assertFileContent(model, /@ValueMapValue\n {4}private String\[] tags;/);
+      result.assertFileContent(model, /public boolean isFeatured\(\) {\n {8}return featured;\n {4}}/);
+      result.assertFileContent(model, /public String getExportedType\(\) {/);
+      result.assertFileContent(path.join(pkg, 'package-info.java'), /@Version\("1.0"\)\npackage com.adobe.test.core.teaser;/);
+
+      const modelTest = path.join(root, 'core', 'src', 'test', 'java', 'com', 'adobe', 'test', 'core', 'teaser', 'TeaserTest.java');
+      result.assertFileContent(modelTest, /^import java.util.Calendar;$/m);
+      result.assertFileContent(modelTest, /"tags", new String\[] { "one", "two" },/);
+      result.assertFileContent(modelTest, /context.currentResource\(resource\);\n {8}model = context.request\(\).adaptTo\(Teaser.class\);/);
+      result.assertFileContent(modelTest, /assertTrue\(model.isFeatured\(\)\);/);
+      result.assertFileContent(modelTest, /assertEquals\(Teaser.RESOURCE_TYPE, model.getExportedType\(\)\);/);
+    });
+});
+
+test('prompts bundle', async (t) => {
+  t.plan(1);
+
+  const bundles = {
+    core: { '@adobe/generator-aem:bundle': { appId: 'test', artifactId: 'test.core', package: 'com.adobe.test' } },
+    other: { '@adobe/generator-aem:bundle': { appId: 'other', artifactId: 'test.other', package: 'com.adobe.other' } },
+  };
+
+  let root;
+  await helpers
+    .create(BundleModelGenerator, { resolved })
+    .withArguments(['Card'])
+    .withPrompts({ bundle: 'other', adaptables: ['resource'], resourceType: 'other/components/card', exporter: false, fields: 'title' })
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir, bundles);
+    })
+    .run()
+    .then((result) => {
+      const model = path.join(root, 'other', 'src', 'main', 'java', 'com', 'adobe', 'other', 'models', 'Card.java');
+      result.assertFileContent(model, /private String title;/);
+      result.assertFileContent(model, /static final String RESOURCE_TYPE = "other\/components\/card";/);
+      t.regex(
+        fs.readFileSync(path.join(root, 'other', 'src', 'test', 'java', 'com', 'adobe', 'other', 'models', 'CardTest.java'), { encoding: 'utf8' }),
+        /"sling:resourceType", Card.RESOURCE_TYPE,\n {12}"title", "title value"\);/
+      );
+    });
+});
+
+test('exporter requires resource type', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(
+    helpers
+      .create(BundleModelGenerator, { resolved })
+      .withArguments(['Teaser'])
+      .withOptions({ adaptables: 'resource', resourceType: '', exporter: true, fields: '' })
+      .inTmpDir((dir) => {
+        createProject(dir);
+      })
+      .run()
+  );
+  t.regex(error.message, /A resource type is required to export the model/);
+});
@@ -0,0 +1,64 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import path from 'node:path';
+
+import test from 'ava';
+
+import { generatorPath, runInProject } from '../fixtures/helpers.js';
+
+import BundleSchedulerGenerator, { validateExpression } from '../../generators/bundle-scheduler/index.js';
+
+const run = (name, settings) => runInProject(BundleSchedulerGenerator, generatorPath('bundle-scheduler', 'index.js'), [name], settings);
+
+const taskPath = (root, ...dest) => path.join(root, 'core', 'src', 'main', 'java', 'com', 'adobe', 'test', 'schedulers', ...dest);
+
+test('validateExpression', (t) => {
+  t.plan(5);
+
+  t.true(validateExpression('0 0 * * * ?'), 'Six fields.');
+  t.true(validateExpression('0 15 10 ? * MON-FRI 2030'), 'Seven fields.');
+  t.true(validateExpression('0 0 12 L * ?'), 'Last day of month.');
+  t.is(validateExpression('*/5 * * * *'), "Cron expression must have 6 or 7 fields: '*/5 * * * *'.", 'Unix cron.');
+  t.is(validateExpression('0 0 * * * ? "'), `Invalid cron expression: '0 0 * * * ? "'.`, 'Invalid characters.');
+});
+
+test('invalid expression', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(run('CleanupTask', { options: { defaults: true, expression: '@hourly' } }));
+  t.regex(error.message, /Cron expression must have 6 or 7 fields: '@hourly'/);
+});
+
+test('defaults', async () => {
+  const { result, root } = await run('CleanupTask', { options: { defaults: true } });
+  const task = taskPath(root, 'CleanupTask.java');
+  result.assertFileContent(task, /^package com.adobe.test.schedulers;$/m);
+  result.assertFileContent(
+    task,
+    /property = {\n {19}Scheduler.PROPERTY_SCHEDULER_EXPRESSION \+ "=0 0 \* \* \* \?",\n {19}Scheduler.PROPERTY_SCHEDULER_CONCURRENT \+ ":Boolean=false",\n {11}}\)\npublic class CleanupTask implements Runnable {/
+  );
+  result.assertFileContent(task, /String scheduler_expression\(\) default "0 0 \* \* \* \?";/);
+  result.assertFileContent(task, /boolean scheduler_concurrent\(\) default false;/);
+  result.assertFileContent(path.join(root, 'core', 'src', 'test', 'java', 'com', 'adobe', 'test', 'schedulers', 'CleanupTaskTest.java'), /assertDoesNotThrow\(fixture::run\);/);
+});
+
+test('prompted', async () => {
+  const { result, root } = await run('ReportTask', { prompts: { expression: '0  30 2 * * ?', concurrent: true } });
+  const task = taskPath(root, 'ReportTask.java');
+  result.assertFileContent(task, /Scheduler.PROPERTY_SCHEDULER_EXPRESSION \+ "=0 30 2 \* \* \?",\n {19}Scheduler.PROPERTY_SCHEDULER_CONCURRENT \+ ":Boolean=true",/);
+  result.assertFileContent(task, /boolean scheduler_concurrent\(\) default true;/);
+});
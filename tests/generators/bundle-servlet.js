@@ -0,0 +1,110 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import test from 'ava';
+
+import { generatorPath, runInProject } from '../fixtures/helpers.js';
+
+import BundleServletGenerator, { validateMethods, validatePaths } from '../../generators/bundle-servlet/index.js';
+
+const run = (name, settings) => runInProject(BundleServletGenerator, generatorPath('bundle-servlet', 'index.js'), [name], settings);
+
+const servletPath = (root, ...dest) => path.join(root, 'core', 'src', 'main', 'java', 'com', 'adobe', 'test', 'servlets', ...dest);
+const testPath = (root, ...dest) => path.join(root, 'core', 'src', 'test', 'java', 'com', 'adobe', 'test', 'servlets', ...dest);
+
+test('validators', (t) => {
+  t.plan(6);
+
+  t.true(validatePaths('/bin/test, /bin/other'), 'Paths valid.');
+  t.is(validatePaths(''), 'At least one path is required.', 'Paths required.');
+  t.is(validatePaths('/bin/test,bin/other'), 'Paths must be absolute: bin/other.', 'Relative path.');
+  t.true(validateMethods(['get', 'POST']), 'Methods valid.');
+  t.is(validateMethods([]), 'At least one method is required.', 'Methods required.');
+  t.is(validateMethods('GET,PATCH'), 'Unsupported methods: PATCH.', 'Unknown method.');
+});
+
+test('unknown registration', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(run('TitleServlet', { options: { registration: 'selector' } }));
+  t.regex(error.message, /Unknown registration: 'selector'/);
+});
+
+test('selectors require resource type registration', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(run('TitleServlet', { options: { registration: 'path', paths: '/bin/test/title', selectors: 'title', methods: 'GET' } }));
+  t.regex(error.message, /Selectors and extensions only apply to servlets registered by resource type/);
+});
+
+test('defaults', async (t) => {
+  t.plan(1);
+
+  const { result, root } = await run('TitleServlet', { options: { defaults: true } });
+  const servlet = servletPath(root, 'TitleServlet.java');
+  result.assertFileContent(servlet, /^package com.adobe.test.servlets;$/m);
+  result.assertFileContent(
+    servlet,
+    /@SlingServletResourceTypes\(\n {8}resourceTypes = { "test\/components\/page" },\n {8}methods = { HttpConstants.METHOD_GET }\)\n@ServiceDescription\("TitleServlet"\)\npublic class TitleServlet extends SlingSafeMethodsServlet {/
+  );
+  result.assertFileContent(servlet, /protected void doGet\(/);
+  result.assertNoFileContent(servlet, /doPost|SlingAllMethodsServlet|SlingServletPaths/);
+  result.assertFileContent(servletPath(root, 'package-info.java'), /package com.adobe.test.servlets;/);
+
+  const servletTest = fs.readFileSync(testPath(root, 'TitleServletTest.java'), { encoding: 'utf8' });
+  t.regex(servletTest, /fixture.doGet\(request, response\);\n\n {8}assertEquals\("TitleServlet GET \/content\/test", response.getOutputAsString\(\)\);/);
+});
+
+test('resource type registration', async () => {
+  const { result, root } = await run('TitleServlet', {
+    options: {
+      registration: 'resourceType',
+      resourceTypes: 'test/components/page,test/components/title',
+      selectors: 'title',
+      extensions: 'txt, json',
+      methods: 'get,post',
+    },
+  });
+  const servlet = servletPath(root, 'TitleServlet.java');
+  result.assertFileContent(
+    servlet,
+    /resourceTypes = { "test\/components\/page", "test\/components\/title" },\n {8}methods = { HttpConstants.METHOD_GET, HttpConstants.METHOD_POST },\n {8}selectors = { "title" },\n {8}extensions = { "txt", "json" }\)/
+  );
+  result.assertFileContent(servlet, /^import org.apache.sling.api.servlets.SlingAllMethodsServlet;$/m);
+  result.assertFileContent(servlet, /public class TitleServlet extends SlingAllMethodsServlet {/);
+  result.assertFileContent(servlet, /protected void doPost\(/);
+  result.assertFileContent(testPath(root, 'TitleServletTest.java'), /request.setMethod\("POST"\);\n\n {8}fixture.doPost\(request, response\);/);
+});
+
+test('path registration, prompted', async () => {
+  const { result, root } = await run('SearchServlet', { prompts: { registration: 'path', paths: '/bin/test/search', methods: ['GET', 'DELETE'] } });
+  const servlet = servletPath(root, 'SearchServlet.java');
+  result.assertFileContent(servlet, /@SlingServletPaths\({ "\/bin\/test\/search" }\)/);
+  result.assertFileContent(servlet, /^import org.apache.sling.servlets.annotations.SlingServletPaths;$/m);
+  result.assertNoFileContent(servlet, /HttpConstants|SlingServletResourceTypes/);
+  result.assertFileContent(servlet, /protected void doDelete\(/);
+  result.assertFileContent(testPath(root, 'SearchServletTest.java'), /assertEquals\("SearchServlet DELETE \/content\/test", response.getOutputAsString\(\)\);/);
+});
+
+test('invalid path', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(run('TitleServlet', { options: { registration: 'path', paths: 'bin/test' } }));
+  t.regex(error.message, /Paths must be absolute: bin\/test/);
+});
@@ -295,6 +295,60 @@ test('writing/installing - cloud - new', async (t) => {
     });
 });
 
+test('writing - java 17', async (t) => {
+  t.plan(2);
+
+  class Mock extends BundleGenerator {
+    constructor(args, options, features) {
+      options.resolved = resolved;
+      super(args, options, features);
+      this.props = options.props;
+      this.parentProps = options.parentProps;
+    }
+
+    writing() {
+      return super.writing();
+    }
+  }
+
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  const fullPath = path.join(temporaryDir, 'core');
+  await helpers
+    .create(Mock)
+    .withOptions({
+      props: {
+        package: 'com.adobe.test',
+        artifactId: 'test.core',
+        name: 'Name',
+        appId: 'test',
+      },
+      parentProps: {
+        groupId: 'com.adobe.test',
+        artifactId: 'test',
+        version: '1.0.0-SNAPSHOT',
+        javaVersion: '17',
+        aem: cloudSdkApiMetadata,
+        aemVersion: 'cloud',
+      },
+    })
+    .inDir(fullPath, () => {
+      fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(temporaryDir, 'pom.xml'));
+    })
+    .run()
+    .then(() => {
+      const pomString = fs.readFileSync(path.join(fullPath, 'pom.xml'), { encoding: 'utf8' });
+      const parser = new XMLParser({
+        ignoreAttributes: true,
+        ignoreDeclaration: true,
+      });
+
+      const pomData = parser.parse(pomString);
+      const artifacts = new Set(_.map(pomData.project.dependencies.dependency, 'artifactId'));
+      t.false(artifacts.has('slf4j-test'), 'Legacy test logger removed.');
+      t.true(artifacts.has('slf4j-simple'), 'Simple logger added.');
+    });
+});
+
 test('writing/installing - cloud - second', async (t) => {
   t.plan(5);
 
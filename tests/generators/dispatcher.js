@@ -164,3 +164,79 @@ test('writing/install - cloud', async (t) => {
       result.assertFile(path.join('target', `test.dispatcher-1.0.0-SNAPSHOT.zip`));
     });
 });
+
+test('writing/install - dry run', async (t) => {
+  t.plan(4);
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  const fullPath = path.join(temporaryDir, 'dispatcher');
+
+  await helpers
+    .create(DispatcherWriteInstall)
+    .withOptions({
+      showBuildOutput: false,
+      dryRun: true,
+      props: {
+        name: 'Test Project - Dispatcher',
+        appId: 'test',
+      },
+      parentProps: {
+        groupId: 'com.adobe.test',
+        artifactId: 'test',
+        version: '1.0.0-SNAPSHOT',
+        aem: cloudSdkApiMetadata,
+        aemVersion: 'cloud',
+      },
+    })
+    .inDir(fullPath, () => {
+      fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(temporaryDir, 'pom.xml'));
+    })
+    .run()
+    .then((result) => {
+      const link = path.join(fullPath, 'src', 'conf.d', 'enabled_vhosts', 'default.vhost');
+      t.false(fs.existsSync(path.join(fullPath, 'src')), 'Nothing written.');
+      t.is(result.generator.fs.store.get(link).symlink, path.join('..', 'available_vhosts', 'default.vhost'), 'Symlink planned.');
+      t.truthy(result.generator.fs.store.get(path.join(fullPath, 'src', 'conf.dispatcher.d', 'enabled_farms', 'default.farm')).symlink, 'Farm symlink planned.');
+      t.true(result.generator.fs.exists(path.join(fullPath, 'src', 'conf.d', 'available_vhosts', 'default.vhost')), 'Available file pending.');
+    });
+});
+
+test('writing/install - template overlay', async (t) => {
+  t.plan(2);
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  const fullPath = path.join(temporaryDir, 'dispatcher');
+
+  await helpers
+    .create(DispatcherWriteInstall)
+    .withOptions({
+      showBuildOutput: false,
+      dryRun: true,
+      props: {
+        name: 'Test Project - Dispatcher',
+        appId: 'test',
+      },
+      parentProps: {
+        groupId: 'com.adobe.test',
+        artifactId: 'test',
+        version: '1.0.0-SNAPSHOT',
+        aem: cloudSdkApiMetadata,
+        aemVersion: 'cloud',
+      },
+    })
+    .inDir(fullPath, () => {
+      fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(temporaryDir, 'pom.xml'));
+      const overlay = path.join(temporaryDir, '.aem-generator', 'templates', 'dispatcher', 'cloud', 'src', 'conf.d');
+      fs.mkdirSync(path.join(overlay, 'variables'), { recursive: true });
+      fs.writeFileSync(path.join(overlay, 'dispatcher_vhost.conf'), '# Customized\n');
+      fs.writeFileSync(path.join(overlay, 'variables', 'custom.vars'), '# Customized\n');
+    })
+    .run()
+    .then((result) => {
+      const confd = path.join(fullPath, 'src', 'conf.d');
+      t.is(result.generator.fs.read(path.join(confd, 'variables', 'custom.vars')), '# Customized\n', 'Overlay template used.');
+      t.is(
+        result.generator.fs.read(path.join(confd, 'dispatcher_vhost.conf')),
+        fs.readFileSync(generatorPath('dispatcher', 'templates', 'cloud', 'src', 'conf.d', 'dispatcher_vhost.conf'), { encoding: 'utf8' }),
+        'Immutable file not overlaid.'
+      );
+    });
+});
@@ -0,0 +1,181 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { chdir } from 'node:process';
+
+import _ from 'lodash';
+import test from 'ava';
+import helpers from 'yeoman-test';
+
+import { addModulesToPom, fixturePath, generatorPath } from '../fixtures/helpers.js';
+
+import DoctorGenerator from '../../generators/doctor/index.js';
+
+const rootConfig = {
+  '@adobe/generator-aem': {
+    name: 'Test Project',
+    appId: 'test',
+    groupId: 'com.adobe.test',
+    artifactId: 'test',
+    version: '1.0.0-SNAPSHOT',
+    aemVersion: 'cloud',
+  },
+  '@adobe/generator-aem:mixin-cc': {
+    version: '2.19.0',
+    bundles: ['core'],
+    apps: ['ui.apps'],
+  },
+};
+
+const moduleConfigs = {
+  core: { '@adobe/generator-aem:bundle': { appId: 'test', artifactId: 'test.core' } },
+  'ui.apps': { '@adobe/generator-aem:package-apps': { appId: 'test', artifactId: 'test.ui.apps', precompileScripts: true } },
+  'ui.other': { '@adobe/generator-aem:package-apps': { appId: 'other', artifactId: 'test.ui.other' } },
+  'ui.apps.structure': { '@adobe/generator-aem:package-structure': { appId: 'test', artifactId: 'test.ui.apps.structure' } },
+  all: { '@adobe/generator-aem:package-all': { appId: 'test', artifactId: 'test.all' } },
+  dispatcher: { '@adobe/generator-aem:dispatcher': { appId: 'test', artifactId: 'test.dispatcher' } },
+};
+
+const modulePoms = {
+  core: fixturePath('projects', 'cloud', 'core', 'pom.xml'),
+  'ui.apps': fixturePath('projects', 'cloud', 'ui.apps', 'pom.xml'),
+  'ui.other': fixturePath('projects', 'cloud', 'ui.apps', 'pom.xml'),
+  'ui.apps.structure': fixturePath('pom', 'remove', 'ui.apps.structure', 'pom.xml'),
+  all: fixturePath('pom', 'remove', 'all', 'pom.xml'),
+  dispatcher: fixturePath('projects', 'cloud', 'dispatcher', 'pom.xml'),
+};
+
+const createProject = (dir) => {
+  fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(dir, 'pom.xml'));
+  addModulesToPom(dir, Object.keys(moduleConfigs));
+  fs.writeFileSync(path.join(dir, '.yo-rc.json'), JSON.stringify(rootConfig));
+
+  for (const [module, config] of Object.entries(moduleConfigs)) {
+    fs.mkdirSync(path.join(dir, module));
+    fs.writeFileSync(path.join(dir, module, '.yo-rc.json'), JSON.stringify(config));
+    fs.copyFileSync(modulePoms[module], path.join(dir, module, 'pom.xml'));
+  }
+
+  const templates = generatorPath('dispatcher', 'templates', 'cloud');
+  const immutable = _.compact(fs.readFileSync(path.join(templates, 'immutable.files'), 'utf8').split(/\r?\n/));
+  _.each(immutable, (file) => {
+    fs.cpSync(path.join(templates, file), path.join(dir, 'dispatcher', file));
+  });
+};
+
+test('not in project', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(helpers.create(DoctorGenerator).run());
+  t.regex(error.message, /Doctor Generator cannot be use outside existing project context/);
+});
+
+test('healthy project', async (t) => {
+  t.plan(1);
+
+  await helpers
+    .create(DoctorGenerator)
+    .inTmpDir((dir) => {
+      createProject(dir);
+      chdir(path.join(dir, 'core'));
+    })
+    .run()
+    .then((result) => {
+      t.deepEqual(result.generator.issues, [], 'No issues found.');
+    });
+});
+
+test('embedded without groupId', async (t) => {
+  t.plan(1);
+
+  await helpers
+    .create(DoctorGenerator)
+    .inTmpDir((dir) => {
+      createProject(dir);
+      const allPom = path.join(dir, 'all', 'pom.xml');
+      fs.writeFileSync(allPom, fs.readFileSync(allPom, 'utf8').replace(/<groupId>com\.adobe\.test<\/groupId>(\s*<artifactId>test\.core<\/artifactId>)/, '$1'));
+    })
+    .run()
+    .then((result) => {
+      t.deepEqual(result.generator.issues, [], 'Embedded matched by artifactId.');
+    });
+});
+
+test('reports issues', async (t) => {
+  t.plan(9);
+
+  const context = helpers.create(DoctorGenerator).inTmpDir((dir) => {
+    createProject(dir);
+
+    const yorc = JSON.parse(fs.readFileSync(path.join(dir, '.yo-rc.json')));
+    yorc['@adobe/generator-aem:mixin-cc'].bundles.push('ui.missing');
+    fs.writeFileSync(path.join(dir, '.yo-rc.json'), JSON.stringify(yorc));
+
+    addModulesToPom(dir, ['ui.content']);
+    fs.mkdirSync(path.join(dir, 'ui.content'));
+    fs.writeFileSync(path.join(dir, 'ui.content', '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem:package-content': { appId: 'site', artifactId: 'test.ui.content', apps: 'test.ui.apps' } }));
+
+    const corePom = path.join(dir, 'core', 'pom.xml');
+    fs.writeFileSync(corePom, fs.readFileSync(corePom, 'utf8').replace('<version>1.0.0-SNAPSHOT</version>', '<version>0.9.0</version>'));
+
+    fs.appendFileSync(path.join(dir, 'dispatcher', 'src', 'conf.d', 'dispatcher_vhost.conf'), '\n# Changed\n');
+    fs.rmSync(path.join(dir, 'dispatcher', 'src', 'conf.d', 'available_vhosts', 'default.vhost'));
+  });
+
+  const error = await t.throwsAsync(context.run());
+  t.regex(error.message, /Project check found 6 error\(s\) and 1 warning\(s\)/);
+
+  const messages = new Set(_.map(context.generator.issues, 'message'));
+  t.true(messages.has("Module 'ui.content' (test.ui.content) is not embedded in the all package 'all'."), 'Embedded check.');
+  t.true(messages.has("Apps package 'ui.other' (test.ui.other) is not referenced by any content package."), 'Content reference check.');
+  t.true(messages.has("Mixin 'mixin-cc' references module 'ui.missing' in 'bundles', which does not exist."), 'Mixin reference check.');
+  t.true(messages.has("AppId 'site' does not have a filter root in the structure package 'ui.apps.structure'."), 'Filter root check.');
+  t.true(messages.has("Module 'core' parent version is 0.9.0, expected 1.0.0-SNAPSHOT."), 'Parent version check.');
+  t.true(messages.has("Dispatcher immutable file 'dispatcher/src/conf.d/dispatcher_vhost.conf' has been modified."), 'Modified immutable file check.');
+  t.true(messages.has("Dispatcher immutable file 'dispatcher/src/conf.d/available_vhosts/default.vhost' is missing."), 'Missing immutable file check.');
+});
+
+test('reports undeclared Cloud Manager placeholders', async (t) => {
+  t.plan(3);
+
+  const context = helpers.create(DoctorGenerator).inTmpDir((dir) => {
+    createProject(dir);
+
+    addModulesToPom(dir, ['ui.config']);
+    fs.mkdirSync(path.join(dir, 'ui.config'));
+    fs.writeFileSync(path.join(dir, 'ui.config', '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem:package-config': { appId: 'test', artifactId: 'test.ui.config' } }));
+    fs.writeFileSync(path.join(dir, 'ui.config', 'cloudmanager-env.json'), JSON.stringify({ default: { TEST_URL: { type: 'env', configurations: ['com.adobe.test.Service'] } } }));
+
+    const osgiconfig = path.join(dir, 'ui.config', 'src', 'main', 'content', 'jcr_root', 'apps', 'test', 'osgiconfig');
+    fs.mkdirSync(path.join(osgiconfig, 'config'), { recursive: true });
+    fs.mkdirSync(path.join(osgiconfig, 'config.prod'), { recursive: true });
+    fs.writeFileSync(path.join(osgiconfig, 'config', 'com.adobe.test.Service.cfg.json'), JSON.stringify({ url: '$[env:TEST_URL]', key: '$[secret:TEST_KEY;default=none]' }));
+    fs.writeFileSync(path.join(osgiconfig, 'config.prod', 'com.adobe.test.Service.cfg.json'), JSON.stringify({ url: '$[env:TEST_URL]' }));
+  });
+
+  await t.throwsAsync(context.run());
+
+  const messages = new Set(_.map(context.generator.issues, 'message'));
+  t.true(messages.has("Secret 'TEST_KEY' cannot have a default value. In 'ui.config/src/main/content/jcr_root/apps/test/osgiconfig/config/com.adobe.test.Service.cfg.json'."), 'Invalid placeholder.');
+  t.true(
+    messages.has(
+      "Placeholder 'env:TEST_URL' in 'ui.config/src/main/content/jcr_root/apps/test/osgiconfig/config.prod/com.adobe.test.Service.cfg.json' is not declared in 'ui.config/cloudmanager-env.json' for run mode 'prod'."
+    ),
+    'Undeclared placeholder.'
+  );
+});
@@ -0,0 +1,213 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { chdir } from 'node:process';
+
+import test from 'ava';
+import helpers from 'yeoman-test';
+import yaml from 'js-yaml';
+
+import { addModulesToPom, fixturePath, generatorPath } from '../fixtures/helpers.js';
+import { init } from '../fixtures/generators/wrappers.js';
+
+import ExportGenerator from '../../generators/export/index.js';
+import AEMGenerator from '../../generators/app/index.js';
+import Bundle, { generatorName as bundleGeneratorName } from '../../generators/bundle/index.js';
+import PackageApps, { generatorName as appsGeneratorName } from '../../generators/package-apps/index.js';
+import PackageAll, { generatorName as allGeneratorName } from '../../generators/package-all/index.js';
+import CoreComponent, { generatorName as ccGeneratorName } from '../../generators/mixin-cc/index.js';
+
+const generators = [
+  [Bundle, bundleGeneratorName.replace('generator-', ''), generatorPath('bundle', 'index.js')],
+  [PackageApps, appsGeneratorName.replace('generator-', ''), generatorPath('package-apps', 'index.js')],
+  [PackageAll, allGeneratorName.replace('generator-', ''), generatorPath('package-all', 'index.js')],
+  [CoreComponent, ccGeneratorName.replace('generator-', ''), generatorPath('mixin-cc', 'index.js')],
+];
+
+const rootConfig = {
+  '@adobe/generator-aem': {
+    defaults: true,
+    examples: true,
+    name: 'Test Project',
+    appId: 'test',
+    groupId: 'com.adobe.test',
+    artifactId: 'test',
+    version: '1.0.0-SNAPSHOT',
+    aemVersion: 'cloud',
+    javaVersion: '11',
+    nodeVersion: '16.13.2',
+    npmVersion: '8.1.2',
+    aem: {
+      groupId: 'com.adobe.aem',
+      artifactId: 'aem-sdk-api',
+      version: '2022.3.6698.20220318T233218Z-220400',
+    },
+  },
+  '@adobe/generator-aem:mixin-cc': {
+    version: '2.19.0',
+    dataLayer: true,
+    bundles: ['core'],
+    apps: ['ui.apps'],
+  },
+};
+
+const coreConfig = {
+  '@adobe/generator-aem:bundle': {
+    package: 'com.adobe.test',
+    name: 'Test Project - Core Bundle',
+    appId: 'test',
+    artifactId: 'test.core',
+  },
+};
+
+const appsConfig = {
+  '@adobe/generator-aem:package-apps': {
+    name: 'Test Project - UI Apps Package',
+    appId: 'test',
+    artifactId: 'test.ui.apps',
+    precompileScripts: true,
+    bundle: 'test.core',
+    structure: 'test.ui.apps.structure',
+  },
+  '@adobe/generator-aem:mixin-cc:apps': {
+    version: '2.19.0',
+  },
+};
+
+const expected = {
+  groupId: 'com.adobe.test',
+  artifactId: 'test',
+  appId: 'test',
+  name: 'Test Project',
+  version: '1.0.0-SNAPSHOT',
+  javaVersion: '11',
+  aemVersion: 'cloud',
+  nodeVersion: '16.13.2',
+  npmVersion: '8.1.2',
+  defaults: true,
+  examples: true,
+  modules: {
+    bundle: {
+      core: coreConfig['@adobe/generator-aem:bundle'],
+    },
+    'package-apps': {
+      'ui.apps': {
+        name: 'Test Project - UI Apps Package',
+        appId: 'test',
+        artifactId: 'test.ui.apps',
+        precompileScripts: true,
+        bundleRef: 'test.core',
+        structureRef: 'test.ui.apps.structure',
+      },
+    },
+  },
+  mixins: {
+    cc: {
+      version: '2.19.0',
+      dataLayer: true,
+      bundlePath: 'core',
+      appsPath: 'ui.apps',
+    },
+  },
+};
+
+const createProject = (dir) => {
+  fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(dir, 'pom.xml'));
+  addModulesToPom(dir, ['core', 'ui.apps', 'ui.config']);
+  fs.writeFileSync(path.join(dir, '.yo-rc.json'), JSON.stringify(rootConfig));
+
+  fs.mkdirSync(path.join(dir, 'core'));
+  fs.writeFileSync(path.join(dir, 'core', '.yo-rc.json'), JSON.stringify(coreConfig));
+  fs.mkdirSync(path.join(dir, 'ui.apps'));
+  fs.writeFileSync(path.join(dir, 'ui.apps', '.yo-rc.json'), JSON.stringify(appsConfig));
+  // No Yeoman config, not created by a generator.
+  fs.mkdirSync(path.join(dir, 'ui.config'));
+};
+
+test('not in project', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(helpers.create(ExportGenerator).run());
+  t.regex(error.message, /Export Generator cannot be use outside existing project context/);
+});
+
+test('writes json manifest', async (t) => {
+  t.plan(1);
+
+  await helpers
+    .create(ExportGenerator)
+    .inTmpDir((dir) => {
+      createProject(dir);
+    })
+    .run()
+    .then((result) => {
+      const actual = JSON.parse(fs.readFileSync(result.generator.destinationPath('aem-project.json')));
+      t.deepEqual(actual, expected, 'Manifest written.');
+    });
+});
+
+test('writes yaml manifest from module', async (t) => {
+  t.plan(1);
+
+  await helpers
+    .create(ExportGenerator)
+    .inTmpDir((dir) => {
+      createProject(dir);
+      chdir(path.join(dir, 'core'));
+    })
+    .withOptions({ file: 'aem-project.yaml' })
+    .run()
+    .then((result) => {
+      const actual = yaml.load(fs.readFileSync(result.generator.destinationPath('aem-project.yaml'), { encoding: 'utf8' }));
+      t.deepEqual(actual, expected, 'Manifest written.');
+    });
+});
+
+test('manifest used as configuration', async (t) => {
+  t.plan(3);
+
+  let manifest;
+  await helpers
+    .create(ExportGenerator)
+    .withGenerators(generators)
+    .inTmpDir((dir) => {
+      createProject(dir);
+      addModulesToPom(dir, ['all']);
+      fs.mkdirSync(path.join(dir, 'all'));
+      const allConfig = { name: 'Test Project - All Package', appId: 'test', artifactId: 'test.all', analyserVersion: '1.4.16' };
+      fs.writeFileSync(path.join(dir, 'all', '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem:package-all': allConfig }));
+    })
+    .run()
+    .then((result) => {
+      manifest = fs.readFileSync(result.generator.destinationPath('aem-project.json'), { encoding: 'utf8' });
+      t.deepEqual(JSON.parse(manifest).modules['package-all'], { all: { name: 'Test Project - All Package', appId: 'test', artifactId: 'test.all' } }, 'Resolved version left out.');
+    });
+
+  await helpers
+    .create(init(AEMGenerator, generatorPath('app', 'index.js')))
+    .withGenerators(generators)
+    .withOptions({ config: 'aem-project.json' })
+    .inTmpDir((dir) => {
+      fs.writeFileSync(path.join(dir, 'aem-project.json'), manifest);
+    })
+    .run()
+    .then((result) => {
+      t.deepEqual(result.generator.modules['package-apps'], expected.modules['package-apps'], 'Module options set.');
+      t.deepEqual(result.generator.mixinOptions, expected.mixins, 'Mixin options set.');
+    });
+});
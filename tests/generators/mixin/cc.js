@@ -17,6 +17,7 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import crypto from 'node:crypto';
+import { env } from 'node:process';
 import tempDirectory from 'temp-dir';
 
 import _ from 'lodash';
@@ -917,6 +918,28 @@ test('writing/installing - 6.5 - older cc version', async () => {
     });
 });
 
+test('writing/installing - boms', async () => {
+  await helpers
+    .create(CCWriteInstall)
+    .withOptions({
+      showBuildOutput: false,
+      props: { examples: true, aemVersion: '6.5', resolvedVersion: '2.20.2', boms: true },
+    })
+    .inTmpDir((dir) => {
+      fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(dir, 'pom.xml'));
+      fs.writeFileSync(path.join(dir, '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem': { aemVersion: '6.5', boms: true } }));
+    })
+    .run()
+    .then((result) => {
+      result.assertFileContent('pom.xml', /core.wcm.components.version>2\.20\.2/);
+      result.assertFileContent('pom.xml', /<artifactId>core\.wcm\.components\.bom<\/artifactId>\s+<version>\${core.wcm.components.version}<\/version>\s+<type>pom<\/type>\s+<scope>import<\/scope>/);
+      result.assertNoFileContent('pom.xml', /<artifactId>core\.wcm\.components\.core<\/artifactId>/);
+      result.assertNoFileContent('pom.xml', /<artifactId>core\.wcm\.components\.content<\/artifactId>/);
+      result.assertNoFileContent('pom.xml', /<artifactId>core\.wcm\.components\.testing\.aem-mock-plugin<\/artifactId>/);
+      result.assertNoFileContent('pom.xml', /<artifactId>core\.wcm\.components\.examples.ui.apps<\/artifactId>/);
+    });
+});
+
 test('_listVersions', async (t) => {
   t.plan(1);
 
@@ -1033,3 +1056,41 @@ test.serial('_resolveVersion - specific version', async (t) => {
   nock.cleanAll();
   nock.enableNetConnect();
 });
+
+test.serial('_resolveVersion - offline', async (t) => {
+  t.plan(2);
+
+  const cacheDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  const previous = env.AEM_GENERATOR_CACHE;
+  env.AEM_GENERATOR_CACHE = path.join(cacheDir, 'maven-metadata.json');
+  fs.mkdirSync(cacheDir, { recursive: true });
+  const versions = { version: ['2.19.0', '2.19.2', '2.20.0', '2.20.2', '2.20.4'] };
+  fs.writeFileSync(env.AEM_GENERATOR_CACHE, JSON.stringify({ 'com.adobe.cq:core.wcm.components.core': { timestamp: 0, version: '2.20.4', versions } }));
+
+  nock.disableNetConnect();
+
+  class Mock extends CoreComponentMixinGenerator {
+    default() {
+      // Does nothing
+    }
+  }
+
+  await helpers
+    .create(Mock)
+    .withOptions({ offline: true })
+    .run()
+    .then(async (result) => {
+      result.generator.props = { version: '2.19' };
+      t.is(await result.generator._resolveVersion(), '2.19.2', 'Cached version used.');
+      result.generator.props = { version: '2.18' };
+      t.is(await result.generator._resolveVersion(), '2.18.6', 'Pinned version used.');
+    })
+    .finally(() => {
+      nock.enableNetConnect();
+      if (previous === undefined) {
+        delete env.AEM_GENERATOR_CACHE;
+      } else {
+        env.AEM_GENERATOR_CACHE = previous;
+      }
+    });
+});
@@ -0,0 +1,273 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { chdir } from 'node:process';
+
+import test from 'ava';
+import helpers from 'yeoman-test';
+
+import { createProject, generatorPath, projectConfig } from '../fixtures/helpers.js';
+
+import OsgiConfigGenerator, { parseProperties, validatePid, validateRunModes } from '../../generators/osgi-config/index.js';
+
+const resolved = generatorPath('osgi-config', 'index.js');
+
+class OsgiConfig extends OsgiConfigGenerator {
+  constructor(args, options, features) {
+    options.resolved = resolved;
+    super(args, options, features);
+  }
+
+  initializing() {
+    return super.initializing();
+  }
+
+  prompting() {
+    return super.prompting();
+  }
+
+  writing() {
+    return super.writing();
+  }
+}
+
+const configPackage = { 'ui.config': { '@adobe/generator-aem:package-config': { appId: 'test', artifactId: 'test.ui.config' } } };
+
+const osgiconfig = (root, ...dest) => path.join(root, 'ui.config', 'src', 'main', 'content', 'jcr_root', 'apps', 'test', 'osgiconfig', ...dest);
+
+test('validatePid', (t) => {
+  t.plan(5);
+
+  t.true(validatePid('com.adobe.test.Service'), 'PID.');
+  t.true(validatePid('org.apache.sling.commons.log.LogManager.factory.config~test-core'), 'Factory configuration.');
+  t.is(validatePid('com.adobe.test.Service~'), "Invalid PID: 'com.adobe.test.Service~'.", 'Empty factory name.');
+  t.is(validatePid('com.adobe.test.Service~a~b'), "Invalid PID: 'com.adobe.test.Service~a~b'.", 'Multiple factory names.');
+  t.is(validatePid('com/adobe/test'), "Invalid PID: 'com/adobe/test'.", 'Invalid characters.');
+});
+
+test('validateRunModes', (t) => {
+  t.plan(9);
+
+  t.true(validateRunModes('', 'cloud'), 'All run modes.');
+  t.true(validateRunModes('author', 'cloud'), 'Cloud service.');
+  t.true(validateRunModes('prod', 'cloud'), 'Cloud environment.');
+  t.true(validateRunModes('publish.stage', 'cloud'), 'Cloud service and environment.');
+  t.regex(validateRunModes('dev.author', 'cloud'), /Unsupported run modes on AEM as a Cloud Service: 'dev.author'/, 'Cloud order.');
+  t.regex(validateRunModes('author.local', 'cloud'), /Unsupported run modes on AEM as a Cloud Service: 'author.local'/, 'Cloud custom run mode.');
+  t.true(validateRunModes('author.local', '6.5'), '6.5 custom run mode.');
+  t.is(validateRunModes('author.author', '6.5'), "Duplicate run modes: 'author.author'.", 'Duplicate.');
+  t.is(validateRunModes('author..prod', '6.5'), "Invalid run modes: 'author..prod'.", 'Empty run mode.');
+});
+
+test('parseProperties', (t) => {
+  t.plan(4);
+
+  t.deepEqual(parseProperties('enabled=true, max=10, path=/content/test?a=b'), { enabled: true, max: 10, path: '/content/test?a=b' }, 'Key value pairs.');
+  t.deepEqual(parseProperties('{ "paths": ["/content"], "max": "10" }'), { paths: ['/content'], max: '10' }, 'JSON.');
+  t.throws(() => parseProperties('enabled'), { message: /Invalid property: 'enabled', expected key=value/ });
+  t.throws(() => parseProperties('{ "paths": '), { message: /Invalid properties/ });
+});
+
+test('no config package', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(
+    helpers
+      .create(OsgiConfig)
+      .withArguments(['com.adobe.test.Service'])
+      .withOptions({ defaults: true })
+      .inTmpDir((dir) => {
+        createProject(dir);
+      })
+      .run()
+  );
+  t.regex(error.message, /No config package found in this project/);
+});
+
+test('unsupported cloud run mode', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(
+    helpers
+      .create(OsgiConfig)
+      .withArguments(['com.adobe.test.Service'])
+      .withOptions({ runModes: 'author,samplecontent' })
+      .inTmpDir((dir) => {
+        createProject(dir, configPackage);
+      })
+      .run()
+  );
+  t.regex(error.message, /Unsupported run modes on AEM as a Cloud Service: 'samplecontent'/);
+});
+
+test('defaults', async (t) => {
+  t.plan(1);
+
+  let root;
+  await helpers
+    .create(OsgiConfig)
+    .withArguments(['com.adobe.test.Service'])
+    .withOptions({ defaults: true })
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir, configPackage);
+    })
+    .run()
+    .then(() => {
+      t.deepEqual(JSON.parse(fs.readFileSync(osgiconfig(root, 'config', 'com.adobe.test.Service.cfg.json'))), {}, 'Empty configuration.');
+    });
+});
+
+test('factory configuration, run modes', async (t) => {
+  t.plan(3);
+
+  let root;
+  await helpers
+    .create(OsgiConfig)
+    .withArguments(['org.apache.sling.commons.log.LogManager.factory.config'])
+    .withOptions({
+      name: 'test',
+      runModes: 'default, config.author.dev, publish.prod',
+      properties: '{ "org.apache.sling.commons.log.names": ["com.adobe.test"], "org.apache.sling.commons.log.level": "DEBUG" }',
+    })
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir, configPackage);
+    })
+    .run()
+    .then(() => {
+      const expected = { 'org.apache.sling.commons.log.names': ['com.adobe.test'], 'org.apache.sling.commons.log.level': 'DEBUG' };
+      for (const folder of ['config', 'config.author.dev', 'config.publish.prod']) {
+        const file = osgiconfig(root, folder, 'org.apache.sling.commons.log.LogManager.factory.config~test.cfg.json');
+        t.deepEqual(JSON.parse(fs.readFileSync(file)), expected, `${folder} written.`);
+      }
+    });
+});
+
+test('merges existing configuration, 6.5 run modes, from within the package', async (t) => {
+  t.plan(2);
+
+  let root;
+  await helpers
+    .create(OsgiConfig)
+    .withArguments(['com.adobe.test.Service'])
+    .withOptions({ runModes: 'author.nosamplecontent', properties: 'enabled=true,max=10' })
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir, configPackage);
+      fs.writeFileSync(path.join(dir, '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem': { ...projectConfig['@adobe/generator-aem'], aemVersion: '6.5' } }));
+
+      const folder = osgiconfig(dir, 'config.author.nosamplecontent');
+      fs.mkdirSync(folder, { recursive: true });
+      fs.writeFileSync(path.join(folder, 'com.adobe.test.Service.cfg.json'), JSON.stringify({ max: 5, path: '/content/test' }));
+      chdir(path.join(dir, 'ui.config'));
+    })
+    .run()
+    .then(() => {
+      const config = JSON.parse(fs.readFileSync(osgiconfig(root, 'config.author.nosamplecontent', 'com.adobe.test.Service.cfg.json')));
+      t.deepEqual(config, { max: 10, path: '/content/test', enabled: true }, 'Configuration merged.');
+      t.false(fs.existsSync(osgiconfig(root, 'config')), 'Only run mode folder written.');
+    });
+});
+
+test('prompts package', async (t) => {
+  t.plan(1);
+
+  const packages = {
+    ...configPackage,
+    'ui.config.other': { '@adobe/generator-aem:package-config': { appId: 'other', artifactId: 'test.ui.config.other' } },
+  };
+
+  let root;
+  await helpers
+    .create(OsgiConfig)
+    .withArguments(['com.adobe.test.Service'])
+    .withPrompts({ module: 'ui.config.other', runModes: 'author', properties: 'enabled=false' })
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir, packages);
+    })
+    .run()
+    .then(() => {
+      const file = path.join(root, 'ui.config.other', 'src', 'main', 'content', 'jcr_root', 'apps', 'other', 'osgiconfig', 'config.author', 'com.adobe.test.Service.cfg.json');
+      t.deepEqual(JSON.parse(fs.readFileSync(file)), { enabled: false });
+    });
+});
+
+test('Cloud Manager placeholders', async (t) => {
+  t.plan(2);
+
+  let root;
+  await helpers
+    .create(OsgiConfig)
+    .withArguments(['com.adobe.test.Service'])
+    .withOptions({ runModes: 'default,publish.prod', properties: '{ "url": "$[env:TEST_URL;default=http://localhost]", "key": "$[secret:TEST_KEY]" }' })
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir, configPackage);
+      const folder = osgiconfig(dir, 'config.author');
+      fs.mkdirSync(folder, { recursive: true });
+      fs.writeFileSync(path.join(folder, 'com.adobe.test.Other.cfg.json'), JSON.stringify({ urls: ['$[env:TEST_URL]'] }));
+    })
+    .run()
+    .then(() => {
+      t.deepEqual(JSON.parse(fs.readFileSync(osgiconfig(root, 'config.publish.prod', 'com.adobe.test.Service.cfg.json'))), {
+        url: '$[env:TEST_URL;default=http://localhost]',
+        key: '$[secret:TEST_KEY]',
+      });
+      const service = ['com.adobe.test.Service'];
+      t.deepEqual(
+        JSON.parse(fs.readFileSync(path.join(root, 'ui.config', 'cloudmanager-env.json'))),
+        {
+          author: { TEST_URL: { type: 'env', configurations: ['com.adobe.test.Other'] } },
+          default: { TEST_KEY: { type: 'secret', configurations: service }, TEST_URL: { type: 'env', default: 'http://localhost', configurations: service } },
+          'publish.prod': { TEST_KEY: { type: 'secret', configurations: service }, TEST_URL: { type: 'env', default: 'http://localhost', configurations: service } },
+        },
+        'Manifest lists the variables by run mode.'
+      );
+    });
+});
+
+test('invalid placeholders', async (t) => {
+  t.plan(4);
+
+  let error = await t.throwsAsync(
+    helpers
+      .create(OsgiConfig)
+      .withArguments(['com.adobe.test.Service'])
+      .withOptions({ properties: 'key=$[secret:ADOBE_KEY]' })
+      .inTmpDir((dir) => {
+        createProject(dir, configPackage);
+      })
+      .run()
+  );
+  t.regex(error.message, /Invalid variable name 'ADOBE_KEY': INTERNAL_, ADOBE_, CONST_ prefixes are reserved/);
+
+  error = await t.throwsAsync(
+    helpers
+      .create(OsgiConfig)
+      .withArguments(['com.adobe.test.Service'])
+      .withOptions({ properties: 'key=$[env:TEST_KEY]' })
+      .inTmpDir((dir) => {
+        createProject(dir, configPackage);
+        fs.writeFileSync(path.join(dir, '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem': { ...projectConfig['@adobe/generator-aem'], aemVersion: '6.5' } }));
+      })
+      .run()
+  );
+  t.regex(error.message, /Cloud Manager placeholders are only supported on AEM as a Cloud Service/);
+});
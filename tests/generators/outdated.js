@@ -0,0 +1,131 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import _ from 'lodash';
+import test from 'ava';
+import helpers from 'yeoman-test';
+import sinon from 'sinon/pkg/sinon-esm.js';
+
+import MavenUtils from '../../lib/maven-utils.js';
+import { addModulesToPom, fixturePath } from '../fixtures/helpers.js';
+
+import OutdatedGenerator from '../../generators/outdated/index.js';
+
+const releases = {
+  'org.apache.maven.plugins:maven-surefire-plugin': ['2.22.2', '3.0.0-M7', '3.1.2'],
+  'org.apache.jackrabbit:filevault-package-maven-plugin': ['1.3.0', '1.3.2', '1.4.0-SNAPSHOT'],
+  'org.mockito:mockito-core': ['4.4.0', '5.4.0'],
+  'org.mockito:mockito-junit-jupiter': ['4.4.0', '5.3.0'],
+  'org.junit:junit-bom': ['5.8.2'],
+  'org.apache.commons:commons-lang3': ['3.11', '3.12.0'],
+};
+
+const latestRelease = (coordinates) => {
+  const versions = releases[`${coordinates.groupId}:${coordinates.artifactId}`];
+  if (!versions) {
+    return Promise.reject(new Error('Not Found'));
+  }
+
+  return Promise.resolve({ ...coordinates, version: _.last(versions), versions: { version: versions } });
+};
+
+const createProject = (dir) => {
+  fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(dir, 'pom.xml'));
+  addModulesToPom(dir, ['core']);
+  fs.writeFileSync(path.join(dir, '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem': { groupId: 'com.adobe.test', aemVersion: 'cloud' } }));
+  fs.mkdirSync(path.join(dir, 'core'));
+  fs.copyFileSync(fixturePath('projects', 'cloud', 'core', 'pom.xml'), path.join(dir, 'core', 'pom.xml'));
+};
+
+test('not in project', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(helpers.create(OutdatedGenerator).run());
+  t.regex(error.message, /Outdated Generator cannot be use outside existing project context/);
+});
+
+test.serial('lists outdated versions', async (t) => {
+  t.plan(4);
+  sinon.restore();
+  sinon.replace(MavenUtils, 'latestRelease', sinon.fake(latestRelease));
+
+  let original;
+  await helpers
+    .create(OutdatedGenerator)
+    .inTmpDir((dir) => {
+      createProject(dir);
+      original = fs.readFileSync(path.join(dir, 'pom.xml'), 'utf8');
+    })
+    .run()
+    .then((result) => {
+      sinon.restore();
+      const updates = _.map(result.generator.updates, (update) => _.pick(update, ['pom', 'property', 'current', 'latest']));
+      t.is(updates.length, 4, 'Outdated versions found.');
+      t.deepEqual(_.find(updates, { property: 'mockito.version' }), { pom: '.', property: 'mockito.version', current: '4.4.0', latest: '5.3.0' }, 'Property uses oldest latest release.');
+      t.truthy(_.find(updates, { pom: '.', current: '2.22.2', latest: '3.1.2' }), 'Pre-releases ignored.');
+      t.truthy(_.find(updates, { pom: 'core', current: '3.11', latest: '3.12.0' }), 'Module dependencies checked.');
+      result.assertFileContent('pom.xml', original);
+    });
+});
+
+test.serial('applies selected updates', async (t) => {
+  t.plan(1);
+  sinon.restore();
+  sinon.replace(MavenUtils, 'latestRelease', sinon.fake(latestRelease));
+
+  let original;
+  await helpers
+    .create(OutdatedGenerator)
+    .withOptions({ apply: true })
+    .withPrompts({ updates: [0, 1] })
+    .inTmpDir((dir) => {
+      createProject(dir);
+      original = fs.readFileSync(path.join(dir, 'pom.xml'), 'utf8');
+    })
+    .run()
+    .then((result) => {
+      sinon.restore();
+      const expected = original
+        .replace('<mockito.version>4.4.0</mockito.version>', '<mockito.version>5.3.0</mockito.version>')
+        .replace('<artifactId>maven-surefire-plugin</artifactId>\n          <version>2.22.2</version>', '<artifactId>maven-surefire-plugin</artifactId>\n          <version>3.1.2</version>');
+      t.is(fs.readFileSync(path.join(result.cwd, 'pom.xml'), 'utf8'), expected, 'Only selected versions changed.');
+      result.assertFileContent(path.join('core', 'pom.xml'), '<version>3.11</version>');
+    });
+});
+
+test.serial('applies all updates with defaults', async (t) => {
+  t.plan(1);
+  sinon.restore();
+  sinon.replace(MavenUtils, 'latestRelease', sinon.fake(latestRelease));
+
+  await helpers
+    .create(OutdatedGenerator)
+    .withOptions({ apply: true, defaults: true })
+    .inTmpDir((dir) => {
+      createProject(dir);
+    })
+    .run()
+    .then((result) => {
+      sinon.restore();
+      t.is(result.generator.selected.length, 4, 'All updates selected.');
+      result.assertFileContent('pom.xml', '<mockito.version>5.3.0</mockito.version>');
+      result.assertFileContent('pom.xml', '<version>1.3.2</version>');
+      result.assertFileContent(path.join('core', 'pom.xml'), '<version>3.12.0</version>');
+    });
+});
@@ -29,12 +29,22 @@ import MavenUtils from '../../../lib/maven-utils.js';
 import { generatorPath, fixturePath, cloudSdkApiMetadata, aem65ApiMetadata, addModulesToPom } from '../../fixtures/helpers.js';
 import { config, writeInstall } from '../../fixtures/generators/wrappers.js';
 
-import AllPackageGenerator from '../../../generators/package-all/index.js';
+import AllPackageGenerator, { embeddedPredicate } from '../../../generators/package-all/index.js';
 
 const resolved = generatorPath('package-all', 'index.js');
 const AllConfig = config(AllPackageGenerator, resolved);
 const AllWriteInstall = writeInstall(AllPackageGenerator, resolved);
 
+test('embeddedPredicate - type and classifier', (t) => {
+  t.plan(3);
+  const embedded = (...nodes) => ({ embedded: [{ groupId: [{ '#text': 'com.adobe.test' }] }, { artifactId: [{ '#text': 'test.ui.apps' }] }, ...nodes] });
+  const target = [embedded({ type: [{ '#text': 'zip' }] }), embedded({ classifier: [{ '#text': 'precompiled-scripts' }] })];
+
+  t.is(embeddedPredicate(target, embedded({ type: [{ '#text': 'zip' }] }, { target: [{ '#text': '/apps/test' }] })), target[0], 'Package found.');
+  t.is(embeddedPredicate(target, embedded({ classifier: [{ '#text': 'precompiled-scripts' }] })), target[1], 'Precompiled scripts found.');
+  t.falsy(embeddedPredicate(target, embedded()), 'Untyped artifact not found.');
+});
+
 test('configuring - v6.5', async (t) => {
   t.plan(1);
   const expected = { config: 'to be saved', analyserVersion: '1.4.16' };
@@ -227,6 +237,54 @@ test('writing/installing - with modules', async (t) => {
     });
 });
 
+test('writing/installing - plugin embeddeds', async () => {
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  const fullPath = path.join(temporaryDir, 'all');
+
+  await helpers
+    .create(AllWriteInstall)
+    .withOptions({
+      showBuildOutput: false,
+      props: {
+        artifactId: 'test.all',
+        name: 'Test Module - All Package',
+        appId: 'test',
+      },
+      parentProps: {
+        groupId: 'com.adobe.test',
+        artifactId: 'test',
+        version: '1.0.0-SNAPSHOT',
+        appId: 'test',
+        aem: aem65ApiMetadata,
+        aemVersion: '6.5',
+        plugins: {
+          'test:plugin': {
+            type: 'module',
+            embeddeds: [{ type: 'zip' }, { classifier: 'index', target: '/apps/<%= appId %>-search/install' }],
+          },
+        },
+      },
+    })
+    .inDir(fullPath, () => {
+      fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(temporaryDir, 'pom.xml'));
+      addModulesToPom(temporaryDir, ['ui.search']);
+
+      fs.mkdirSync(path.join(temporaryDir, 'ui.search'));
+      fs.writeFileSync(path.join(temporaryDir, 'ui.search', '.yo-rc.json'), JSON.stringify({ 'test:plugin': { artifactId: 'test.ui.search' } }));
+    })
+    .run()
+    .then((result) => {
+      result.assertFileContent(
+        path.join(fullPath, 'pom.xml'),
+        /<groupId>com.adobe.test<\/groupId>\s+<artifactId>test.ui.search<\/artifactId>\s+<type>zip<\/type>\s+<target>\/apps\/test-packages\/application\/install<\/target>/
+      );
+      result.assertFileContent(
+        path.join(fullPath, 'pom.xml'),
+        /<groupId>com.adobe.test<\/groupId>\s+<artifactId>test.ui.search<\/artifactId>\s+<classifier>index<\/classifier>\s+<target>\/apps\/test-search\/install<\/target>/
+      );
+    });
+});
+
 test('writing/installing - merges existing pom', async (t) => {
   t.plan(5);
   const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
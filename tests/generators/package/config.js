@@ -411,3 +411,113 @@ test('writing/installing - multiple bundles', async (t) => {
       result.assertFile(path.join(fullPath, 'target', 'test.ui.config-1.0.0-SNAPSHOT.zip'));
     });
 });
+
+test('writing/installing - Cloud Manager environment variables', async (t) => {
+  t.plan(2);
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  const fullPath = path.join(temporaryDir, 'ui.config');
+
+  await helpers
+    .create(ConfigWriteInstall)
+    .withOptions({
+      showBuildOutput: false,
+      props: {
+        artifactId: 'test.ui.config',
+        name: 'Test Module - Apps Config Package',
+        appId: 'config',
+        envPlaceholders: true,
+      },
+      parentProps: {
+        groupId: 'com.adobe.test',
+        artifactId: 'test',
+        version: '1.0.0-SNAPSHOT',
+        aem: cloudSdkApiMetadata,
+        aemVersion: 'cloud',
+      },
+    })
+    .inDir(fullPath, () => {
+      fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(temporaryDir, 'pom.xml'));
+      addModulesToPom(temporaryDir, ['core']);
+
+      fs.mkdirSync(path.join(temporaryDir, 'core'));
+      fs.copyFileSync(fixturePath('projects', 'cloud', 'core', 'pom.xml'), path.join(temporaryDir, 'core', 'pom.xml'));
+      fs.writeFileSync(path.join(temporaryDir, 'core', '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem:bundle': { appId: 'test.site', package: 'com.adobe.test' } }));
+    })
+    .run()
+    .then((result) => {
+      const osgiDir = path.join('src', 'main', 'content', 'jcr_root', 'apps', 'test.site', 'osgiconfig');
+      result.assertFileContent(
+        path.join(osgiDir, 'config', 'org.apache.sling.commons.log.LogManager.factory.config~test.site.cfg.json'),
+        /"org.apache.sling.commons.log.level": "\$\[env:TEST_SITE_LOG_LEVEL;default=INFO]",/
+      );
+      result.assertFileContent(
+        path.join(osgiDir, 'config.prod', 'org.apache.sling.commons.log.LogManager.factory.config~test.site.cfg.json'),
+        /"org.apache.sling.commons.log.level": "\$\[env:TEST_SITE_LOG_LEVEL;default=WARN]",/
+      );
+
+      const pid = 'org.apache.sling.commons.log.LogManager.factory.config~test.site';
+      const manifest = JSON.parse(fs.readFileSync(path.join(fullPath, 'cloudmanager-env.json')));
+      t.deepEqual(
+        manifest,
+        {
+          default: { TEST_SITE_LOG_LEVEL: { type: 'env', default: 'INFO', configurations: [pid] } },
+          prod: { TEST_SITE_LOG_LEVEL: { type: 'env', default: 'WARN', configurations: [pid] } },
+          stage: { TEST_SITE_LOG_LEVEL: { type: 'env', default: 'WARN', configurations: [pid] } },
+        },
+        'Manifest written.'
+      );
+      t.false(fs.existsSync(path.join(fullPath, 'src', 'main', 'content', 'jcr_root', 'cloudmanager-env.json')), 'Manifest not packaged.');
+    });
+});
+
+test('writing - merges customized configurations', async (t) => {
+  t.plan(2);
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  const fullPath = path.join(temporaryDir, 'ui.config');
+  const configFile = path.join(fullPath, 'src', 'main', 'content', 'jcr_root', 'apps', 'test', 'osgiconfig', 'config', 'org.apache.sling.commons.log.LogManager.factory.config~test.cfg.json');
+
+  class Mock extends ConfigWriteInstall {
+    writing() {
+      return super.writing();
+    }
+
+    install() {
+      // Does nothing
+    }
+  }
+
+  await helpers
+    .create(Mock)
+    .withOptions({
+      showBuildOutput: false,
+      props: {
+        artifactId: 'test.ui.config',
+        name: 'Test Module - Apps Config Package',
+        appId: 'config',
+      },
+      parentProps: {
+        groupId: 'com.adobe.test',
+        artifactId: 'test',
+        version: '1.0.0-SNAPSHOT',
+        aem: cloudSdkApiMetadata,
+        aemVersion: 'cloud',
+      },
+    })
+    .inDir(fullPath, () => {
+      fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(temporaryDir, 'pom.xml'));
+      addModulesToPom(temporaryDir, ['core']);
+
+      fs.mkdirSync(path.join(temporaryDir, 'core'));
+      fs.copyFileSync(fixturePath('projects', 'cloud', 'core', 'pom.xml'), path.join(temporaryDir, 'core', 'pom.xml'));
+      fs.writeFileSync(path.join(temporaryDir, 'core', '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem:bundle': { appId: 'test', package: 'com.adobe.test' } }));
+
+      fs.mkdirSync(path.dirname(configFile), { recursive: true });
+      fs.writeFileSync(configFile, JSON.stringify({ 'org.apache.sling.commons.log.level': 'DEBUG', 'org.apache.sling.commons.log.pattern': '{0} {5}' }, null, 2));
+    })
+    .run()
+    .then(() => {
+      const merged = JSON.parse(fs.readFileSync(configFile));
+      t.is(merged['org.apache.sling.commons.log.pattern'], '{0} {5}', 'Custom property kept.');
+      t.is(merged['org.apache.sling.commons.log.names'], '[com.adobe.test]', 'Generated property added.');
+    });
+});
@@ -26,11 +26,30 @@ import { XMLParser } from 'fast-xml-parser';
 import { generatorPath, fixturePath, aem65ApiMetadata, cloudSdkApiMetadata, addModulesToPom } from '../../fixtures/helpers.js';
 import { writeInstall } from '../../fixtures/generators/wrappers.js';
 
+import PluginGenerator from '../../fixtures/generators/plugin/index.js';
 import StructurePackageGenerator from '../../../generators/package-structure/index.js';
 
 const resolved = generatorPath('package-structure', 'index.js');
 const StructureWriteInstall = writeInstall(StructurePackageGenerator, resolved);
 
+class LoggedStructure extends StructureWriteInstall {
+  constructor(args, options, features) {
+    super(args, options, features);
+    this.output = [];
+    this.log = (message) => {
+      this.output.push(message);
+    };
+  }
+
+  writing() {
+    return super.writing();
+  }
+
+  install() {
+    return super.install();
+  }
+}
+
 test('writing/installing', async (t) => {
   t.plan(5);
   const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
@@ -105,6 +124,206 @@ test('writing/installing', async (t) => {
     });
 });
 
+test('writing/installing - plugin filter roots', async () => {
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  const fullPath = path.join(temporaryDir, 'ui.apps.structure');
+
+  await helpers
+    .create(StructureWriteInstall)
+    .withOptions({
+      showBuildOutput: false,
+      props: {
+        artifactId: 'test.ui.apps.structure',
+        name: 'Test Module - Apps Structure',
+        appId: 'test',
+      },
+      parentProps: {
+        groupId: 'com.adobe.test',
+        artifactId: 'test',
+        version: '1.0.0-SNAPSHOT',
+        appId: 'test',
+        aem: cloudSdkApiMetadata,
+        aemVersion: 'cloud',
+        plugins: {
+          'test:plugin': { type: 'module', filterRoots: ['/conf/<%= appId %>/<%= path %>'] },
+          'test:mixin': { type: 'mixin', filterRoots: ['/apps/<%= appId %>-mixin'] },
+        },
+      },
+    })
+    .inDir(fullPath, () => {
+      fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(temporaryDir, 'pom.xml'));
+      addModulesToPom(temporaryDir, ['ui.search', 'ui.other']);
+
+      fs.mkdirSync(path.join(temporaryDir, 'ui.search'));
+      fs.writeFileSync(path.join(temporaryDir, 'ui.search', '.yo-rc.json'), JSON.stringify({ 'test:plugin': { artifactId: 'test.ui.search' } }));
+      fs.mkdirSync(path.join(temporaryDir, 'ui.other'));
+      fs.writeFileSync(path.join(temporaryDir, 'ui.other', '.yo-rc.json'), JSON.stringify({ 'test:plugin': { artifactId: 'test.ui.other', appId: 'other' } }));
+    })
+    .run()
+    .then((result) => {
+      result.assertFileContent('pom.xml', /<!-- Plugin roots -->\s+<filter><root>\/conf\/test\/ui.search<\/root><\/filter>/);
+      result.assertFileContent('pom.xml', /<filter><root>\/conf\/other\/ui.other<\/root><\/filter>/);
+      result.assertFileContent('pom.xml', /<filter><root>\/apps\/test-mixin<\/root><\/filter>/);
+    });
+});
+
+test('writing/installing - plugin module generated', async (t) => {
+  t.plan(2);
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  const fullPath = path.join(temporaryDir, 'ui.apps.structure');
+
+  await helpers
+    .create(PluginGenerator, { resolved: fixturePath('generators', 'plugin', 'index.js') })
+    .withOptions({ generateInto: 'ui.search', appId: 'search', name: 'Search', artifactId: 'test.ui.search' })
+    .inDir(temporaryDir, () => {
+      fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(temporaryDir, 'pom.xml'));
+    })
+    .run();
+
+  fs.mkdirSync(fullPath);
+  await helpers
+    .create(LoggedStructure)
+    .withOptions({
+      showBuildOutput: false,
+      dryRun: true,
+      props: {
+        artifactId: 'test.ui.apps.structure',
+        name: 'Test Module - Apps Structure',
+        appId: 'test',
+      },
+      parentProps: {
+        groupId: 'com.adobe.test',
+        artifactId: 'test',
+        version: '1.0.0-SNAPSHOT',
+        appId: 'test',
+        aem: cloudSdkApiMetadata,
+        aemVersion: 'cloud',
+        plugins: {
+          'test:plugin': { type: 'module', filterRoots: ['/conf/<%= appId %>/<%= path %>'] },
+        },
+      },
+    })
+    .cd(fullPath)
+    .run()
+    .then((result) => {
+      t.regex(result.generator.fs.read(path.join(fullPath, 'pom.xml')), /<!-- Plugin roots -->\s+<filter><root>\/conf\/search\/ui.search<\/root><\/filter>/, 'Plugin module found.');
+      t.notRegex(result.generator.output.join('\n'), /Warning/, 'No warning logged.');
+    });
+});
+
+test('writing/installing - plugin module not found', async (t) => {
+  t.plan(2);
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  const fullPath = path.join(temporaryDir, 'ui.apps.structure');
+
+  await helpers
+    .create(LoggedStructure)
+    .withOptions({
+      showBuildOutput: false,
+      dryRun: true,
+      props: {
+        artifactId: 'test.ui.apps.structure',
+        name: 'Test Module - Apps Structure',
+        appId: 'test',
+      },
+      parentProps: {
+        groupId: 'com.adobe.test',
+        artifactId: 'test',
+        version: '1.0.0-SNAPSHOT',
+        appId: 'test',
+        aem: cloudSdkApiMetadata,
+        aemVersion: 'cloud',
+        plugins: {
+          'test:plugin': { type: 'module', filterRoots: ['/conf/<%= appId %>/search'] },
+        },
+      },
+    })
+    .inDir(fullPath, () => {
+      fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(temporaryDir, 'pom.xml'));
+      addModulesToPom(temporaryDir, ['ui.search']);
+      fs.mkdirSync(path.join(temporaryDir, 'ui.search'));
+      fs.writeFileSync(path.join(temporaryDir, 'ui.search', '.yo-rc.json'), JSON.stringify({ 'test:other': { artifactId: 'test.ui.search' } }));
+    })
+    .run()
+    .then((result) => {
+      t.notRegex(result.generator.fs.read(path.join(fullPath, 'pom.xml')), /\/conf\/test\/search/, 'No filter root added.');
+      t.regex(result.generator.output.join('\n'), /Warning: No test:plugin module found for its filterRoots/, 'Warning logged.');
+    });
+});
+
+test('writing/installing - dry run', async (t) => {
+  t.plan(3);
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  const fullPath = path.join(temporaryDir, 'ui.apps.structure');
+
+  await helpers
+    .create(StructureWriteInstall)
+    .withOptions({
+      showBuildOutput: false,
+      dryRun: true,
+      props: {
+        artifactId: 'test.ui.apps.structure',
+        name: 'Test Module - Apps Structure',
+        appId: 'test',
+      },
+      parentProps: {
+        groupId: 'com.adobe.test',
+        artifactId: 'test',
+        version: '1.0.0-SNAPSHOT',
+        aem: cloudSdkApiMetadata,
+        aemVersion: 'cloud',
+      },
+    })
+    .inDir(fullPath, () => {
+      fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(temporaryDir, 'pom.xml'));
+    })
+    .run()
+    .then((result) => {
+      const parentPom = fs.readFileSync(path.join(temporaryDir, 'pom.xml'), { encoding: 'utf8' });
+      t.is(parentPom, fs.readFileSync(fixturePath('projects', 'cloud', 'pom.xml'), { encoding: 'utf8' }), 'Parent pom not changed.');
+      t.true(result.generator.fs.exists(path.join(fullPath, 'pom.xml')), 'Pom generated.');
+      t.false(fs.existsSync(path.join(fullPath, 'pom.xml')), 'Pom not written.');
+    });
+});
+
+test('writing/installing - pom template overlay', async (t) => {
+  t.plan(2);
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  const fullPath = path.join(temporaryDir, 'ui.apps.structure');
+
+  await helpers
+    .create(StructureWriteInstall)
+    .withOptions({
+      showBuildOutput: false,
+      dryRun: true,
+      props: {
+        artifactId: 'test.ui.apps.structure',
+        name: 'Test Module - Apps Structure',
+        appId: 'test',
+      },
+      parentProps: {
+        groupId: 'com.adobe.test',
+        artifactId: 'test',
+        version: '1.0.0-SNAPSHOT',
+        aem: cloudSdkApiMetadata,
+        aemVersion: 'cloud',
+      },
+    })
+    .inDir(fullPath, () => {
+      fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(temporaryDir, 'pom.xml'));
+      const overlay = path.join(temporaryDir, '.aem-generator', 'templates', 'package-structure');
+      fs.mkdirSync(overlay, { recursive: true });
+      const pom = fs.readFileSync(generatorPath('package-structure', 'templates', 'pom.xml'), { encoding: 'utf8' });
+      fs.writeFileSync(path.join(overlay, 'pom.xml'), pom.replace('<name><%= name %></name>', '<name><%= name %> (Customized)</name>'));
+    })
+    .run()
+    .then((result) => {
+      const pom = new XMLParser().parse(result.generator.fs.read(path.join(fullPath, 'pom.xml')));
+      t.is(pom.project.name, 'Test Module - Apps Structure (Customized)', 'Overlay template used.');
+      t.is(pom.project.artifactId, 'test.ui.apps.structure', 'Overlay template rendered.');
+    });
+});
+
 test('writing/installing - merges existing filters', async (t) => {
   t.plan(5);
   const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
@@ -0,0 +1,163 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { chdir } from 'node:process';
+
+import test from 'ava';
+import helpers from 'yeoman-test';
+
+import { addModulesToPom, fixturePath } from '../fixtures/helpers.js';
+
+import RemoveGenerator from '../../generators/remove/index.js';
+
+const rootConfig = {
+  '@adobe/generator-aem': {
+    name: 'Test Project',
+    appId: 'test',
+    groupId: 'com.adobe.test',
+    artifactId: 'test',
+    version: '1.0.0-SNAPSHOT',
+    aemVersion: 'cloud',
+  },
+  '@adobe/generator-aem:mixin-cc': {
+    version: '2.19.0',
+    bundles: ['core'],
+    apps: ['ui.apps', 'ui.other'],
+  },
+};
+
+const moduleConfigs = {
+  core: { '@adobe/generator-aem:bundle': { appId: 'test', artifactId: 'test.core' } },
+  'ui.apps': { '@adobe/generator-aem:package-apps': { appId: 'test', artifactId: 'test.ui.apps', precompileScripts: true } },
+  'ui.other': { '@adobe/generator-aem:package-apps': { appId: 'other', artifactId: 'test.ui.other' } },
+  'ui.apps.structure': { '@adobe/generator-aem:package-structure': { appId: 'test', artifactId: 'test.ui.apps.structure' } },
+  all: { '@adobe/generator-aem:package-all': { appId: 'test', artifactId: 'test.all' } },
+};
+
+const createProject = (dir) => {
+  fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(dir, 'pom.xml'));
+  addModulesToPom(dir, Object.keys(moduleConfigs));
+  fs.writeFileSync(path.join(dir, '.yo-rc.json'), JSON.stringify(rootConfig));
+
+  for (const [module, config] of Object.entries(moduleConfigs)) {
+    fs.mkdirSync(path.join(dir, module));
+    fs.writeFileSync(path.join(dir, module, '.yo-rc.json'), JSON.stringify(config));
+  }
+
+  fs.copyFileSync(fixturePath('pom', 'remove', 'all', 'pom.xml'), path.join(dir, 'all', 'pom.xml'));
+  fs.copyFileSync(fixturePath('pom', 'remove', 'ui.apps.structure', 'pom.xml'), path.join(dir, 'ui.apps.structure', 'pom.xml'));
+};
+
+test('not in project', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(helpers.create(RemoveGenerator).withArguments(['core']).run());
+  t.regex(error.message, /Remove Generator cannot be use outside existing project context/);
+});
+
+test('unknown module', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(
+    helpers
+      .create(RemoveGenerator)
+      .withArguments(['ui.unknown'])
+      .inTmpDir((dir) => {
+        createProject(dir);
+      })
+      .run()
+  );
+  t.regex(error.message, /Module 'ui.unknown' is not part of this project/);
+});
+
+test('removes module references', async (t) => {
+  t.plan(8);
+
+  await helpers
+    .create(RemoveGenerator)
+    .withArguments(['ui.apps'])
+    .inTmpDir((dir) => {
+      createProject(dir);
+    })
+    .run()
+    .then((result) => {
+      result.assertNoFileContent('pom.xml', /<module>ui.apps<\/module>/);
+      result.assertFileContent('pom.xml', /<module>ui.apps.structure<\/module>/);
+
+      const allPom = fs.readFileSync(result.generator.destinationPath('all', 'pom.xml'), { encoding: 'utf8' });
+      t.notRegex(allPom, /<artifactId>test.ui.apps<\/artifactId>/, 'Embeddeds and dependencies removed.');
+      t.is(allPom.match(/<artifactId>test.core<\/artifactId>/g).length, 2, 'Other embeddeds kept.');
+      t.is(allPom.match(/<artifactId>commons-lang3<\/artifactId>/g).length, 2, 'Third party embeddeds kept.');
+
+      const yorc = JSON.parse(fs.readFileSync(result.generator.destinationPath('.yo-rc.json')));
+      t.deepEqual(yorc['@adobe/generator-aem:mixin-cc'].apps, ['ui.other'], 'Mixin reference removed.');
+      t.deepEqual(yorc['@adobe/generator-aem:mixin-cc'].bundles, ['core'], 'Other mixin references kept.');
+
+      const structurePom = fs.readFileSync(result.generator.destinationPath('ui.apps.structure', 'pom.xml'), { encoding: 'utf8' });
+      t.regex(structurePom, /<filter><root>\/apps\/test<\/root><\/filter>/, 'Shared appId root kept.');
+      t.regex(structurePom, /<filter><root>\/content\/dam\/test<\/root><\/filter>/, 'Shared appId root kept.');
+
+      t.true(fs.existsSync(result.generator.destinationPath('ui.apps')), 'Directory kept.');
+    });
+});
+
+test('removes unique appId roots and directory from module', async (t) => {
+  t.plan(5);
+
+  let root;
+  await helpers
+    .create(RemoveGenerator)
+    .withArguments(['ui.other'])
+    .withOptions({ delete: true })
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir);
+      chdir(path.join(dir, 'core'));
+    })
+    .run()
+    .then(() => {
+      const structurePom = fs.readFileSync(path.join(root, 'ui.apps.structure', 'pom.xml'), { encoding: 'utf8' });
+      t.notRegex(structurePom, /\/apps\/other</, 'Apps root removed.');
+      t.notRegex(structurePom, /\/content\/dam\/other</, 'DAM root removed.');
+      t.regex(structurePom, /<filter><root>\/apps\/test<\/root><\/filter>/, 'Other roots kept.');
+
+      const allPom = fs.readFileSync(path.join(root, 'all', 'pom.xml'), { encoding: 'utf8' });
+      t.notRegex(allPom, /<artifactId>test.ui.other<\/artifactId>/, 'Embeddeds and dependencies removed.');
+      t.false(fs.existsSync(path.join(root, 'ui.other')), 'Directory deleted.');
+    });
+});
+
+test('dry run', async (t) => {
+  t.plan(3);
+
+  let root;
+  await helpers
+    .create(RemoveGenerator)
+    .withArguments(['ui.other'])
+    .withOptions({ delete: true, dryRun: true })
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir);
+    })
+    .run()
+    .then(() => {
+      t.regex(fs.readFileSync(path.join(root, 'pom.xml'), { encoding: 'utf8' }), /<module>ui.other<\/module>/, 'Parent pom unchanged.');
+      t.regex(fs.readFileSync(path.join(root, 'all', 'pom.xml'), { encoding: 'utf8' }), /<artifactId>test.ui.other<\/artifactId>/, 'All pom unchanged.');
+      t.true(fs.existsSync(path.join(root, 'ui.other')), 'Directory kept.');
+    });
+});
@@ -0,0 +1,180 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { chdir } from 'node:process';
+
+import test from 'ava';
+import helpers from 'yeoman-test';
+
+import { addModulesToPom, fixturePath } from '../fixtures/helpers.js';
+
+import RenameGenerator from '../../generators/rename/index.js';
+
+const rootConfig = {
+  '@adobe/generator-aem': {
+    name: 'Test Project',
+    appId: 'test',
+    groupId: 'com.adobe.test',
+    artifactId: 'test',
+    version: '1.0.0-SNAPSHOT',
+    aemVersion: 'cloud',
+  },
+  '@adobe/generator-aem:mixin-cc': {
+    version: '2.19.0',
+    bundles: ['core'],
+    apps: ['ui.apps'],
+  },
+};
+
+const moduleConfigs = {
+  core: { '@adobe/generator-aem:bundle': { appId: 'test', artifactId: 'test.core' } },
+  'ui.apps': {
+    '@adobe/generator-aem:package-apps': { appId: 'test', artifactId: 'test.ui.apps', bundle: 'test.core', structure: 'test.ui.apps.structure' },
+    '@adobe/generator-aem:mixin-cc:apps': { version: '2.19.0' },
+  },
+  'ui.content': { '@adobe/generator-aem:package-content': { appId: 'test', artifactId: 'test.ui.content', apps: 'test.ui.apps', bundle: 'test.core' } },
+  all: { '@adobe/generator-aem:package-all': { appId: 'test', artifactId: 'test.all' } },
+};
+
+const createProject = (dir) => {
+  fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(dir, 'pom.xml'));
+  addModulesToPom(dir, Object.keys(moduleConfigs));
+  fs.writeFileSync(path.join(dir, '.yo-rc.json'), JSON.stringify(rootConfig));
+
+  for (const [module, config] of Object.entries(moduleConfigs)) {
+    fs.mkdirSync(path.join(dir, module));
+    fs.writeFileSync(path.join(dir, module, '.yo-rc.json'), JSON.stringify(config));
+  }
+
+  fs.copyFileSync(fixturePath('projects', 'cloud', 'core', 'pom.xml'), path.join(dir, 'core', 'pom.xml'));
+  fs.copyFileSync(fixturePath('projects', 'cloud', 'ui.apps', 'pom.xml'), path.join(dir, 'ui.apps', 'pom.xml'));
+  fs.copyFileSync(fixturePath('pom', 'remove', 'all', 'pom.xml'), path.join(dir, 'all', 'pom.xml'));
+};
+
+const readJson = (...segments) => JSON.parse(fs.readFileSync(path.join(...segments)));
+
+test('not in project', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(helpers.create(RenameGenerator).withArguments(['core', 'bundle']).run());
+  t.regex(error.message, /Rename Generator cannot be use outside existing project context/);
+});
+
+test('unknown module', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(
+    helpers
+      .create(RenameGenerator)
+      .withArguments(['ui.unknown', 'ui.other'])
+      .inTmpDir((dir) => {
+        createProject(dir);
+      })
+      .run()
+  );
+  t.regex(error.message, /Module 'ui.unknown' is not part of this project/);
+});
+
+test('existing module', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(
+    helpers
+      .create(RenameGenerator)
+      .withArguments(['core', 'ui.apps'])
+      .inTmpDir((dir) => {
+        createProject(dir);
+      })
+      .run()
+  );
+  t.regex(error.message, /Module 'ui.apps' already exists/);
+});
+
+test('renames module and references', async (t) => {
+  t.plan(11);
+
+  let root;
+  let appsPom;
+  await helpers
+    .create(RenameGenerator)
+    .withArguments(['core', 'bundle'])
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir);
+      appsPom = fs.readFileSync(path.join(dir, 'ui.apps', 'pom.xml'), { encoding: 'utf8' });
+    })
+    .run()
+    .then(() => {
+      t.regex(fs.readFileSync(path.join(root, 'pom.xml'), { encoding: 'utf8' }), /<modules>\s+<module>bundle<\/module>\s+<module>ui.apps<\/module>/, 'Parent pom module renamed in place.');
+      t.false(fs.existsSync(path.join(root, 'core')), 'Old directory removed.');
+      t.regex(fs.readFileSync(path.join(root, 'bundle', 'pom.xml'), { encoding: 'utf8' }), /<artifactId>test.bundle<\/artifactId>/, 'ArtifactId updated.');
+      t.is(readJson(root, 'bundle', '.yo-rc.json')['@adobe/generator-aem:bundle'].artifactId, 'test.bundle', 'Module config updated.');
+
+      const allPom = fs.readFileSync(path.join(root, 'all', 'pom.xml'), { encoding: 'utf8' });
+      t.notRegex(allPom, /<artifactId>test.core<\/artifactId>/, 'Old references removed.');
+      t.is(allPom.match(/<artifactId>test.bundle<\/artifactId>/g).length, 2, 'Embedded and dependency updated.');
+
+      t.is(readJson(root, 'ui.apps', '.yo-rc.json')['@adobe/generator-aem:package-apps'].bundle, 'test.bundle', 'Apps reference updated.');
+      t.is(readJson(root, 'ui.content', '.yo-rc.json')['@adobe/generator-aem:package-content'].bundle, 'test.bundle', 'Content reference updated.');
+      t.deepEqual(readJson(root, '.yo-rc.json')['@adobe/generator-aem:mixin-cc'].bundles, ['bundle'], 'Mixin reference updated.');
+      t.deepEqual(readJson(root, '.yo-rc.json')['@adobe/generator-aem:mixin-cc'].apps, ['ui.apps'], 'Other mixin references kept.');
+      t.is(fs.readFileSync(path.join(root, 'ui.apps', 'pom.xml'), { encoding: 'utf8' }), appsPom, 'Unrelated pom untouched.');
+    });
+});
+
+test('renames with artifactId from module', async (t) => {
+  t.plan(4);
+
+  let root;
+  await helpers
+    .create(RenameGenerator)
+    .withArguments(['ui.apps', 'ui.site'])
+    .withOptions({ artifactId: 'site.apps' })
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir);
+      chdir(path.join(dir, 'core'));
+    })
+    .run()
+    .then(() => {
+      t.regex(fs.readFileSync(path.join(root, 'ui.site', 'pom.xml'), { encoding: 'utf8' }), /<artifactId>site.apps<\/artifactId>/, 'ArtifactId updated.');
+      t.is(readJson(root, 'ui.content', '.yo-rc.json')['@adobe/generator-aem:package-content'].apps, 'site.apps', 'Content reference updated.');
+      t.deepEqual(readJson(root, '.yo-rc.json')['@adobe/generator-aem:mixin-cc'].apps, ['ui.site'], 'Mixin reference updated.');
+      t.is(fs.readFileSync(path.join(root, 'all', 'pom.xml'), { encoding: 'utf8' }).match(/<artifactId>site.apps<\/artifactId>/g).length, 4, 'Embeddeds and dependencies updated.');
+    });
+});
+
+test('dry run', async (t) => {
+  t.plan(3);
+
+  let root;
+  await helpers
+    .create(RenameGenerator)
+    .withArguments(['core', 'bundle'])
+    .withOptions({ dryRun: true })
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir);
+    })
+    .run()
+    .then(() => {
+      t.true(fs.existsSync(path.join(root, 'core')), 'Directory not moved.');
+      t.regex(fs.readFileSync(path.join(root, 'pom.xml'), { encoding: 'utf8' }), /<module>core<\/module>/, 'Parent pom unchanged.');
+      t.is(readJson(root, 'core', '.yo-rc.json')['@adobe/generator-aem:bundle'].artifactId, 'test.core', 'Config unchanged.');
+    });
+});
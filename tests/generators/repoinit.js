@@ -0,0 +1,245 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import test from 'ava';
+import helpers from 'yeoman-test';
+
+import { createProject, fixturePath, generatorPath } from '../fixtures/helpers.js';
+
+import RepoInitGenerator, { buildScript, mergeMappings, mergeScripts, normalizeSpec, parseAcl } from '../../generators/repoinit/index.js';
+
+const resolved = generatorPath('repoinit', 'index.js');
+
+class RepoInit extends RepoInitGenerator {
+  constructor(args, options, features) {
+    options.resolved = resolved;
+    super(args, options, features);
+  }
+
+  initializing() {
+    return super.initializing();
+  }
+
+  prompting() {
+    return super.prompting();
+  }
+
+  writing() {
+    return super.writing();
+  }
+}
+
+const modules = {
+  core: { '@adobe/generator-aem:bundle': { appId: 'test', artifactId: 'test.core', package: 'com.adobe.test' } },
+  'ui.config': { '@adobe/generator-aem:package-config': { appId: 'test', artifactId: 'test.ui.config' } },
+};
+
+const configFile = (root, pid) => path.join(root, 'ui.config', 'src', 'main', 'content', 'jcr_root', 'apps', 'test', 'osgiconfig', 'config', `${pid}~test.cfg.json`);
+const repoInitFile = (root) => configFile(root, 'org.apache.sling.jcr.repoinit.RepositoryInitializer');
+const mapperFile = (root) => configFile(root, 'org.apache.sling.serviceusermapping.impl.ServiceUserMapperImpl.amended');
+
+test('parseAcl', (t) => {
+  t.plan(4);
+
+  t.deepEqual(parseAcl('allow jcr:read, rep:write on /content/test restriction(rep:glob,*) for test-editors,  test-authors'), {
+    action: 'allow',
+    privileges: ['jcr:read', 'rep:write'],
+    paths: ['/content/test'],
+    restrictions: ' restriction(rep:glob,*)',
+    principals: ['test-editors', 'test-authors'],
+  });
+  t.deepEqual(parseAcl('deny jcr:all on /conf/test', 'test-reader').principals, ['test-reader'], 'Default principal.');
+  t.throws(() => parseAcl('deny jcr:all on /conf/test'), { message: /ACL entry has no principal: 'deny jcr:all on \/conf\/test'/ });
+  t.throws(() => parseAcl('grant jcr:read on /content for everyone'), { message: /Invalid ACL entry: 'grant jcr:read on \/content for everyone'/ });
+});
+
+test('buildScript', (t) => {
+  t.plan(2);
+
+  const spec = normalizeSpec(
+    {
+      paths: '/var/test(sling:Folder)',
+      serviceUsers: [{ name: 'test-reader', acls: ['allow jcr:read on /content/test'] }],
+      groups: 'test-editors',
+      acls: 'allow rep:write on /content/test for test-editors; allow jcr:read on /var/test for test-reader,test-editors',
+    },
+    'test'
+  );
+  t.deepEqual(buildScript(spec), [
+    'create path /var/test(sling:Folder)',
+    'create service user test-reader with path system/cq:services/test',
+    'create group test-editors',
+    'set ACL for test-reader',
+    '    allow jcr:read on /content/test',
+    '    allow jcr:read on /var/test',
+    'end',
+    'set ACL for test-editors',
+    '    allow rep:write on /content/test',
+    '    allow jcr:read on /var/test',
+    'end',
+  ]);
+  t.throws(() => normalizeSpec({ paths: 'var/test' }, 'test'), { message: /Paths must be absolute: var\/test/ });
+});
+
+test('mergeScripts', (t) => {
+  t.plan(1);
+
+  const existing = [
+    'create path /conf/test(sling:Folder)',
+    'set properties on /conf/test\n',
+    '    set jcr:title{String} to "Test"',
+    'end',
+    'set ACL for test-reader',
+    '  allow jcr:read on /content/test',
+    'end',
+  ];
+  const additions = [
+    'create path /conf/test(sling:Folder)',
+    'create service user test-reader',
+    'set ACL for test-reader',
+    '    allow jcr:read on /content/test',
+    '    allow jcr:read on /conf/test',
+    'end',
+    'set ACL for test-editors',
+    '    allow rep:write on /content/test',
+    'end',
+  ];
+  t.deepEqual(mergeScripts(existing, additions), [
+    'create path /conf/test(sling:Folder)',
+    'set properties on /conf/test\n',
+    '    set jcr:title{String} to "Test"',
+    'end',
+    'set ACL for test-reader',
+    '  allow jcr:read on /content/test',
+    '    allow jcr:read on /conf/test',
+    'end',
+    'create service user test-reader',
+    'set ACL for test-editors',
+    '    allow rep:write on /content/test',
+    'end',
+  ]);
+});
+
+test('mergeMappings', (t) => {
+  t.plan(1);
+
+  t.deepEqual(
+    mergeMappings(['com.adobe.test.core:reader=[old-reader]', 'com.adobe.other:writer=[other-writer]'], ['com.adobe.test.core:reader=[test-reader]', 'com.adobe.test.core:writer=[test-writer]']),
+    ['com.adobe.test.core:reader=[test-reader]', 'com.adobe.other:writer=[other-writer]', 'com.adobe.test.core:writer=[test-writer]']
+  );
+});
+
+test('defaults', async (t) => {
+  t.plan(2);
+
+  let root;
+  await helpers
+    .create(RepoInit)
+    .withOptions({ defaults: true, serviceUsers: 'test-reader', acls: 'allow jcr:read on /content/test for test-reader' })
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir, modules);
+    })
+    .run()
+    .then(() => {
+      t.deepEqual(JSON.parse(fs.readFileSync(repoInitFile(root))), {
+        scripts: ['create service user test-reader with path system/cq:services/test', 'set ACL for test-reader', '    allow jcr:read on /content/test', 'end'],
+      });
+      t.deepEqual(JSON.parse(fs.readFileSync(mapperFile(root))), { 'user.mapping': ['com.adobe.test.test.core:test-reader=[test-reader]'] });
+    });
+});
+
+test('spec file, merged with existing configurations', async (t) => {
+  t.plan(2);
+
+  let root;
+  await helpers
+    .create(RepoInit)
+    .withOptions({ spec: fixturePath('repoinit', 'spec.yaml') })
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir, modules);
+      fs.mkdirSync(path.dirname(repoInitFile(dir)), { recursive: true });
+      fs.writeFileSync(repoInitFile(dir), JSON.stringify({ scripts: ['create path /conf/test(sling:Folder)', 'set ACL for test-editors', '    allow jcr:read on /conf/test', 'end'] }));
+      fs.writeFileSync(mapperFile(dir), JSON.stringify({ 'user.mapping': ['com.adobe.test.test.core:reader=[old-reader]'] }));
+    })
+    .run()
+    .then(() => {
+      t.deepEqual(JSON.parse(fs.readFileSync(repoInitFile(root))).scripts, [
+        'create path /conf/test(sling:Folder)',
+        'set ACL for test-editors',
+        '    allow jcr:read on /conf/test',
+        '    allow jcr:read,rep:write on /content/test restriction(rep:glob,/jcr:content*)',
+        '    deny jcr:removeNode on /content/test',
+        'end',
+        'create path /conf/test/settings(sling:Folder)',
+        'create path /var/test(sling:Folder)',
+        'create service user test-reader with path system/cq:services/test',
+        'create service user test-writer with path system/cq:services/test/writers',
+        'create group test-editors',
+        'set ACL for test-reader',
+        '    allow jcr:read on /content/test,/conf/test',
+        'end',
+        'set ACL for test-writer',
+        '    allow jcr:read,rep:write on /var/test',
+        '    deny jcr:removeNode on /content/test',
+        'end',
+      ]);
+      t.deepEqual(JSON.parse(fs.readFileSync(mapperFile(root)))['user.mapping'], ['com.adobe.test.test.core:reader=[test-reader]', 'com.adobe.test.test.core:test-writer=[test-writer]']);
+    });
+});
+
+test('prompted, no service users', async (t) => {
+  t.plan(2);
+
+  let root;
+  await helpers
+    .create(RepoInit)
+    .withPrompts({ paths: '/var/test', serviceUsers: '', groups: 'test-editors', acls: 'allow jcr:read on /var/test for test-editors' })
+    .inTmpDir((dir) => {
+      root = dir;
+      createProject(dir, modules);
+    })
+    .run()
+    .then(() => {
+      t.deepEqual(JSON.parse(fs.readFileSync(repoInitFile(root))).scripts, [
+        'create path /var/test',
+        'create group test-editors',
+        'set ACL for test-editors',
+        '    allow jcr:read on /var/test',
+        'end',
+      ]);
+      t.false(fs.existsSync(mapperFile(root)), 'No mappings.');
+    });
+});
+
+test('service users require a bundle choice', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(
+    helpers
+      .create(RepoInit)
+      .withOptions({ defaults: true, serviceUsers: 'test-reader' })
+      .inTmpDir((dir) => {
+        createProject(dir, { ...modules, other: { '@adobe/generator-aem:bundle': { appId: 'other', artifactId: 'test.other' } } });
+      })
+      .run()
+  );
+  t.regex(error.message, /More than one bundle module found, specify one with the bundle option/);
+});
@@ -0,0 +1,206 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import _ from 'lodash';
+import { globbySync } from 'globby';
+
+import test from 'ava';
+import helpers from 'yeoman-test';
+
+import { addModulesToPom, fixturePath, generatorPath } from '../fixtures/helpers.js';
+
+import UpgradeGenerator from '../../generators/upgrade/index.js';
+
+const resolved = generatorPath('upgrade', 'index.js');
+
+// Skips composing the root generator.
+class Mock extends UpgradeGenerator {
+  constructor(args, options, features) {
+    options.resolved = resolved;
+    super(args, options, features);
+  }
+
+  initializing() {
+    super.initializing();
+  }
+
+  writing() {
+    super.writing();
+  }
+
+  end() {
+    super.end();
+  }
+}
+
+const writeFile = (file, contents = '') => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents);
+};
+
+const filter = (...roots) => {
+  return `<workspaceFilter version="1.0">${roots.map((r) => `<filter root="${r}"/>`).join('')}</workspaceFilter>`;
+};
+
+const createProject = (dir) => {
+  fs.writeFileSync(path.join(dir, '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem': { appId: 'test', aemVersion: '6.5' } }));
+  fs.copyFileSync(fixturePath('projects', 'cloud', 'pom.xml'), path.join(dir, 'pom.xml'));
+  addModulesToPom(dir, ['dispatcher', 'ui.apps', 'ui.config', 'ui.content']);
+
+  const dispatcher = path.join(dir, 'dispatcher');
+  writeFile(path.join(dispatcher, '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem:dispatcher': { appId: 'test' } }));
+  writeFile(path.join(dispatcher, 'src', 'conf.d', 'available_vhosts', 'test_publish.vhost'));
+  writeFile(path.join(dispatcher, 'src', 'conf.d', 'variables', 'custom.vars'));
+  writeFile(path.join(dispatcher, 'src', 'conf.modules.d', '00-base.conf'));
+  writeFile(path.join(dispatcher, 'src', 'conf.modules.d', '99-custom.conf'));
+  fs.mkdirSync(path.join(dispatcher, 'src', 'conf.d', 'enabled_vhosts'));
+  fs.symlinkSync(path.join('..', 'available_vhosts', 'test_publish.vhost'), path.join(dispatcher, 'src', 'conf.d', 'enabled_vhosts', 'test_publish.vhost'));
+
+  writeFile(path.join(dir, 'ui.apps', '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem:package-apps': { appId: 'test' } }));
+  writeFile(path.join(dir, 'ui.apps', 'src', 'main', 'content', 'META-INF', 'vault', 'filter.xml'), filter('/apps/test', '/etc/designs/test'));
+
+  writeFile(path.join(dir, 'ui.config', '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem:package-config': { appId: 'test' } }));
+  writeFile(path.join(dir, 'ui.config', 'src', 'main', 'content', 'jcr_root', 'apps', 'test', 'osgiconfig', 'config', 'com.adobe.Test.config'));
+  writeFile(path.join(dir, 'ui.config', 'src', 'main', 'content', 'jcr_root', 'apps', 'test', 'osgiconfig', 'config', 'com.adobe.Other.cfg.json'));
+
+  writeFile(path.join(dir, 'ui.content', '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem:package-content': { appId: 'test' } }));
+  writeFile(path.join(dir, 'ui.content', 'src', 'main', 'content', 'META-INF', 'vault', 'filter.xml'), filter('/content/test', '/apps/test/components'));
+};
+
+test('not in project', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(helpers.create(Mock).run());
+  t.regex(error.message, /Upgrade Generator cannot be use outside existing project context/);
+});
+
+test('already cloud', async (t) => {
+  t.plan(2);
+
+  const error = await t.throwsAsync(
+    helpers
+      .create(Mock)
+      .inTmpDir((dir) => {
+        fs.writeFileSync(path.join(dir, '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem': { aemVersion: 'cloud' } }));
+      })
+      .run()
+  );
+  t.regex(error.message, /Project already targets AEM as a Cloud Service/);
+});
+
+test('removes obsolete files and reports manual steps', async (t) => {
+  t.plan(11);
+
+  let temporaryDir;
+  await helpers
+    .create(Mock)
+    .inTmpDir((dir) => {
+      temporaryDir = dir;
+      createProject(dir);
+    })
+    .run()
+    .then((result) => {
+      const dispatcher = path.join(temporaryDir, 'dispatcher', 'src');
+      t.false(fs.existsSync(path.join(dispatcher, 'conf.d', 'available_vhosts', 'test_publish.vhost')), 'Templated file removed.');
+      t.false(fs.existsSync(path.join(dispatcher, 'conf.modules.d', '00-base.conf')), 'Obsolete file removed.');
+      t.is(fs.lstatSync(path.join(dispatcher, 'conf.d', 'enabled_vhosts', 'test_publish.vhost'), { throwIfNoEntry: false }), undefined, 'Symlink removed.');
+      t.true(fs.existsSync(path.join(dispatcher, 'conf.d', 'variables', 'custom.vars')), 'Cloud file kept.');
+      t.true(fs.existsSync(path.join(dispatcher, 'conf.modules.d', '99-custom.conf')), 'Custom file kept.');
+
+      const steps = result.generator.manualSteps;
+      t.is(steps.length, 5, 'Manual steps reported.');
+      t.regex(steps[0], /AEM SDK API/);
+      t.is(steps[1], path.join('dispatcher', 'src', 'conf.modules.d', '99-custom.conf') + ' is not part of the Cloud Service layout; migrate or remove it.');
+      t.is(steps[2], "ui.apps filter root '/etc/designs/test' is mutable system content; move it to /conf or /apps.");
+      t.is(steps[3], "ui.content filter root '/apps/test/components' is immutable content and cannot be deployed in a content package.");
+      t.regex(steps[4], /ui.config\/src\/main\/content\/jcr_root\/apps\/test\/osgiconfig\/config\/com.adobe.Test.config should be converted/);
+    });
+});
+
+test('composes root generator for cloud', async (t) => {
+  t.plan(2);
+
+  class ComposeMock extends UpgradeGenerator {
+    constructor(args, options, features) {
+      options.resolved = resolved;
+      super(args, options, features);
+      this.composeWith = (generator, options) => {
+        this.composedWith = { generator, options };
+      };
+    }
+
+    initializing() {
+      super.initializing();
+    }
+
+    default() {
+      super.default();
+    }
+  }
+
+  await helpers
+    .create(ComposeMock)
+    .withOptions({ offline: true, showBuildOutput: false, dryRun: true })
+    .inTmpDir((dir) => {
+      fs.writeFileSync(path.join(dir, '.yo-rc.json'), JSON.stringify({ '@adobe/generator-aem': { aemVersion: '6.5' } }));
+    })
+    .run()
+    .then((result) => {
+      const expected = {
+        showBuildOutput: false,
+        offline: true,
+        dryRun: true,
+        generateInto: '.',
+        aemVersion: 'cloud',
+        javaVersion: '11',
+      };
+      t.is(result.generator.composedWith.generator.path, generatorPath('app', 'index.js'), 'Root generator composed.');
+      t.deepEqual(result.generator.composedWith.options, expected, 'Options passed.');
+    });
+});
+
+test('dry run', async (t) => {
+  t.plan(3);
+
+  let temporaryDir;
+  let before;
+  const snapshot = (dir) => {
+    return Object.fromEntries(
+      _.map(globbySync(['**/*'], { cwd: dir, dot: true, onlyFiles: false, followSymbolicLinks: false }), (file) => {
+        const stat = fs.lstatSync(path.join(dir, file));
+        return [file, stat.isFile() ? fs.readFileSync(path.join(dir, file), { encoding: 'utf8' }) : stat.isSymbolicLink()];
+      })
+    );
+  };
+
+  await helpers
+    .create(Mock)
+    .withOptions({ dryRun: true })
+    .inTmpDir((dir) => {
+      temporaryDir = dir;
+      createProject(dir);
+      before = snapshot(dir);
+    })
+    .run()
+    .then((result) => {
+      t.deepEqual(snapshot(temporaryDir), before, 'No file changed.');
+      t.false(result.generator.fs.exists(path.join(temporaryDir, 'dispatcher', 'src', 'conf.modules.d', '00-base.conf')), 'Removal pending.');
+      t.is(result.generator.manualSteps.length, 5, 'Manual steps reported.');
+    });
+});
@@ -0,0 +1,76 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import test from 'ava';
+
+import CloudManagerEnv from '../../lib/cloudmanager-env.js';
+
+test('placeholder', (t) => {
+  t.plan(3);
+
+  t.is(CloudManagerEnv.placeholder('env', 'LOG_LEVEL', 'INFO'), '$[env:LOG_LEVEL;default=INFO]', 'Default value.');
+  t.is(CloudManagerEnv.placeholder('env', 'LOG_LEVEL'), '$[env:LOG_LEVEL]', 'No default value.');
+  t.is(CloudManagerEnv.placeholder('secret', 'API_KEY', 'key'), '$[secret:API_KEY]', 'Secrets have no default value.');
+});
+
+test('findPlaceholders', (t) => {
+  t.plan(2);
+
+  t.deepEqual(
+    CloudManagerEnv.findPlaceholders({
+      url: 'https://$[env:HOST;default=localhost]:$[env:PORT;default=]/api',
+      keys: ['$[secret:API_KEY]'],
+      nested: { enabled: true, count: 1 },
+    }),
+    [
+      { type: 'env', name: 'HOST', default: 'localhost' },
+      { type: 'env', name: 'PORT', default: '' },
+      { type: 'secret', name: 'API_KEY' },
+    ],
+    'Placeholders found.'
+  );
+  t.deepEqual(CloudManagerEnv.findPlaceholders('${env:HOST} $[other:HOST]'), [], 'Not placeholders.'); // eslint-disable-line no-template-curly-in-string
+});
+
+test('validatePlaceholder', (t) => {
+  t.plan(6);
+
+  t.true(CloudManagerEnv.validatePlaceholder({ type: 'env', name: 'LOG_LEVEL', default: 'INFO' }), 'Valid variable.');
+  t.true(CloudManagerEnv.validatePlaceholder({ type: 'secret', name: '_key2' }), 'Valid secret.');
+  t.regex(CloudManagerEnv.validatePlaceholder({ type: 'env', name: '1_LEVEL' }), /Invalid variable name '1_LEVEL': 2 to 100 letters/, 'Leading digit.');
+  t.regex(CloudManagerEnv.validatePlaceholder({ type: 'env', name: 'X'.repeat(101) }), /Invalid variable name/, 'Too long.');
+  t.regex(CloudManagerEnv.validatePlaceholder({ type: 'env', name: 'INTERNAL_LEVEL' }), /prefixes are reserved/, 'Reserved prefix.');
+  t.regex(CloudManagerEnv.validatePlaceholder({ type: 'secret', name: 'API_KEY', default: 'key' }), /Secret 'API_KEY' cannot have a default value/, 'Secret default.');
+});
+
+test('buildManifest', (t) => {
+  t.plan(1);
+
+  const references = [
+    { runMode: 'prod', pid: 'com.adobe.test.B', type: 'env', name: 'LEVEL', default: 'WARN' },
+    { runMode: 'default', pid: 'com.adobe.test.B', type: 'env', name: 'LEVEL', default: 'INFO' },
+    { runMode: 'default', pid: 'com.adobe.test.A', type: 'env', name: 'LEVEL', default: 'INFO' },
+    { runMode: 'default', pid: 'com.adobe.test.A', type: 'secret', name: 'KEY' },
+    { runMode: 'default', pid: 'com.adobe.test.A', type: 'secret', name: 'KEY' },
+  ];
+  t.deepEqual(CloudManagerEnv.buildManifest(references), {
+    default: {
+      KEY: { type: 'secret', configurations: ['com.adobe.test.A'] },
+      LEVEL: { type: 'env', default: 'INFO', configurations: ['com.adobe.test.A', 'com.adobe.test.B'] },
+    },
+    prod: { LEVEL: { type: 'env', default: 'WARN', configurations: ['com.adobe.test.B'] } },
+  });
+});
@@ -15,6 +15,10 @@
 */
 
 import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { env } from 'node:process';
+import tempDirectory from 'temp-dir';
 
 import test from 'ava';
 import sinon from 'sinon/pkg/sinon-esm.js';
@@ -23,6 +27,14 @@ import got from 'got';
 import MavenUtils from '../../lib/maven-utils.js';
 import { fixturePath } from '../fixtures/helpers.js';
 
+// Keep the metadata cache local to these tests.
+env.AEM_GENERATOR_CACHE = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'), 'maven-metadata.json');
+
+const writeCache = (entries) => {
+  fs.mkdirSync(path.dirname(MavenUtils.cacheFile()), { recursive: true });
+  fs.writeFileSync(MavenUtils.cacheFile(), JSON.stringify(entries));
+};
+
 test.serial('No Coordinates', async (t) => {
   t.plan(2);
   const error = await t.throwsAsync(MavenUtils.latestRelease);
@@ -69,6 +81,7 @@ test.serial('AEM 6.5 - Previous', async (t) => {
   t.plan(5);
 
   sinon.restore();
+  writeCache({});
   const metadata = fs.readFileSync(fixturePath('files', 'uber-jar-metadata.xml'));
   const fake = sinon.fake.resolves(metadata);
   sinon.replace(got, 'get', fake);
@@ -87,6 +100,7 @@ test.serial('AEMaaCS - No Previous', async (t) => {
   t.plan(5);
 
   sinon.restore();
+  writeCache({});
   const metadata = fs.readFileSync(fixturePath('files', 'sdk-api-metadata.xml'));
   const fake = sinon.fake.resolves(metadata);
   sinon.replace(got, 'get', fake);
@@ -100,3 +114,254 @@ test.serial('AEMaaCS - No Previous', async (t) => {
     t.is(fake.firstArg, 'https://repo1.maven.org/maven2/com/adobe/aem/aem-sdk-api/maven-metadata.xml');
   });
 });
+
+test.serial('Caches resolved metadata', async (t) => {
+  t.plan(3);
+
+  sinon.restore();
+  writeCache({});
+  const metadata = fs.readFileSync(fixturePath('files', 'uber-jar-metadata.xml'));
+  const fake = sinon.fake.resolves(metadata);
+  sinon.replace(got, 'get', fake);
+
+  await MavenUtils.latestRelease({ groupId: 'com.adobe.aem', artifactId: 'uber-jar' });
+  await MavenUtils.latestRelease({ groupId: 'com.adobe.aem', artifactId: 'uber-jar' }, true).then((data) => {
+    sinon.restore();
+    t.is(fake.callCount, 1, 'Remote only requested once.');
+    t.is(data.version, '6.5.12', 'Version');
+    t.truthy(data.versions, 'Historical versions cached');
+  });
+});
+
+test.serial('Expired cache is refreshed', async (t) => {
+  t.plan(2);
+
+  sinon.restore();
+  writeCache({ 'com.adobe.aem:uber-jar': { timestamp: Date.now() - 1000, version: '6.5.0' } });
+  const metadata = fs.readFileSync(fixturePath('files', 'uber-jar-metadata.xml'));
+  const fake = sinon.fake.resolves(metadata);
+  sinon.replace(got, 'get', fake);
+
+  await MavenUtils.latestRelease({ groupId: 'com.adobe.aem', artifactId: 'uber-jar' }, false, { ttl: 500 }).then((data) => {
+    sinon.restore();
+    t.is(fake.callCount, 1, 'Remote requested.');
+    t.is(data.version, '6.5.12', 'Version');
+  });
+});
+
+test.serial('Remote unavailable - uses cache', async (t) => {
+  t.plan(2);
+
+  sinon.restore();
+  writeCache({ 'com.adobe.aem:uber-jar': { timestamp: 0, version: '6.5.10' } });
+  const fake = sinon.fake.rejects(new Error('getaddrinfo ENOTFOUND repo1.maven.org'));
+  sinon.replace(got, 'get', fake);
+
+  await MavenUtils.latestRelease({ groupId: 'com.adobe.aem', artifactId: 'uber-jar' }).then((data) => {
+    sinon.restore();
+    t.is(fake.callCount, 1, 'Remote requested.');
+    t.is(data.version, '6.5.10', 'Cached version');
+  });
+});
+
+test.serial('Remote unavailable - uses pinned', async (t) => {
+  t.plan(1);
+
+  sinon.restore();
+  writeCache({});
+  sinon.replace(got, 'get', sinon.fake.throws(new Error('getaddrinfo ENOTFOUND repo1.maven.org')));
+
+  await MavenUtils.latestRelease({ groupId: 'com.adobe.aem', artifactId: 'uber-jar' }, false, { pinned: '6.5.11' }).then((data) => {
+    sinon.restore();
+    t.is(data.version, '6.5.11', 'Pinned version');
+  });
+});
+
+test.serial('Remote unavailable - fails', async (t) => {
+  t.plan(2);
+
+  sinon.restore();
+  writeCache({});
+  sinon.replace(got, 'get', sinon.fake.rejects(new Error('getaddrinfo ENOTFOUND repo1.maven.org')));
+
+  const error = await t.throwsAsync(() => MavenUtils.latestRelease({ groupId: 'com.adobe.aem', artifactId: 'uber-jar' }));
+  sinon.restore();
+  t.regex(error.message, /ENOTFOUND/, 'Error thrown.');
+});
+
+test.serial('Offline - uses stale cache', async (t) => {
+  t.plan(2);
+
+  sinon.restore();
+  writeCache({ 'com.adobe.aem:aem-sdk-api': { timestamp: 0, version: '2022.1.6198.20220113T173638Z-211100' } });
+  const fake = sinon.fake.rejects(new Error('Should not be called'));
+  sinon.replace(got, 'get', fake);
+
+  await MavenUtils.latestRelease({ groupId: 'com.adobe.aem', artifactId: 'aem-sdk-api' }, false, { offline: true }).then((data) => {
+    sinon.restore();
+    t.is(fake.callCount, 0, 'Remote not requested.');
+    t.is(data.version, '2022.1.6198.20220113T173638Z-211100', 'Cached version');
+  });
+});
+
+test.serial('Offline - uses pinned', async (t) => {
+  t.plan(2);
+
+  sinon.restore();
+  writeCache({});
+  const fake = sinon.fake.rejects(new Error('Should not be called'));
+  sinon.replace(got, 'get', fake);
+
+  await MavenUtils.latestRelease({ groupId: 'com.adobe.aem', artifactId: 'aem-sdk-api' }, false, { offline: true, pinned: '2022.3.6698.20220318T233218Z-220400' }).then((data) => {
+    sinon.restore();
+    t.is(fake.callCount, 0, 'Remote not requested.');
+    t.is(data.version, '2022.3.6698.20220318T233218Z-220400', 'Pinned version');
+  });
+});
+
+test.serial('Offline - nothing available', async (t) => {
+  t.plan(2);
+
+  sinon.restore();
+  writeCache({});
+  const error = await t.throwsAsync(() => MavenUtils.latestRelease({ groupId: 'com.adobe.aem', artifactId: 'aem-sdk-api' }, false, { offline: true }));
+  t.regex(error.message, /Unable to resolve version of com\.adobe\.aem:aem-sdk-api in offline mode/, 'Error thrown.');
+});
+
+test('readSettings - default does not exist', (t) => {
+  t.plan(1);
+  t.deepEqual(MavenUtils.readSettings(), { mirrors: [], servers: [], repositories: [] }, 'Empty settings.');
+});
+
+test('readSettings - provided does not exist', (t) => {
+  t.plan(2);
+  const error = t.throws(() => MavenUtils.readSettings(fixturePath('files', 'missing.xml')));
+  t.regex(error.message, /Unable to find Maven settings file/, 'Error thrown.');
+});
+
+test.serial('readSettings', (t) => {
+  t.plan(3);
+  env.AEM_GENERATOR_TEST_PASSWORD = 'secret';
+  const settings = MavenUtils.readSettings(fixturePath('files', 'settings.xml'));
+  delete env.AEM_GENERATOR_TEST_PASSWORD;
+
+  t.deepEqual(settings.mirrors, [{ id: 'internal', url: 'https://nexus.example.com/repository/maven-public/', mirrorOf: 'external:*,!adobe-private' }], 'Mirrors read.');
+  t.deepEqual(settings.servers, [{ id: 'internal', username: 'deployer', password: 'secret' }], 'Servers read and interpolated.');
+  t.deepEqual(
+    settings.repositories,
+    [
+      { id: 'adobe-public', url: 'https://repo.adobe.com/nexus/content/groups/public/' },
+      { id: 'adobe-private', url: 'https://artifactory.example.com/adobe' },
+      { id: 'local', url: `file://${env.HOME}/local-repo` },
+    ],
+    'Active profile repositories read.'
+  );
+});
+
+test('resolveRepositories - no settings', (t) => {
+  t.plan(1);
+  t.deepEqual(MavenUtils.resolveRepositories(), [{ id: 'central', url: 'https://repo1.maven.org/maven2' }], 'Only Central.');
+});
+
+test('resolveRepositories - mirrors', (t) => {
+  t.plan(1);
+  const settings = MavenUtils.readSettings(fixturePath('files', 'settings.xml'));
+  const repositories = MavenUtils.resolveRepositories([{ id: 'project', url: 'https://project.example.com/maven' }], settings);
+  t.deepEqual(
+    repositories,
+    [
+      { id: 'internal', url: 'https://nexus.example.com/repository/maven-public/', username: 'deployer', password: '' },
+      { id: 'adobe-private', url: 'https://artifactory.example.com/adobe' },
+      { id: 'local', url: `file://${env.HOME}/local-repo` },
+    ],
+    'Mirrors applied.'
+  );
+});
+
+test('resolveRepositories - exact mirror match', (t) => {
+  t.plan(1);
+  const settings = {
+    mirrors: [
+      { id: 'all', url: 'https://all.example.com', mirrorOf: '*' },
+      { id: 'central-mirror', url: 'https://central.example.com', mirrorOf: 'central' },
+    ],
+  };
+  const repositories = MavenUtils.resolveRepositories([{ id: 'project', url: 'https://project.example.com/maven' }], settings);
+  t.deepEqual(
+    repositories,
+    [
+      { id: 'all', url: 'https://all.example.com' },
+      { id: 'central-mirror', url: 'https://central.example.com' },
+    ],
+    'Mirrors applied.'
+  );
+});
+
+test.serial('Settings - mirror with credentials', async (t) => {
+  t.plan(3);
+
+  sinon.restore();
+  writeCache({});
+  env.AEM_GENERATOR_TEST_PASSWORD = 'secret';
+  const metadata = fs.readFileSync(fixturePath('files', 'uber-jar-metadata.xml'));
+  const fake = sinon.fake.resolves(metadata);
+  sinon.replace(got, 'get', fake);
+
+  await MavenUtils.latestRelease({ groupId: 'com.adobe.aem', artifactId: 'uber-jar' }, false, { settings: fixturePath('files', 'settings.xml') }).then((data) => {
+    sinon.restore();
+    delete env.AEM_GENERATOR_TEST_PASSWORD;
+    t.is(data.version, '6.5.12', 'Version');
+    t.is(fake.firstArg, 'https://nexus.example.com/repository/maven-public/com/adobe/aem/uber-jar/maven-metadata.xml', 'Mirror used.');
+    t.like(fake.lastArg, { username: 'deployer', password: 'secret' }, 'Credentials used.');
+  });
+});
+
+test.serial('Settings - falls through repositories', async (t) => {
+  t.plan(3);
+
+  sinon.restore();
+  writeCache({});
+  const metadata = fs.readFileSync(fixturePath('files', 'uber-jar-metadata.xml'));
+  const stub = sinon.stub();
+  stub.onFirstCall().rejects(new Error('Response code 404 (Not Found)'));
+  stub.onSecondCall().resolves(metadata);
+  sinon.replace(got, 'get', stub);
+
+  await MavenUtils.latestRelease({ groupId: 'com.adobe.aem', artifactId: 'uber-jar' }, false, { repositories: [{ id: 'project', url: 'https://project.example.com/maven/' }] }).then((data) => {
+    sinon.restore();
+    t.is(data.version, '6.5.12', 'Version');
+    t.is(stub.firstCall.firstArg, 'https://project.example.com/maven/com/adobe/aem/uber-jar/maven-metadata.xml', 'Project repository first.');
+    t.is(stub.secondCall.firstArg, 'https://repo1.maven.org/maven2/com/adobe/aem/uber-jar/maven-metadata.xml', 'Central last.');
+  });
+});
+
+test.serial('Settings - missing file', async (t) => {
+  t.plan(2);
+
+  sinon.restore();
+  writeCache({});
+  const error = await t.throwsAsync(() => MavenUtils.latestRelease({ groupId: 'com.adobe.aem', artifactId: 'uber-jar' }, false, { settings: fixturePath('files', 'missing.xml') }));
+  t.regex(error.message, /Unable to find Maven settings file/, 'Error thrown.');
+});
+
+test('compareVersions', (t) => {
+  t.plan(9);
+  t.true(MavenUtils.compareVersions('1.10.0', '1.9.2') > 0, 'Numeric items.');
+  t.true(MavenUtils.compareVersions('1.0', '1.0.1') < 0, 'Additional items.');
+  t.is(MavenUtils.compareVersions('1.0', '1.0.0'), 0, 'Padded items.');
+  t.is(MavenUtils.compareVersions('1.0.0-GA', '1.0.0'), 0, 'Release aliases.');
+  t.true(MavenUtils.compareVersions('1.0.0-SNAPSHOT', '1.0.0') < 0, 'Snapshot before release.');
+  t.true(MavenUtils.compareVersions('3.0.0-M7', '3.0.0-RC1') < 0, 'Milestone before release candidate.');
+  t.true(MavenUtils.compareVersions('3.0.0-M7', '2.22.2') > 0, 'Pre-release after older release.');
+  t.true(MavenUtils.compareVersions('1.0-sp1', '1.0') > 0, 'Service pack after release.');
+  t.true(MavenUtils.compareVersions('2022.5.7575.20220530T152407Z-220401', '2022.3.6698.20220318T233218Z-220400') > 0, 'SDK versions.');
+});
+
+test('isRelease', (t) => {
+  t.plan(5);
+  t.true(MavenUtils.isRelease('6.5.12'));
+  t.true(MavenUtils.isRelease('2022.5.7575.20220530T152407Z-220401'));
+  t.false(MavenUtils.isRelease('3.0.0-M7'));
+  t.false(MavenUtils.isRelease('1.0.0-beta-2'));
+  t.false(MavenUtils.isRelease('1.0.0-SNAPSHOT'));
+});
@@ -0,0 +1,107 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import tempDirectory from 'temp-dir';
+
+import test from 'ava';
+
+import ModuleMixins from '../../../lib/module-mixins.js';
+
+const generator = (cwd, files) => {
+  const output = [];
+  return {
+    output,
+    env: {
+      cwd,
+      sharedFs: {
+        all() {
+          return files;
+        },
+      },
+    },
+    log(message) {
+      output.push(message);
+    },
+  };
+};
+
+test('prints diff of pending changes', (t) => {
+  t.plan(6);
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  fs.mkdirSync(temporaryDir, { recursive: true });
+  fs.writeFileSync(path.join(temporaryDir, 'changed.txt'), 'first\nsecond\n');
+  fs.writeFileSync(path.join(temporaryDir, 'identical.txt'), 'same\n');
+  fs.writeFileSync(path.join(temporaryDir, 'deleted.txt'), 'gone\n');
+
+  const files = [
+    { path: path.join(temporaryDir, 'changed.txt'), state: 'modified', contents: Buffer.from('first\nupdated\n') },
+    { path: path.join(temporaryDir, 'identical.txt'), state: 'modified', contents: Buffer.from('same\n') },
+    { path: path.join(temporaryDir, 'created.txt'), state: 'modified', contents: Buffer.from('new\n') },
+    { path: path.join(temporaryDir, 'deleted.txt'), state: 'deleted', contents: null },
+    { path: path.join(temporaryDir, 'unchanged.txt'), contents: Buffer.from('read only\n') },
+  ];
+
+  const gen = generator(temporaryDir, files);
+  ModuleMixins._dryRun.call(gen);
+
+  t.is(gen.output.length, 4, 'Output logged.');
+  t.regex(gen.output[0], /--- a\/changed.txt\n\+\+\+ b\/changed.txt\n@@ -1,2 \+1,2 @@\n first\n-second\n\+updated\n/, 'Changed diff.');
+  t.regex(gen.output[1], /--- \/dev\/null\n\+\+\+ b\/created.txt\n@@ -0,0 \+1,1 @@\n\+new\n/, 'Created diff.');
+  t.regex(gen.output[2], /--- a\/deleted.txt\n\+\+\+ \/dev\/null\n@@ -1,1 \+0,0 @@\n-gone\n/, 'Deleted diff.');
+  t.regex(gen.output[3], /Dry run: 3 file\(s\) would be changed, nothing was written\./, 'Summary.');
+  t.is(fs.readFileSync(path.join(temporaryDir, 'changed.txt'), { encoding: 'utf8' }), 'first\nsecond\n', 'File not written.');
+});
+
+test('binary files', (t) => {
+  t.plan(2);
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  fs.mkdirSync(temporaryDir, { recursive: true });
+
+  const files = [{ path: path.join(temporaryDir, 'image.png'), state: 'modified', contents: Buffer.from([0x89, 0x00, 0x01]) }];
+  const gen = generator(temporaryDir, files);
+  ModuleMixins._dryRun.call(gen);
+
+  t.is(gen.output[0], 'Binary file image.png differs', 'Binary noted.');
+  t.regex(gen.output[1], /1 file\(s\) would be changed/, 'Summary.');
+});
+
+test('symlinks', (t) => {
+  t.plan(2);
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  fs.mkdirSync(temporaryDir, { recursive: true });
+
+  const files = [{ path: path.join(temporaryDir, 'enabled', 'default.vhost'), state: 'modified', contents: Buffer.from('../available/default.vhost'), symlink: '../available/default.vhost' }];
+  const gen = generator(temporaryDir, files);
+  ModuleMixins._dryRun.call(gen);
+
+  t.is(gen.output[0], `Symlink ${path.join('enabled', 'default.vhost')} -> ../available/default.vhost`, 'Symlink listed.');
+  t.regex(gen.output[1], /1 file\(s\) would be changed/, 'Summary.');
+});
+
+test('install skipped', async (t) => {
+  t.plan(1);
+  const gen = {
+    options: { dryRun: true },
+    spawnCommand() {
+      t.fail('Build should not run.');
+    },
+  };
+  t.is(await ModuleMixins._install.call(gen), undefined, 'Nothing run.');
+});
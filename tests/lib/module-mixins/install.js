@@ -0,0 +1,121 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import process from 'node:process';
+import tempDirectory from 'temp-dir';
+
+import test from 'ava';
+
+import ModuleMixins from '../../../lib/module-mixins.js';
+
+const generator = (dest, options) => {
+  const calls = [];
+  return {
+    calls,
+    options: { goals: 'clean verify', ...options },
+    destinationPath() {
+      return dest;
+    },
+    spawnCommand(command, args, spawnOptions) {
+      calls.push({ command, args, cwd: spawnOptions.cwd, stdio: spawnOptions.stdio });
+      return Promise.resolve();
+    },
+  };
+};
+
+test('default build', async (t) => {
+  t.plan(1);
+  const gen = generator('/tmp/project', {});
+  await ModuleMixins._install.call(gen);
+  t.deepEqual(gen.calls, [{ command: 'mvn', args: ['clean', 'verify'], cwd: '/tmp/project', stdio: 'ignore' }], 'Build run.');
+});
+
+test('goals, profiles, tests and settings', async (t) => {
+  t.plan(1);
+  const gen = generator('/tmp/project', {
+    showBuildOutput: true,
+    goals: ' clean  install -U',
+    profiles: 'autoInstallSinglePackage,other',
+    skipTests: true,
+    settings: 'settings.xml',
+  });
+  await ModuleMixins._install.call(gen);
+  const expected = {
+    command: 'mvn',
+    args: ['clean', 'install', '-U', '-PautoInstallSinglePackage,other', '-DskipTests', '-s', 'settings.xml'],
+    cwd: '/tmp/project',
+    stdio: 'inherit',
+  };
+  t.deepEqual(gen.calls, [expected], 'Build run.');
+});
+
+test('standalone module', async (t) => {
+  t.plan(1);
+  const gen = generator(path.join('/tmp', 'project', 'ui.apps'), {});
+  await ModuleMixins._install.call(gen, { cwd: path.join('/tmp', 'project') });
+  t.deepEqual(gen.calls[0].args, ['clean', 'verify', '-pl', 'ui.apps', '-am'], 'Only the module is built.');
+});
+
+test('maven wrapper missing', async (t) => {
+  t.plan(2);
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  fs.mkdirSync(temporaryDir, { recursive: true });
+
+  const gen = generator(temporaryDir, { mavenWrapper: true });
+  const error = await t.throwsAsync(ModuleMixins._install.call(gen));
+  t.regex(error.message, /Maven Wrapper not found/, 'Missing wrapper.');
+});
+
+test('maven wrapper exists', async (t) => {
+  t.plan(1);
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  fs.mkdirSync(temporaryDir, { recursive: true });
+  const wrapper = path.join(temporaryDir, process.platform === 'win32' ? 'mvnw.cmd' : 'mvnw');
+  fs.writeFileSync(wrapper, '');
+
+  const gen = generator(temporaryDir, { mavenWrapper: true });
+  await ModuleMixins._install.call(gen);
+  t.is(gen.calls[0].command, wrapper, 'Wrapper run.');
+});
+
+test('maven wrapper from project', async (t) => {
+  t.plan(2);
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  fs.mkdirSync(temporaryDir, { recursive: true });
+  const wrapper = path.join(temporaryDir, process.platform === 'win32' ? 'mvnw.cmd' : 'mvnw');
+  fs.writeFileSync(wrapper, '');
+
+  let gen = generator(path.join(temporaryDir, 'core'), {});
+  gen.parentProps = { mavenWrapper: true };
+  await ModuleMixins._install.call(gen, { cwd: temporaryDir });
+  t.is(gen.calls[0].command, wrapper, 'Project wrapper run.');
+
+  gen = generator(path.join(temporaryDir, 'core'), { mavenWrapper: false });
+  gen.parentProps = { mavenWrapper: true };
+  await ModuleMixins._install.call(gen, { cwd: temporaryDir });
+  t.is(gen.calls[0].command, 'mvn', 'Overridden by option.');
+});
+
+test('build failure', async (t) => {
+  t.plan(2);
+  const gen = generator('/tmp/project', {});
+  gen.spawnCommand = () => Promise.reject(new Error('spawn mvn ENOENT'));
+  const error = await t.throwsAsync(ModuleMixins._install.call(gen));
+  t.regex(error.message, /Maven build failed with error: [\s\S]*spawn mvn ENOENT/);
+});
@@ -14,17 +14,29 @@
  limitations under the License.
 */
 
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import tempDirectory from 'temp-dir';
+
 import test from 'ava';
+import sinon from 'sinon/pkg/sinon-esm.js';
 
 import _ from 'lodash';
 import { fixturePath } from '../../fixtures/helpers.js';
 import ModuleMixins from '../../../lib/module-mixins.js';
 
+test.afterEach.always(() => {
+  sinon.restore();
+});
+
 test('finds files', (t) => {
   t.plan(4);
   const generator = {
     templatePath: fixturePath,
     destinationPath: fixturePath,
+    rootGeneratorName: () => '@adobe/generator-aem:test',
   };
 
   const filenames = ['.gitignore', '.yo-resolve', 'sdk-api-metadata.xml', 'uber-jar-metadata.xml'];
@@ -36,3 +48,56 @@ test('finds files', (t) => {
     t.is(entry.dest, fixturePath(name));
   });
 });
+
+const writeFiles = (root, files) => {
+  _.forOwn(files, (content, file) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  });
+};
+
+const overlayGenerator = () => {
+  const temporaryDir = path.join(tempDirectory, crypto.randomBytes(20).toString('hex'));
+  const templates = path.join(temporaryDir, 'templates');
+  const home = path.join(temporaryDir, 'home');
+  const project = path.join(temporaryDir, 'project');
+  writeFiles(templates, { 'shared/README.md': 'bundled', 'shared/bnd.bnd': 'bundled', 'shared/pom.xml': 'bundled' });
+  writeFiles(home, { '.aem-generator/templates/bundle/shared/README.md': 'user', '.aem-generator/templates/bundle/shared/bnd.bnd': 'user' });
+  writeFiles(project, {
+    '.aem-generator/templates/bundle/shared/bnd.bnd': 'project',
+    '.aem-generator/templates/bundle/shared/src/__package__/.gitkeep': 'project',
+    '.aem-generator/templates/dispatcher/shared/README.md': 'other generator',
+  });
+  fs.mkdirSync(path.join(project, 'core'));
+  sinon.stub(os, 'homedir').returns(home);
+
+  return {
+    templatePath: (...parts) => path.join(templates, ...parts),
+    destinationPath: (...parts) => path.join(project, 'core', ...parts),
+    rootGeneratorName: () => '@adobe/generator-aem:bundle',
+  };
+};
+
+test.serial('overlays', (t) => {
+  t.plan(5);
+  const generator = overlayGenerator();
+
+  const files = ModuleMixins._listTemplates.call(generator, 'shared');
+
+  const content = (name) => fs.readFileSync(_.find(files, { dest: generator.destinationPath(name) }).src, { encoding: 'utf8' });
+  t.is(files.length, 4, 'Templates merged.');
+  t.is(content('pom.xml'), 'bundled', 'Bundled template listed.');
+  t.is(content('README.md'), 'user', 'User overlay replaces bundled template.');
+  t.is(content('bnd.bnd'), 'project', 'Project overlay replaces user overlay.');
+  t.is(content(path.join('src', '__package__', '.gitkeep')), 'project', 'Overlay template added.');
+});
+
+test.serial('_templatePath', (t) => {
+  t.plan(3);
+  const generator = overlayGenerator();
+
+  const read = (...parts) => fs.readFileSync(ModuleMixins._templatePath.call(generator, ...parts), { encoding: 'utf8' });
+  t.is(read('shared', 'pom.xml'), 'bundled', 'Bundled template.');
+  t.is(read('shared', 'README.md'), 'user', 'User overlay.');
+  t.is(read('shared', 'bnd.bnd'), 'project', 'Project overlay.');
+});
@@ -0,0 +1,56 @@
+/*
+ Copyright 2022 Adobe Inc.
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import test from 'ava';
+
+import { fixturePath } from '../../fixtures/helpers.js';
+import ModuleMixins from '../../../lib/module-mixins.js';
+
+const generator = (options) => {
+  return {
+    options,
+    destinationPath() {
+      return fixturePath('pom', 'repositories', 'module');
+    },
+    fs: {
+      exists(path) {
+        return fs.existsSync(path);
+      },
+      read(path) {
+        return fs.readFileSync(path, { encoding: 'utf8' });
+      },
+    },
+  };
+};
+
+test('defaults to parent pom', (t) => {
+  t.plan(1);
+  const options = ModuleMixins._resolutionOptions.call(generator({ offline: true, settings: '/path/to/settings.xml' }));
+  const expected = {
+    offline: true,
+    settings: '/path/to/settings.xml',
+    repositories: [{ id: 'adobe-public', url: 'https://repo.adobe.com/nexus/content/groups/public/' }],
+  };
+  t.deepEqual(options, expected, 'Options created.');
+});
+
+test('provided root', (t) => {
+  t.plan(1);
+  const options = ModuleMixins._resolutionOptions.call(generator({}), path.join(fixturePath('pom', 'full')));
+  t.deepEqual(options, { offline: undefined, settings: undefined, repositories: [] }, 'Options created.');
+});
@@ -14,11 +14,16 @@
  limitations under the License.
 */
 
+import fs from 'node:fs';
 import path from 'node:path';
+import _ from 'lodash';
 import test from 'ava';
+import helpers from 'yeoman-test';
 import sinon from 'sinon/pkg/sinon-esm.js';
 
 import ModuleMixins from '../../../lib/module-mixins.js';
+import { generatorPath } from '../../fixtures/helpers.js';
+import ConflictsGenerator from '../../fixtures/generators/conflicts/index.js';
 
 const tplProps = {
   pathProperty: 'pathreplacement',
@@ -95,3 +100,89 @@ test('custom delimiter', (t) => {
   t.is(path.join('/', 'source', 'path', 'notmodified', 'file'), src, 'Source parameter correct.');
   t.is(path.join('/', 'target', 'path', 'notmodified', 'file'), dest, 'Destination parameter correct');
 });
+
+test('conflict policies', async (t) => {
+  t.plan(11);
+
+  const existing = {
+    'overwritten.txt': 'Overwritten by hand.\n',
+    'skipped.txt': 'Skipped by hand.\n',
+    'sidecar.txt': 'Sidecar by hand.\n',
+    'updated.txt': 'Updated by hand.\n',
+    'config.json': '{\n    "name": "Custom",\n    "private": true,\n    "files": ["src"]\n}\n',
+    'content.xml':
+      '<?xml version="1.0" encoding="UTF-8"?>\n<jcr:root xmlns:jcr="http://www.jcp.org/jcr/1.0" jcr:primaryType="cq:ClientLibraryFolder" allowProxy="{Boolean}true">\n    <!-- Custom scripts -->\n    <js jcr:primaryType="nt:unstructured"/>\n    <css jcr:primaryType="nt:unstructured"/>\n</jcr:root>\n',
+  };
+
+  await helpers
+    .create(ConflictsGenerator, { resolved: generatorPath('..', 'tests', 'fixtures', 'generators', 'conflicts', 'index.js') })
+    .withOptions({
+      force: true,
+      policies: {
+        'overwritten.txt': 'overwrite',
+        'skipped.txt': 'skip',
+        'sidecar.txt': 'sidecar',
+        '*.json': 'json',
+        '*.xml': 'xml',
+      },
+    })
+    .inTmpDir((dir) => {
+      _.forOwn(existing, (content, file) => {
+        fs.writeFileSync(path.join(dir, file), content);
+      });
+    })
+    .run()
+    .then((result) => {
+      const read = (file) => fs.readFileSync(result.generator.destinationPath(file), { encoding: 'utf8' });
+      t.is(read('created.txt'), 'Created by Generated.\n', 'File created.');
+      t.is(read('overwritten.txt'), 'Overwritten by Generated.\n', 'File overwritten.');
+      t.is(read('skipped.txt'), existing['skipped.txt'], 'File skipped.');
+      t.is(read('sidecar.txt'), existing['sidecar.txt'], 'Sidecar original kept.');
+      t.is(read('sidecar.txt.new'), 'Sidecar by Generated.\n', 'Sidecar written.');
+      t.deepEqual(JSON.parse(read('config.json')), { name: 'Generated', private: true, files: ['src', 'dist'], scripts: { build: 'webpack' } }, 'JSON merged.');
+      t.regex(read('config.json'), /^{\n {4}"name"/, 'JSON indentation kept.');
+      t.regex(read('content.xml'), /allowProxy="{Boolean}true"/, 'Existing attribute kept.');
+      t.regex(read('content.xml'), /categories="\[Generated]"/, 'Generated attribute added.');
+      t.regex(read('content.xml'), / {4}<!-- Custom scripts -->\n {4}<js jcr:primaryType="nt:unstructured"\/>\n {4}<css/, 'Existing elements kept.');
+
+      const summary = result.generator.output.join('\n');
+      t.regex(
+        summary,
+        /created\s+created.txt[\s\S]+overwritten\s+overwritten.txt[\s\S]+updated\s+updated.txt[\s\S]+merged\s+config.json[\s\S]+sidecar\s+sidecar.txt.new[\s\S]+skipped\s+skipped.txt/,
+        'Summary logged.'
+      );
+    });
+});
+
+test('summary - declined overwrite', async (t) => {
+  t.plan(3);
+
+  await helpers
+    .create(ConflictsGenerator, { resolved: generatorPath('..', 'tests', 'fixtures', 'generators', 'conflicts', 'index.js') })
+    .withOptions({ force: false, policies: {} })
+    .withPrompts({ action: 'skip' })
+    .inTmpDir((dir) => {
+      fs.writeFileSync(path.join(dir, 'updated.txt'), 'Updated by hand.\n');
+    })
+    .run()
+    .then((result) => {
+      const summary = result.generator.output.join('\n');
+      t.is(fs.readFileSync(result.generator.destinationPath('updated.txt'), { encoding: 'utf8' }), 'Updated by hand.\n', 'File kept.');
+      t.regex(summary, /skipped\s+updated.txt/, 'Declined file listed as skipped.');
+      t.regex(summary, /created\s+created.txt/, 'Created file listed.');
+    });
+});
+
+test('summary - dry run', async (t) => {
+  t.plan(3);
+
+  await helpers
+    .create(ConflictsGenerator, { resolved: generatorPath('..', 'tests', 'fixtures', 'generators', 'conflicts', 'index.js') })
+    .withOptions({ policies: {}, dryRun: true })
+    .run()
+    .then((result) => {
+      t.false(fs.existsSync(result.generator.destinationPath('created.txt')), 'Nothing written.');
+      t.notRegex(result.generator.output.join('\n'), /Files written/, 'No summary logged.');
+      t.regex(result.generator.output.join('\n'), /Dry run: \d+ file\(s\) would be changed/, 'Changes listed.');
+    });
+});
@@ -19,7 +19,7 @@ import fs from 'node:fs';
 import _ from 'lodash';
 
 import test from 'ava';
-import { XMLBuilder } from 'fast-xml-parser';
+import { XMLBuilder, XMLParser } from 'fast-xml-parser';
 
 import PomUtils from '../../lib/pom-utils.js';
 import { fixturePath } from '../fixtures/helpers.js';
@@ -163,6 +163,49 @@ test('listParentPomModules - list', (t) => {
   t.deepEqual(PomUtils.listParentPomModules(generator, fixturePath('pom', 'modules')), expected, 'List returned.');
 });
 
+test('listRepositories - none', (t) => {
+  t.plan(1);
+  const generator = {
+    fs: {
+      exists(path) {
+        return fs.existsSync(path);
+      },
+      read(path) {
+        return fs.readFileSync(path, { encoding: 'utf8' });
+      },
+    },
+  };
+  t.deepEqual(PomUtils.listRepositories(generator, fixturePath('pom', 'full')), [], 'Empty list returned.');
+});
+
+test('listRepositories - no pom', (t) => {
+  t.plan(1);
+  const generator = {
+    fs: {
+      exists(path) {
+        return fs.existsSync(path);
+      },
+    },
+  };
+  t.deepEqual(PomUtils.listRepositories(generator, fixturePath('files')), [], 'Empty list returned.');
+});
+
+test('listRepositories - list', (t) => {
+  t.plan(1);
+  const generator = {
+    fs: {
+      exists(path) {
+        return fs.existsSync(path);
+      },
+      read(path) {
+        return fs.readFileSync(path, { encoding: 'utf8' });
+      },
+    },
+  };
+  const expected = [{ id: 'adobe-public', url: 'https://repo.adobe.com/nexus/content/groups/public/' }];
+  t.deepEqual(PomUtils.listRepositories(generator, fixturePath('pom', 'repositories')), expected, 'List returned.');
+});
+
 test('findPomNodeArray - does not exist', (t) => {
   t.plan(1);
   t.is(PomUtils.findPomNodeArray(pomStruct, 'dependency'), undefined, 'Not found');
@@ -202,6 +245,77 @@ test('fixXml', (t) => {
   t.regex(PomUtils.fixXml(xml), /groupId>com.adobe.aem<\/groupId/, 'Fixed XML has no space.');
 });
 
+const formattedPom = () => fs.readFileSync(fixturePath('pom', 'formatted', 'pom.xml'), { encoding: 'utf8' });
+
+test('buildPom - no original', (t) => {
+  t.plan(1);
+  const parsed = new XMLParser(PomUtils.xmlOptions).parse(formattedPom());
+  t.is(PomUtils.buildPom(parsed), PomUtils.fixXml(new XMLBuilder(PomUtils.xmlOptions).build(parsed)));
+});
+
+test('buildPom - unchanged', (t) => {
+  t.plan(1);
+  const original = formattedPom();
+  t.is(PomUtils.buildPom(new XMLParser(PomUtils.xmlOptions).parse(original), original), original);
+});
+
+test('buildPom - changed text', (t) => {
+  t.plan(1);
+  const original = formattedPom();
+  const parsed = new XMLParser(PomUtils.xmlOptions).parse(original);
+  PomUtils.findPomNodeArray(parsed, 'project', 'version')[0]['#text'] = '1.1.0-SNAPSHOT';
+  t.is(PomUtils.buildPom(parsed, original), original.replace('1.0.0-SNAPSHOT', '1.1.0-SNAPSHOT'));
+});
+
+test('buildPom - added element', (t) => {
+  t.plan(1);
+  const original = formattedPom();
+  const parsed = new XMLParser(PomUtils.xmlOptions).parse(original);
+  PomUtils.findPomNodeArray(parsed, 'project', 'modules').push({ module: [{ '#text': 'ui.content' }] });
+  t.is(PomUtils.buildPom(parsed, original), original.replace('<module>ui.apps</module>', '<module>ui.apps</module>\n        <module>ui.content</module>'));
+});
+
+test('buildPom - added nested element', (t) => {
+  t.plan(1);
+  const original = formattedPom();
+  const parsed = new XMLParser(PomUtils.xmlOptions).parse(original);
+  const project = PomUtils.findPomNodeArray(parsed, 'project');
+  project.push({ dependencies: [{ dependency: [{ groupId: [{ '#text': 'com.adobe.aem' }] }, { artifactId: [{ '#text': 'uber-jar' }] }] }] });
+  const expected = `    </properties>
+    <dependencies>
+      <dependency>
+        <groupId>com.adobe.aem</groupId>
+        <artifactId>uber-jar</artifactId>
+      </dependency>
+    </dependencies>
+</project>`;
+  t.is(PomUtils.buildPom(parsed, original), original.replace('    </properties>\n</project>', expected));
+});
+
+test('buildPom - removed element', (t) => {
+  t.plan(1);
+  const original = formattedPom();
+  const parsed = new XMLParser(PomUtils.xmlOptions).parse(original);
+  _.remove(PomUtils.findPomNodeArray(parsed, 'project', 'modules'), (item) => _.isEqual(item, { module: [{ '#text': 'core' }] }));
+  t.is(PomUtils.buildPom(parsed, original), original.replace('\n        <module>core</module>', ''));
+});
+
+test('buildPom - changed attributes', (t) => {
+  t.plan(1);
+  const original = formattedPom();
+  const parsed = new XMLParser(PomUtils.xmlOptions).parse(original);
+  const project = _.find(parsed, (item) => _.has(item, 'project'));
+  project[':@']['@_xsi:schemaLocation'] = 'http://maven.apache.org/POM/4.0.0 http://maven.apache.org/xsd/maven-4.0.0.xsd';
+  t.is(PomUtils.buildPom(parsed, original), original.replace('maven-v4_0_0.xsd', 'xsd/maven-4.0.0.xsd'));
+});
+
+test('buildPom - unsupported source', (t) => {
+  t.plan(1);
+  const original = formattedPom().replace('<java.version>11</java.version>', '<java.version><![CDATA[11]]></java.version>');
+  const parsed = new XMLParser(PomUtils.xmlOptions).parse(original);
+  t.is(PomUtils.buildPom(parsed, original), PomUtils.fixXml(new XMLBuilder(PomUtils.xmlOptions).build(parsed)));
+});
+
 test('propertyPredicate - first', (t) => {
   t.plan(1);
   t.truthy(PomUtils.propertyPredicate(pomStruct[0].properties, { 'java.version': [{ '#text': '8' }] }), 'Property found');
@@ -317,6 +431,22 @@ test('dependencyPredicate - not a dependency', (t) => {
   t.falsy(PomUtils.dependencyPredicate(pomStruct[2].dependencies, toFind), 'Dependency not found');
 });
 
+test('dependencyPredicate - type and classifier', (t) => {
+  t.plan(4);
+
+  const target = [
+    { dependency: [{ groupId: [{ '#text': 'com.test' }] }, { artifactId: [{ '#text': 'ui.apps' }] }, { type: [{ '#text': 'zip' }] }] },
+    { dependency: [{ groupId: [{ '#text': 'com.test' }] }, { artifactId: [{ '#text': 'ui.apps' }] }, { classifier: [{ '#text': 'precompiled-scripts' }] }] },
+    { dependency: [{ groupId: [{ '#text': 'com.test' }] }, { artifactId: [{ '#text': 'core' }] }, { type: [{ '#text': 'jar' }] }] },
+  ];
+  const find = (...nodes) => PomUtils.dependencyPredicate(target, { dependency: [{ groupId: [{ '#text': 'com.test' }] }, ...nodes] });
+
+  t.is(find({ artifactId: [{ '#text': 'ui.apps' }] }, { type: [{ '#text': 'zip' }] }), target[0], 'Typed dependency found.');
+  t.is(find({ artifactId: [{ '#text': 'ui.apps' }] }, { classifier: [{ '#text': 'precompiled-scripts' }] }), target[1], 'Classified dependency found.');
+  t.falsy(find({ artifactId: [{ '#text': 'ui.apps' }] }), 'Main artifact not found.');
+  t.is(find({ artifactId: [{ '#text': 'core' }] }), target[2], 'Default type matched.');
+});
+
 test('profilePredicate - first', (t) => {
   t.plan(1);
 
@@ -402,6 +532,210 @@ test('mergePomSections - not found', (t) => {
   t.is(target[4]['project.build.sourceEncoding'][0]['#text'], 'UTF-8', 'Item added to correct spot.');
 });
 
+test('mergePlugins - not found', (t) => {
+  t.plan(2);
+  const target = _.cloneDeep(pomStruct[1].plugins);
+  const additional = [{ plugin: [{ groupId: [{ '#text': 'com.test' }] }, { artifactId: [{ '#text': 'other-plugin' }] }] }];
+  PomUtils.mergePlugins(target, additional);
+  t.is(target.length, 4, 'Plugin added.');
+  t.is(target[3].plugin[1].artifactId[0]['#text'], 'other-plugin', 'Plugin added to correct spot.');
+});
+
+test('mergePlugins - deep merge', (t) => {
+  t.plan(10);
+  const parser = new XMLParser(PomUtils.xmlOptions);
+  const builder = new XMLBuilder(PomUtils.xmlOptions);
+  const generated = parser.parse(`
+<plugins>
+  <plugin>
+    <artifactId>maven-surefire-plugin</artifactId>
+    <version>3.1.2</version>
+    <configuration>
+      <trimStackTrace>false</trimStackTrace>
+    </configuration>
+    <executions>
+      <execution>
+        <id>default-test</id>
+        <goals><goal>test</goal></goals>
+      </execution>
+    </executions>
+  </plugin>
+</plugins>`)[0].plugins;
+  const existing = parser.parse(`
+<plugins>
+  <plugin>
+    <groupId>org.apache.maven.plugins</groupId>
+    <artifactId>maven-surefire-plugin</artifactId>
+    <version>2.22.2</version>
+    <configuration>
+      <trimStackTrace>true</trimStackTrace>
+      <!-- Project specific -->
+      <argLine>-Xmx1024m</argLine>
+    </configuration>
+    <executions>
+      <execution>
+        <id>default-test</id>
+        <goals><goal>test</goal><goal>custom</goal></goals>
+      </execution>
+      <execution>
+        <id>integration</id>
+        <goals><goal>test</goal></goals>
+      </execution>
+    </executions>
+    <dependencies>
+      <dependency>
+        <groupId>org.junit</groupId>
+        <artifactId>junit-platform-launcher</artifactId>
+      </dependency>
+    </dependencies>
+  </plugin>
+</plugins>`)[0].plugins;
+
+  PomUtils.mergePlugins(generated, existing);
+  t.is(generated.length, 1, 'Plugins merged.');
+
+  const xml = PomUtils.fixXml(builder.build([{ plugins: generated }]));
+  t.regex(xml, /<plugin>\s+<groupId>org.apache.maven.plugins<\/groupId>\s+<artifactId>maven-surefire-plugin<\/artifactId>/, 'Existing element added in place.');
+  t.regex(xml, /<version>3.1.2<\/version>/, 'Generated version kept.');
+  t.notRegex(xml, /<version>2.22.2<\/version>/, 'Existing version replaced.');
+  t.regex(xml, /<trimStackTrace>false<\/trimStackTrace>/, 'Generated configuration kept.');
+  t.regex(xml, /<!-- Project specific -->\s+<argLine>-Xmx1024m<\/argLine>/, 'Existing configuration retained.');
+  t.regex(xml, /<goal>test<\/goal>\s+<goal>custom<\/goal>/, 'Existing goal retained.');
+  t.is(xml.match(/<id>default-test<\/id>/g).length, 1, 'Executions merged.');
+  t.regex(xml, /<id>integration<\/id>/, 'Existing execution retained.');
+  t.regex(xml, /<artifactId>junit-platform-launcher<\/artifactId>/, 'Existing dependencies retained.');
+});
+
+test('removeDependencies - classifier', (t) => {
+  t.plan(2);
+  const target = [
+    { dependency: [{ groupId: [{ '#text': 'com.test' }] }, { artifactId: [{ '#text': 'ui.apps' }] }, { type: [{ '#text': 'zip' }] }] },
+    { dependency: [{ groupId: [{ '#text': 'com.test' }] }, { artifactId: [{ '#text': 'ui.apps' }] }, { classifier: [{ '#text': 'precompiled-scripts' }] }] },
+  ];
+  PomUtils.removeDependencies(target, [{ dependency: [{ groupId: [{ '#text': 'com.test' }] }, { artifactId: [{ '#text': 'ui.apps' }] }, { type: [{ '#text': 'zip' }] }] }]);
+  t.is(target.length, 1, 'Dependency removed.');
+  t.is(target[0].dependency[2].classifier[0]['#text'], 'precompiled-scripts', 'Classified dependency kept.');
+});
+
+test('mergeDependencies - exclusions', (t) => {
+  t.plan(6);
+  const parser = new XMLParser(PomUtils.xmlOptions);
+  const builder = new XMLBuilder(PomUtils.xmlOptions);
+  const generated = parser.parse(`
+<dependencies>
+  <dependency>
+    <groupId>com.test</groupId>
+    <artifactId>ui.apps</artifactId>
+    <version>2.0.0</version>
+    <type>zip</type>
+  </dependency>
+  <dependency>
+    <groupId>com.test</groupId>
+    <artifactId>core</artifactId>
+    <version>2.0.0</version>
+    <exclusions>
+      <exclusion>
+        <groupId>org.slf4j</groupId>
+        <artifactId>slf4j-api</artifactId>
+      </exclusion>
+    </exclusions>
+  </dependency>
+</dependencies>`)[0].dependencies;
+  const existing = parser.parse(`
+<dependencies>
+  <dependency>
+    <groupId>com.test</groupId>
+    <artifactId>ui.apps</artifactId>
+    <version>1.0.0</version>
+    <type>zip</type>
+    <exclusions>
+      <exclusion>
+        <groupId>com.test</groupId>
+        <artifactId>ui.content</artifactId>
+      </exclusion>
+    </exclusions>
+  </dependency>
+  <dependency>
+    <groupId>com.test</groupId>
+    <artifactId>ui.apps</artifactId>
+    <version>1.0.0</version>
+    <classifier>precompiled-scripts</classifier>
+  </dependency>
+  <dependency>
+    <groupId>com.test</groupId>
+    <artifactId>core</artifactId>
+    <exclusions>
+      <exclusion>
+        <groupId>org.slf4j</groupId>
+        <artifactId>slf4j-api</artifactId>
+      </exclusion>
+      <exclusion>
+        <groupId>commons-logging</groupId>
+        <artifactId>commons-logging</artifactId>
+      </exclusion>
+    </exclusions>
+  </dependency>
+</dependencies>`)[0].dependencies;
+
+  PomUtils.mergeDependencies(generated, existing);
+  t.is(generated.length, 3, 'Classified dependency retained.');
+
+  const xml = PomUtils.fixXml(builder.build([{ dependencies: generated }]));
+  t.notRegex(xml, /<version>1.0.0<\/version>\s+<type>zip<\/type>/, 'Generated version kept.');
+  t.regex(xml, /<type>zip<\/type>\s+<exclusions>\s+<exclusion>\s+<groupId>com.test<\/groupId>\s+<artifactId>ui.content<\/artifactId>/, 'Existing exclusions added.');
+  t.is(xml.match(/<artifactId>slf4j-api<\/artifactId>/g).length, 1, 'Exclusions merged.');
+  t.regex(xml, /<artifactId>commons-logging<\/artifactId>/, 'Existing exclusion retained.');
+  t.regex(xml, /<classifier>precompiled-scripts<\/classifier>/, 'Classified dependency added.');
+});
+
+const managedDependencies = () => [
+  { dependency: [{ groupId: [{ '#text': 'com.adobe.aem' }] }, { artifactId: [{ '#text': 'uber-jar' }] }, { version: [{ '#text': '6.5.12' }] }] },
+  {
+    dependency: [
+      { groupId: [{ '#text': 'com.adobe.cq' }] },
+      { artifactId: [{ '#text': 'core.wcm.components.bom' }] },
+      { version: [{ '#text': '2.18.0' }] },
+      { type: [{ '#text': 'pom' }] },
+      { scope: [{ '#text': 'import' }] },
+    ],
+  },
+  { dependency: [{ groupId: [{ '#text': 'org.osgi' }] }, { artifactId: [{ '#text': 'org.osgi.framework' }] }, { version: [{ '#text': '1.9.0' }] }] },
+];
+
+test('bomDependency', (t) => {
+  t.plan(1);
+  const bom = PomUtils.bomDependency({ groupId: 'com.adobe.acs', artifactId: 'acs-aem-commons-bom', version: '6.0.0' });
+  const builder = new XMLBuilder(PomUtils.xmlOptions);
+  t.regex(
+    PomUtils.fixXml(builder.build([bom])),
+    /<groupId>com.adobe.acs<\/groupId>\s+<artifactId>acs-aem-commons-bom<\/artifactId>\s+<version>6.0.0<\/version>\s+<type>pom<\/type>\s+<scope>import<\/scope>/
+  );
+});
+
+test('addBoms - new', (t) => {
+  t.plan(2);
+  const target = managedDependencies();
+  PomUtils.addBoms(target, [{ groupId: 'com.adobe.acs', artifactId: 'acs-aem-commons-bom', version: '6.0.0' }], { groupId: 'com.adobe.aem', artifactId: 'uber-jar' });
+  t.is(target.length, 4, 'BOM added.');
+  t.deepEqual(target[1], PomUtils.bomDependency({ groupId: 'com.adobe.acs', artifactId: 'acs-aem-commons-bom', version: '6.0.0' }), 'Inserted after the artifact.');
+});
+
+test('addBoms - existing', (t) => {
+  t.plan(2);
+  const target = managedDependencies();
+  PomUtils.addBoms(target, [{ groupId: 'com.adobe.cq', artifactId: 'core.wcm.components.bom', version: '2.20.2' }]);
+  t.is(target.length, 3, 'BOM not duplicated.');
+  t.is(PomUtils.findPomNodeArray(target[1].dependency, 'version')[0]['#text'], '2.20.2', 'Version updated in place.');
+});
+
+test('removeBoms', (t) => {
+  t.plan(2);
+  const target = managedDependencies();
+  PomUtils.removeBoms(target, [{ groupId: 'com.adobe.cq', artifactId: 'core.wcm.components.bom' }]);
+  t.is(target.length, 2, 'BOM removed.');
+  t.falsy(PomUtils.dependencyPredicate(target, PomUtils.bomDependency({ groupId: 'com.adobe.cq', artifactId: 'core.wcm.components.bom' })), 'BOM not found.');
+});
+
 test('addModuleToParent - no modules', (t) => {
   t.plan(1);
 
@@ -470,3 +804,51 @@ test('addModuleToParent - modules - exists', (t) => {
   PomUtils.addModuleToParent(generator);
   t.regex(toWrite, /modules>\s+<module>core<\/module>\s+<module>/);
 });
+
+test('removeModuleFromParent - exists', (t) => {
+  t.plan(2);
+
+  let toWrite;
+
+  const generator = {
+    destinationRoot() {
+      return fixturePath('pom', 'modules');
+    },
+
+    fs: {
+      read(path) {
+        return fs.readFileSync(path, { encoding: 'utf8' });
+      },
+      write(path, content) {
+        toWrite = content;
+      },
+    },
+  };
+  PomUtils.removeModuleFromParent(generator, fixturePath('pom', 'modules', 'ui.apps'));
+  t.notRegex(toWrite, /<module>ui.apps<\/module>/);
+  t.regex(toWrite, /modules>\s+<module>core<\/module>\s+<module>ui.apps.structure<\/module>/);
+});
+
+test('removeModuleFromParent - no match', (t) => {
+  t.plan(2);
+
+  let toWrite;
+
+  const generator = {
+    destinationRoot() {
+      return fixturePath('pom', 'modules', 'dne');
+    },
+
+    fs: {
+      read(path) {
+        return fs.readFileSync(path, { encoding: 'utf8' });
+      },
+      write(path, content) {
+        toWrite = content;
+      },
+    },
+  };
+  PomUtils.removeModuleFromParent(generator);
+  t.is(toWrite.match(/<module>/g).length, 4);
+  t.regex(toWrite, /<module>unknown<\/module>\s+<\/modules>/);
+});